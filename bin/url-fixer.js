@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+/**
+ * url-fixer - Command-line link checker for CI pipelines
+ * Usage: url-fixer check docs --format junit --output links.xml
+ */
+
+'use strict';
+
+import { LinkCheckCommand } from '../src/cli/LinkCheckCommand.js';
+
+process.exitCode = await new LinkCheckCommand().run(process.argv.slice(2));
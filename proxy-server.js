@@ -8,10 +8,15 @@ import express from 'express';
 import cors from 'cors';
 import fetch from 'node-fetch';
 import { URL } from 'url';
+import { gunzipSync } from 'zlib';
 import puppeteer from 'puppeteer';
 
 const app = express();
 const PORT = process.env.PROXY_PORT || 3001;
+const MAX_REDIRECTS = 10;
+// Statuses some servers answer HEAD with while GET works; these are checked again with a ranged GET
+const HEAD_FALLBACK_STATUSES = [400, 403, 404, 405, 501];
+const MAX_TEXT_BYTES = 50 * 1024 * 1024; // sitemaps may be up to 50MB uncompressed
 
 // Chrome Headless configuration
 const CHROME_CONFIG = {
@@ -67,10 +72,34 @@ async function getBrowser() {
   return browserInstance;
 }
 
+/**
+ * Get the credential headers to send to a URL: only when its host is one of the credentials' hosts
+ * ("*.example.com" matches every subdomain), so credentials never follow a redirect to another host
+ */
+function getCredentialHeaders(credentials, url) {
+  if (!credentials || !Array.isArray(credentials.hosts) || !credentials.headers) {
+    return null;
+  }
+
+  let host;
+  try {
+    host = new URL(url).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+
+  const matches = credentials.hosts.some(pattern => String(pattern).startsWith('*.')
+    ? host.endsWith(String(pattern).slice(1).toLowerCase())
+    : host === String(pattern).toLowerCase());
+  return matches ? credentials.headers : null;
+}
+
 /**
  * Get a new page from the browser
+ * options.credentials ({ hosts, headers }) are added to every request to a matching host
  */
-async function getPage() {
+async function getPage(options = {}) {
+  const { credentials = null } = options;
   const browser = await getBrowser();
   const page = await browser.newPage();
 
@@ -82,6 +111,12 @@ async function getPage() {
     const resourceType = req.resourceType();
     if (['image', 'stylesheet', 'font', 'media'].includes(resourceType)) {
       req.abort();
+      return;
+    }
+
+    const credentialHeaders = getCredentialHeaders(credentials, req.url());
+    if (credentialHeaders) {
+      req.continue({ headers: { ...req.headers(), ...credentialHeaders } });
     } else {
       req.continue();
     }
@@ -179,8 +214,10 @@ app.get('/health', async (req, res) => {
 });
 
 // Chrome Headless URL validation endpoint
-app.get('/validate-url-headless', async (req, res) => {
-  const { url, timeout = 30000, waitForSelector, screenshot = false } = req.query;
+// POST takes the same parameters as JSON, plus credentials ({ hosts, headers }) for links to intranet sites
+async function validateURLHeadless(req, res) {
+  const { url, timeout = 30000, waitForSelector, screenshot = false } = { ...req.query, ...req.body };
+  const credentials = req.body?.credentials || null;
 
   if (!url) {
     return res.status(400).json({
@@ -207,7 +244,7 @@ app.get('/validate-url-headless', async (req, res) => {
     const startTime = Date.now();
 
     // Get a new page
-    const pageResult = await getPage();
+    const pageResult = await getPage({ credentials });
     page = pageResult.page;
     pageId = pageResult.pageId;
 
@@ -233,6 +270,25 @@ app.get('/validate-url-headless', async (req, res) => {
       const title = await page.title();
       const finalUrl = page.url();
 
+      // What the page shows, so the client can tell bot challenges, login walls and paywalls from broken links
+      const markers = await page.evaluate(() => {
+        const structuredData = [...document.querySelectorAll('script[type="application/ld+json"]')]
+          .map(script => script.textContent)
+          .join('\n');
+
+        return {
+          passwordField: Boolean(document.querySelector('input[type="password"]')),
+          captcha: Boolean(document.querySelector([
+            '#challenge-form', '#challenge-running', '.cf-browser-verification', '#px-captcha',
+            'iframe[src*="challenges.cloudflare.com"]', 'iframe[src*="captcha-delivery.com"]',
+            'iframe[src*="hcaptcha.com"]', 'iframe[src*="recaptcha"]'
+          ].join(', '))),
+          paywall: Boolean(document.querySelector('[class*="paywall" i], [id*="paywall" i]')) ||
+            /"isAccessibleForFree"\s*:\s*"?false/i.test(structuredData),
+          text: (document.body?.innerText || '').slice(0, 3000)
+        };
+      }).catch(() => null);
+
       // Take screenshot if requested
       let screenshotData = null;
       if (screenshot === 'true' || screenshot === true) {
@@ -251,6 +307,18 @@ app.get('/validate-url-headless', async (req, res) => {
       // Extract headers from the response
       const headers = response ? response.headers() : {};
 
+      // Every request the navigation was redirected through, with its status
+      const redirectChain = response
+        ? response.request().redirectChain().map(request => ({
+          url: request.url(),
+          status: request.response() ? request.response().status() : null,
+          statusText: request.response() ? request.response().statusText() : ''
+        }))
+        : [];
+      if (redirectChain.length > 0) {
+        redirectChain.push({ url: response.url(), status: response.status(), statusText: response.statusText() });
+      }
+
       const result = {
         url: finalUrl,
         originalUrl: url,
@@ -261,7 +329,10 @@ app.get('/validate-url-headless', async (req, res) => {
         title,
         timestamp: new Date().toISOString(),
         method: 'HEADLESS_GET',
-        redirected: finalUrl !== url
+        finalUrl,
+        markers,
+        redirected: redirectChain.length > 0 || finalUrl !== url,
+        redirectChain
       };
 
       if (screenshotData) {
@@ -319,11 +390,91 @@ app.get('/validate-url-headless', async (req, res) => {
       await closePage(pageId);
     }
   }
-});
+}
+
+app.get('/validate-url-headless', validateURLHeadless);
+app.post('/validate-url-headless', validateURLHeadless);
+
+/**
+ * Request a URL and follow its redirects one hop at a time so each hop's status is reported
+ * Only the headers are read: the body is cancelled as soon as they arrive, so a GET never downloads the file
+ */
+async function fetchWithRedirects(url, options) {
+  const { method, headers = {}, signal, credentials = null } = options;
+  const redirectChain = [];
+  let currentUrl = url;
+  let response;
+
+  for (;;) {
+    response = await fetch(currentUrl, {
+      method,
+      signal,
+      headers: {
+        'User-Agent': 'URL-Fixer-Proxy/1.0 (+https://url-fixer.app)',
+        'Accept': '*/*',
+        'Cache-Control': 'no-cache',
+        ...headers,
+        ...getCredentialHeaders(credentials, currentUrl)
+      },
+      redirect: 'manual'
+    });
+    response.body?.destroy();
+
+    const location = response.headers.get('location');
+    if (response.status < 300 || response.status >= 400 || !location) {
+      break;
+    }
+
+    if (redirectChain.length >= MAX_REDIRECTS) {
+      throw Object.assign(new Error(`Too many redirects (more than ${MAX_REDIRECTS})`), { code: 'ETOOMANYREDIRECTS' });
+    }
+
+    redirectChain.push({ url: currentUrl, status: response.status, statusText: response.statusText });
+    currentUrl = new URL(location, currentUrl).href;
+  }
+
+  if (redirectChain.length > 0) {
+    redirectChain.push({ url: currentUrl, status: response.status, statusText: response.statusText });
+  }
+
+  return { response, currentUrl, redirectChain };
+}
+
+/**
+ * Check a URL with HEAD, falling back to a GET for the first byte when the server rejects HEAD
+ * Returns the fetchWithRedirects result plus the method that gave the verdict and, after a fallback, the HEAD status
+ */
+async function checkURL(url, options) {
+  const { method, signal, credentials } = options;
+  const result = await fetchWithRedirects(url, { method, signal, credentials });
+  if (method !== 'HEAD' || !HEAD_FALLBACK_STATUSES.includes(result.response.status)) {
+    return { ...result, method, headStatus: null };
+  }
+
+  try {
+    let ranged = await fetchWithRedirects(url, { method: 'GET', headers: { 'Range': 'bytes=0-0' }, signal, credentials });
+
+    // An empty file cannot satisfy the range; a plain GET (still cut off after the headers) can
+    if (ranged.response.status === 416) {
+      ranged = await fetchWithRedirects(url, { method: 'GET', signal, credentials });
+    }
+
+    return { ...ranged, method: 'GET', headStatus: result.response.status };
+  } catch (getError) {
+    if (getError.name === 'AbortError') {
+      throw getError;
+    }
+    console.warn(`GET fallback failed for ${url}:`, getError.message);
+    return { ...result, method, headStatus: null };
+  }
+}
 
 // URL validation proxy endpoint
-app.get('/validate-url', async (req, res) => {
-  const { url, method = 'HEAD', timeout = 10000 } = req.query;
+// HEAD requests answered with 400, 403, 404, 405 or 501 are checked again with a ranged GET (see checkURL)
+// POST takes the same parameters as JSON, plus credentials ({ hosts, headers }) for links to intranet sites
+async function validateURL(req, res) {
+  const { url, method = 'HEAD', timeout = 10000 } = { ...req.query, ...req.body };
+  const credentials = req.body?.credentials || null;
 
   if (!url) {
     return res.status(400).json({
@@ -349,15 +500,10 @@ app.get('/validate-url', async (req, res) => {
     const timeoutId = setTimeout(() => controller.abort(), parseInt(timeout));
 
     try {
-      const response = await fetch(url, {
+      const { response, currentUrl, redirectChain, method: verdictMethod, headStatus } = await checkURL(url, {
         method: method.toUpperCase(),
         signal: controller.signal,
-        headers: {
-          'User-Agent': 'URL-Fixer-Proxy/1.0 (+https://url-fixer.app)',
-          'Accept': '*/*',
-          'Cache-Control': 'no-cache'
-        },
-        redirect: 'follow'
+        credentials
       });
 
       clearTimeout(timeoutId);
@@ -365,7 +511,7 @@ app.get('/validate-url', async (req, res) => {
 
       // Extract relevant headers
       const headers = {};
-      const relevantHeaders = ['content-type', 'content-length', 'last-modified', 'etag', 'location'];
+      const relevantHeaders = ['content-type', 'content-length', 'content-range', 'last-modified', 'etag', 'location', 'retry-after', 'server', 'cf-mitigated', 'www-authenticate'];
       relevantHeaders.forEach(header => {
         const value = response.headers.get(header);
         if (value) {
@@ -380,7 +526,11 @@ app.get('/validate-url', async (req, res) => {
         responseTime,
         headers,
         timestamp: new Date().toISOString(),
-        method: method.toUpperCase()
+        method: verdictMethod,
+        ...(headStatus ? { headStatus } : {}),
+        finalUrl: currentUrl,
+        redirected: redirectChain.length > 0,
+        redirectChain
       });
 
     } catch (fetchError) {
@@ -402,6 +552,9 @@ app.get('/validate-url', async (req, res) => {
       } else if (fetchError.code === 'CERT_HAS_EXPIRED' || fetchError.code === 'UNABLE_TO_VERIFY_LEAF_SIGNATURE') {
         errorMessage = 'SSL certificate error';
         errorType = 'ssl';
+      } else if (fetchError.code === 'ETOOMANYREDIRECTS') {
+        errorMessage = fetchError.message;
+        errorType = 'redirect';
       }
 
       res.json({
@@ -424,7 +577,10 @@ app.get('/validate-url', async (req, res) => {
       url
     });
   }
-});
+}
+
+app.get('/validate-url', validateURL);
+app.post('/validate-url', validateURL);
 
 // Batch URL validation endpoint
 app.post('/validate-urls', async (req, res) => {
@@ -907,12 +1063,12 @@ app.get('/web-search', async (req, res) => {
 
 // Chrome Headless content scraping endpoint
 app.get('/scrape-content', async (req, res) => {
-  const { url, timeout = 30000, waitForSelector, extractText = true, extractLinks = false, extractImages = false } = req.query;
+  const { url, timeout = 30000, waitForSelector, extractText = true, extractLinks = false, extractImages = false, extractHtml = false } = req.query;
 
   if (!url) {
     return res.status(400).json({
       error: 'Missing url parameter',
-      usage: '/scrape-content?url=https://example.com&extractText=true&extractLinks=false&extractImages=false'
+      usage: '/scrape-content?url=https://example.com&extractText=true&extractLinks=false&extractImages=false&extractHtml=false'
     });
   }
 
@@ -972,6 +1128,11 @@ app.get('/scrape-content', async (req, res) => {
           }
         });
 
+        // Rendered markup, taken before scripts are stripped below
+        if (options.extractHtml) {
+          result.html = document.documentElement.outerHTML.substring(0, 500000); // Limit to 500KB
+        }
+
         // Extract text content
         if (options.extractText) {
           // Remove script and style elements
@@ -1030,7 +1191,8 @@ app.get('/scrape-content', async (req, res) => {
       }, {
         extractText: extractText === 'true',
         extractLinks: extractLinks === 'true',
-        extractImages: extractImages === 'true'
+        extractImages: extractImages === 'true',
+        extractHtml: extractHtml === 'true'
       });
 
       const responseTime = Date.now() - startTime;
@@ -1081,6 +1243,90 @@ app.get('/scrape-content', async (req, res) => {
   }
 });
 
+// Plain text fetch endpoint (robots.txt, sitemaps); gzipped bodies such as sitemap.xml.gz are decompressed
+app.get('/fetch-text', async (req, res) => {
+  const { url, timeout = 15000 } = req.query;
+
+  if (!url) {
+    return res.status(400).json({
+      error: 'Missing url parameter',
+      usage: '/fetch-text?url=https://example.com/sitemap.xml&timeout=15000'
+    });
+  }
+
+  try {
+    // Validate URL format
+    const targetUrl = new URL(url);
+
+    // Only allow HTTP and HTTPS protocols
+    if (!['http:', 'https:'].includes(targetUrl.protocol)) {
+      return res.status(400).json({
+        error: 'Invalid protocol. Only HTTP and HTTPS are allowed.',
+        protocol: targetUrl.protocol
+      });
+    }
+
+    const startTime = Date.now();
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), parseInt(timeout));
+
+    try {
+      const response = await fetch(url, {
+        method: 'GET',
+        signal: controller.signal,
+        headers: {
+          'User-Agent': 'URL-Fixer-Proxy/1.0 (+https://url-fixer.app)',
+          'Accept': 'text/plain, application/xml, text/xml, application/gzip, */*'
+        },
+        size: MAX_TEXT_BYTES
+      });
+
+      let body = Buffer.from(await response.arrayBuffer());
+      clearTimeout(timeoutId);
+
+      // gzip magic number; Content-Encoding gzip is already decoded by fetch
+      if (body.length > 2 && body[0] === 0x1f && body[1] === 0x8b) {
+        body = gunzipSync(body, { maxOutputLength: MAX_TEXT_BYTES });
+      }
+
+      res.json({
+        url,
+        status: response.status,
+        statusText: response.statusText,
+        contentType: response.headers.get('content-type') || '',
+        finalUrl: response.url,
+        text: body.toString('utf8'),
+        responseTime: Date.now() - startTime,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (fetchError) {
+      clearTimeout(timeoutId);
+
+      const errorMessage = fetchError.name === 'AbortError'
+        ? `Request timeout after ${timeout}ms`
+        : fetchError.message || 'Network error';
+
+      res.json({
+        url,
+        status: 0,
+        statusText: errorMessage,
+        text: '',
+        responseTime: Date.now() - startTime,
+        timestamp: new Date().toISOString(),
+        error: errorMessage
+      });
+    }
+
+  } catch (urlError) {
+    res.status(400).json({
+      error: 'Invalid URL format',
+      details: urlError.message,
+      url
+    });
+  }
+});
+
 // Simple HTML parser for Google search results
 function parseGoogleSearchResults(html, maxResults) {
   const results = [];
@@ -1234,13 +1480,16 @@ app.listen(PORT, () => {
   console.log('📋 Available endpoints:');
   console.log(`  GET  http://localhost:${PORT}/health`);
   console.log(`  GET  http://localhost:${PORT}/validate-url?url=<url>`);
+  console.log(`  POST http://localhost:${PORT}/validate-url (JSON body, with credentials)`);
   console.log(`  GET  http://localhost:${PORT}/validate-url-headless?url=<url>&screenshot=<true|false>`);
+  console.log(`  POST http://localhost:${PORT}/validate-url-headless (JSON body, with credentials)`);
   console.log(`  POST http://localhost:${PORT}/validate-urls`);
   console.log(`  GET  http://localhost:${PORT}/search?q=<query>`);
   console.log(`  GET  http://localhost:${PORT}/web-search?q=<query>`);
   console.log(`  GET  http://localhost:${PORT}/web-search-headless?q=<query>&engine=<google|bing|duckduckgo>`);
   console.log(`  GET  http://localhost:${PORT}/google-search?q=<query>`);
   console.log(`  GET  http://localhost:${PORT}/scrape-content?url=<url>&extractText=true`);
+  console.log(`  GET  http://localhost:${PORT}/fetch-text?url=<url>`);
   console.log('');
   console.log('🔧 Chrome Headless features:');
   console.log('  • CORS-free URL validation and content scraping');
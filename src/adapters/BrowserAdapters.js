@@ -0,0 +1,22 @@
+/**
+ * BrowserAdapters - Adapters for running the core in the browser
+ * Files are read with FileReader, caches and settings are kept in IndexedDB and logs go to the console
+ */
+
+'use strict';
+
+import { BrowserFileReader } from './BrowserFileReader.js';
+import { FetchHttpClient } from './FetchHttpClient.js';
+import { StorageService } from '../services/StorageService.js';
+
+export class BrowserAdapters {
+  constructor(options = {}) {
+    this.fileReader = options.fileReader || new BrowserFileReader();
+    this.storage = options.storage === undefined ? new StorageService() : options.storage;
+    this.http = options.http || new FetchHttpClient();
+    this.logger = {
+      level: options.logLevel || null, // null keeps the level stored in localStorage
+      sink: options.logSink || null
+    };
+  }
+}
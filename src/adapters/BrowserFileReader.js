@@ -0,0 +1,50 @@
+/**
+ * BrowserFileReader - File reading adapter for File and Blob objects
+ * Uses FileReader in the browser and the Blob methods where there is none
+ */
+
+'use strict';
+
+export class BrowserFileReader {
+  /**
+   * Get a File for an input (browser inputs are already Files)
+   */
+  async open(file) {
+    if (typeof Blob === 'undefined' || !(file instanceof Blob)) {
+      throw new Error('Expected a File or Blob');
+    }
+    return file;
+  }
+
+  /**
+   * Read a file as text
+   */
+  readText(file) {
+    if (typeof FileReader === 'undefined') {
+      return file.text();
+    }
+
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(new Error('Failed to read file'));
+      reader.readAsText(file);
+    });
+  }
+
+  /**
+   * Read a file as bytes
+   */
+  readBinary(file) {
+    if (typeof FileReader === 'undefined') {
+      return file.arrayBuffer().then(buffer => new Uint8Array(buffer));
+    }
+
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(new Uint8Array(reader.result));
+      reader.onerror = () => reject(new Error('Failed to read file'));
+      reader.readAsArrayBuffer(file);
+    });
+  }
+}
@@ -0,0 +1,15 @@
+/**
+ * FetchHttpClient - Default HTTP adapter, backed by the platform fetch (browsers and Node 18+)
+ * Services call http.fetch(url, init); replace it to route requests through another client
+ */
+
+'use strict';
+
+export class FetchHttpClient {
+  /**
+   * Perform a request with the global fetch (looked up per call, so tests and polyfills can replace it)
+   */
+  fetch(...args) {
+    return fetch(...args);
+  }
+}
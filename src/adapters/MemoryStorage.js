@@ -0,0 +1,129 @@
+/**
+ * MemoryStorage - Storage adapter that keeps StorageService data in memory
+ * Same methods as StorageService for the records the core services use; nothing outlives the process
+ */
+
+'use strict';
+
+export class MemoryStorage {
+  constructor() {
+    this.history = [];
+    this.nextHistoryId = 1;
+    this.sessionData = new Map();
+    this.urlCache = new Map();
+    this.sitemapCache = new Map();
+    this.settings = new Map();
+  }
+
+  /**
+   * Nothing to open; kept for parity with StorageService
+   */
+  async init() {
+    return this;
+  }
+
+  /**
+   * Store a processing history record; resolves with its id
+   */
+  async storeProcessingHistory(data) {
+    const record = { ...data, id: this.nextHistoryId++, timestamp: new Date().toISOString() };
+    this.history.push(record);
+    return record.id;
+  }
+
+  /**
+   * Replace a stored processing history record (data must include its id)
+   */
+  async updateProcessingHistory(data) {
+    const record = { ...data, timestamp: new Date().toISOString() };
+    const index = this.history.findIndex(entry => entry.id === data.id);
+    if (index === -1) {
+      this.history.push(record);
+    } else {
+      this.history[index] = record;
+    }
+  }
+
+  /**
+   * Get processing history, most recent first, filtered like StorageService.getProcessingHistory
+   */
+  async getProcessingHistory(filters = {}) {
+    const { limit = 50, status, documentName, startDate, endDate } = filters;
+
+    return this.history
+      .filter(record => !status || record.status === status)
+      .filter(record => !documentName || record.documentName === documentName)
+      .filter(record => (!startDate || record.timestamp >= startDate) && (!endDate || record.timestamp <= endDate))
+      .reverse()
+      .slice(0, limit);
+  }
+
+  /**
+   * Store session data
+   */
+  async storeSessionData(key, data) {
+    this.sessionData.set(key, data);
+  }
+
+  /**
+   * Get session data
+   */
+  async getSessionData(key) {
+    return this.sessionData.has(key) ? this.sessionData.get(key) : null;
+  }
+
+  /**
+   * Cache URL validation result
+   */
+  async cacheURLResult(url, status, responseTime, headers = {}, redirectChain = []) {
+    this.urlCache.set(url, { url, status, responseTime, headers, redirectChain, lastChecked: new Date().toISOString() });
+  }
+
+  /**
+   * Get cached URL result
+   */
+  async getCachedURLResult(url, maxAge = 3600000) {
+    const result = this.urlCache.get(url);
+    return result && Date.now() - new Date(result.lastChecked).getTime() <= maxAge ? result : null;
+  }
+
+  /**
+   * Cache the URLs listed in a site's sitemaps
+   */
+  async cacheSitemap(origin, urls, sitemaps = []) {
+    this.sitemapCache.set(origin, { origin, urls, sitemaps, fetchedAt: new Date().toISOString() });
+  }
+
+  /**
+   * Get a site's cached sitemap URLs
+   */
+  async getCachedSitemap(origin, maxAge = 86400000) {
+    const result = this.sitemapCache.get(origin);
+    return result && Date.now() - new Date(result.fetchedAt).getTime() <= maxAge ? result : null;
+  }
+
+  /**
+   * Store application settings
+   */
+  async storeSetting(key, value) {
+    this.settings.set(key, value);
+  }
+
+  /**
+   * Get application setting
+   */
+  async getSetting(key, defaultValue = null) {
+    return this.settings.has(key) ? this.settings.get(key) : defaultValue;
+  }
+
+  /**
+   * Clear all data
+   */
+  async clearAllData() {
+    this.history = [];
+    this.sessionData.clear();
+    this.urlCache.clear();
+    this.sitemapCache.clear();
+    this.settings.clear();
+  }
+}
@@ -0,0 +1,24 @@
+/**
+ * NodeAdapters - Adapters for running the core in Node scripts and build tools
+ * Files come from the file system, caches live in memory and logs go to stderr so stdout stays free for output
+ */
+
+'use strict';
+
+import { NodeFileReader } from './NodeFileReader.js';
+import { MemoryStorage } from './MemoryStorage.js';
+import { FetchHttpClient } from './FetchHttpClient.js';
+
+export class NodeAdapters {
+  constructor(options = {}) {
+    const write = (...args) => console.error(...args);
+
+    this.fileReader = options.fileReader || new NodeFileReader(options.cwd);
+    this.storage = options.storage === undefined ? new MemoryStorage() : options.storage;
+    this.http = options.http || new FetchHttpClient();
+    this.logger = {
+      level: options.logLevel || process.env.URL_FIXER_LOG_LEVEL || 'warn',
+      sink: options.logSink || { error: write, warn: write, info: write, debug: write }
+    };
+  }
+}
@@ -0,0 +1,54 @@
+/**
+ * NodeFileReader - File reading adapter for Node scripts
+ * Opens documents from file system paths (relative to cwd), Buffers and Blobs
+ */
+
+'use strict';
+
+import { Blob, File } from 'buffer';
+import { readFile, stat } from 'fs/promises';
+import { resolve } from 'path';
+
+export class NodeFileReader {
+  constructor(cwd = process.cwd()) {
+    this.cwd = cwd;
+  }
+
+  /**
+   * Get a File for a path, a Blob or bytes; the File is named after the path (or options.name)
+   */
+  async open(input, options = {}) {
+    if (input instanceof Blob || (typeof globalThis.Blob === 'function' && input instanceof globalThis.Blob)) {
+      return input;
+    }
+
+    if (typeof input === 'string') {
+      const path = resolve(this.cwd, input);
+      const [data, stats] = await Promise.all([readFile(path), stat(path)]);
+      return new File([data], options.name || input, { lastModified: stats.mtimeMs });
+    }
+
+    if (ArrayBuffer.isView(input)) {
+      if (!options.name) {
+        throw new Error('A name is required to open bytes as a document');
+      }
+      return new File([input], options.name, { lastModified: options.lastModified || Date.now() });
+    }
+
+    throw new Error('Expected a path, a Blob or bytes');
+  }
+
+  /**
+   * Read a file as text
+   */
+  async readText(file) {
+    return new TextDecoder().decode(await this.readBinary(file));
+  }
+
+  /**
+   * Read a file as bytes
+   */
+  async readBinary(file) {
+    return new Uint8Array(await file.arrayBuffer());
+  }
+}
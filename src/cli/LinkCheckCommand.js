@@ -0,0 +1,457 @@
+/**
+ * LinkCheckCommand - Check (and optionally fix) the links in documents from the command line
+ * Built on the URLFixer core with the Node adapters
+ */
+
+'use strict';
+
+import { writeFile, readdir, stat } from 'fs/promises';
+import { join, relative, resolve, sep } from 'path';
+import { URLFixer } from '../core/URLFixer.js';
+import { NodeAdapters } from '../adapters/NodeAdapters.js';
+import { ReportFormatter } from './ReportFormatter.js';
+import { BROKEN_STATUSES } from '../models/URLProcessorModel.js';
+
+export const USAGE = `Usage: url-fixer check <files or globs...> [options]
+
+Options:
+  -f, --format <text|json|junit>  Report format (default: text)
+  -o, --output <file>             Write the report to a file instead of stdout
+  --max-broken <n>                Broken links allowed before exiting with 1 (default: 0)
+  --fix                           Write replacements into the files in place
+  --min-confidence <0-1>          Lowest replacement confidence --fix applies (default: 0.9)
+  --base-url <url>                Address the documents are published at, to check relative links
+  --no-search                     Only validate links, do not look for replacements
+  --timeout <ms>                  Request timeout per link (default: 10000)
+  --verbose                       Log progress to stderr
+  -h, --help                      Show this help
+
+Exit codes: 0 passed, 1 too many broken links or unreadable files, 2 usage error`;
+
+const IGNORED_DIRECTORIES = ['node_modules', '.git'];
+
+export class LinkCheckCommand {
+  constructor(options = {}) {
+    this.cwd = options.cwd || process.cwd();
+    this.stdout = options.stdout || process.stdout;
+    this.stderr = options.stderr || process.stderr;
+    this.fixer = options.fixer || null;
+    this.formatter = new ReportFormatter();
+  }
+
+  /**
+   * Run the command with process arguments (without node and the script path)
+   * Resolves to the exit code
+   */
+  async run(argv) {
+    let options;
+    try {
+      options = this.parseArgs(argv);
+    } catch (error) {
+      this.stderr.write(`${error.message}\n\n${USAGE}\n`);
+      return 2;
+    }
+
+    if (options.help) {
+      this.stdout.write(`${USAGE}\n`);
+      return 0;
+    }
+
+    // Service logs go to stderr, and only with --verbose or URL_FIXER_LOG_LEVEL
+    this.fixer ??= new URLFixer({
+      adapters: new NodeAdapters({
+        cwd: this.cwd,
+        logLevel: options.verbose ? 'info' : process.env.URL_FIXER_LOG_LEVEL || 'silent'
+      })
+    });
+    this.fixer.configure({ timeout: options.timeout, useCache: false, search: options.search });
+
+    try {
+      const paths = await this.expandPatterns(options.patterns);
+      if (paths.length === 0) {
+        this.stderr.write(`No supported documents match ${options.patterns.join(' ')}\n`);
+        return 2;
+      }
+
+      const report = await this.check(paths, options);
+      const output = this.formatter.format(report, options.format);
+
+      if (options.output) {
+        await writeFile(resolve(this.cwd, options.output), output);
+        this.stderr.write(`Report written to ${options.output}\n`);
+      } else {
+        this.stdout.write(output);
+      }
+
+      return report.passed ? 0 : 1;
+
+    } catch (error) {
+      this.stderr.write(`url-fixer: ${error.message}\n`);
+      return 2;
+    }
+  }
+
+  /**
+   * Parse command line arguments into options
+   * Throws on unknown options and invalid values
+   */
+  parseArgs(argv) {
+    const options = {
+      help: false,
+      patterns: [],
+      format: 'text',
+      output: null,
+      maxBroken: 0,
+      fix: false,
+      minConfidence: 0.9,
+      baseURL: null,
+      search: true,
+      timeout: 10000,
+      verbose: false
+    };
+
+    const args = [...argv];
+    const value = (flag) => {
+      if (args.length === 0 || args[0].startsWith('-')) {
+        throw new Error(`Missing value for ${flag}`);
+      }
+      return args.shift();
+    };
+    const number = (flag, min, max = Infinity) => {
+      const text = value(flag);
+      const parsed = Number(text);
+      if (text.trim() === '' || isNaN(parsed) || parsed < min || parsed > max) {
+        throw new Error(`Invalid value for ${flag}: ${text}`);
+      }
+      return parsed;
+    };
+
+    let command = null;
+    while (args.length > 0) {
+      const arg = args.shift();
+      const [flag, inline] = arg.startsWith('--') && arg.includes('=') ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)] : [arg, null];
+      if (inline !== null) {
+        args.unshift(inline);
+      }
+
+      switch (flag) {
+        case '-h':
+        case '--help':
+          options.help = true;
+          break;
+        case '-f':
+        case '--format':
+          options.format = value(flag);
+          if (!this.formatter.formats.includes(options.format)) {
+            throw new Error(`Unknown report format: ${options.format} (expected ${this.formatter.formats.join(', ')})`);
+          }
+          break;
+        case '-o':
+        case '--output':
+          options.output = value(flag);
+          break;
+        case '--max-broken':
+          options.maxBroken = Math.floor(number(flag, 0));
+          break;
+        case '--fix':
+          options.fix = true;
+          break;
+        case '--min-confidence':
+          options.minConfidence = number(flag, 0, 1);
+          break;
+        case '--base-url':
+          options.baseURL = value(flag);
+          if (!/^https?:\/\//i.test(options.baseURL)) {
+            throw new Error(`Invalid value for --base-url: ${options.baseURL}`);
+          }
+          break;
+        case '--no-search':
+          options.search = false;
+          break;
+        case '--timeout':
+          options.timeout = number(flag, 1);
+          break;
+        case '--verbose':
+          options.verbose = true;
+          break;
+        default:
+          if (flag.startsWith('-')) {
+            throw new Error(`Unknown option: ${flag}`);
+          }
+          if (command === null) {
+            command = flag;
+          } else {
+            options.patterns.push(flag);
+          }
+      }
+    }
+
+    if (options.help) {
+      return options;
+    }
+    if (command !== 'check') {
+      throw new Error(command ? `Unknown command: ${command}` : 'Missing command');
+    }
+    if (options.patterns.length === 0) {
+      throw new Error('No files given');
+    }
+    return options;
+  }
+
+  /**
+   * Expand file paths, directories and glob patterns into supported document paths (relative to cwd)
+   */
+  async expandPatterns(patterns) {
+    const parser = this.fixer.services.documentParser;
+    const isSupported = (path) => parser.getFileType({ name: path, type: '' }) !== null;
+    const paths = new Set();
+
+    for (const pattern of patterns) {
+      const normalized = pattern.split(sep).join('/');
+
+      if (!/[*?[{]/.test(normalized)) {
+        const absolute = resolve(this.cwd, normalized);
+        const stats = await stat(absolute).catch(() => null);
+        if (!stats) {
+          throw new Error(`No such file or directory: ${pattern}`);
+        }
+        if (stats.isDirectory()) {
+          (await this.walk(absolute)).filter(isSupported).forEach(path => paths.add(path));
+        } else {
+          paths.add(this.toRelative(absolute));
+        }
+        continue;
+      }
+
+      // Walk from the directory part before the first wildcard
+      const segments = normalized.split('/');
+      const firstGlob = segments.findIndex(segment => /[*?[{]/.test(segment));
+      const root = resolve(this.cwd, segments.slice(0, firstGlob).join('/') || '.');
+      const matcher = this.globToRegExp(this.toRelative(resolve(this.cwd, normalized)));
+
+      (await this.walk(root))
+        .filter(path => matcher.test(path) && isSupported(path))
+        .forEach(path => paths.add(path));
+    }
+
+    return [...paths].sort();
+  }
+
+  /**
+   * List the files below a directory as cwd-relative paths, skipping node_modules and .git
+   */
+  async walk(directory) {
+    const entries = await readdir(directory, { withFileTypes: true }).catch(() => []);
+    const files = [];
+
+    for (const entry of entries) {
+      const absolute = join(directory, entry.name);
+      if (entry.isDirectory()) {
+        if (!IGNORED_DIRECTORIES.includes(entry.name)) {
+          files.push(...await this.walk(absolute));
+        }
+      } else if (entry.isFile()) {
+        files.push(this.toRelative(absolute));
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Convert a glob (*, **, ?, [...], {a,b}) into a regular expression for slash-separated paths
+   */
+  globToRegExp(glob) {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+      const char = glob[i];
+      if (char === '*' && glob[i + 1] === '*') {
+        const slash = glob[i + 2] === '/';
+        source += slash ? '(?:.*/)?' : '.*';
+        i += slash ? 2 : 1;
+      } else if (char === '*') {
+        source += '[^/]*';
+      } else if (char === '?') {
+        source += '[^/]';
+      } else if (char === '[') {
+        const end = glob.indexOf(']', i + 1);
+        if (end === -1) {
+          source += '\\[';
+        } else {
+          source += `[${glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+          i = end;
+        }
+      } else if (char === '{') {
+        const end = glob.indexOf('}', i + 1);
+        if (end === -1) {
+          source += '\\{';
+        } else {
+          source += `(?:${glob.slice(i + 1, end).split(',').map(option => option.replace(/[.+^$()|\\]/g, '\\$&')).join('|')})`;
+          i = end;
+        }
+      } else {
+        source += char.replace(/[.+^$()|\\/]/g, '\\$&');
+      }
+    }
+    return new RegExp(`^${source}$`);
+  }
+
+  /**
+   * Check the links of every document, validating each distinct URL once, and build the report
+   */
+  async check(paths, options) {
+    const documents = [];
+
+    for (const path of paths) {
+      try {
+        documents.push({ path, data: await this.fixer.parse(path, { baseURL: options.baseURL }) });
+      } catch (error) {
+        documents.push({ path, error: error.message });
+      }
+    }
+
+    // Links shared by several documents are validated and searched once
+    const checkable = documents.flatMap(document => (document.data?.urls || []).filter(url => !this.getSkipReason(url)));
+    const results = new Map();
+    if (checkable.length > 0) {
+      let count = 0;
+      const validated = await this.fixer.validate(checkable, {
+        onProgress: options.verbose
+          ? (processed, total, progress, result) => this.stderr.write(`[${++count}/${total}] ${result.status} ${result.resolvedURL}\n`)
+          : null
+      });
+      validated.forEach(result => results.set(result.id, result));
+    }
+
+    const files = [];
+    for (const document of documents) {
+      if (document.error) {
+        files.push({ path: document.path, error: document.error, links: [] });
+        continue;
+      }
+
+      const links = document.data.urls.map(url => this.toLink(url, results.get(url.id)));
+      if (options.fix) {
+        await this.applyFixes(document, links, options);
+      }
+
+      files.push({
+        path: document.path,
+        fileType: document.data.fileType,
+        links,
+        broken: links.filter(link => link.broken).length,
+        fixed: links.filter(link => link.fixed).length
+      });
+    }
+
+    const allLinks = files.flatMap(file => file.links);
+    const summary = {
+      files: files.length,
+      links: allLinks.length,
+      checked: allLinks.filter(link => !link.skipped).length,
+      broken: allLinks.filter(link => link.broken).length,
+      // Null when no replacements were looked for (--no-search)
+      replacementsFound: options.search ? allLinks.filter(link => link.replacementURL).length : null,
+      fixed: allLinks.filter(link => link.fixed).length,
+      skipped: allLinks.filter(link => link.skipped).length,
+      unreadable: files.filter(file => file.error).length
+    };
+
+    return {
+      summary,
+      maxBroken: options.maxBroken,
+      search: options.search,
+      passed: summary.broken <= options.maxBroken && summary.unreadable === 0,
+      files,
+      checkedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Get why a link is not checked, or null when it is
+   */
+  getSkipReason(url) {
+    if (url.resolvedURL === null) {
+      return 'Relative link without a base URL (use --base-url)';
+    }
+    if (!/^https?:\/\//i.test(url.resolvedURL || url.originalURL)) {
+      return 'Not an http(s) link';
+    }
+    return null;
+  }
+
+  /**
+   * Build a report entry for a document link
+   */
+  toLink(url, result) {
+    const link = {
+      id: url.id,
+      line: url.line,
+      column: url.column,
+      url: url.originalURL,
+      type: url.type
+    };
+
+    if (url.resolvedURL && url.resolvedURL !== url.originalURL) {
+      link.resolvedURL = url.resolvedURL;
+    }
+
+    const skipReason = this.getSkipReason(url);
+    if (skipReason || !result) {
+      return { ...link, status: 'skipped', skipped: true, broken: false, fixed: false, reason: skipReason || 'Not checked' };
+    }
+
+    return {
+      ...link,
+      status: result.status,
+      statusCode: result.statusCode,
+      responseTime: result.responseTime || 0,
+      ...(result.error ? { error: result.error } : {}),
+      ...(result.finalURL ? { finalURL: result.finalURL } : {}),
+      ...(result.replacementURL ? {
+        replacementURL: result.replacementURL,
+        replacementConfidence: result.replacementConfidence,
+        replacementSource: result.replacementSource
+      } : {}),
+      skipped: false,
+      broken: BROKEN_STATUSES.includes(result.status),
+      fixed: false
+    };
+  }
+
+  /**
+   * Write replacements at or above the confidence cutoff into the document file: suggestions for broken links and
+   * the targets of permanent redirects ('moved', which do not count as broken). Fixed links no longer count as broken
+   */
+  async applyFixes(document, links, options) {
+    const fixable = links.filter(link => (link.broken || link.status === 'moved') &&
+      link.replacementURL && link.replacementConfidence >= options.minConfidence);
+    if (fixable.length === 0) {
+      return;
+    }
+
+    let fixedDocument;
+    try {
+      fixedDocument = await this.fixer.applyFixes(document.data, fixable.map(link => ({ id: link.id, newURL: link.replacementURL })));
+    } catch (error) {
+      this.stderr.write(`Skipping fixes for ${document.path}: ${error.message}\n`);
+      return;
+    }
+    await writeFile(resolve(this.cwd, document.path), fixedDocument.data);
+
+    const applied = new Set(fixedDocument.replacements.map(replacement => replacement.urlId));
+    links.forEach(link => {
+      if (applied.has(link.id)) {
+        link.fixed = true;
+        link.broken = false;
+      }
+    });
+  }
+
+  /**
+   * Convert an absolute path to a slash-separated path relative to cwd
+   */
+  toRelative(absolute) {
+    return relative(this.cwd, absolute).split(sep).join('/');
+  }
+}
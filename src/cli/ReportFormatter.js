@@ -0,0 +1,142 @@
+/**
+ * ReportFormatter - Render link check reports as text, JSON or JUnit XML
+ * JUnit output has one test suite per file and one test case per checked link, so CI servers list broken links as failures
+ */
+
+'use strict';
+
+export class ReportFormatter {
+  constructor() {
+    this.formats = ['text', 'json', 'junit'];
+  }
+
+  /**
+   * Render a report in one of the supported formats
+   */
+  format(report, format = 'text') {
+    switch (format) {
+      case 'json':
+        return this.formatJSON(report);
+      case 'junit':
+        return this.formatJUnit(report);
+      case 'text':
+        return this.formatText(report);
+      default:
+        throw new Error(`Unknown report format: ${format} (expected ${this.formats.join(', ')})`);
+    }
+  }
+
+  /**
+   * Human-readable report listing broken links per file
+   */
+  formatText(report) {
+    const lines = [];
+
+    report.files.forEach(file => {
+      if (file.error) {
+        lines.push(`${file.path}`, `  error  ${file.error}`, '');
+        return;
+      }
+
+      const listed = file.links.filter(link => link.broken || link.fixed);
+      if (listed.length === 0) {
+        return;
+      }
+
+      lines.push(file.path);
+      listed.forEach(link => {
+        const status = link.fixed ? 'fixed' : link.status;
+        lines.push(`  ${link.line}:${link.column}  ${status.padEnd(17)} ${link.url}${link.statusCode ? ` (${link.statusCode})` : ''}`);
+        if (link.replacementURL) {
+          const confidence = Math.round((link.replacementConfidence || 0) * 100);
+          lines.push(`    ${link.fixed ? 'replaced with' : 'suggestion:'} ${link.replacementURL} (${confidence}%, ${link.replacementSource})`);
+        }
+      });
+      lines.push('');
+    });
+
+    const { summary } = report;
+    lines.push(
+      `${summary.links} links in ${summary.files} files: ${summary.checked} checked, ${summary.broken} broken, ` +
+      `${summary.fixed} fixed, ${summary.skipped} skipped`
+    );
+    lines.push(report.passed
+      ? `Passed (at most ${report.maxBroken} broken links allowed)`
+      : `Failed: ${summary.broken} broken links (at most ${report.maxBroken} allowed)`);
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Machine-readable report
+   */
+  formatJSON(report) {
+    return `${JSON.stringify(report, null, 2)}\n`;
+  }
+
+  /**
+   * JUnit XML report; skipped links become skipped test cases
+   * Broken links name their suggested replacement, or say that none was found (or looked for, under --no-search)
+   */
+  formatJUnit(report) {
+    const suites = report.files.map(file => {
+      if (file.error) {
+        return [
+          `  <testsuite name="${this.escapeXML(file.path)}" tests="1" failures="0" errors="1" skipped="0">`,
+          `    <testcase classname="${this.escapeXML(file.path)}" name="${this.escapeXML(file.path)}">`,
+          `      <error message="${this.escapeXML(file.error)}"/>`,
+          '    </testcase>',
+          '  </testsuite>'
+        ].join('\n');
+      }
+
+      const failures = file.links.filter(link => link.broken).length;
+      const skipped = file.links.filter(link => link.skipped).length;
+      const cases = file.links.map(link => {
+        const name = this.escapeXML(`${link.line}:${link.column} ${link.url}`);
+        const open = `    <testcase classname="${this.escapeXML(file.path)}" name="${name}" time="${((link.responseTime || 0) / 1000).toFixed(3)}"`;
+
+        if (link.skipped) {
+          return `${open}>\n      <skipped message="${this.escapeXML(link.reason)}"/>\n    </testcase>`;
+        }
+        if (!link.broken) {
+          return `${open}/>`;
+        }
+
+        const message = `${link.status}${link.statusCode ? ` (${link.statusCode})` : ''}${link.error ? `: ${link.error}` : ''}`;
+        const details = link.replacementURL
+          ? `Suggested replacement: ${link.replacementURL} (confidence ${Math.round((link.replacementConfidence || 0) * 100)}%)`
+          : report.search === false ? 'Replacement search disabled (--no-search)' : 'No replacement found';
+        return `${open}>\n      <failure message="${this.escapeXML(message)}" type="${this.escapeXML(link.status)}">${this.escapeXML(details)}</failure>\n    </testcase>`;
+      });
+
+      return [
+        `  <testsuite name="${this.escapeXML(file.path)}" tests="${file.links.length}" failures="${failures}" errors="0" skipped="${skipped}">`,
+        ...cases,
+        '  </testsuite>'
+      ].join('\n');
+    });
+
+    const { summary } = report;
+    const errors = report.files.filter(file => file.error).length;
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="url-fixer" tests="${summary.links + errors}" failures="${summary.broken}" errors="${errors}" skipped="${summary.skipped}">`,
+      ...suites,
+      '</testsuites>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Escape text for XML attributes and content
+   */
+  escapeXML(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+}
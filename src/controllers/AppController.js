@@ -7,6 +7,7 @@
 
 import { Logger } from '../utils/Logger.js';
 import { ErrorHandler } from '../utils/ErrorHandler.js';
+import { BROKEN_STATUSES } from '../models/URLProcessorModel.js';
 
 export class AppController {
   constructor(models, views, services, logger = null, errorHandler = null) {
@@ -20,6 +21,7 @@ export class AppController {
 
     // State
     this.isInitialized = false;
+    this.ruleSuggestions = [];
   }
 
   /**
@@ -58,11 +60,16 @@ export class AppController {
     // Document model events
     this.models.document.on('documentLoaded', (data) => {
       this.views.app.displayDocument(data.document, data.urls);
-      this.views.app.updateProcessingControls(true);
+      // Workspaces keep check results when documents are added or removed, so they may be ready to download
+      const hasResults = data.document.fileType === 'workspace' && data.urls.some(url => url.status && url.status !== 'pending');
+      this.views.app.updateProcessingControls(true, hasResults);
+      this.updateLocalFiles();
+      this.updateWorkspaceView();
     });
 
     this.models.document.on('urlUpdated', (data) => {
       this.views.app.updateURLInTable(data.urlId, data.newUrl);
+      this.updateWorkspaceView();
     });
 
     this.models.document.on('urlsUpdated', (data) => {
@@ -75,6 +82,8 @@ export class AppController {
     });
 
     this.models.document.on('documentCleared', () => {
+      this.models.workspace?.clear();
+      this.services.urlValidation.setLocalFiles(null);
       this.views.app.clearDocument();
       this.views.app.updateProcessingControls(false);
     });
@@ -98,8 +107,17 @@ export class AppController {
 
       // Populate replacement text fields for all processed URLs
       this.populateReplacementFields();
+      this.updateWorkspaceView();
 
-      this.views.app.showNotification('URL processing completed!', 'success');
+      const skipped = data.stats?.domainUnreachable;
+      this.views.app.showNotification(
+        skipped ? `URL processing completed! ${skipped} link${skipped === 1 ? ' was' : 's were'} skipped on unreachable domains.` : 'URL processing completed!',
+        'success'
+      );
+
+      if (this.models.document.currentDocument?.fileType === 'crawl') {
+        this.handleShowCrawlReport();
+      }
     });
 
     this.models.urlProcessor.on('processingError', (error) => {
@@ -122,12 +140,41 @@ export class AppController {
     // File upload events
     this.views.app.on('fileSelected', async (file) => {
       try {
-        await this.handleFileUpload(file);
+        // Archives and files added while a workspace is open join a workspace
+        if (this.models.document.currentDocument?.fileType === 'workspace' || this.services.archive.isArchive(file)) {
+          await this.handleFilesUpload([file]);
+        } else {
+          await this.handleFileUpload(file);
+        }
+      } catch (error) {
+        this.errorHandler.handleError(error, 'File upload failed');
+      }
+    });
+
+    this.views.app.on('filesSelected', async (files) => {
+      try {
+        await this.handleFilesUpload(files);
       } catch (error) {
         this.errorHandler.handleError(error, 'File upload failed');
       }
     });
 
+    this.views.app.on('entriesDropped', async (entries) => {
+      try {
+        await this.handleFilesUpload(await this.services.archive.readEntries(entries), { fileTree: true });
+      } catch (error) {
+        this.errorHandler.handleError(error, 'Folder upload failed');
+      }
+    });
+
+    this.views.app.on('workspaceDocumentRemoved', async (data) => {
+      try {
+        await this.handleRemoveWorkspaceDocument(data.fileName);
+      } catch (error) {
+        this.errorHandler.handleError(error, 'Could not remove the document');
+      }
+    });
+
     // URL scan events
     this.views.app.on('urlScanRequested', async (url) => {
       try {
@@ -137,6 +184,14 @@ export class AppController {
       }
     });
 
+    this.views.app.on('siteCrawlRequested', async (data) => {
+      try {
+        await this.handleSiteCrawl(data.url, data);
+      } catch (error) {
+        this.errorHandler.handleError(error, 'Site crawl failed');
+      }
+    });
+
     // Processing control events
     this.views.app.on('processRequested', async () => {
       try {
@@ -146,14 +201,38 @@ export class AppController {
       }
     });
 
-    this.views.app.on('downloadRequested', () => {
+    this.views.app.on('downloadRequested', async () => {
       try {
-        this.handleDownload();
+        await this.handleDownload();
       } catch (error) {
         this.errorHandler.handleError(error, 'Download failed');
       }
     });
 
+    this.views.app.on('patchDownloadRequested', () => {
+      try {
+        this.handleDownloadPatch();
+      } catch (error) {
+        this.errorHandler.handleError(error, 'Patch download failed');
+      }
+    });
+
+    this.views.app.on('diffViewRequested', () => {
+      try {
+        this.handleShowDiff();
+      } catch (error) {
+        this.errorHandler.handleError(error, 'Could not build the diff');
+      }
+    });
+
+    this.views.app.on('crawlReportRequested', () => {
+      try {
+        this.handleShowCrawlReport();
+      } catch (error) {
+        this.errorHandler.handleError(error, 'Could not build the crawl report');
+      }
+    });
+
     this.views.app.on('clearRequested', () => {
       this.handleClear();
     });
@@ -166,6 +245,7 @@ export class AppController {
       // If a new URL was provided, validate it
       if (data.newURL && data.newURL.trim()) {
         await this.validateReplacementURL(data.urlId, data.newURL.trim());
+        await this.learnFromAcceptedFixes();
       }
     });
 
@@ -178,6 +258,7 @@ export class AppController {
 
       // Validate the accepted replacement URL
       await this.validateReplacementURL(data.urlId, data.replacementURL);
+      await this.learnFromAcceptedFixes();
     });
 
     this.views.app.on('urlRejectReplacement', (data) => {
@@ -187,6 +268,119 @@ export class AppController {
       });
     });
 
+    // Rewrite rule events
+    this.views.app.on('rulesRequested', async () => {
+      this.ruleSuggestions = await this.getRuleSuggestions();
+      this.views.app.showRulesModal(this.services.rewriteRules.getRules(), this.ruleSuggestions);
+    });
+
+    this.views.app.on('ruleAdded', async (rule) => {
+      try {
+        await this.services.rewriteRules.addRule(rule);
+        this.views.app.renderRules(this.services.rewriteRules.getRules(), { added: true });
+      } catch (error) {
+        this.views.app.showNotification(`Could not add rule: ${error.message}`, 'error');
+        return;
+      }
+      await this.applyRulesToDocument();
+    });
+
+    this.views.app.on('ruleSuggestionAccepted', async (data) => {
+      const suggestion = this.ruleSuggestions[data.index];
+      if (!suggestion) return;
+
+      try {
+        await this.services.ruleLearning.acceptSuggestion(suggestion);
+        this.ruleSuggestions = this.ruleSuggestions.filter(item => item !== suggestion);
+        this.views.app.renderRules(this.services.rewriteRules.getRules());
+        this.views.app.renderRuleSuggestions(this.ruleSuggestions);
+        await this.applyRulesToDocument();
+      } catch (error) {
+        this.errorHandler.handleError(error, 'Could not add the suggested rule');
+      }
+    });
+
+    this.views.app.on('ruleSuggestionDismissed', async (data) => {
+      const suggestion = this.ruleSuggestions[data.index];
+      if (!suggestion) return;
+
+      try {
+        await this.services.ruleLearning.dismissSuggestion(suggestion);
+        this.ruleSuggestions = this.ruleSuggestions.filter(item => item !== suggestion);
+        this.views.app.renderRuleSuggestions(this.ruleSuggestions);
+      } catch (error) {
+        this.errorHandler.handleError(error, 'Could not dismiss the suggested rule');
+      }
+    });
+
+    this.views.app.on('ruleToggled', async (data) => {
+      try {
+        await this.services.rewriteRules.updateRule(data.id, { enabled: data.enabled });
+        this.views.app.renderRules(this.services.rewriteRules.getRules());
+      } catch (error) {
+        this.errorHandler.handleError(error, 'Could not update rule');
+      }
+    });
+
+    this.views.app.on('ruleRemoved', async (data) => {
+      try {
+        await this.services.rewriteRules.removeRule(data.id);
+        this.views.app.renderRules(this.services.rewriteRules.getRules());
+      } catch (error) {
+        this.errorHandler.handleError(error, 'Could not remove rule');
+      }
+    });
+
+    this.views.app.on('credentialsRequested', () => {
+      this.views.app.showCredentialsModal(this.services.credentials.getProfiles(), this.getCredentialState());
+    });
+
+    this.views.app.on('credentialAdded', async (profile) => {
+      try {
+        await this.services.credentials.addProfile(profile);
+        this.views.app.renderCredentials(this.services.credentials.getProfiles(), { ...this.getCredentialState(), added: true });
+      } catch (error) {
+        this.views.app.showNotification(`Could not add credentials: ${error.message}`, 'error');
+      }
+    });
+
+    this.views.app.on('credentialToggled', async (data) => {
+      try {
+        await this.services.credentials.updateProfile(data.id, { enabled: data.enabled });
+        this.views.app.renderCredentials(this.services.credentials.getProfiles(), this.getCredentialState());
+      } catch (error) {
+        this.errorHandler.handleError(error, 'Could not update credentials');
+      }
+    });
+
+    this.views.app.on('credentialRemoved', async (data) => {
+      try {
+        await this.services.credentials.removeProfile(data.id);
+        this.views.app.renderCredentials(this.services.credentials.getProfiles(), this.getCredentialState());
+      } catch (error) {
+        this.errorHandler.handleError(error, 'Could not remove credentials');
+      }
+    });
+
+    this.views.app.on('credentialsUnlocked', async (data) => {
+      try {
+        await this.services.credentials.unlock(data.passphrase);
+        this.views.app.renderCredentials(this.services.credentials.getProfiles(), this.getCredentialState());
+      } catch (error) {
+        this.views.app.showNotification(`Could not unlock credentials: ${error.message}`, 'error');
+      }
+    });
+
+    this.views.app.on('credentialPassphraseSet', async (data) => {
+      try {
+        await this.services.credentials.setPassphrase(data.passphrase);
+        this.views.app.renderCredentials(this.services.credentials.getProfiles(), this.getCredentialState());
+        this.views.app.showNotification(data.passphrase ? 'Credentials are now encrypted' : 'Credentials are no longer encrypted', 'success');
+      } catch (error) {
+        this.errorHandler.handleError(error, 'Could not change the passphrase');
+      }
+    });
+
     this.views.app.on('reprocessURL', async (data) => {
       try {
         await this.handleReprocessURL(data.urlId);
@@ -211,8 +405,11 @@ export class AppController {
     this.views.app.showLoading(true, 'Parsing document...');
 
     try {
-      // Parse the document
-      const documentData = await this.services.documentParser.parseFile(file);
+      // Parse the document (relative links resolve against the base URL the user entered, if any)
+      const baseURL = this.views.app.getBaseURL();
+      const documentData = await this.services.documentParser.parseFile(file, {
+        baseURL: baseURL ? this.services.documentParser.normalizeURL(baseURL) : null
+      });
       
       // Load into document model
       await this.models.document.loadDocument(documentData);
@@ -224,6 +421,120 @@ export class AppController {
     }
   }
 
+  /**
+   * Handle several files: they are added to the open workspace (or a new one) and their links checked together
+   * ZIP archives are unpacked; their other files are kept so the fixed ZIP has the same structure
+   * Relative links in a folder or archive (options.fileTree, or any archive in files) are checked against its files
+   */
+  async handleFilesUpload(files, options = {}) {
+    this.logger.info(`Handling upload of ${files.length} files`);
+
+    this.views.app.showLoading(true, 'Parsing documents...');
+
+    try {
+      const { documents, others, failed, archives } = await this.services.archive.expand(files, options);
+      const supported = documents.filter(file => this.services.documentParser.isSupported(file));
+      if (supported.length === 0) {
+        throw new Error(failed.length > 0
+          ? `No documents could be read: ${failed.join('; ')}`
+          : 'None of the selected files is a supported document');
+      }
+
+      if (this.models.document.currentDocument?.fileType !== 'workspace') {
+        this.models.workspace.clear();
+      }
+      if (options.fileTree || archives > 0) {
+        this.models.workspace.fileTree = true;
+      }
+
+      failed.push(...documents.filter(file => !supported.includes(file)).map(file => `${file.name} (unsupported file type)`));
+      others.forEach(file => this.models.workspace.addFile(file.path, file.data));
+
+      const baseURL = this.views.app.getBaseURL();
+
+      // Files of an archive or folder that cannot be fixed (PDF, DOC, unreadable documents) are zipped back unchanged
+      const carryThrough = async (file) => {
+        if (this.models.workspace.fileTree) {
+          this.models.workspace.addFile(file.name, await this.services.documentParser.readBinaryContent(file));
+        }
+      };
+
+      for (const [index, file] of supported.entries()) {
+        this.views.app.updateProgress(Math.round((index / supported.length) * 100), `Parsing ${file.name}...`);
+        try {
+          const documentData = await this.services.documentParser.parseFile(file, {
+            baseURL: baseURL ? this.services.documentParser.normalizeURL(baseURL) : null
+          });
+          this.models.workspace.addDocument(documentData);
+          if (['pdf', 'doc'].includes(documentData.fileType)) {
+            await carryThrough(file);
+          }
+        } catch (error) {
+          failed.push(`${file.name} (${error.message})`);
+          await carryThrough(file);
+        }
+      }
+
+      if (!this.models.workspace.hasDocuments()) {
+        throw new Error(`No documents could be read: ${failed.join('; ')}`);
+      }
+
+      await this.loadWorkspace();
+
+      const { total } = this.models.workspace.getStats(this.models.document.urls);
+      const message = `Workspace has ${total.documents} documents with ${total.uniqueLinks} distinct URLs (${total.links} links)`;
+      if (failed.length > 0) {
+        this.views.app.showNotification(`${message}; skipped ${failed.join('; ')}`, 'warning');
+      } else {
+        this.views.app.showNotification(message, 'success');
+      }
+
+    } finally {
+      this.views.app.showLoading(false);
+    }
+  }
+
+  /**
+   * Remove a document from the workspace
+   */
+  async handleRemoveWorkspaceDocument(fileName) {
+    this.models.workspace.removeDocument(fileName);
+
+    if (!this.models.workspace.hasDocuments()) {
+      this.handleClear();
+      return;
+    }
+
+    await this.loadWorkspace();
+    this.views.app.showNotification(`Removed ${fileName} from the workspace`, 'info');
+  }
+
+  /**
+   * Load the workspace into the URL table, keeping the results of URLs that were already checked
+   */
+  async loadWorkspace() {
+    const previous = this.models.document.currentDocument?.fileType === 'workspace' ? this.models.document.urls : [];
+    await this.models.document.loadDocument(this.models.workspace.toDocument(previous));
+  }
+
+  /**
+   * Check relative links against the workspace's files when it holds a folder or archive
+   */
+  updateLocalFiles() {
+    const isWorkspace = this.models.document.currentDocument?.fileType === 'workspace';
+    this.services.urlValidation.setLocalFiles(isWorkspace ? this.models.workspace.getLocalFiles() : null);
+  }
+
+  /**
+   * Show per-document and aggregate stats while a workspace is open
+   */
+  updateWorkspaceView() {
+    if (this.models.document.currentDocument?.fileType !== 'workspace') {
+      return;
+    }
+    this.views.app.renderWorkspace(this.models.workspace.getStats(this.models.document.urls));
+  }
+
   /**
    * Handle URL scan
    */
@@ -252,6 +563,60 @@ export class AppController {
     }
   }
 
+  /**
+   * Handle a site crawl: follow same-origin links from a start URL and load every distinct link found
+   * into the URL table (each row lists the pages it appears on)
+   */
+  async handleSiteCrawl(url, options = {}) {
+    this.logger.info(`Handling site crawl: ${url}`);
+
+    if (!this.services.documentParser.isValidURL(url)) {
+      throw new Error('Invalid URL format');
+    }
+
+    const { maxDepth, maxPages } = options;
+    this.views.app.showLoading(true, 'Crawling site...');
+
+    try {
+      const crawl = await this.services.crawler.crawl(url, {
+        maxDepth,
+        maxPages,
+        onPage: (page, progress) => {
+          const percentage = Math.round((progress.crawled / progress.maxPages) * 100);
+          this.views.app.updateProgress(percentage, `Crawling site... ${progress.crawled} pages (${progress.queued} queued)`);
+        }
+      });
+
+      if (crawl.pages.length === 0) {
+        throw new Error(crawl.blocked.length > 0 ? 'robots.txt disallows crawling this page' : 'No HTML pages could be crawled');
+      }
+
+      const documentData = this.services.crawler.toDocument(crawl);
+      await this.models.document.loadDocument(documentData);
+
+      this.views.app.showNotification(
+        `Crawled ${crawl.pages.length} pages, found ${documentData.urls.length} distinct links${crawl.truncated ? ' (page budget reached)' : ''}`,
+        'success'
+      );
+
+    } finally {
+      this.views.app.showLoading(false);
+    }
+  }
+
+  /**
+   * Show the per-page and site-wide report of the current crawl
+   */
+  handleShowCrawlReport() {
+    const document = this.models.document.currentDocument;
+    if (document?.fileType !== 'crawl') {
+      return;
+    }
+
+    const report = this.services.crawler.buildReport(document, this.models.document.urls);
+    this.views.app.showCrawlReport(report);
+  }
+
   /**
    * Handle URL processing
    */
@@ -266,7 +631,10 @@ export class AppController {
     this.logger.info(`Processing ${pendingUrls.length} URLs`);
 
     try {
-      await this.models.urlProcessor.processURLs(pendingUrls);
+      // Archive lookups look for snapshots from around the time the document was written
+      await this.models.urlProcessor.processURLs(pendingUrls, {
+        documentDate: this.models.document.currentDocument?.documentDate || null
+      });
     } catch (error) {
       if (error.message.includes('aborted')) {
         // User cancelled, already handled by event listener
@@ -319,12 +687,19 @@ export class AppController {
       });
       this.views.app.updateURLInTable(urlId, this.models.document.urls.find(url => url.id === urlId));
 
-      // Perform the validation
-      const validationResult = await this.models.urlProcessor.validateReplacementURL(
-        urlData.originalURL,
-        replacementURL,
-        { signal: this.abortController?.signal }
-      );
+      // Relative replacements are checked against the same base as the link they replace
+      const candidateURL = urlData.baseURL
+        ? this.services.documentParser.resolveURL(replacementURL, urlData.baseURL)
+        : replacementURL;
+
+      // Perform the validation (against the uploaded files for relative links in a folder or archive)
+      const validationResult = this.services.urlValidation.isLocalLink?.(replacementURL) && urlData.fileName
+        ? this.models.urlProcessor.validateLocalReplacementURL(urlData, replacementURL)
+        : await this.models.urlProcessor.validateReplacementURL(
+          urlData.resolvedURL || urlData.originalURL,
+          candidateURL,
+          { signal: this.abortController?.signal }
+        );
 
       // Update the URL with validation results
       const updateData = {
@@ -348,7 +723,7 @@ export class AppController {
         updateData.replacementValidationError = errorMessage;
       } else {
         // If validation passed, ensure status reflects this
-        if (urlData.status === 'replacement-invalid' || urlData.status === 'invalid') {
+        if (['replacement-invalid', 'invalid', 'missing-local'].includes(urlData.status)) {
           updateData.status = 'fixed';
         }
       }
@@ -389,30 +764,36 @@ export class AppController {
   /**
    * Handle document download
    */
-  handleDownload() {
+  async handleDownload() {
+    if (this.models.document.currentDocument?.fileType === 'workspace') {
+      await this.handleDownloadWorkspace();
+      return;
+    }
+
     try {
       const fixedDocument = this.models.document.generateFixedDocument();
+      let data = fixedDocument.content;
+
+      // DOCX downloads are the original package with only the link targets rewritten
+      if (fixedDocument.fileType === 'docx' && fixedDocument.archive) {
+        const written = await this.services.documentParser.writeDocxContent(fixedDocument.archive, fixedDocument.replacements);
+        data = written.data;
+        fixedDocument.unapplied.push(...written.unapplied);
+      }
       
       // Create download blob
-      const blob = new Blob([fixedDocument.content], {
+      const blob = new Blob([data], {
         type: this.getContentType(fixedDocument.fileType)
       });
       
-      // Create download link
-      const url = URL.createObjectURL(blob);
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = this.generateDownloadFilename(fixedDocument.fileName);
-      
-      // Trigger download
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-      
-      // Clean up
-      URL.revokeObjectURL(url);
+      this.triggerDownload(blob, this.generateDownloadFilename(fixedDocument.fileName));
       
-      this.views.app.showNotification('Document downloaded successfully', 'success');
+      if (fixedDocument.unapplied?.length > 0) {
+        const skipped = fixedDocument.unapplied.map(fix => `${fix.originalURL} (${fix.reason})`).join('; ');
+        this.views.app.showNotification(`Document downloaded, but ${fixedDocument.unapplied.length} fix(es) could not be applied: ${skipped}`, 'warning');
+      } else {
+        this.views.app.showNotification('Document downloaded successfully', 'success');
+      }
       this.logger.info('Document downloaded');
       
     } catch (error) {
@@ -421,6 +802,88 @@ export class AppController {
     }
   }
 
+  /**
+   * Handle workspace download: every fixed document in one ZIP
+   */
+  async handleDownloadWorkspace() {
+    try {
+      const result = await this.models.workspace.generateZip(
+        this.models.document.urls,
+        (archive, replacements) => this.services.documentParser.writeDocxContent(archive, replacements)
+      );
+
+      const blob = new Blob([result.data], { type: 'application/zip' });
+      this.triggerDownload(blob, this.generateDownloadFilename('workspace.zip'));
+
+      const problems = [
+        result.skipped.length > 0 ? `${result.skipped.length} document(s) could not be written (${result.skipped.join(', ')})` : '',
+        result.unapplied.length > 0 ? `${result.unapplied.length} fix(es) could not be applied: ${
+          result.unapplied.map(fix => `${fix.document}: ${fix.originalURL} (${fix.reason})`).join('; ')}` : ''
+      ].filter(Boolean);
+
+      if (problems.length > 0) {
+        this.views.app.showNotification(`ZIP downloaded with ${result.documents} documents, but ${problems.join('; ')}`, 'warning');
+      } else {
+        this.views.app.showNotification(`ZIP downloaded with ${result.documents} documents and ${result.replacements} fixes`, 'success');
+      }
+      this.logger.info('Workspace downloaded');
+
+    } catch (error) {
+      this.logger.error('Workspace download failed', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Handle patch download (unified diff of all fixes, for `git apply`)
+   */
+  handleDownloadPatch() {
+    try {
+      const diff = this.models.document.generatePatch();
+
+      if (!diff.patch) {
+        this.views.app.showNotification('No fixes to export', 'info');
+        return;
+      }
+
+      const blob = new Blob([diff.patch], { type: 'text/x-diff' });
+      this.triggerDownload(blob, this.generatePatchFilename(diff.fileName));
+
+      this.views.app.showNotification(`Patch downloaded with ${diff.hunks.length} hunk(s)`, 'success');
+      this.logger.info('Patch downloaded');
+
+    } catch (error) {
+      this.logger.error('Patch download failed', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Handle diff view request
+   */
+  handleShowDiff() {
+    const diff = this.models.document.generatePatch();
+    this.views.app.showDiffModal(diff);
+  }
+
+  /**
+   * Trigger a browser download of a blob
+   */
+  triggerDownload(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    
+    // Trigger download
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    
+    // Clean up
+    URL.revokeObjectURL(url);
+  }
+
   /**
    * Handle clear action
    */
@@ -439,6 +902,10 @@ export class AppController {
   async restoreState() {
     try {
       const restored = await this.models.document.restoreState();
+      if (restored && this.models.document.currentDocument?.fileType === 'workspace') {
+        this.models.workspace.restore(this.models.document.currentDocument);
+        this.updateLocalFiles();
+      }
       if (restored) {
         this.logger.info('Previous state restored');
         this.views.app.showNotification('Previous session restored', 'info');
@@ -458,7 +925,8 @@ export class AppController {
       'markdown': 'text/markdown',
       'text': 'text/plain',
       'rtf': 'application/rtf',
-      'pdf': 'application/pdf'
+      'pdf': 'application/pdf',
+      'docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
     };
     
     return contentTypes[fileType] || 'text/plain';
@@ -475,6 +943,100 @@ export class AppController {
     return `${nameWithoutExt}_fixed_${timestamp}.${extension}`;
   }
 
+  /**
+   * Generate patch filename
+   */
+  generatePatchFilename(originalName) {
+    const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+    const baseName = this.models.document.getPatchPath(originalName).split('/').pop().replace(/\.[^/.]+$/, '');
+    
+    return `${baseName}_fixes_${timestamp}.patch`;
+  }
+
+  /**
+   * Get rule suggestions learned from accepted fixes (empty when learning is not set up)
+   */
+  async getRuleSuggestions() {
+    if (!this.services.ruleLearning) {
+      return [];
+    }
+
+    try {
+      return await this.services.ruleLearning.suggestRules(this.models.document.urls);
+    } catch (error) {
+      this.logger.warn('Failed to build rule suggestions', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get whether the credential profiles are encrypted and still locked, for the credentials modal
+   */
+  getCredentialState() {
+    return {
+      locked: this.services.credentials.isLocked(),
+      encrypted: this.services.credentials.isEncrypted()
+    };
+  }
+
+  /**
+   * Record accepted fixes in processing history and announce newly learned rule suggestions
+   */
+  async learnFromAcceptedFixes() {
+    if (!this.services.ruleLearning) {
+      return;
+    }
+
+    await this.models.document.saveProcessingHistory();
+
+    const known = new Set(this.ruleSuggestions.map(suggestion => suggestion.id));
+    this.ruleSuggestions = await this.getRuleSuggestions();
+    const learned = this.ruleSuggestions.filter(suggestion => !known.has(suggestion.id));
+
+    if (learned.length > 0) {
+      this.views.app.showNotification(
+        `Suggested rewrite rule: ${learned[0].rule.name} (from ${learned[0].evidence.length} accepted fixes). Open Rewrite Rules to confirm it.`,
+        'info'
+      );
+    }
+  }
+
+  /**
+   * Offer rule rewrites for the current document's broken links that have no fix or suggestion yet
+   */
+  async applyRulesToDocument() {
+    const candidates = this.models.document.urls.filter(url =>
+      BROKEN_STATUSES.includes(url.status) && !url.newURL && !url.replacementURL
+    );
+
+    let found = 0;
+    for (const url of candidates) {
+      try {
+        const replacement = await this.models.urlProcessor.findRuleReplacement(url.resolvedURL || url.originalURL);
+        if (!replacement) continue;
+
+        this.models.document.updateURL(url.id, {
+          status: 'replacement-found',
+          replacementFound: true,
+          replacementURL: replacement.replacementURL,
+          replacementSource: replacement.source,
+          replacementConfidence: replacement.confidence,
+          rewriteRule: replacement.rewriteRule,
+          originalStatusCode: url.originalStatusCode ?? url.statusCode,
+          validated: true,
+          replacementValidated: true
+        });
+        found++;
+      } catch (error) {
+        this.logger.warn(`Rewrite rules could not be applied to ${url.originalURL}`, error);
+      }
+    }
+
+    if (found > 0) {
+      this.views.app.showNotification(`Rewrite rules found replacements for ${found} broken link(s)`, 'success');
+    }
+  }
+
   /**
    * Handle URL re-processing to get next alternative
    */
@@ -499,6 +1061,8 @@ export class AppController {
       replacementURL: nextAlternative.replacementURL,
       replacementConfidence: nextAlternative.confidence,
       replacementSource: nextAlternative.source,
+      archivedAt: nextAlternative.archivedAt || null,
+      rewriteRule: null,
       currentAlternativeIndex: nextAlternative.currentAlternativeIndex,
       alternatives: nextAlternative.alternatives,
       totalAlternatives: nextAlternative.totalAlternatives,
@@ -0,0 +1,244 @@
+/**
+ * URLFixer - Programmatic API for parsing documents, checking their links and writing fixes
+ * Environment neutral: file reading, storage, HTTP and logging come from adapters (BrowserAdapters, NodeAdapters)
+ */
+
+'use strict';
+
+import { Logger } from '../utils/Logger.js';
+import { BrowserAdapters } from '../adapters/BrowserAdapters.js';
+import { DocumentParserService } from '../services/DocumentParserService.js';
+import { URLValidationService } from '../services/URLValidationService.js';
+import { RewriteRuleService } from '../services/RewriteRuleService.js';
+import { CredentialService } from '../services/CredentialService.js';
+import { MementoService } from '../services/MementoService.js';
+import { SitemapService } from '../services/SitemapService.js';
+import { SearchService } from '../services/SearchService.js';
+import { Soft404Service } from '../services/Soft404Service.js';
+import { AccessClassifierService } from '../services/AccessClassifierService.js';
+import { RobotsService } from '../services/RobotsService.js';
+import { CrawlerService } from '../services/CrawlerService.js';
+import { URLProcessorModel } from '../models/URLProcessorModel.js';
+import { DocumentModel } from '../models/DocumentModel.js';
+
+export class URLFixer {
+  constructor(options = {}) {
+    this.adapters = options.adapters || new BrowserAdapters();
+    if (this.adapters.logger) {
+      Logger.configure(this.adapters.logger);
+    }
+
+    this.logger = new Logger('URLFixer');
+    this.storage = this.adapters.storage || null;
+    this.initialized = null;
+
+    const memento = new MementoService();
+    const robots = new RobotsService();
+    const sitemap = new SitemapService(this.storage, robots);
+    const search = new SearchService(memento, sitemap);
+    const documentParser = new DocumentParserService();
+    const urlValidation = new URLValidationService(this.storage);
+
+    this.services = {
+      documentParser,
+      urlValidation,
+      rewriteRules: new RewriteRuleService(this.storage),
+      credentials: new CredentialService(this.storage),
+      memento,
+      sitemap,
+      search,
+      soft404: new Soft404Service(search),
+      accessClassifier: new AccessClassifierService(urlValidation),
+      robots,
+      crawler: new CrawlerService(documentParser, robots)
+    };
+
+    this.services.documentParser.fileReader = this.adapters.fileReader;
+    this.setHttpClient(this.adapters.http);
+    this.services.urlValidation.useCrawlDelays(robots);
+    this.services.urlValidation.setCredentials(this.services.credentials);
+
+    this.processor = new URLProcessorModel(
+      this.services.urlValidation,
+      search,
+      this.storage,
+      this.services.soft404,
+      this.services.rewriteRules,
+      this.services.accessClassifier
+    );
+
+    if (options.config) {
+      this.configure(options.config);
+    }
+  }
+
+  /**
+   * Use an HTTP adapter (any object with fetch(url, init)) for every service
+   */
+  setHttpClient(http) {
+    const { documentParser, urlValidation, memento, sitemap, search, soft404, robots, crawler } = this.services;
+    [documentParser, urlValidation, memento, sitemap, soft404, robots, crawler].forEach(service => {
+      service.http = http;
+    });
+    search.setHttpClient(http);
+  }
+
+  /**
+   * Update processing configuration (URLProcessorModel config); `search: false` turns replacement searches off
+   */
+  configure(config) {
+    const { search, ...processorConfig } = config;
+    const { enhancedSearch } = this.processor.getConfig();
+
+    this.processor.updateConfig({
+      ...processorConfig,
+      enhancedSearch: {
+        ...enhancedSearch,
+        ...(processorConfig.enhancedSearch || {}),
+        ...(search === undefined ? {} : { enableFor404: search, enableFor403: search })
+      }
+    });
+  }
+
+  /**
+   * Open storage and load rewrite rules and credential profiles (once; the other methods call it)
+   */
+  init() {
+    if (!this.initialized) {
+      this.initialized = (async () => {
+        if (this.storage) {
+          await this.storage.init();
+        }
+        await this.services.rewriteRules.load();
+        await this.services.credentials.load();
+      })();
+    }
+    return this.initialized;
+  }
+
+  /**
+   * Parse a document and extract its links
+   * input is an http(s) address or anything the file reader opens (a File or Blob; a path or bytes in Node)
+   */
+  async parse(input, options = {}) {
+    const { baseURL = null, name } = options;
+
+    if (typeof input === 'string' && /^https?:\/\//i.test(input)) {
+      return this.services.documentParser.parseURL(input);
+    }
+
+    const file = await this.adapters.fileReader.open(input, { name });
+    return this.services.documentParser.parseFile(file, { baseURL });
+  }
+
+  /**
+   * Check links and look for replacements for broken ones
+   * input is a parsed document, its URL entries or plain URL strings; each distinct URL is checked once and
+   * results come back in input order
+   */
+  async validate(input, options = {}) {
+    const { onProgress = null, signal = null } = options;
+    await this.init();
+
+    const documentDate = options.documentDate || (Array.isArray(input) ? null : input.documentDate) || null;
+    const entries = (Array.isArray(input) ? input : input.urls).map((entry, index) =>
+      typeof entry === 'string' ? { id: `url-${index}`, originalURL: entry, resolvedURL: entry } : entry
+    );
+
+    // Relative links that could not be resolved are processed one by one
+    const keyOf = (entry) => (entry.resolvedURL === undefined ? entry.originalURL : entry.resolvedURL) ?? `unresolved:${entry.id}`;
+    const unique = new Map();
+    entries.forEach(entry => {
+      const key = keyOf(entry);
+      if (!unique.has(key)) {
+        unique.set(key, entry);
+      }
+    });
+
+    const processed = await this.processor.processURLs([...unique.values()], { onProgress, signal, documentDate });
+    const results = new Map([...unique.keys()].map((key, index) => [key, processed[index]]));
+
+    // Entries sharing a URL get the outcome of the one that was checked, keeping their own position fields
+    return entries.map(entry => {
+      const key = keyOf(entry);
+      const checked = unique.get(key);
+      const result = results.get(key);
+      if (checked === entry) {
+        return result;
+      }
+
+      const outcome = Object.fromEntries(Object.entries(result).filter(([field, value]) => checked[field] !== value));
+      return { ...entry, ...outcome };
+    });
+  }
+
+  /**
+   * Crawl a site from a start URL, check every link found and report broken links per page and site-wide
+   * options: maxDepth, maxPages, onPage (each crawled page), onProgress (link checks), signal
+   */
+  async crawl(startURL, options = {}) {
+    const { onProgress = null, signal = null, ...crawlOptions } = options;
+    await this.init();
+
+    const crawl = await this.services.crawler.crawl(startURL, { ...crawlOptions, signal });
+    const document = this.services.crawler.toDocument(crawl);
+    const results = await this.validate(document, { onProgress, signal });
+
+    return {
+      document,
+      results,
+      report: this.services.crawler.buildReport(document, results)
+    };
+  }
+
+  /**
+   * Find a replacement for one broken URL (rewrite rules first, then searches)
+   */
+  async findReplacement(url, options = {}) {
+    const { statusCode = 404, documentDate = null, signal = null } = options;
+    await this.init();
+    return this.processor.findReplacement(url, { statusCode, documentDate, signal });
+  }
+
+  /**
+   * Write fixes into a parsed document
+   * Results with a newURL are applied as is; found replacements and the targets of permanent redirects ('moved') are
+   * applied when their confidence is at least minConfidence. Returns the fixed document with `data`, the text or DOCX bytes to save
+   */
+  async applyFixes(document, results, options = {}) {
+    const { minConfidence = 0 } = options;
+
+    if (['pdf', 'doc'].includes(document.fileType)) {
+      throw new Error(`Fixes cannot be written to ${document.fileType.toUpperCase()} documents`);
+    }
+
+    // Only the given results are applied, not fixes carried by the document's own entries
+    const model = new DocumentModel(null);
+    await model.loadDocument({
+      ...document,
+      urls: document.urls.map(url => ({ ...url, newURL: null, replacementURL: null }))
+    });
+
+    results.forEach(result => {
+      if (result.newURL) {
+        model.updateURL(result.id, { newURL: result.newURL });
+      } else if (result.replacementURL && ['replacement-found', 'moved', 'fixed'].includes(result.status) &&
+                 (result.replacementConfidence ?? 0) >= minConfidence) {
+        model.updateURL(result.id, { newURL: result.replacementURL });
+      }
+    });
+
+    const fixedDocument = model.generateFixedDocument();
+    let data = fixedDocument.content;
+
+    if (fixedDocument.fileType === 'docx' && fixedDocument.archive) {
+      const written = await this.services.documentParser.writeDocxContent(fixedDocument.archive, fixedDocument.replacements);
+      data = written.data;
+      fixedDocument.replacements = fixedDocument.replacements.filter(fix => !written.unapplied.some(skip => skip.urlId === fix.urlId));
+      fixedDocument.unapplied.push(...written.unapplied);
+    }
+
+    this.logger.info(`Applied ${fixedDocument.replacements.length} fixes to ${document.fileName}`);
+    return { ...fixedDocument, data };
+  }
+}
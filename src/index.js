@@ -0,0 +1,13 @@
+/**
+ * URL Fixer library entry point (browser-safe)
+ * Node scripts import 'url_fixer/node' for the file system adapters
+ */
+
+'use strict';
+
+export { URLFixer } from './core/URLFixer.js';
+export { BrowserAdapters } from './adapters/BrowserAdapters.js';
+export { BrowserFileReader } from './adapters/BrowserFileReader.js';
+export { MemoryStorage } from './adapters/MemoryStorage.js';
+export { FetchHttpClient } from './adapters/FetchHttpClient.js';
+export { Logger } from './utils/Logger.js';
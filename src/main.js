@@ -14,11 +14,22 @@
 import { AppController } from './controllers/AppController.js';
 import { DocumentModel } from './models/DocumentModel.js';
 import { URLProcessorModel } from './models/URLProcessorModel.js';
+import { WorkspaceModel } from './models/WorkspaceModel.js';
 import { AppView } from './views/AppView.js';
 import { StorageService } from './services/StorageService.js';
 import { URLValidationService } from './services/URLValidationService.js';
 import { SearchService } from './services/SearchService.js';
+import { Soft404Service } from './services/Soft404Service.js';
+import { AccessClassifierService } from './services/AccessClassifierService.js';
+import { MementoService } from './services/MementoService.js';
+import { SitemapService } from './services/SitemapService.js';
+import { RobotsService } from './services/RobotsService.js';
+import { CrawlerService } from './services/CrawlerService.js';
+import { RewriteRuleService } from './services/RewriteRuleService.js';
+import { CredentialService } from './services/CredentialService.js';
+import { RuleLearningService } from './services/RuleLearningService.js';
 import { DocumentParserService } from './services/DocumentParserService.js';
+import { ArchiveService } from './services/ArchiveService.js';
 import { Logger } from './utils/Logger.js';
 import { ErrorHandler } from './utils/ErrorHandler.js';
 import { ServiceWorkerManager } from './utils/ServiceWorkerManager.js';
@@ -120,12 +131,48 @@ class URLFixerApp {
     
     // URL validation service
     this.services.urlValidation = new URLValidationService();
+
+    // Per-domain credentials for intranet links, sent only to matching hosts (through the proxy)
+    this.services.credentials = new CredentialService(this.services.storage);
+    await this.services.credentials.load();
+    this.services.urlValidation.setCredentials(this.services.credentials);
+
+    // User-defined rewrite rules for known migrations, tried before any search
+    this.services.rewriteRules = new RewriteRuleService(this.services.storage);
+    await this.services.rewriteRules.load();
+
+    // Rule suggestions learned from accepted replacements
+    this.services.ruleLearning = new RuleLearningService(this.services.storage, this.services.rewriteRules);
     
+    // Web archive lookups (Wayback availability API by default, any TimeMap endpoint via updateConfig)
+    this.services.memento = new MementoService();
+
+    // robots.txt rules, shared by sitemap discovery, site crawls and Crawl-delay spacing
+    this.services.robots = new RobotsService();
+
+    // Same-site page lists from robots.txt and sitemaps, cached in IndexedDB
+    this.services.sitemap = new SitemapService(this.services.storage, this.services.robots);
+
     // Search service for finding replacement URLs
-    this.services.search = new SearchService();
+    this.services.search = new SearchService(this.services.memento, this.services.sitemap);
+
+    // Soft 404 detection for pages that answer 200
+    this.services.soft404 = new Soft404Service(this.services.search);
+
+    // Bot protection, login walls and paywalls, told apart from broken links
+    this.services.accessClassifier = new AccessClassifierService(this.services.urlValidation);
     
     // Document parser service
     this.services.documentParser = new DocumentParserService();
+
+    // ZIP archives and dropped folders as batch input
+    this.services.archive = new ArchiveService(this.services.documentParser);
+
+    // Site crawls that follow same-origin links, within what robots.txt allows
+    this.services.crawler = new CrawlerService(this.services.documentParser, this.services.robots);
+
+    // Link checks are spaced per host by robots.txt Crawl-delay too
+    this.services.urlValidation.useCrawlDelays(this.services.robots);
     
     this.logger.info('Services initialized');
   }
@@ -139,11 +186,17 @@ class URLFixerApp {
     // Document model for managing document state
     this.models.document = new DocumentModel(this.services.storage);
     
+    // Workspace of several documents whose links are checked together
+    this.models.workspace = new WorkspaceModel();
+
     // URL processor model for managing URL processing state
     this.models.urlProcessor = new URLProcessorModel(
       this.services.urlValidation,
       this.services.search,
-      this.services.storage
+      this.services.storage,
+      this.services.soft404,
+      this.services.rewriteRules,
+      this.services.accessClassifier
     );
     
     this.logger.info('Models initialized');
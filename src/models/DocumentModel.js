@@ -6,17 +6,22 @@
 'use strict';
 
 import { Logger } from '../utils/Logger.js';
+import { URLResolver } from '../utils/URLResolver.js';
+import { UnifiedDiff } from '../utils/UnifiedDiff.js';
 
 export class DocumentModel {
   constructor(storageService) {
     this.logger = new Logger('DocumentModel');
     this.storageService = storageService;
+    this.urlResolver = new URLResolver();
+    this.unifiedDiff = new UnifiedDiff();
     
     // Document state
     this.currentDocument = null;
     this.urls = [];
     this.processingState = 'idle'; // idle, processing, completed, error
     this.processingProgress = 0;
+    this.historyRecordId = null; // promise of the id of the current run's processing history record
     this.processingStats = {
       total: 0,
       processed: 0,
@@ -60,6 +65,7 @@ export class DocumentModel {
       
       this.processingState = 'idle';
       this.processingProgress = 0;
+      this.historyRecordId = null;
       
       // Store in session storage
       if (this.storageService) {
@@ -223,66 +229,195 @@ export class DocumentModel {
 
   /**
    * Generate document with fixed URLs
+   * Edits are applied by exact source span; fixes that cannot be placed or that overlap another fix
+   * are reported in `unapplied` instead of being skipped silently
    */
   generateFixedDocument() {
     if (!this.currentDocument) {
       throw new Error('No document loaded');
     }
 
-    let content = this.currentDocument.content;
+    const content = this.currentDocument.content;
     const replacements = [];
+    const unapplied = [];
+    const edits = [];
 
-    // Sort URLs by position (reverse order to maintain positions during replacement)
     // Include URLs that have newURL set OR have a replacementURL that should be used
-    const sortedUrls = [...this.urls]
-      .filter(url => {
-        const hasNewUrl = url.newURL && url.newURL !== url.originalURL;
-        const hasReplacementUrl = url.replacementURL && url.replacementURL !== url.originalURL;
-        return hasNewUrl || hasReplacementUrl;
-      })
-      .sort((a, b) => {
-        if (a.line !== b.line) {
-          return b.line - a.line; // Reverse line order
-        }
-        return b.column - a.column; // Reverse column order
-      });
+    const fixedUrls = this.urls.filter(url => {
+      const hasNewUrl = url.newURL && url.newURL !== url.originalURL;
+      const hasReplacementUrl = url.replacementURL && url.replacementURL !== url.originalURL;
+      return hasNewUrl || hasReplacementUrl;
+    });
+
+    fixedUrls.forEach(url => {
+      // Use newURL if available, otherwise use replacementURL, written in the original style
+      const replacementUrl = this.getWrittenReplacement(url);
+      if (replacementUrl === url.originalURL) {
+        return;
+      }
+
+      const replacement = {
+        urlId: url.id,
+        line: url.line,
+        column: url.column,
+        originalURL: url.originalURL,
+        newURL: replacementUrl,
+        type: url.type,
+        source: url.newURL ? 'manual' : ['redirect', 'rewrite-rule'].includes(url.replacementSource) ? url.replacementSource : 'replacement-suggestion'
+      };
 
-    // Apply replacements
-    sortedUrls.forEach(url => {
-      const lines = content.split('\n');
-      const lineIndex = url.line - 1;
-
-      if (lineIndex >= 0 && lineIndex < lines.length) {
-        const line = lines[lineIndex];
-        // Use newURL if available, otherwise use replacementURL
-        const replacementUrl = url.newURL || url.replacementURL;
-        const newLine = line.replace(url.originalURL, replacementUrl);
-
-        if (newLine !== line) {
-          lines[lineIndex] = newLine;
-          content = lines.join('\n');
-
-          replacements.push({
-            line: url.line,
-            column: url.column,
-            originalURL: url.originalURL,
-            newURL: replacementUrl,
-            type: url.type,
-            source: url.newURL ? 'manual' : 'replacement-suggestion'
-          });
+      // DOCX fixes are written into the package parts rather than the text view
+      if (url.part) {
+        replacements.push({ ...replacement, part: url.part, relationshipId: url.relationshipId || null, partOffset: url.partOffset ?? null });
+        return;
+      }
+
+      const span = this.locateURL(content, url);
+      if (!span) {
+        unapplied.push({ ...replacement, urlId: url.id, reason: 'Original URL not found at its recorded position' });
+        return;
+      }
+
+      // HTML attribute values are written with & and quotes escaped
+      const text = url.attribute
+        ? replacement.newURL.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/'/g, '&#39;')
+        : replacement.newURL;
+      edits.push({ ...span, url, replacement, text });
+    });
+
+    // Detect overlapping edits (the same span fixed twice the same way is applied once)
+    edits.sort((a, b) => a.start - b.start || a.end - b.end);
+    const accepted = [];
+
+    edits.forEach(edit => {
+      const previous = accepted[accepted.length - 1];
+      if (previous && edit.start < previous.end) {
+        if (edit.start === previous.start && edit.end === previous.end && edit.replacement.newURL === previous.replacement.newURL) {
+          return;
         }
+        unapplied.push({
+          ...edit.replacement,
+          urlId: edit.url.id,
+          reason: `Overlaps the fix for ${previous.replacement.originalURL} (line ${previous.replacement.line})`
+        });
+        return;
       }
+      accepted.push(edit);
     });
 
+    // Apply edits from the end of the document so earlier offsets stay valid
+    let fixedContent = content;
+    for (let i = accepted.length - 1; i >= 0; i--) {
+      const { start, end, text } = accepted[i];
+      fixedContent = fixedContent.slice(0, start) + text + fixedContent.slice(end);
+    }
+    accepted.forEach(edit => replacements.push(edit.replacement));
+
+    if (unapplied.length > 0) {
+      this.logger.warn(`${unapplied.length} fixes could not be applied`, unapplied);
+    }
+
     return {
       ...this.currentDocument,
-      content,
+      content: fixedContent,
       replacements,
+      unapplied,
       fixedAt: new Date().toISOString(),
       stats: this.processingStats
     };
   }
 
+  /**
+   * Generate a unified diff of all fixes against the original content (applies with `git apply`)
+   * Only available for text documents; binary formats are fixed inside their own packages
+   */
+  generatePatch() {
+    const fixedDocument = this.generateFixedDocument();
+
+    if (['docx', 'pdf'].includes(fixedDocument.fileType)) {
+      throw new Error('Patches are only available for text documents');
+    }
+
+    const path = this.getPatchPath(fixedDocument.fileName);
+    const diff = this.unifiedDiff.create(this.currentDocument.content, fixedDocument.content, {
+      path,
+      replacements: fixedDocument.replacements
+    });
+
+    return {
+      ...diff,
+      path,
+      fileName: fixedDocument.fileName,
+      replacements: fixedDocument.replacements,
+      unapplied: fixedDocument.unapplied
+    };
+  }
+
+  /**
+   * Get the path used in patch headers (the last path segment for documents scanned from a URL)
+   */
+  getPatchPath(fileName) {
+    if (/^https?:\/\//i.test(fileName)) {
+      try {
+        const segments = new URL(fileName).pathname.split('/').filter(Boolean);
+        return segments.length > 0 ? segments[segments.length - 1] : 'index.html';
+      } catch {
+        return 'index.html';
+      }
+    }
+    return fileName.replace(/\\/g, '/').replace(/^\/+/, '');
+  }
+
+  /**
+   * Locate the exact span of a URL in the document content
+   * Uses the recorded start/end offsets, falling back to line and column for entries without them
+   * Entries whose source text differs from the URL (entity-encoded attributes) are matched by sourceText
+   */
+  locateURL(content, url) {
+    const sourceText = url.sourceText || url.originalURL;
+    const length = sourceText.length;
+
+    if (Number.isInteger(url.start) && content.slice(url.start, url.start + length) === sourceText) {
+      return { start: url.start, end: url.start + length };
+    }
+
+    if (!Number.isInteger(url.line) || url.line < 1) {
+      return null;
+    }
+
+    // Find the start of the line, then the occurrence nearest to the recorded column
+    let lineStart = 0;
+    for (let line = 1; line < url.line; line++) {
+      lineStart = content.indexOf('\n', lineStart) + 1;
+      if (lineStart === 0) {
+        return null;
+      }
+    }
+    const lineEnd = content.indexOf('\n', lineStart) === -1 ? content.length : content.indexOf('\n', lineStart);
+    const lineText = content.slice(lineStart, lineEnd);
+    const column = Number.isInteger(url.column) ? url.column : 0;
+
+    let best = -1;
+    for (let index = lineText.indexOf(sourceText); index !== -1; index = lineText.indexOf(sourceText, index + 1)) {
+      if (best === -1 || Math.abs(index - column) < Math.abs(best - column)) {
+        best = index;
+      }
+    }
+
+    return best === -1 ? null : { start: lineStart + best, end: lineStart + best + length };
+  }
+
+  /**
+   * Get the replacement for a URL in the style it was written in (relative links stay relative)
+   */
+  getWrittenReplacement(url) {
+    const replacementUrl = url.newURL || url.replacementURL;
+    if (!url.baseURL) {
+      return replacementUrl;
+    }
+    return this.urlResolver.toOriginalStyle(replacementUrl, url.originalURL, url.baseURL);
+  }
+
   /**
    * Save processing history
    */
@@ -300,16 +435,33 @@ export class DocumentModel {
         processingState: this.processingState,
         urls: this.urls.map(url => ({
           originalURL: url.originalURL,
+          resolvedURL: url.resolvedURL,
           newURL: url.newURL,
+          replacementSource: url.replacementSource,
           status: url.status,
           statusCode: url.statusCode,
           type: url.type,
           line: url.line,
-          column: url.column
+          column: url.column,
+          page: url.page
         }))
       };
 
-      await this.storageService.storeProcessingHistory(historyRecord);
+      // One record per document run, updated as replacements are accepted; saves made while the record is
+      // still being added wait for its id
+      if (this.historyRecordId) {
+        const id = await this.historyRecordId;
+        await this.storageService.updateProcessingHistory({ ...historyRecord, id });
+      } else {
+        const added = this.storageService.storeProcessingHistory(historyRecord);
+        this.historyRecordId = added;
+        added.catch(() => {
+          if (this.historyRecordId === added) {
+            this.historyRecordId = null;
+          }
+        });
+        await added;
+      }
       this.logger.info('Processing history saved');
       
     } catch (error) {
@@ -325,6 +477,7 @@ export class DocumentModel {
     this.urls = [];
     this.processingState = 'idle';
     this.processingProgress = 0;
+    this.historyRecordId = null;
     this.processingStats = {
       total: 0,
       processed: 0,
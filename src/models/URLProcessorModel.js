@@ -6,28 +6,44 @@
 'use strict';
 
 import { Logger } from '../utils/Logger.js';
+import { RequestScheduler } from '../utils/RequestScheduler.js';
+
+// Statuses of broken links, also once a replacement was found or entered (until it is applied);
+// processing stats, workspace and crawl reports and CLI exit codes all count these
+export const BROKEN_STATUSES = ['invalid', 'soft-404', 'missing-local', 'domain-unreachable', 'error', 'replacement-found', 'replacement-invalid'];
+
+// Links that exist but are behind bot protection, a login or a paywall
+const RESTRICTED_STATUSES = ['protected', 'auth-required', 'paywalled'];
 
 export class URLProcessorModel {
-  constructor(validationService, searchService, storageService) {
+  constructor(validationService, searchService, storageService, soft404Service = null, rewriteRuleService = null, accessClassifier = null) {
     this.logger = new Logger('URLProcessorModel');
     this.validationService = validationService;
     this.searchService = searchService;
     this.storageService = storageService;
+    this.soft404Service = soft404Service;
+    this.rewriteRuleService = rewriteRuleService;
+    this.accessClassifier = accessClassifier;
+
+    // Per-host politeness is shared with the validation service, so its Retry-After pauses apply here too
+    this.scheduler = validationService?.scheduler || new RequestScheduler();
     
     // Processing state
     this.isProcessing = false;
-    this.currentBatch = null;
     this.abortController = null;
     
     // Configuration
     this.config = {
-      batchSize: 5,
+      concurrency: 5, // links processed at once; each host also has its own cap and delay
       maxRetries: 2,
       timeout: 10000,
       searchTimeout: 15000,
       useCache: true,
       strictDomainSearch: true,
       autoFix: false,
+      soft404Detection: true,
+      accessDetection: true, // tell bot challenges, login walls and paywalls from broken links
+      searchRestricted: false, // search replacements for protected, auth-required and paywalled links too
 
       // Enhanced search configuration
       enhancedSearch: {
@@ -86,8 +102,8 @@ export class URLProcessorModel {
     const {
       onProgress = null,
       onURLProcessed = null,
-      onBatchComplete = null,
-      signal = null
+      signal = null,
+      documentDate = null
     } = options;
 
     try {
@@ -100,50 +116,33 @@ export class URLProcessorModel {
       this.logger.info(`Starting URL processing for ${urls.length} URLs`);
       this.emit('processingStarted', { totalUrls: urls.length });
 
-      const results = [];
-      const batches = this.createBatches(urls, this.config.batchSize);
+      // Every link is queued at once; the scheduler starts them as the global, per-host and group limits allow
+      const group = this.scheduler.createGroup(this.config.concurrency);
       let processedCount = 0;
 
-      for (let batchIndex = 0; batchIndex < batches.length; batchIndex++) {
-        if (combinedSignal.aborted) {
-          throw new Error('Processing was aborted');
+      const results = await Promise.all(urls.map(async (url) => {
+        const result = await this.scheduleURL(url, { signal: combinedSignal, documentDate, group });
+        if (!result) {
+          return null; // aborted before it started
         }
 
-        const batch = batches[batchIndex];
-        this.currentBatch = { index: batchIndex, urls: batch };
-        
-        this.logger.debug(`Processing batch ${batchIndex + 1}/${batches.length} (${batch.length} URLs)`);
-        
-        const batchResults = await this.processBatch(batch, {
-          signal: combinedSignal,
-          onURLProcessed: (result) => {
-            processedCount++;
-            const progress = Math.round((processedCount / urls.length) * 100);
-            
-            if (onProgress) {
-              onProgress(processedCount, urls.length, progress, result);
-            }
-            
-            if (onURLProcessed) {
-              onURLProcessed(result);
-            }
-            
-            this.emit('urlProcessed', { result, progress, processedCount, totalUrls: urls.length });
-          }
-        });
+        processedCount++;
+        const progress = Math.round((processedCount / urls.length) * 100);
 
-        results.push(...batchResults);
-        
-        if (onBatchComplete) {
-          onBatchComplete(batchIndex + 1, batches.length, batchResults);
+        if (onProgress) {
+          onProgress(processedCount, urls.length, progress, result);
         }
-        
-        this.emit('batchComplete', {
-          batchIndex: batchIndex + 1,
-          totalBatches: batches.length,
-          batchResults,
-          overallProgress: Math.round((processedCount / urls.length) * 100)
-        });
+
+        if (onURLProcessed) {
+          onURLProcessed(result);
+        }
+
+        this.emit('urlProcessed', { result, progress, processedCount, totalUrls: urls.length });
+        return result;
+      }));
+
+      if (combinedSignal.aborted) {
+        throw new Error('Processing was aborted');
       }
 
       this.logger.info(`URL processing completed. Processed ${results.length} URLs`);
@@ -158,57 +157,75 @@ export class URLProcessorModel {
       
     } finally {
       this.isProcessing = false;
-      this.currentBatch = null;
       this.abortController = null;
     }
   }
 
   /**
-   * Process a batch of URLs
+   * Process one URL when the scheduler lets a request to its host start
+   * Links that need no request (local files, unresolvable relative links) run straight away
+   * Returns null when the signal aborted before the URL was processed
    */
-  async processBatch(urls, options = {}) {
-    const { signal, onURLProcessed } = options;
-    
-    const batchPromises = urls.map(async (url) => {
-      try {
-        const result = await this.processURL(url, { signal });
-        
-        if (onURLProcessed) {
-          onURLProcessed(result);
-        }
-        
-        return result;
-        
-      } catch (error) {
-        const errorResult = {
-          ...url,
-          status: 'error',
-          error: error.message,
-          processedAt: new Date().toISOString()
-        };
-        
-        if (onURLProcessed) {
-          onURLProcessed(errorResult);
-        }
-        
-        return errorResult;
+  async scheduleURL(url, options = {}) {
+    const { signal, documentDate, group } = options;
+    const isLocal = url.fileName && this.validationService.isLocalLink?.(url.originalURL);
+    const target = url.resolvedURL === null || isLocal ? null : url.resolvedURL || url.originalURL;
+
+    try {
+      if (!target) {
+        return await this.processURL(url, { signal, documentDate });
       }
-    });
 
-    return Promise.all(batchPromises);
+      return await this.scheduler.schedule(target, () => this.processURL(url, { signal, documentDate }), {
+        signal,
+        group,
+        getRetryAfter: (result) => result.retryAfter ?? null
+      });
+
+    } catch (error) {
+      if (signal?.aborted) {
+        return null;
+      }
+
+      return {
+        ...url,
+        status: 'error',
+        error: error.message,
+        processedAt: new Date().toISOString()
+      };
+    }
   }
 
   /**
    * Process a single URL
    */
   async processURL(url, options = {}) {
-    const { signal } = options;
+    const { signal, documentDate = null } = options;
     
     try {
-      this.logger.debug(`Processing URL: ${url.originalURL}`);
+      // Relative links in an uploaded folder or archive are checked against its files
+      if (url.fileName && this.validationService.isLocalLink?.(url.originalURL)) {
+        return this.processLocalURL(url);
+      }
+
+      // Relative links are checked through their resolved form
+      if (url.resolvedURL === null) {
+        return {
+          ...url,
+          status: 'error',
+          statusCode: 0,
+          httpStatus: 0,
+          error: 'Relative URL could not be resolved. Set a document base URL to check it.',
+          processedAt: new Date().toISOString(),
+          searchAttempted: false
+        };
+      }
+
+      const targetURL = url.resolvedURL || url.originalURL;
+      this.logger.debug(`Processing URL: ${targetURL}`);
       
       // Step 1: Validate the URL
-      const validationResult = await this.validationService.validateURL(url.originalURL, {
+      const validationResult = await this.validationService.validateURL(targetURL, {
         timeout: this.config.timeout,
         useCache: this.config.useCache,
         signal
@@ -226,19 +243,88 @@ export class URLProcessorModel {
         searchAttempted: false // Initialize search tracking
       };
 
-      // Step 2: If URL is broken (404 or 403), try to find a replacement
-      const shouldSearchForReplacement = processedUrl.status === 'invalid' &&
-        ((validationResult.status === 404 && this.config.enhancedSearch.enableFor404) ||
-         (validationResult.status === 403 && this.config.enhancedSearch.enableFor403));
+      // Rate-limited (429/503 with Retry-After): the scheduler retries once the host is ready again
+      if (validationResult.retryAfter != null) {
+        processedUrl.retryAfter = validationResult.retryAfter;
+      }
+
+      // Links on a domain the circuit breaker gave up on are reported together, without a search
+      if (validationResult.domainUnreachable) {
+        processedUrl.status = 'domain-unreachable';
+        processedUrl.failureType = validationResult.failureType;
+        processedUrl.error = validationResult.statusText;
+      }
 
-      if (shouldSearchForReplacement) {
-        processedUrl.searchAttempted = true;
+      // Bot challenges, login walls and paywalls look like broken links (or login redirects) to a HEAD request
+      if (this.config.accessDetection && this.accessClassifier && !validationResult.domainUnreachable && validationResult.retryAfter == null) {
+        const access = await this.accessClassifier.classify(targetURL, validationResult);
+        if (access) {
+          processedUrl.status = access.status;
+          processedUrl.accessSignals = access.signals;
+        }
+      }
+
+      // Pages that answer 2xx may still be "not found" templates
+      // (not checked for links with credentials: the page content is fetched without them)
+      if (this.config.soft404Detection && this.soft404Service && processedUrl.status === 'valid' &&
+          this.validationService.isSuccessStatus(validationResult.status) && !this.validationService.getCredentials?.(targetURL)) {
+        const soft404 = await this.soft404Service.detect(targetURL, {
+          finalURL: validationResult.finalURL || targetURL
+        });
+
+        if (soft404?.isSoft404) {
+          processedUrl.status = 'soft-404';
+          processedUrl.soft404Score = soft404.score;
+          processedUrl.soft404Signals = soft404.signals;
+        }
+      }
+
+      // Redirected URLs keep their chain; permanent moves offer the final URL without a search
+      const redirectType = this.validationService.getRedirectType(validationResult.redirectChain);
+      if (redirectType) {
+        processedUrl.redirectChain = validationResult.redirectChain;
+        processedUrl.finalURL = validationResult.finalURL;
+        processedUrl.originalStatusCode = validationResult.redirectChain[0].status;
+
+        if (processedUrl.status === 'valid' && redirectType === 'permanent') {
+          processedUrl.status = 'moved';
+          processedUrl.replacementFound = true;
+          processedUrl.replacementURL = validationResult.finalURL;
+          processedUrl.replacementSource = 'redirect';
+          processedUrl.replacementConfidence = 1;
+          processedUrl.validated = true;
+          processedUrl.replacementValidated = true;
+
+          if (this.config.autoFix) {
+            processedUrl.newURL = validationResult.finalURL;
+          }
+        } else if (processedUrl.status === 'valid') {
+          // Temporary redirects are reported but never applied
+          processedUrl.status = 'redirect';
+        }
+      }
+
+      // Step 2: If URL is broken (404, soft 404 or 403), try to find a replacement
+      // Rewrite rules apply to any broken URL (a moved domain is the classic case), searches only to the
+      // statuses enabled for them and never to unreachable domains
+      const brokenStatus = processedUrl.status === 'soft-404' ? 404 : validationResult.status;
+      const isBroken = BROKEN_STATUSES.includes(processedUrl.status) ||
+        (this.config.searchRestricted && RESTRICTED_STATUSES.includes(processedUrl.status));
+      const shouldSearchForReplacement = isBroken && processedUrl.status !== 'domain-unreachable' &&
+        ((brokenStatus === 404 && this.config.enhancedSearch.enableFor404) ||
+         (brokenStatus === 403 && this.config.enhancedSearch.enableFor403));
+      const hasRewriteRule = isBroken && this.rewriteRuleService?.apply(targetURL).length > 0;
+
+      if (shouldSearchForReplacement || hasRewriteRule) {
+        processedUrl.searchAttempted = shouldSearchForReplacement;
 
         try {
-          this.logger.info(`Attempting to find replacement for ${validationResult.status} error: ${url.originalURL}`);
-          const replacement = await this.findReplacement(url.originalURL, {
+          this.logger.info(`Attempting to find replacement for ${brokenStatus} error: ${url.originalURL}`);
+          const replacement = await this.findReplacement(targetURL, {
             signal,
-            statusCode: validationResult.status
+            statusCode: brokenStatus,
+            documentDate,
+            search: shouldSearchForReplacement
           });
 
           if (replacement) {
@@ -248,7 +334,13 @@ export class URLProcessorModel {
             processedUrl.replacementSource = replacement.source;
             processedUrl.replacementConfidence = replacement.confidence;
             processedUrl.searchQuery = replacement.searchQuery;
-            processedUrl.originalStatusCode = validationResult.status;
+            if (replacement.archivedAt) {
+              processedUrl.archivedAt = replacement.archivedAt;
+            }
+            if (replacement.rewriteRule) {
+              processedUrl.rewriteRule = replacement.rewriteRule;
+            }
+            processedUrl.originalStatusCode = brokenStatus;
             processedUrl.validated = replacement.validated;
             processedUrl.replacementValidated = replacement.validated;
 
@@ -263,13 +355,13 @@ export class URLProcessorModel {
               processedUrl.newURL = replacement.replacementURL;
             }
 
-            this.logger.info(`Replacement found for ${validationResult.status} error ${url.originalURL}: ${replacement.replacementURL}${replacement.alternatives ? ` (${replacement.alternatives.length} alternatives available)` : ''}`);
+            this.logger.info(`Replacement found for ${brokenStatus} error ${url.originalURL}: ${replacement.replacementURL}${replacement.alternatives ? ` (${replacement.alternatives.length} alternatives available)` : ''}`);
           } else {
-            this.logger.warn(`No replacement found for ${validationResult.status} error: ${url.originalURL}`);
+            this.logger.warn(`No replacement found for ${brokenStatus} error: ${url.originalURL}`);
           }
 
         } catch (searchError) {
-          this.logger.warn(`Failed to find replacement for ${validationResult.status} error ${url.originalURL}`, searchError);
+          this.logger.warn(`Failed to find replacement for ${brokenStatus} error ${url.originalURL}`, searchError);
           processedUrl.searchError = searchError.message;
         }
       }
@@ -291,17 +383,93 @@ export class URLProcessorModel {
     }
   }
 
+  /**
+   * Check a relative link against the uploaded files
+   * Missing files get the 'missing-local' status, with files of the same or a similar name as suggestions
+   */
+  processLocalURL(url) {
+    const validationResult = this.validationService.validateLocalURL(url.originalURL, url.fileName);
+    const found = validationResult.status === 200;
+
+    const processedUrl = {
+      ...url,
+      status: found ? 'valid' : 'missing-local',
+      statusCode: validationResult.status,
+      httpStatus: validationResult.status,
+      responseTime: 0,
+      lastChecked: validationResult.timestamp,
+      fromCache: false,
+      localPath: validationResult.localPath,
+      processedAt: new Date().toISOString(),
+      searchAttempted: false
+    };
+
+    const [best] = validationResult.suggestions;
+    if (best) {
+      processedUrl.replacementFound = true;
+      processedUrl.replacementURL = best.url;
+      processedUrl.replacementSource = 'local';
+      processedUrl.replacementConfidence = best.score;
+      processedUrl.validated = true;
+      processedUrl.replacementValidated = true;
+      processedUrl.alternatives = validationResult.suggestions.map(suggestion => ({
+        replacementURL: suggestion.url,
+        confidence: suggestion.score,
+        source: 'local'
+      }));
+      processedUrl.totalAlternatives = processedUrl.alternatives.length;
+      processedUrl.currentAlternativeIndex = 0;
+
+      if (this.config.autoFix) {
+        processedUrl.status = 'fixed';
+        processedUrl.newURL = best.url;
+      }
+    }
+
+    return processedUrl;
+  }
+
+  /**
+   * Validate a relative replacement against the uploaded files, in the shape validateReplacementURL returns
+   */
+  validateLocalReplacementURL(url, replacementURL) {
+    const validationResult = this.validationService.validateLocalURL(replacementURL, url.fileName);
+
+    return {
+      originalURL: url.originalURL,
+      replacementURL,
+      httpValidation: {
+        status: validationResult.status,
+        statusText: validationResult.statusText,
+        responseTime: 0,
+        headers: {},
+        timestamp: validationResult.timestamp,
+        isValid: validationResult.status === 200
+      },
+      keywordValidation: null,
+      overallValid: validationResult.status === 200,
+      validatedAt: new Date().toISOString()
+    };
+  }
+
   /**
    * Find replacement URL for a broken link
    */
   async findReplacement(originalURL, options = {}) {
-    const { signal, statusCode } = options;
+    const { signal, statusCode, documentDate = null, search = true } = options;
 
     try {
+      // Known migrations first: a rewrite rule whose result validates needs no search
+      const ruleReplacement = await this.findRuleReplacement(originalURL, { signal });
+      if (ruleReplacement || !search) {
+        return ruleReplacement;
+      }
+
       const replacement = await this.searchService.findReplacementURL(originalURL, {
         timeout: this.config.searchTimeout,
         strictDomain: this.config.strictDomainSearch,
         statusCode,
+        documentDate,
         signal
       });
 
@@ -374,6 +542,41 @@ export class URLProcessorModel {
     }
   }
 
+  /**
+   * Rewrite a URL with the user's rules and return the first candidate that validates
+   */
+  async findRuleReplacement(originalURL, options = {}) {
+    const { signal } = options;
+    if (!this.rewriteRuleService) {
+      return null;
+    }
+
+    for (const candidate of this.rewriteRuleService.apply(originalURL)) {
+      const validationResult = await this.validationService.validateURL(candidate.url, {
+        timeout: this.config.timeout,
+        useCache: this.config.useCache,
+        signal
+      });
+
+      if (this.validationService.isSuccessStatus(validationResult.status)) {
+        this.logger.info(`Rewrite rule "${candidate.rule.name}" fixed ${originalURL}: ${candidate.url}`);
+        return {
+          replacementURL: candidate.url,
+          source: 'rewrite-rule',
+          confidence: 0.95,
+          rewriteRule: { id: candidate.rule.id, name: candidate.rule.name },
+          validated: true,
+          validationStatus: validationResult.status,
+          validationTime: validationResult.responseTime
+        };
+      }
+
+      this.logger.debug(`Rewrite rule "${candidate.rule.name}" candidate did not validate: ${candidate.url} (${validationResult.status})`);
+    }
+
+    return null;
+  }
+
   /**
    * Validate a replacement URL after it has been selected
    * This includes HTTP validation and keyword scraping validation
@@ -531,17 +734,6 @@ export class URLProcessorModel {
     }
   }
 
-  /**
-   * Create batches for processing
-   */
-  createBatches(items, batchSize) {
-    const batches = [];
-    for (let i = 0; i < items.length; i += batchSize) {
-      batches.push(items.slice(i, i + batchSize));
-    }
-    return batches;
-  }
-
   /**
    * Combine multiple abort signals
    */
@@ -568,6 +760,11 @@ export class URLProcessorModel {
       valid: 0,
       invalid: 0,
       redirects: 0,
+      moved: 0,
+      soft404: 0,
+      missingLocal: 0,
+      domainUnreachable: 0,
+      restricted: 0,
       errors: 0,
       replacementFound: 0,
       fixed: 0,
@@ -589,6 +786,23 @@ export class URLProcessorModel {
         case 'redirect':
           stats.redirects++;
           break;
+        case 'moved':
+          stats.moved++;
+          break;
+        case 'soft-404':
+          stats.soft404++;
+          break;
+        case 'missing-local':
+          stats.missingLocal++;
+          break;
+        case 'domain-unreachable':
+          stats.domainUnreachable++;
+          break;
+        case 'protected':
+        case 'auth-required':
+        case 'paywalled':
+          stats.restricted++;
+          break;
         case 'error':
           stats.errors++;
           break;
@@ -650,7 +864,7 @@ export class URLProcessorModel {
   getStatus() {
     return {
       isProcessing: this.isProcessing,
-      currentBatch: this.currentBatch,
+      requests: this.scheduler.getStatus(),
       config: this.config
     };
   }
@@ -668,7 +882,7 @@ export class URLProcessorModel {
   getStats() {
     return {
       isProcessing: this.isProcessing,
-      currentBatch: this.currentBatch,
+      requests: this.scheduler.getStatus(),
       config: { ...this.config },
       listeners: this.listeners.size,
       searchServiceStats: this.searchService ? this.searchService.getSearchStats() : null
@@ -0,0 +1,314 @@
+/**
+ * WorkspaceModel - Holds several parsed documents and checks their links together
+ * The URL table gets one entry per distinct URL; fixes made to it are applied to every occurrence on download
+ */
+
+'use strict';
+
+import { Logger } from '../utils/Logger.js';
+import { URLResolver } from '../utils/URLResolver.js';
+import { LocalFileTree } from '../utils/LocalFileTree.js';
+import { DocumentModel } from './DocumentModel.js';
+import { BROKEN_STATUSES } from './URLProcessorModel.js';
+
+// Fields of a table entry that say where a URL was found; everything else is a check result
+const LOCATION_FIELDS = [
+  'id', 'key', 'occurrences', 'documentId', 'originalURL', 'resolvedURL', 'baseURL', 'line', 'column', 'start', 'end',
+  'sourceText', 'type', 'element', 'attribute', 'linkText', 'fileName', 'fileType', 'extractedAt', 'part', 'partOffset',
+  'relationshipId', 'page', 'position', 'referenceLabel', 'referenceCount'
+];
+
+export class WorkspaceModel {
+  constructor() {
+    this.logger = new Logger('WorkspaceModel');
+    this.urlResolver = new URLResolver();
+    this.documents = [];
+    this.files = []; // { path, data } of files from archives that are not documents, zipped back unchanged
+    this.fileTree = false; // documents came from a folder or archive, so relative links are checked against its files
+  }
+
+  /**
+   * Add a parsed document; a document with the same file name is replaced
+   */
+  addDocument(documentData) {
+    const index = this.documents.findIndex(document => document.fileName === documentData.fileName);
+    if (index === -1) {
+      this.documents.push(documentData);
+    } else {
+      this.documents[index] = documentData;
+    }
+    this.logger.info(`Workspace has ${this.documents.length} documents`);
+  }
+
+  /**
+   * Add a file that is carried through to the fixed ZIP unchanged (e.g. images in an exported site)
+   */
+  addFile(path, data) {
+    this.files = this.files.filter(file => file.path !== path).concat({ path, data });
+  }
+
+  /**
+   * Remove a document by file name
+   */
+  removeDocument(fileName) {
+    this.documents = this.documents.filter(document => document.fileName !== fileName);
+  }
+
+  /**
+   * Check whether the workspace holds any documents
+   */
+  hasDocuments() {
+    return this.documents.length > 0;
+  }
+
+  /**
+   * Remove all documents
+   */
+  clear() {
+    this.documents = [];
+    this.files = [];
+    this.fileTree = false;
+  }
+
+  /**
+   * Take the documents back from a restored workspace document
+   */
+  restore(workspaceDocument) {
+    this.documents = workspaceDocument?.documents || [];
+    this.files = [];
+    this.fileTree = Boolean(workspaceDocument?.fileTree);
+  }
+
+  /**
+   * Get the uploaded file set relative links are checked against (null unless the documents came from a folder or archive)
+   */
+  getLocalFiles() {
+    if (!this.fileTree) {
+      return null;
+    }
+    return new LocalFileTree([...this.documents.map(document => document.fileName), ...this.files.map(file => file.path)]);
+  }
+
+  /**
+   * Get the key URLs are de-duplicated by (links that could not be resolved stay separate)
+   * Relative links into the uploaded files are keyed by the file they point to
+   */
+  getKey(fileName, entry, localFiles = null) {
+    const target = localFiles?.resolve(entry.originalURL, fileName);
+    if (target) {
+      return `local:${target.path}`;
+    }
+    return entry.resolvedURL ?? `unresolved:${fileName}:${entry.id}`;
+  }
+
+  /**
+   * Build the document shown in the URL table: one entry per distinct URL with the places it occurs
+   * Check results of previousUrls are kept, so adding a document does not re-check known URLs
+   */
+  toDocument(previousUrls = []) {
+    const previous = new Map(previousUrls.map(url => [url.key, url]));
+    const links = new Map();
+    const localFiles = this.getLocalFiles();
+
+    this.documents.forEach(document => {
+      document.urls.forEach(entry => {
+        const key = this.getKey(document.fileName, entry, localFiles);
+        const occurrence = { document: document.fileName, urlId: entry.id, line: entry.line, column: entry.column, page: entry.page };
+
+        const link = links.get(key);
+        if (link) {
+          link.occurrences.push(occurrence);
+          return;
+        }
+
+        const known = previous.get(key);
+        const results = known ? Object.fromEntries(Object.entries(known).filter(([field]) => !LOCATION_FIELDS.includes(field))) : {};
+        links.set(key, {
+          ...entry,
+          ...results,
+          id: `workspace-${links.size}`,
+          key,
+          occurrences: [occurrence]
+        });
+      });
+    });
+
+    const dates = this.documents.map(document => document.documentDate).filter(Boolean).sort();
+
+    return {
+      fileName: `Workspace (${this.documents.length} documents)`,
+      fileType: 'workspace',
+      fileSize: this.documents.reduce((total, document) => total + (document.fileSize || 0), 0),
+      content: '',
+      urls: [...links.values()],
+      baseURL: null,
+      documentDate: dates[0] || null, // archive lookups aim for the oldest document
+      timestamp: new Date().toISOString(),
+      documents: this.documents,
+      fileTree: this.fileTree
+    };
+  }
+
+  /**
+   * Get per-document and aggregate stats for the table entries
+   */
+  getStats(urls) {
+    const isFixed = (url) => Boolean(url?.newURL) || url?.status === 'fixed';
+    const isBroken = (url) => BROKEN_STATUSES.includes(url?.status) && !isFixed(url);
+    const byOccurrence = new Map();
+    urls.forEach(url => {
+      url.occurrences?.forEach(occurrence => byOccurrence.set(`${occurrence.document}\n${occurrence.urlId}`, url));
+    });
+
+    const documents = this.documents.map(document => {
+      const entries = document.urls.map(entry => byOccurrence.get(`${document.fileName}\n${entry.id}`));
+      return {
+        fileName: document.fileName,
+        fileType: document.fileType,
+        links: entries.length,
+        checked: entries.filter(url => url?.status && url.status !== 'pending').length,
+        broken: entries.filter(isBroken).length,
+        fixed: entries.filter(isFixed).length
+      };
+    });
+
+    const links = documents.reduce((total, document) => total + document.links, 0);
+    return {
+      documents,
+      total: {
+        documents: documents.length,
+        links,
+        uniqueLinks: urls.length,
+        duplicates: links - urls.length,
+        checked: urls.filter(url => url.status && url.status !== 'pending').length,
+        broken: urls.filter(isBroken).length,
+        fixed: urls.filter(isFixed).length
+      }
+    };
+  }
+
+  /**
+   * Apply the table's fixes to every document
+   * Returns [{ document, fixedDocument }]; PDF and DOC documents cannot be written and are left out
+   */
+  generateFixedDocuments(urls) {
+    const fixes = new Map();
+    const localFiles = this.getLocalFiles();
+    urls.forEach(url => {
+      const fix = this.getFix(url, localFiles);
+      if (fix) {
+        url.occurrences.forEach(occurrence => fixes.set(`${occurrence.document}\n${occurrence.urlId}`, fix));
+      }
+    });
+
+    return this.documents
+      .filter(document => !['pdf', 'doc'].includes(document.fileType))
+      .map(document => {
+        const model = new DocumentModel(null);
+        model.currentDocument = document;
+        model.urls = document.urls.map(entry => ({
+          ...entry,
+          newURL: null,
+          replacementURL: null,
+          ...this.writeFix(fixes.get(`${document.fileName}\n${entry.id}`), document.fileName, entry, localFiles)
+        }));
+        return { document, fixedDocument: model.generateFixedDocument() };
+      });
+  }
+
+  /**
+   * Get the fix for a table entry as absolute URLs, so each occurrence can be written in its own style
+   * Fixes pointing into the uploaded files are kept as a file path instead
+   */
+  getFix(url, localFiles = null) {
+    const target = url.newURL || url.replacementURL;
+    if (!target || target === url.originalURL) {
+      return null;
+    }
+
+    const local = url.fileName ? localFiles?.resolve(target, url.fileName) : null;
+    if (local) {
+      return {
+        localPath: localFiles.find(local.path) || local.path,
+        field: url.newURL ? 'newURL' : 'replacementURL',
+        replacementSource: url.replacementSource
+      };
+    }
+
+    const absolute = url.baseURL ? this.urlResolver.resolve(target, url.baseURL) || target : target;
+    return url.newURL
+      ? { newURL: absolute }
+      : { replacementURL: absolute, replacementSource: url.replacementSource };
+  }
+
+  /**
+   * Write a fix for one occurrence; fixes to uploaded files become a link relative to the occurrence's document,
+   * keeping the occurrence's own #fragment
+   */
+  writeFix(fix, fileName, entry, localFiles) {
+    if (!fix?.localPath) {
+      return fix;
+    }
+
+    const fragment = localFiles.resolve(entry.originalURL, fileName)?.fragment || '';
+    const link = `${localFiles.relative(fileName, fix.localPath)}${fragment}`;
+    return fix.field === 'newURL'
+      ? { newURL: link, baseURL: null }
+      : { replacementURL: link, replacementSource: fix.replacementSource, baseURL: null };
+  }
+
+  /**
+   * Build a ZIP of the fixed documents with JSZip, along with the files carried through from uploaded archives
+   * (PDF and DOC documents from archives among them, unchanged); documents without bytes to write are skipped
+   * writeDocx(archive, replacements) produces { data, unapplied } for fixed DOCX documents
+   */
+  async generateZip(urls, writeDocx) {
+    const { default: JSZip } = await import('jszip');
+    const zip = new JSZip();
+    const paths = new Set();
+    const unapplied = [];
+    const skipped = this.documents
+      .filter(document => ['pdf', 'doc'].includes(document.fileType) && !this.files.some(file => file.path === document.fileName))
+      .map(document => document.fileName);
+    let replacements = 0;
+
+    for (const { document, fixedDocument } of this.generateFixedDocuments(urls)) {
+      let data = fixedDocument.content;
+      let documentUnapplied = fixedDocument.unapplied;
+      if (document.fileType === 'docx') {
+        if (!document.archive) {
+          skipped.push(document.fileName);
+          continue;
+        }
+        const written = await writeDocx(document.archive, fixedDocument.replacements);
+        data = written.data;
+        documentUnapplied = [...documentUnapplied, ...written.unapplied];
+        replacements -= written.unapplied.length;
+      }
+
+      zip.file(this.getZipPath(document.fileName, paths), data);
+      replacements += fixedDocument.replacements.length;
+      unapplied.push(...documentUnapplied.map(fix => ({ ...fix, document: document.fileName })));
+    }
+
+    const documents = paths.size;
+    this.files.forEach(file => zip.file(this.getZipPath(file.path, paths), file.data));
+
+    const data = await zip.generateAsync({ type: 'uint8array', compression: 'DEFLATE' });
+    this.logger.info(`Built ZIP with ${documents} documents, ${this.files.length} other files and ${replacements} fixes`);
+    return { data, files: paths.size, documents, replacements, unapplied, skipped };
+  }
+
+  /**
+   * Get a unique path inside the ZIP for a document (the last path segment for documents scanned from a URL)
+   */
+  getZipPath(fileName, paths) {
+    const path = new DocumentModel(null).getPatchPath(fileName) || 'document';
+    let candidate = path;
+    for (let count = 2; paths.has(candidate); count++) {
+      candidate = path.replace(/(\.[^./]+)?$/, `-${count}$1`);
+    }
+    paths.add(candidate);
+    return candidate;
+  }
+}
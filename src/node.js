@@ -0,0 +1,9 @@
+/**
+ * URL Fixer library entry point for Node
+ */
+
+'use strict';
+
+export * from './index.js';
+export { NodeAdapters } from './adapters/NodeAdapters.js';
+export { NodeFileReader } from './adapters/NodeFileReader.js';
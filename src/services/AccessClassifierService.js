@@ -0,0 +1,170 @@
+/**
+ * AccessClassifierService - Tell bot challenges, login walls and paywalls apart from broken links
+ * Uses the response headers first, then asks the headless proxy what a browser sees on the page
+ */
+
+'use strict';
+
+import { Logger } from '../utils/Logger.js';
+
+// Statuses bot protection, login walls and paywalls answer HEAD requests with
+const BLOCKED_STATUSES = [401, 402, 403, 429, 503, 999];
+
+// Server headers of CDNs and bot-protection services
+const PROTECTION_SERVERS = /cloudflare|akamai|incapsula|imperva|sucuri|ddos-guard|datadome|perimeterx/i;
+
+// Interstitial pages shown instead of the content while a browser is checked
+const CHALLENGE_PATTERNS = [
+  /\bjust a moment\b/i,
+  /\battention required\b/i,
+  /\bverify(?:ing)? (?:that )?you are (?:a )?human\b/i,
+  /\bare you a robot\b/i,
+  /\bpardon our interruption\b/i,
+  /\bchecking (?:if the site connection is secure|your browser)\b/i,
+  /\benable javascript and cookies to continue\b/i,
+  /\bcloudflare ray id\b/i,
+  /\bincapsula incident id\b/i,
+  /\baccess denied\b[\s\S]{0,200}\breference #\d/i // Akamai
+];
+
+const LOGIN_PATTERNS = [
+  /\b(?:sign|log)[ -]?in\b/i,
+  /\bsingle sign[ -]on\b/i,
+  /\bauthentication required\b/i
+];
+
+const PAYWALL_PATTERNS = [
+  /\bsubscribe (?:now )?to (?:continue|keep) reading\b/i,
+  /\b(?:article|story|content) is (?:only )?(?:available|reserved) (?:to|for) (?:subscribers|members)\b/i,
+  /\byou(?:'ve| have) (?:reached|used) (?:your|all of your|all your) (?:free )?(?:article|story|articles|stories)\b/i,
+  /\bbecome a (?:subscriber|member) to (?:read|continue)\b/i,
+  /\balready a subscriber\?/i
+];
+
+// Paths and host names of login pages that protected links redirect to
+const LOGIN_PATH = /\/(?:login|log-in|signin|sign-in|sso|saml2?|oauth2?|authorize|idp|cas\/login|users\/sign_in)(?:[/.?#]|$)/i;
+const LOGIN_HOST = /^(?:login|signin|sso|auth|accounts|idp)\./i;
+
+export class AccessClassifierService {
+  constructor(validationService) {
+    this.logger = new Logger('AccessClassifierService');
+    this.validationService = validationService;
+    this.timeout = 20000;
+  }
+
+  /**
+   * Classify a validation result that may be an access restriction rather than a broken link
+   * Returns { status: 'protected' | 'auth-required' | 'paywalled', signals } or null when it is not one
+   */
+  async classify(url, validationResult) {
+    try {
+      const headers = validationResult.headers || {};
+      const status = validationResult.status;
+
+      if (/challenge/i.test(headers['cf-mitigated'] || '')) {
+        return this.result(url, 'protected', ['cf-mitigated']);
+      }
+      if (status === 401 || headers['www-authenticate']) {
+        return this.result(url, 'auth-required', [status === 401 ? 'http-401' : 'www-authenticate']);
+      }
+      if (status === 402) {
+        return this.result(url, 'paywalled', ['http-402']);
+      }
+      if (this.isLoginRedirect(url, validationResult)) {
+        return this.result(url, 'auth-required', ['login-redirect']);
+      }
+      if (!BLOCKED_STATUSES.includes(status)) {
+        return null;
+      }
+
+      const server = headers.server?.match(PROTECTION_SERVERS)?.[0].toLowerCase();
+      const serverSignals = server ? [`server-${server}`] : [];
+
+      // What a browser gets decides it. CDNs send their Server header with real errors too, so without the
+      // proxy only LinkedIn's bot-block status counts as a challenge
+      const page = await this.inspectPage(url);
+      if (!page) {
+        return status === 999 ? this.result(url, 'protected', ['http-999']) : null;
+      }
+
+      const pageAccess = this.classifyPage(url, page);
+      if (pageAccess) {
+        return this.result(url, pageAccess.status, [...serverSignals, ...pageAccess.signals]);
+      }
+
+      // Blocked for our HEAD request but fine in a browser
+      if (page.status >= 200 && page.status < 300) {
+        return this.result(url, 'protected', [...serverSignals, 'opens-in-browser']);
+      }
+
+      return null;
+
+    } catch (error) {
+      this.logger.debug(`Access classification failed for ${url}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Classify what the headless proxy saw: a challenge page, a login form or a paywall
+   */
+  classifyPage(url, page) {
+    const markers = page.markers || {};
+    const text = `${page.title || ''}\n${markers.text || ''}`;
+
+    if (markers.captcha || CHALLENGE_PATTERNS.some(pattern => pattern.test(text))) {
+      return { status: 'protected', signals: ['challenge-page'] };
+    }
+    if (markers.paywall || PAYWALL_PATTERNS.some(pattern => pattern.test(text))) {
+      return { status: 'paywalled', signals: ['paywall'] };
+    }
+    if (markers.passwordField || LOGIN_PATTERNS.some(pattern => pattern.test(page.title || ''))) {
+      return { status: 'auth-required', signals: ['login-form'] };
+    }
+    if (this.isLoginRedirect(url, page)) {
+      return { status: 'auth-required', signals: ['login-redirect'] };
+    }
+    return null;
+  }
+
+  /**
+   * Check whether a link was redirected to a login page
+   */
+  isLoginRedirect(url, result) {
+    const finalURL = result.finalURL || url;
+    if (!result.redirectChain?.length || finalURL === url) {
+      return false;
+    }
+
+    try {
+      const target = new URL(finalURL);
+      return LOGIN_PATH.test(target.pathname) || LOGIN_HOST.test(target.hostname);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Load the page in the headless proxy (title, status and page markers), or null without the proxy
+   */
+  async inspectPage(url) {
+    if (!(await this.validationService.checkProxyAvailability())) {
+      return null;
+    }
+
+    try {
+      return await this.validationService.validateURLViaHeadless(url, this.timeout);
+    } catch (error) {
+      this.logger.debug(`Could not inspect ${url}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Log a classification and return it
+   */
+  result(url, status, signals) {
+    this.logger.info(`${url} is ${status} (${signals.join(', ')})`);
+    return { status, signals };
+  }
+}
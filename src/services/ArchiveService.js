@@ -0,0 +1,133 @@
+/**
+ * ArchiveService - Turn ZIP archives and dropped folders into batch input
+ * Files keep their path inside the archive or folder as their name, so fixed output can be zipped with the same structure
+ */
+
+'use strict';
+
+import { Logger } from '../utils/Logger.js';
+
+// Archive entries that are never content (macOS resource forks, dotfiles such as .DS_Store)
+const IGNORED_PATHS = /(^|\/)(__MACOSX\/|\.[^/]*$)/;
+
+export class ArchiveService {
+  constructor(documentParser) {
+    this.logger = new Logger('ArchiveService');
+    this.documentParser = documentParser;
+  }
+
+  /**
+   * Check whether a file is a ZIP archive
+   */
+  isArchive(file) {
+    return ['application/zip', 'application/x-zip-compressed'].includes(file.type) || /\.zip$/i.test(file.name);
+  }
+
+  /**
+   * Expand a batch of files: archives are replaced by the files inside them
+   * Returns { documents, others, failed, archives }: documents are files to parse, others are { path, data }
+   * for files that are carried through to the fixed ZIP unchanged, failed lists archives that could not be read
+   * and archives counts the ones unpacked
+   * options.fileTree marks the files as a dropped folder, whose files that are not documents are carried through too
+   */
+  async expand(files, options = {}) {
+    const result = { documents: [], others: [], failed: [], archives: 0 };
+
+    for (const file of files) {
+      if (!this.isArchive(file)) {
+        if (options.fileTree && !this.documentParser.isSupported(file)) {
+          result.others.push({ path: file.name, data: await this.documentParser.readBinaryContent(file) });
+        } else {
+          result.documents.push(file);
+        }
+        continue;
+      }
+
+      try {
+        const { documents, others } = await this.extract(file);
+        result.documents.push(...documents);
+        result.others.push(...others);
+        result.archives++;
+      } catch (error) {
+        this.logger.warn(`Could not read archive ${file.name}`, error);
+        result.failed.push(`${file.name} (not a readable ZIP archive)`);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Unpack a ZIP archive with JSZip
+   * Supported documents become File objects named by their archive path; everything else is returned as bytes
+   */
+  async extract(file) {
+    const { default: JSZip } = await import('jszip');
+    const zip = await JSZip.loadAsync(await this.documentParser.readBinaryContent(file));
+    const documents = [];
+    const others = [];
+
+    for (const entry of Object.values(zip.files)) {
+      if (entry.dir || IGNORED_PATHS.test(entry.name)) {
+        continue;
+      }
+
+      const path = this.normalizePath(entry.name);
+      const data = await entry.async('uint8array');
+
+      if (this.documentParser.isSupported({ name: path, type: '' })) {
+        documents.push(new File([data], path, { lastModified: entry.date?.getTime() }));
+      } else {
+        others.push({ path, data });
+      }
+    }
+
+    this.logger.info(`Unpacked ${file.name}: ${documents.length} documents, ${others.length} other files`);
+    return { documents, others };
+  }
+
+  /**
+   * Read the files of dropped file system entries (webkitGetAsEntry), walking into directories
+   * Each file is named by its path relative to the drop, e.g. "site/docs/index.html"
+   */
+  async readEntries(entries) {
+    const files = [];
+
+    for (const entry of entries) {
+      if (entry.isDirectory) {
+        files.push(...await this.readEntries(await this.readDirectory(entry)));
+      } else if (entry.isFile && !IGNORED_PATHS.test(entry.fullPath)) {
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        files.push(new File([file], this.normalizePath(entry.fullPath || file.name), {
+          type: file.type,
+          lastModified: file.lastModified
+        }));
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * List a directory entry; readEntries returns the children in batches until it returns none
+   */
+  async readDirectory(directory) {
+    const reader = directory.createReader();
+    const children = [];
+
+    for (;;) {
+      const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+      if (batch.length === 0) {
+        return children;
+      }
+      children.push(...batch);
+    }
+  }
+
+  /**
+   * Normalize an archive or folder path (forward slashes, no leading slash)
+   */
+  normalizePath(path) {
+    return path.replace(/\\/g, '/').replace(/^\/+/, '');
+  }
+}
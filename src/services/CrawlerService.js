@@ -0,0 +1,294 @@
+/**
+ * CrawlerService - Crawl a site from a start URL and report broken links per page
+ * Follows same-origin page links breadth first, up to a depth and page budget, skipping paths robots.txt disallows
+ */
+
+'use strict';
+
+import { Logger } from '../utils/Logger.js';
+import { FetchHttpClient } from '../adapters/FetchHttpClient.js';
+import { BROKEN_STATUSES } from '../models/URLProcessorModel.js';
+
+// Links to these are checked but not crawled
+const ASSET_EXTENSIONS = /\.(png|jpe?g|gif|svg|webp|avif|ico|bmp|css|js|mjs|json|xml|rss|atom|txt|pdf|zip|gz|tgz|tar|rar|7z|exe|dmg|mp3|mp4|m4a|wav|webm|ogg|mov|avi|woff2?|ttf|otf|eot|docx?|xlsx?|pptx?|csv)$/i;
+
+export class CrawlerService {
+  constructor(documentParser, robotsService = null, config = {}) {
+    this.logger = new Logger('CrawlerService');
+    this.documentParser = documentParser;
+    this.robotsService = robotsService;
+    this.http = new FetchHttpClient();
+    this.config = {
+      proxyServerUrl: 'http://localhost:3001',
+      timeout: 15000,
+      maxDepth: 2, // link hops from the start page
+      maxPages: 50,
+      respectRobots: true,
+      ...config
+    };
+  }
+
+  /**
+   * Crawl a site from a start URL
+   * Returns { startURL, origin, pages, blocked, truncated, aborted }; each page is
+   * { url, finalURL, depth, status, error, urls } with the links parsed from it
+   */
+  async crawl(startURL, options = {}) {
+    const {
+      maxDepth = this.config.maxDepth,
+      maxPages = this.config.maxPages,
+      onPage = null,
+      signal = null
+    } = options;
+
+    const start = this.normalizePageURL(this.documentParser.normalizeURL(startURL));
+    if (!start) {
+      throw new Error(`Invalid start URL: ${startURL}`);
+    }
+
+    const result = { startURL: start, origin: new URL(start).origin, pages: [], blocked: [], truncated: false, aborted: false };
+    const queue = [{ url: start, depth: 0 }];
+    const seen = new Set([start]);
+
+    this.logger.info(`Crawling ${start} (depth ${maxDepth}, up to ${maxPages} pages)`);
+
+    while (queue.length > 0) {
+      if (signal?.aborted) {
+        result.aborted = true;
+        break;
+      }
+      if (result.pages.length >= maxPages) {
+        result.truncated = true;
+        break;
+      }
+
+      const { url, depth } = queue.shift();
+
+      if (this.config.respectRobots && this.robotsService && !(await this.robotsService.isAllowed(url))) {
+        this.logger.debug(`Skipping ${url}: disallowed by robots.txt`);
+        result.blocked.push(url);
+        continue;
+      }
+
+      const page = await this.fetchPage(url, depth);
+      if (!page) {
+        continue; // not an HTML page
+      }
+
+      // Follow the site the start page ended up on (e.g. after an http -> https redirect)
+      if (result.pages.length === 0 && page.finalURL) {
+        result.origin = new URL(page.finalURL).origin;
+      }
+
+      result.pages.push(page);
+      if (onPage) {
+        onPage(page, { crawled: result.pages.length, queued: queue.length, maxPages });
+      }
+
+      if (depth >= maxDepth) {
+        continue;
+      }
+
+      page.urls
+        .filter(entry => this.isPageLink(entry))
+        .map(entry => this.normalizePageURL(entry.resolvedURL))
+        .filter(link => link && new URL(link).origin === result.origin && !seen.has(link))
+        .forEach(link => {
+          seen.add(link);
+          queue.push({ url: link, depth: depth + 1 });
+        });
+    }
+
+    this.logger.info(`Crawled ${result.pages.length} pages from ${start}${result.truncated ? ' (page budget reached)' : ''}`);
+    return result;
+  }
+
+  /**
+   * Fetch a page through the proxy and parse its links
+   * Returns null for responses that are not HTML; fetch failures become pages with an error
+   */
+  async fetchPage(url, depth) {
+    const page = { url, finalURL: url, depth, status: 0, error: null, urls: [] };
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.config.timeout);
+
+    try {
+      const proxyURL = `${this.config.proxyServerUrl}/fetch-text?url=${encodeURIComponent(url)}&timeout=${this.config.timeout}`;
+      const response = await this.http.fetch(proxyURL, { method: 'GET', signal: controller.signal });
+      if (!response.ok) {
+        throw new Error(`Proxy error: ${response.status} ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      page.status = data.status;
+      page.finalURL = data.finalUrl || url;
+
+      if (data.status < 200 || data.status >= 300) {
+        page.error = `HTTP ${data.status}${data.statusText ? ` ${data.statusText}` : ''}`;
+        return page;
+      }
+
+      const contentType = (data.contentType || '').toLowerCase();
+      if (contentType && !contentType.includes('html')) {
+        this.logger.debug(`Not crawling ${url}: ${contentType}`);
+        return null;
+      }
+
+      page.urls = await this.documentParser.parseContent(data.text || '', 'html', url, { baseURL: page.finalURL });
+      return page;
+
+    } catch (error) {
+      page.error = error.name === 'AbortError' ? `Timeout after ${this.config.timeout}ms` : error.message;
+      this.logger.warn(`Failed to crawl ${url}: ${page.error}`);
+      return page;
+
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Check whether a parsed link leads to another page worth crawling
+   */
+  isPageLink(entry) {
+    const navigational = ['a', 'area'].includes(entry.element) || entry.type === 'meta-refresh';
+    if (!navigational || !entry.resolvedURL) {
+      return false;
+    }
+
+    try {
+      const url = new URL(entry.resolvedURL);
+      return ['http:', 'https:'].includes(url.protocol) && !ASSET_EXTENSIONS.test(url.pathname);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Normalize a page URL for de-duplication (fragment removed); null for non-http URLs
+   */
+  normalizePageURL(url) {
+    try {
+      const parsed = new URL(url);
+      if (!['http:', 'https:'].includes(parsed.protocol)) {
+        return null;
+      }
+      parsed.hash = '';
+      return parsed.href;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Build a document for the URL table: one entry per distinct http(s) link, listing the pages it was found on
+   * The crawl (without page contents) is kept on the document for the report
+   */
+  toDocument(crawl) {
+    const links = new Map();
+
+    crawl.pages.forEach(page => {
+      page.urls.forEach(entry => {
+        if (!entry.resolvedURL || !/^https?:\/\//i.test(entry.resolvedURL) || entry.type === 'base') {
+          return;
+        }
+
+        const foundOn = { page: page.url, line: entry.line, column: entry.column };
+        const link = links.get(entry.resolvedURL);
+        if (link) {
+          link.foundOn.push(foundOn);
+          return;
+        }
+
+        links.set(entry.resolvedURL, {
+          ...entry,
+          id: `crawl-${links.size}`,
+          fileName: crawl.startURL,
+          foundOn: [foundOn]
+        });
+      });
+    });
+
+    return {
+      fileName: crawl.startURL,
+      fileType: 'crawl',
+      fileSize: 0,
+      content: '',
+      urls: [...links.values()],
+      baseURL: crawl.startURL,
+      documentDate: null,
+      timestamp: new Date().toISOString(),
+      crawl: {
+        startURL: crawl.startURL,
+        origin: crawl.origin,
+        pages: crawl.pages.map(({ urls, ...page }) => ({ ...page, linkCount: urls.length })),
+        blocked: crawl.blocked,
+        truncated: crawl.truncated,
+        aborted: crawl.aborted
+      }
+    };
+  }
+
+  /**
+   * Build the per-page and site-wide report from a crawl document and its checked links
+   */
+  buildReport(document, urls) {
+    const { crawl } = document;
+    const brokenByPage = new Map(crawl.pages.map(page => [page.url, []]));
+    const byStatus = {};
+
+    const brokenLinks = urls.filter(url => BROKEN_STATUSES.includes(url.status));
+
+    urls.forEach(url => {
+      const status = url.status || 'pending';
+      byStatus[status] = (byStatus[status] || 0) + 1;
+    });
+
+    brokenLinks.forEach(url => {
+      url.foundOn.forEach(location => {
+        brokenByPage.get(location.page)?.push({
+          url: url.resolvedURL,
+          status: url.status,
+          statusCode: url.statusCode || null,
+          line: location.line,
+          column: location.column,
+          replacementURL: url.replacementURL || null
+        });
+      });
+    });
+
+    const pages = crawl.pages.map(page => ({
+      url: page.url,
+      depth: page.depth,
+      status: page.status,
+      error: page.error,
+      links: page.linkCount,
+      broken: brokenByPage.get(page.url)
+    }));
+
+    return {
+      startURL: crawl.startURL,
+      truncated: crawl.truncated,
+      pages,
+      brokenLinks: brokenLinks
+        .map(url => ({
+          url: url.resolvedURL,
+          status: url.status,
+          statusCode: url.statusCode || null,
+          replacementURL: url.replacementURL || null,
+          pages: [...new Set(url.foundOn.map(location => location.page))]
+        }))
+        .sort((a, b) => b.pages.length - a.pages.length),
+      summary: {
+        pages: pages.length,
+        failedPages: pages.filter(page => page.error).length,
+        pagesWithBrokenLinks: pages.filter(page => page.broken.length > 0).length,
+        blocked: crawl.blocked.length,
+        links: urls.reduce((total, url) => total + url.foundOn.length, 0),
+        uniqueLinks: urls.length,
+        broken: brokenLinks.length,
+        byStatus
+      }
+    };
+  }
+}
@@ -0,0 +1,326 @@
+/**
+ * CredentialService - Per-domain credentials for checking links to intranet sites (wikis, issue trackers, ...)
+ * Profiles are stored with StorageService settings, optionally encrypted with a passphrase (PBKDF2 + AES-GCM)
+ * Credentials are only handed out for URLs on a profile's hosts; search providers never see them
+ */
+
+'use strict';
+
+import { Logger } from '../utils/Logger.js';
+
+const SETTING_KEY = 'credentialProfiles';
+const PROFILE_TYPES = ['headers', 'bearer', 'cookie', 'basic'];
+const PBKDF2_ITERATIONS = 250000;
+
+export class CredentialService {
+  constructor(storageService = null) {
+    this.logger = new Logger('CredentialService');
+    this.storageService = storageService;
+    this.profiles = [];
+    this.encrypted = null; // { salt, iv, data } while the stored profiles are encrypted
+    this.key = null; // AES key derived from the passphrase, while unlocked
+    this.salt = null;
+  }
+
+  /**
+   * Load profiles from storage; encrypted profiles stay locked until unlock() is called
+   */
+  async load() {
+    if (!this.storageService) {
+      return this.profiles;
+    }
+
+    let stored = null;
+    try {
+      stored = await this.storageService.getSetting(SETTING_KEY, null);
+    } catch (error) {
+      this.logger.warn('Failed to load credential profiles:', error.message);
+    }
+
+    this.profiles = [];
+    this.key = null;
+    this.encrypted = stored?.encrypted ? stored : null;
+    this.salt = this.encrypted ? this.fromBase64(this.encrypted.salt) : null;
+
+    if (!this.encrypted) {
+      this.profiles = (stored?.profiles || []).map(profile => this.normalize(profile));
+    }
+
+    this.logger.info(this.encrypted ? 'Loaded encrypted credential profiles (locked)' : `Loaded ${this.profiles.length} credential profiles`);
+    return this.profiles;
+  }
+
+  /**
+   * Save profiles to storage, encrypted when a passphrase is set
+   */
+  async save() {
+    if (this.isLocked()) {
+      throw new Error('Credentials are locked. Unlock them with the passphrase first.');
+    }
+    if (!this.storageService) {
+      return;
+    }
+
+    if (this.key) {
+      const iv = globalThis.crypto.getRandomValues(new Uint8Array(12));
+      const data = await globalThis.crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv },
+        this.key,
+        new TextEncoder().encode(JSON.stringify(this.profiles))
+      );
+      this.encrypted = { encrypted: true, salt: this.toBase64(this.salt), iv: this.toBase64(iv), data: this.toBase64(new Uint8Array(data)) };
+      await this.storageService.storeSetting(SETTING_KEY, this.encrypted);
+    } else {
+      await this.storageService.storeSetting(SETTING_KEY, { encrypted: false, profiles: this.profiles });
+    }
+  }
+
+  /**
+   * Check whether the stored profiles are encrypted with a passphrase
+   */
+  isEncrypted() {
+    return Boolean(this.encrypted || this.key);
+  }
+
+  /**
+   * Check whether the profiles are encrypted and have not been unlocked
+   */
+  isLocked() {
+    return Boolean(this.encrypted && !this.key);
+  }
+
+  /**
+   * Decrypt the stored profiles; throws when the passphrase is wrong
+   */
+  async unlock(passphrase) {
+    if (!this.encrypted) {
+      return this.profiles;
+    }
+
+    const key = await this.deriveKey(passphrase, this.salt);
+    let decrypted;
+    try {
+      decrypted = await globalThis.crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: this.fromBase64(this.encrypted.iv) },
+        key,
+        this.fromBase64(this.encrypted.data)
+      );
+    } catch {
+      throw new Error('Wrong passphrase');
+    }
+
+    this.key = key;
+    this.profiles = JSON.parse(new TextDecoder().decode(decrypted)).map(profile => this.normalize(profile));
+    this.logger.info(`Unlocked ${this.profiles.length} credential profiles`);
+    return this.profiles;
+  }
+
+  /**
+   * Forget the decrypted profiles and the key (encrypted profiles only)
+   */
+  lock() {
+    if (this.isEncrypted()) {
+      this.profiles = [];
+      this.key = null;
+    }
+  }
+
+  /**
+   * Encrypt the stored profiles with a passphrase, or store them in plain text again when it is empty
+   */
+  async setPassphrase(passphrase) {
+    if (this.isLocked()) {
+      throw new Error('Credentials are locked. Unlock them with the passphrase first.');
+    }
+
+    if (passphrase) {
+      this.salt = globalThis.crypto.getRandomValues(new Uint8Array(16));
+      this.key = await this.deriveKey(passphrase, this.salt);
+    } else {
+      this.salt = null;
+      this.key = null;
+      this.encrypted = null;
+    }
+
+    await this.save();
+  }
+
+  /**
+   * Derive an AES-GCM key from a passphrase
+   */
+  async deriveKey(passphrase, salt) {
+    const material = await globalThis.crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return globalThis.crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * Get all profiles
+   */
+  getProfiles() {
+    return [...this.profiles];
+  }
+
+  /**
+   * Add a profile: { name?, hosts, type: 'headers' | 'bearer' | 'cookie' | 'basic', headers?, token?, cookie?,
+   * username?, password?, enabled? }
+   * hosts are host names; "*.example.com" matches every subdomain of example.com
+   */
+  async addProfile(profile) {
+    const added = this.normalize(profile);
+    this.profiles.push(added);
+    await this.save();
+    return added;
+  }
+
+  /**
+   * Update a profile
+   */
+  async updateProfile(id, updates) {
+    const index = this.profiles.findIndex(profile => profile.id === id);
+    if (index === -1) {
+      throw new Error(`Unknown credential profile: ${id}`);
+    }
+
+    const profile = this.normalize({ ...this.profiles[index], ...updates, id });
+    this.profiles[index] = profile;
+    await this.save();
+    return profile;
+  }
+
+  /**
+   * Remove a profile
+   */
+  async removeProfile(id) {
+    const index = this.profiles.findIndex(profile => profile.id === id);
+    if (index === -1) {
+      return false;
+    }
+
+    this.profiles.splice(index, 1);
+    await this.save();
+    return true;
+  }
+
+  /**
+   * Check and clean up a profile; throws when it has no hosts or no credentials
+   */
+  normalize(profile) {
+    const hosts = (Array.isArray(profile.hosts) ? profile.hosts : String(profile.hosts || '').split(/[\s,]+/))
+      .map(host => host.trim().toLowerCase().replace(/^[a-z]+:\/\//, '').replace(/[/:].*$/, ''))
+      .filter(Boolean);
+    if (hosts.length === 0) {
+      throw new Error('A credential profile needs at least one host');
+    }
+
+    const type = PROFILE_TYPES.includes(profile.type) ? profile.type : 'headers';
+    const normalized = {
+      id: profile.id || `cred_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      name: (profile.name || '').trim() || hosts[0],
+      hosts: [...new Set(hosts)],
+      type,
+      headers: type === 'headers' ? this.parseHeaders(profile.headers) : {},
+      token: type === 'bearer' ? profile.token || '' : '',
+      cookie: type === 'cookie' ? profile.cookie || '' : '',
+      username: type === 'basic' ? profile.username || '' : '',
+      password: type === 'basic' ? profile.password || '' : '',
+      enabled: profile.enabled !== false
+    };
+
+    if (Object.keys(this.toHeaders(normalized)).length === 0) {
+      throw new Error('A credential profile needs headers, a token, a cookie or a user name');
+    }
+    return normalized;
+  }
+
+  /**
+   * Get the credentials to send with a request to a URL: { hosts, headers }, or null when no enabled profile matches
+   * hosts lets the proxy check every redirect hop, so credentials never follow a redirect to another host
+   */
+  getCredentials(url) {
+    const profile = this.findProfile(url);
+    return profile ? { hosts: [...profile.hosts], headers: this.toHeaders(profile) } : null;
+  }
+
+  /**
+   * Find the first enabled profile for a URL's host (http and https only)
+   */
+  findProfile(url) {
+    let host;
+    try {
+      const parsed = new URL(url);
+      if (!['http:', 'https:'].includes(parsed.protocol)) {
+        return null;
+      }
+      host = parsed.hostname.toLowerCase();
+    } catch {
+      return null;
+    }
+
+    return this.profiles.find(profile => profile.enabled && this.matchesHost(profile.hosts, host)) || null;
+  }
+
+  /**
+   * Check whether a host is one of a profile's hosts
+   */
+  matchesHost(hosts, host) {
+    return hosts.some(pattern => pattern.startsWith('*.')
+      ? host.endsWith(pattern.slice(1))
+      : host === pattern);
+  }
+
+  /**
+   * Build the request headers of a profile
+   */
+  toHeaders(profile) {
+    switch (profile.type) {
+      case 'bearer':
+        return profile.token ? { Authorization: `Bearer ${profile.token}` } : {};
+      case 'cookie':
+        return profile.cookie ? { Cookie: profile.cookie } : {};
+      case 'basic':
+        return profile.username
+          ? { Authorization: `Basic ${this.toBase64(new TextEncoder().encode(`${profile.username}:${profile.password}`))}` }
+          : {};
+      default:
+        return Object.fromEntries(Object.entries(profile.headers || {}).filter(([name, value]) => name.trim() && value));
+    }
+  }
+
+  /**
+   * Read custom headers given as an object or as "Name: value" lines
+   */
+  parseHeaders(headers) {
+    if (typeof headers !== 'string') {
+      return { ...(headers || {}) };
+    }
+
+    return Object.fromEntries(headers.split(/\r?\n/)
+      .map(line => line.match(/^\s*([^:\s]+)\s*:\s*(.*?)\s*$/))
+      .filter(Boolean)
+      .map(([, name, value]) => [name, value]));
+  }
+
+  /**
+   * Encode bytes as base64
+   */
+  toBase64(bytes) {
+    let binary = '';
+    bytes.forEach(byte => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+  }
+
+  /**
+   * Decode base64 to bytes
+   */
+  fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+  }
+}
@@ -6,10 +6,24 @@
 'use strict';
 
 import { Logger } from '../utils/Logger.js';
+import { FetchHttpClient } from '../adapters/FetchHttpClient.js';
+import { BrowserFileReader } from '../adapters/BrowserFileReader.js';
+import { PDFReader } from '../utils/PDFReader.js';
+import { DocxPackage } from '../utils/DocxPackage.js';
+import { HTMLTokenizer } from '../utils/HTMLTokenizer.js';
+import { URLResolver } from '../utils/URLResolver.js';
+import { MarkdownLinkScanner } from '../utils/MarkdownLinkScanner.js';
 
 export class DocumentParserService {
   constructor() {
     this.logger = new Logger('DocumentParserService');
+    this.http = new FetchHttpClient();
+    this.fileReader = new BrowserFileReader();
+    this.pdfReader = new PDFReader();
+    this.docxPackage = new DocxPackage();
+    this.htmlTokenizer = new HTMLTokenizer();
+    this.urlResolver = new URLResolver();
+    this.markdownScanner = new MarkdownLinkScanner();
     this.supportedTypes = {
       'text/html': 'html',
       'text/css': 'css',
@@ -40,8 +54,9 @@ export class DocumentParserService {
 
   /**
    * Parse a file and extract URLs with position information
+   * options.baseURL is the address the document is published at, used to resolve relative links
    */
-  async parseFile(file) {
+  async parseFile(file, options = {}) {
     try {
       this.logger.info(`Parsing file: ${file.name} (${file.type})`);
       
@@ -51,22 +66,36 @@ export class DocumentParserService {
         throw new Error(`Unsupported file type: ${file.type}`);
       }
 
-      // Read file content
-      const content = await this.readFileContent(file, fileType);
+      // Read file content (binary formats return a structured source with a text view)
+      const source = await this.readFileContent(file, fileType);
+      const content = typeof source === 'string' ? source : source.text;
       
       // Parse content based on type
-      const urls = await this.parseContent(content, fileType, file.name);
+      const urls = await this.parseContent(source, fileType, file.name, options);
       
       this.logger.info(`Extracted ${urls.length} URLs from ${file.name}`);
       
-      return {
+      const documentData = {
         fileName: file.name,
         fileType,
         fileSize: file.size,
         content,
         urls,
+        baseURL: this.getDocumentBaseURL(urls, options.baseURL),
+        documentDate: file.lastModified ? new Date(file.lastModified).toISOString() : null,
         timestamp: new Date().toISOString()
       };
+
+      if (fileType === 'pdf') {
+        documentData.pageCount = source.pageCount;
+      }
+
+      if (fileType === 'docx') {
+        // Keep the original package so fixes can be written back without losing formatting
+        documentData.archive = source.archive;
+      }
+
+      return documentData;
       
     } catch (error) {
       this.logger.error(`Failed to parse file ${file.name}`, error);
@@ -82,7 +111,7 @@ export class DocumentParserService {
       this.logger.info(`Parsing URL: ${url}`);
       
       // Fetch the webpage content
-      const response = await fetch(url, {
+      const response = await this.http.fetch(url, {
         method: 'GET',
         headers: {
           'User-Agent': 'URL-Fixer/1.0 (+https://url-fixer.app)'
@@ -97,8 +126,9 @@ export class DocumentParserService {
       const contentType = response.headers.get('content-type') || 'text/html';
       const fileType = this.getFileTypeFromContentType(contentType);
       
-      // Parse content
-      const urls = await this.parseContent(content, fileType, url);
+      // Parse content (relative links resolve against the page address)
+      const baseURL = response.url || url;
+      const urls = await this.parseContent(content, fileType, url, { baseURL });
       
       this.logger.info(`Extracted ${urls.length} URLs from ${url}`);
       
@@ -108,6 +138,8 @@ export class DocumentParserService {
         fileSize: content.length,
         content,
         urls,
+        baseURL: this.getDocumentBaseURL(urls, baseURL),
+        documentDate: this.parseHTTPDate(response.headers.get('last-modified')),
         timestamp: new Date().toISOString()
       };
       
@@ -117,6 +149,14 @@ export class DocumentParserService {
     }
   }
 
+  /**
+   * Convert an HTTP date header to an ISO string (null when missing or invalid)
+   */
+  parseHTTPDate(value) {
+    const date = value ? new Date(value) : null;
+    return date && !isNaN(date.getTime()) ? date.toISOString() : null;
+  }
+
   /**
    * Determine file type from File object
    */
@@ -174,50 +214,51 @@ export class DocumentParserService {
    * Read text content from file
    */
   readTextContent(file) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = () => resolve(reader.result);
-      reader.onerror = () => reject(new Error('Failed to read file'));
-      reader.readAsText(file);
-    });
+    return this.fileReader.readText(file);
   }
 
   /**
-   * Read PDF content (placeholder - requires pdf-parse in Node.js environment)
+   * Read binary content from file
+   */
+  readBinaryContent(file) {
+    return this.fileReader.readBinary(file);
+  }
+
+  /**
+   * Read PDF content (page text lines and link annotations)
    */
   async readPDFContent(file) {
-    // For browser environment, we'll extract text using a simplified approach
-    // In a real implementation, you might use PDF.js or send to a server
-    this.logger.warn('PDF parsing in browser is limited. Consider server-side processing.');
-    
     try {
-      // Try to read as text (will work for some simple PDFs)
-      const arrayBuffer = await file.arrayBuffer();
-      const text = new TextDecoder().decode(arrayBuffer);
-      
-      // Extract readable text (very basic approach)
-      const readableText = text.replace(/[^\x20-\x7E\n\r]/g, ' ').replace(/\s+/g, ' ');
-      return readableText;
+      const data = await this.readBinaryContent(file);
+      return await this.pdfReader.read(data);
     } catch (error) {
-      throw new Error('PDF parsing failed. Please convert to text format.');
+      this.logger.error('PDF parsing failed', error);
+      throw new Error('PDF parsing failed. Please ensure the file is a valid PDF or convert it to text format.');
     }
   }
 
   /**
-   * Read DOCX content using mammoth
+   * Read DOCX content (text view, hyperlink relationships and the original package)
    */
   async readDocxContent(file) {
     try {
-      // Dynamic import for mammoth
-      const mammoth = await import('mammoth');
-      const arrayBuffer = await file.arrayBuffer();
-      const result = await mammoth.extractRawText({ arrayBuffer });
-      return result.value;
+      const archive = await this.readBinaryContent(file);
+      const docxDocument = await this.docxPackage.read(archive);
+      return { ...docxDocument, archive };
     } catch (error) {
+      this.logger.error('DOCX parsing failed', error);
       throw new Error('DOCX parsing failed. Please ensure the file is not corrupted.');
     }
   }
 
+  /**
+   * Write fixes back into a DOCX package, rewriting only the affected link targets
+   * Returns { data, unapplied } with the fixes that could not be written
+   */
+  async writeDocxContent(archive, replacements) {
+    return this.docxPackage.write(archive, replacements);
+  }
+
   /**
    * Read DOC content (limited support)
    */
@@ -236,8 +277,9 @@ export class DocumentParserService {
 
   /**
    * Parse content and extract URLs based on file type
+   * Relative URLs keep their as-written form in originalURL and get a resolvedURL for checking
    */
-  async parseContent(content, fileType, fileName) {
+  async parseContent(content, fileType, fileName, options = {}) {
     const urls = [];
     
     switch (fileType) {
@@ -250,64 +292,278 @@ export class DocumentParserService {
       case 'markdown':
         urls.push(...this.parseMarkdownContent(content));
         break;
+      case 'pdf':
+        urls.push(...this.parsePDFContent(content));
+        break;
+      case 'docx':
+        urls.push(...this.parseDocxContent(content));
+        break;
       default:
         urls.push(...this.parseTextContent(content));
     }
 
+    const baseURL = this.getDocumentBaseURL(urls, options.baseURL);
+
     // Add metadata to each URL
-    return urls.map((url, index) => ({
-      ...url,
-      id: `${fileName}-${index}`,
-      fileName,
-      fileType,
-      extractedAt: new Date().toISOString()
-    }));
+    return urls.map((url, index) => {
+      const entry = {
+        ...url,
+        id: `${fileName}-${index}`,
+        fileName,
+        fileType,
+        extractedAt: new Date().toISOString()
+      };
+
+      if (this.urlResolver.isRelative(url.originalURL)) {
+        // null when there is no base to resolve against
+        entry.resolvedURL = this.urlResolver.resolve(url.originalURL, baseURL);
+        entry.baseURL = baseURL || null;
+      } else {
+        entry.resolvedURL = url.originalURL;
+      }
+
+      return entry;
+    });
+  }
+
+  /**
+   * Get the base URL relative links resolve against
+   * An HTML <base href> wins over the document address, and is itself resolved against it
+   */
+  getDocumentBaseURL(urls, documentBaseURL = null) {
+    const baseElement = urls.find(url => url.type === 'base');
+    if (baseElement) {
+      return this.urlResolver.resolve(baseElement.originalURL, documentBaseURL) || documentBaseURL || null;
+    }
+    return documentBaseURL || null;
   }
 
   /**
    * Parse HTML content for URLs
+   * Tokenizes the markup so every entry records its element, attribute and source offsets;
+   * comments and script bodies are skipped. Attribute values are entity-decoded; entries whose source
+   * text differs from the URL (e.g. &amp;) keep it in sourceText so fixes replace the exact span
    */
   parseHTMLContent(content) {
     const urls = [];
-    const lines = content.split('\n');
+    const lineStarts = this.getLineStarts(content);
+    const tokens = this.htmlTokenizer.tokenize(content);
+    let openLink = null;
+
+    // offsets maps each position in a decoded value to its position in the source, relative to start
+    const addEntry = (value, start, type, element, attribute, offsets = null) => {
+      const urlEntry = this.createURLEntry(value, null, null, type);
+      if (!urlEntry) {
+        return null;
+      }
 
-    // Collect URLs by type to match test expectations
-    const hrefUrls = [];
-    const srcUrls = [];
-    const textUrls = [];
+      const sourceAt = (index) => start + (offsets ? offsets[index] : index);
+      const leading = value.length - value.trimStart().length;
+      this.assignSpan(urlEntry, lineStarts, sourceAt(leading));
+      urlEntry.end = sourceAt(leading + urlEntry.originalURL.length);
+      if (content.slice(urlEntry.start, urlEntry.end) !== urlEntry.originalURL) {
+        urlEntry.sourceText = content.slice(urlEntry.start, urlEntry.end);
+      }
+      urlEntry.element = element;
+      urlEntry.attribute = attribute;
+      urls.push(urlEntry);
+      return urlEntry;
+    };
 
-    lines.forEach((line, lineIndex) => {
-      // Extract href attributes
-      let match;
-      while ((match = this.urlPatterns.href.exec(line)) !== null) {
-        const urlEntry = this.createURLEntry(match[1], lineIndex + 1, match.index, 'href');
-        if (urlEntry) {
-          hrefUrls.push(urlEntry);
+    tokens.forEach(token => {
+      if (token.type === 'text') {
+        if (token.parent === 'style') {
+          this.findCSSURLs(token.value).forEach(({ value, index }) => {
+            addEntry(value, token.start + index, 'style-url', 'style', null);
+          });
+          return;
         }
-      }
-      this.urlPatterns.href.lastIndex = 0;
 
-      // Extract src attributes
-      while ((match = this.urlPatterns.src.exec(line)) !== null) {
-        const urlEntry = this.createURLEntry(match[1], lineIndex + 1, match.index, 'src');
-        if (urlEntry) {
-          srcUrls.push(urlEntry);
+        if (openLink) {
+          openLink.text += token.value;
+        }
+
+        let match;
+        while ((match = this.urlPatterns.standard.exec(token.value)) !== null) {
+          addEntry(match[0], token.start + match.index, 'text', token.parent, null);
         }
+        this.urlPatterns.standard.lastIndex = 0;
+        return;
       }
-      this.urlPatterns.src.lastIndex = 0;
 
-      // Extract standard URLs in text content
-      while ((match = this.urlPatterns.standard.exec(line)) !== null) {
-        const urlEntry = this.createURLEntry(match[0], lineIndex + 1, match.index, 'text');
-        if (urlEntry) {
-          textUrls.push(urlEntry);
+      if (token.closing) {
+        if (token.name === 'a' && openLink) {
+          const linkText = openLink.text.replace(/\s+/g, ' ').trim();
+          openLink.entry.linkText = linkText || null;
+          openLink = null;
         }
+        return;
       }
-      this.urlPatterns.standard.lastIndex = 0;
+
+      token.attributes.forEach(attribute => {
+        const decoded = this.decodeHTMLAttribute(attribute.value);
+        this.getHTMLAttributeURLs(token, { ...attribute, value: decoded.value }).forEach(({ value, offset, type }) => {
+          const offsets = decoded.offsets.slice(offset).map(position => position - decoded.offsets[offset]);
+          const entry = addEntry(value, attribute.valueStart + decoded.offsets[offset], type, token.name, attribute.name, offsets);
+          if (entry && token.name === 'a' && attribute.name === 'href' && !token.selfClosing) {
+            openLink = { entry, text: '' };
+          }
+        });
+      });
     });
 
-    // Return URLs grouped by type as expected by tests
-    return [...hrefUrls, ...srcUrls, ...textUrls];
+    return urls;
+  }
+
+  /**
+   * Get the URLs held by an HTML attribute, classified by where they appear
+   * Returns [{ value, offset, type }] with offsets relative to the attribute value
+   */
+  getHTMLAttributeURLs(tag, attribute) {
+    const { name: element } = tag;
+    const { name, value } = attribute;
+    const single = (type) => (value.trim() ? [{ value, offset: 0, type }] : []);
+
+    switch (name) {
+      case 'href': {
+        if (element === 'base') {
+          return single('base');
+        }
+        if (element === 'link') {
+          const rel = this.getHTMLAttribute(tag, 'rel').toLowerCase().split(/\s+/);
+          const linkType = ['canonical', 'alternate', 'stylesheet'].find(type => rel.includes(type));
+          return single(linkType || 'href');
+        }
+        return single('href');
+      }
+      case 'src':
+        return single(element === 'source' ? 'source' : 'src');
+      case 'srcset':
+        return this.parseSrcset(value).map(candidate => ({ ...candidate, type: element === 'source' ? 'source' : 'srcset' }));
+      case 'action':
+        return element === 'form' ? single('form-action') : [];
+      case 'formaction':
+        return single('form-action');
+      case 'poster':
+        return element === 'video' ? single('poster') : [];
+      case 'data':
+        return element === 'object' ? single('object-data') : [];
+      case 'cite':
+        return single('cite');
+      case 'style':
+        return this.findCSSURLs(value).map(url => ({ value: url.value, offset: url.index, type: 'style-url' }));
+      case 'content': {
+        if (element !== 'meta' || this.getHTMLAttribute(tag, 'http-equiv').toLowerCase() !== 'refresh') {
+          return [];
+        }
+        const match = /^\s*[\d.]*\s*[;,]?\s*(?:url\s*=\s*)?(['"]?)([^'"\s]+)\1\s*$/i.exec(value);
+        return match ? [{ value: match[2], offset: value.indexOf(match[2]), type: 'meta-refresh' }] : [];
+      }
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Decode the character references in an HTML attribute value
+   * Returns { value, offsets } where offsets[i] is the source position of decoded character i
+   * (offsets[value.length] is the source length)
+   */
+  decodeHTMLAttribute(source) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0' };
+    const pattern = /&(#x[0-9a-f]+|#\d+|[a-z]+);/gi;
+    let value = '';
+    const offsets = [];
+    let position = 0;
+    let match;
+
+    const copy = (end) => {
+      for (; position < end; position++) {
+        offsets.push(position);
+        value += source[position];
+      }
+    };
+
+    while ((match = pattern.exec(source)) !== null) {
+      const code = match[1];
+      let character = named[code.toLowerCase()];
+      if (code[0] === '#') {
+        const number = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        character = number > 0 && number <= 0x10ffff ? String.fromCodePoint(number) : undefined;
+      }
+      if (character === undefined) {
+        continue;
+      }
+
+      copy(match.index);
+      for (let i = 0; i < character.length; i++) {
+        offsets.push(match.index);
+      }
+      value += character;
+      position = match.index + match[0].length;
+    }
+    copy(source.length);
+    offsets.push(source.length);
+
+    return { value, offsets };
+  }
+
+  /**
+   * Get an attribute value from a tag token (empty string when absent)
+   */
+  getHTMLAttribute(tag, name) {
+    const attribute = tag.attributes.find(attr => attr.name === name);
+    return attribute ? attribute.value : '';
+  }
+
+  /**
+   * Split a srcset attribute into image candidate URLs with their offsets
+   */
+  parseSrcset(value) {
+    const candidates = [];
+    let position = 0;
+
+    while (position < value.length) {
+      while (position < value.length && /[\s,]/.test(value[position])) {
+        position++;
+      }
+      const start = position;
+      while (position < value.length && !/\s/.test(value[position])) {
+        position++;
+      }
+
+      let url = value.slice(start, position);
+      if (url.endsWith(',')) {
+        url = url.replace(/,+$/, '');
+      } else {
+        // Skip the descriptor (e.g. 2x, 640w) up to the next candidate
+        const comma = value.indexOf(',', position);
+        position = comma === -1 ? value.length : comma + 1;
+      }
+
+      if (url) {
+        candidates.push({ value: url, offset: start });
+      }
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Find url() references in CSS text
+   * Returns [{ value, index }] where index is the offset of the URL itself
+   */
+  findCSSURLs(css) {
+    const found = [];
+    let match;
+
+    while ((match = this.urlPatterns.css.exec(css)) !== null) {
+      const value = match[1];
+      found.push({ value, index: match.index + match[0].indexOf(value) });
+    }
+    this.urlPatterns.css.lastIndex = 0;
+
+    return found;
   }
 
   /**
@@ -315,17 +571,14 @@ export class DocumentParserService {
    */
   parseCSSContent(content) {
     const urls = [];
-    const lines = content.split('\n');
+    const lineStarts = this.getLineStarts(content);
 
-    lines.forEach((line, lineIndex) => {
-      let match;
-      while ((match = this.urlPatterns.css.exec(line)) !== null) {
-        const urlEntry = this.createURLEntry(match[1], lineIndex + 1, match.index, 'css-url');
-        if (urlEntry) {
-          urls.push(urlEntry);
-        }
+    this.findCSSURLs(content).forEach(({ value, index }) => {
+      const urlEntry = this.createURLEntry(value, null, null, 'css-url');
+      if (urlEntry) {
+        this.assignSpan(urlEntry, lineStarts, index + (value.length - value.trimStart().length));
+        urls.push(urlEntry);
       }
-      this.urlPatterns.css.lastIndex = 0;
     });
 
     return urls;
@@ -333,49 +586,173 @@ export class DocumentParserService {
 
   /**
    * Parse Markdown content for URLs
+   * Covers inline links, images, reference definitions, autolinks and bare URLs; code spans and blocks are skipped.
+   * A reference definition is a single entry, so fixing it updates every link that uses it
    */
   parseMarkdownContent(content) {
     const urls = [];
-    const lines = content.split('\n');
+    const lineStarts = this.getLineStarts(content);
+    const types = {
+      inline: 'markdown-link',
+      image: 'markdown-image',
+      definition: 'markdown-reference',
+      autolink: 'autolink',
+      bare: 'text'
+    };
 
-    // Collect URLs by type to match test expectations (duplicates allowed)
-    const markdownUrls = [];
-    const directTextUrls = [];  // URLs that are not inside markdown links
-    const duplicateTextUrls = []; // URLs that are also in markdown links
+    this.markdownScanner.scan(content).forEach(link => {
+      const urlEntry = this.createURLEntry(link.url, null, null, types[link.kind], link.text);
+      if (!urlEntry || !urlEntry.originalURL) {
+        return;
+      }
 
-    lines.forEach((line, lineIndex) => {
-      // Markdown links [text](url)
-      let match;
-      const markdownUrlsInLine = [];
-      while ((match = this.urlPatterns.markdown.exec(line)) !== null) {
-        const urlEntry = this.createURLEntry(match[2], lineIndex + 1, match.index, 'markdown-link', match[1]);
-        if (urlEntry) {
-          markdownUrls.push(urlEntry);
-          markdownUrlsInLine.push(urlEntry.originalURL);
-        }
+      this.assignSpan(urlEntry, lineStarts, link.start);
+
+      if (link.title) {
+        urlEntry.title = link.title;
+      }
+      if (link.kind === 'definition') {
+        urlEntry.referenceLabel = link.label;
+        urlEntry.referenceCount = link.referenceCount;
       }
-      this.urlPatterns.markdown.lastIndex = 0;
 
-      // Standard URLs in text
-      while ((match = this.urlPatterns.standard.exec(line)) !== null) {
-        const urlEntry = this.createURLEntry(match[0], lineIndex + 1, match.index, 'text');
-        if (urlEntry) {
-          // Check if this URL is also a markdown link in the same line
-          if (markdownUrlsInLine.includes(urlEntry.originalURL)) {
-            duplicateTextUrls.push(urlEntry);
-          } else {
-            directTextUrls.push(urlEntry);
+      urls.push(urlEntry);
+    });
+
+    return urls;
+  }
+
+  /**
+   * Parse PDF content for URLs (visible text and link annotations)
+   * Entries carry the page number and the position on the page (points from the top-left corner)
+   */
+  parsePDFContent(pdfDocument) {
+    // Plain text (e.g. restored sessions) has no page structure to work with
+    if (typeof pdfDocument === 'string') {
+      return this.parseTextContent(pdfDocument);
+    }
+
+    const urls = [];
+
+    pdfDocument.pages.forEach(page => {
+      page.lines.forEach(line => {
+        let match;
+        while ((match = this.urlPatterns.standard.exec(line.text)) !== null) {
+          const urlEntry = this.createURLEntry(match[0], null, null, 'text');
+          if (urlEntry) {
+            const run = [...line.runs].reverse().find(r => r.offset <= match.index) || line.runs[0];
+            const charWidth = run.text.length > 0 ? run.width / run.text.length : 0;
+
+            urlEntry.page = page.pageNumber;
+            urlEntry.position = {
+              x: Math.round((run.x + (match.index - run.offset) * charWidth) * 10) / 10,
+              y: line.y
+            };
+            urls.push(urlEntry);
           }
         }
+        this.urlPatterns.standard.lastIndex = 0;
+      });
+
+      page.links.forEach(link => {
+        const urlEntry = this.createURLEntry(link.url, null, null, 'pdf-link', link.linkText);
+        if (urlEntry) {
+          urlEntry.page = page.pageNumber;
+          urlEntry.position = { x: link.x, y: link.y };
+          urls.push(urlEntry);
+        }
+      });
+    });
+
+    return urls;
+  }
+
+  /**
+   * Parse DOCX content for URLs (hyperlink relationships and URLs typed into the text)
+   * Entries carry the package part they came from so fixes can be written back
+   */
+  parseDocxContent(docxDocument) {
+    // Plain text (e.g. restored sessions) has no package structure to work with
+    if (typeof docxDocument === 'string') {
+      return this.parseTextContent(docxDocument);
+    }
+
+    const { text, parts, hyperlinks, linkRanges } = docxDocument;
+    const lineStarts = this.getLineStarts(text);
+    const found = [];
+    const partAt = offset => parts.find(part => offset >= part.start && offset < part.end) || parts[0];
+
+    hyperlinks.forEach(link => {
+      const { line, column } = this.getLineAndColumn(lineStarts, link.offset);
+      const urlEntry = this.createURLEntry(link.url, line, column, 'docx-link', link.linkText);
+      if (urlEntry) {
+        urlEntry.part = link.part;
+        urlEntry.relationshipId = link.relationshipId;
+        found.push({ offset: link.offset, urlEntry });
       }
-      this.urlPatterns.standard.lastIndex = 0;
     });
 
-    // Return URLs in the order expected by tests:
-    // 1. All markdown-link URLs
-    // 2. Direct text URLs (not in markdown links)
-    // 3. Duplicate text URLs (also in markdown links)
-    return [...markdownUrls, ...directTextUrls, ...duplicateTextUrls];
+    // Visible URLs that are not the text of a hyperlink
+    let match;
+    while ((match = this.urlPatterns.standard.exec(text)) !== null) {
+      const offset = match.index;
+      if (linkRanges.some(([start, end]) => offset >= start && offset < end)) {
+        continue;
+      }
+
+      const { line, column } = this.getLineAndColumn(lineStarts, offset);
+      const urlEntry = this.createURLEntry(match[0], line, column, 'text');
+      if (urlEntry) {
+        const part = partAt(offset);
+        urlEntry.part = part.path;
+        urlEntry.partOffset = offset - part.start;
+        found.push({ offset, urlEntry });
+      }
+    }
+    this.urlPatterns.standard.lastIndex = 0;
+
+    return found
+      .sort((a, b) => a.offset - b.offset)
+      .map(entry => entry.urlEntry);
+  }
+
+  /**
+   * Get the offset at which each line starts
+   */
+  getLineStarts(content) {
+    const lineStarts = [0];
+    for (let i = content.indexOf('\n'); i !== -1; i = content.indexOf('\n', i + 1)) {
+      lineStarts.push(i + 1);
+    }
+    return lineStarts;
+  }
+
+  /**
+   * Record the source span of an entry (start/end offsets of the URL as written) and its line and column
+   */
+  assignSpan(urlEntry, lineStarts, start) {
+    Object.assign(urlEntry, this.getLineAndColumn(lineStarts, start));
+    urlEntry.start = start;
+    urlEntry.end = start + urlEntry.originalURL.length;
+  }
+
+  /**
+   * Convert a character offset into a 1-based line and 0-based column
+   */
+  getLineAndColumn(lineStarts, offset) {
+    let low = 0;
+    let high = lineStarts.length - 1;
+
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= offset) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return { line: low + 1, column: offset - lineStarts[low] };
   }
 
   /**
@@ -384,12 +761,14 @@ export class DocumentParserService {
   parseTextContent(content) {
     const urls = [];
     const lines = content.split('\n');
+    const lineStarts = this.getLineStarts(content);
 
     lines.forEach((line, lineIndex) => {
       let match;
       while ((match = this.urlPatterns.standard.exec(line)) !== null) {
         const urlEntry = this.createURLEntry(match[0], lineIndex + 1, match.index, 'text');
         if (urlEntry) {
+          this.assignSpan(urlEntry, lineStarts, lineStarts[lineIndex] + match.index);
           urls.push(urlEntry);
         }
       }
@@ -478,6 +857,13 @@ export class DocumentParserService {
     }
   }
 
+  /**
+   * Resolve a possibly relative URL against a base URL (returns the URL unchanged if it cannot be resolved)
+   */
+  resolveURL(url, baseURL) {
+    return this.urlResolver.resolve(url, baseURL) || url;
+  }
+
   /**
    * Normalize URL (add protocol if missing)
    */
@@ -0,0 +1,170 @@
+/**
+ * MementoService - Find archived snapshots of broken pages (Memento protocol, RFC 7089)
+ * Talks to the Wayback Machine availability API or to any TimeMap endpoint in link format
+ */
+
+'use strict';
+
+import { Logger } from '../utils/Logger.js';
+import { FetchHttpClient } from '../adapters/FetchHttpClient.js';
+
+export class MementoService {
+  constructor(config = {}) {
+    this.logger = new Logger('MementoService');
+    this.http = new FetchHttpClient();
+    this.config = {
+      // 'availability' (Wayback JSON API) or 'timemap' (application/link-format TimeMap)
+      protocol: 'availability',
+      // For TimeMaps, '{url}' is replaced by the page URL; otherwise the URL is appended
+      endpoint: 'https://archive.org/wayback/available',
+      timeout: 10000,
+      ...config
+    };
+  }
+
+  /**
+   * Update configuration (protocol, endpoint, timeout)
+   */
+  updateConfig(config) {
+    this.config = { ...this.config, ...config };
+    this.logger.info('Memento configuration updated:', this.config);
+  }
+
+  /**
+   * Find the snapshot closest to a date
+   * Returns { url, datetime } (datetime as an ISO string) or null when the page was never archived
+   */
+  async findClosestSnapshot(url, date = null) {
+    const target = date ? new Date(date) : new Date();
+    if (isNaN(target.getTime())) {
+      throw new Error(`Invalid date: ${date}`);
+    }
+
+    try {
+      const snapshot = this.config.protocol === 'timemap'
+        ? await this.queryTimeMap(url, target)
+        : await this.queryAvailability(url, target);
+
+      if (snapshot) {
+        this.logger.info(`Closest snapshot of ${url} to ${target.toISOString()}: ${snapshot.url} (${snapshot.datetime})`);
+      } else {
+        this.logger.debug(`No archived snapshot found for ${url}`);
+      }
+      return snapshot;
+
+    } catch (error) {
+      this.logger.warn(`Memento lookup failed for ${url}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Ask the Wayback availability API for the closest snapshot
+   */
+  async queryAvailability(url, date) {
+    const requestURL = `${this.config.endpoint}?url=${encodeURIComponent(url)}&timestamp=${this.toTimestamp(date)}`;
+    const data = await (await this.request(requestURL, 'application/json')).json();
+
+    const closest = data?.archived_snapshots?.closest;
+    if (!closest || !closest.available || (closest.status && !String(closest.status).startsWith('2'))) {
+      return null;
+    }
+
+    return {
+      url: closest.url.replace(/^http:\/\/web\.archive\.org\//, 'https://web.archive.org/'),
+      datetime: this.parseTimestamp(closest.timestamp).toISOString()
+    };
+  }
+
+  /**
+   * Fetch a TimeMap and pick the memento closest to the date
+   */
+  async queryTimeMap(url, date) {
+    const { endpoint } = this.config;
+    const requestURL = endpoint.includes('{url}') ? endpoint.replace('{url}', url) : `${endpoint}${url}`;
+    const text = await (await this.request(requestURL, 'application/link-format')).text();
+
+    const mementos = this.parseTimeMap(text);
+    if (mementos.length === 0) {
+      return null;
+    }
+
+    const closest = mementos.reduce((best, memento) =>
+      Math.abs(memento.datetime - date) < Math.abs(best.datetime - date) ? memento : best
+    );
+
+    return { url: closest.url, datetime: closest.datetime.toISOString() };
+  }
+
+  /**
+   * Parse a link-format TimeMap into [{ url, datetime }] for every memento entry
+   */
+  parseTimeMap(text) {
+    const mementos = [];
+    const linkPattern = /<([^>]*)>((?:\s*;\s*[a-zA-Z]+\s*=\s*(?:"[^"]*"|[^;,\s]+))*)/g;
+    let match;
+
+    while ((match = linkPattern.exec(text)) !== null) {
+      const params = {};
+      const paramPattern = /;\s*([a-zA-Z]+)\s*=\s*(?:"([^"]*)"|([^;,\s]+))/g;
+      let param;
+      while ((param = paramPattern.exec(match[2])) !== null) {
+        params[param[1].toLowerCase()] = param[2] ?? param[3];
+      }
+
+      const rels = (params.rel || '').split(/\s+/);
+      const datetime = params.datetime ? new Date(params.datetime) : null;
+      if (rels.includes('memento') && datetime && !isNaN(datetime.getTime())) {
+        mementos.push({ url: match[1], datetime });
+      }
+    }
+
+    return mementos;
+  }
+
+  /**
+   * GET an archive endpoint with a timeout
+   */
+  async request(url, accept) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.config.timeout);
+
+    try {
+      const response = await this.http.fetch(url, {
+        method: 'GET',
+        signal: controller.signal,
+        headers: { 'Accept': accept }
+      });
+
+      if (!response.ok) {
+        throw new Error(`Archive endpoint error: ${response.status} ${response.statusText}`);
+      }
+      return response;
+
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(`Archive request timeout after ${this.config.timeout}ms`);
+      }
+      throw error;
+
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Format a date as a 14-digit Wayback timestamp (YYYYMMDDhhmmss, UTC)
+   */
+  toTimestamp(date) {
+    return date.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+  }
+
+  /**
+   * Parse a Wayback timestamp (missing trailing digits default to the start of the period)
+   */
+  parseTimestamp(timestamp) {
+    const digits = String(timestamp).padEnd(14, '0');
+    const [, year, month, day, hour, minute, second] = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})/.exec(digits);
+    return new Date(Date.UTC(+year, (+month || 1) - 1, +day || 1, +hour, +minute, +second));
+  }
+}
@@ -0,0 +1,198 @@
+/**
+ * RewriteRuleService - User-defined URL rewrites for known site migrations
+ * Rules are regular expressions or URL patterns with * wildcards, stored with StorageService settings
+ */
+
+'use strict';
+
+import { Logger } from '../utils/Logger.js';
+
+const SETTING_KEY = 'rewriteRules';
+
+export class RewriteRuleService {
+  constructor(storageService = null) {
+    this.logger = new Logger('RewriteRuleService');
+    this.storageService = storageService;
+    this.rules = [];
+    this.compiled = new Map();
+  }
+
+  /**
+   * Load rules from storage
+   */
+  async load() {
+    if (!this.storageService) {
+      return this.rules;
+    }
+
+    let stored = [];
+    try {
+      stored = await this.storageService.getSetting(SETTING_KEY, []);
+    } catch (error) {
+      this.logger.warn('Failed to load rewrite rules:', error.message);
+    }
+
+    this.rules = [];
+    this.compiled.clear();
+
+    (stored || []).forEach(rule => {
+      try {
+        this.register(rule);
+      } catch (error) {
+        this.logger.warn(`Skipping invalid rewrite rule "${rule.name || rule.match}": ${error.message}`);
+      }
+    });
+
+    this.logger.info(`Loaded ${this.rules.length} rewrite rules`);
+    return this.rules;
+  }
+
+  /**
+   * Save rules to storage
+   */
+  async save() {
+    if (this.storageService) {
+      await this.storageService.storeSetting(SETTING_KEY, this.rules);
+    }
+  }
+
+  /**
+   * Get all rules, in the order they are tried
+   */
+  getRules() {
+    return [...this.rules];
+  }
+
+  /**
+   * Add a rule: { name?, type: 'pattern' | 'regex', match, replace, enabled? }
+   * Throws when the rule cannot be compiled
+   */
+  async addRule(rule) {
+    const added = this.register(rule);
+    await this.save();
+    return added;
+  }
+
+  /**
+   * Compile and add a rule without saving
+   */
+  register(rule) {
+    const normalized = {
+      id: rule.id || `rule_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      name: (rule.name || '').trim() || rule.match,
+      type: rule.type === 'regex' ? 'regex' : 'pattern',
+      match: rule.match,
+      replace: rule.replace,
+      enabled: rule.enabled !== false
+    };
+
+    this.compiled.set(normalized.id, this.compile(normalized));
+    this.rules.push(normalized);
+    return normalized;
+  }
+
+  /**
+   * Update a rule
+   */
+  async updateRule(id, updates) {
+    const index = this.rules.findIndex(rule => rule.id === id);
+    if (index === -1) {
+      throw new Error(`Unknown rewrite rule: ${id}`);
+    }
+
+    const rule = { ...this.rules[index], ...updates, id };
+    this.compiled.set(id, this.compile(rule));
+    this.rules[index] = rule;
+
+    await this.save();
+    return rule;
+  }
+
+  /**
+   * Remove a rule
+   */
+  async removeRule(id) {
+    const index = this.rules.findIndex(rule => rule.id === id);
+    if (index === -1) {
+      return false;
+    }
+
+    this.rules.splice(index, 1);
+    this.compiled.delete(id);
+    await this.save();
+    return true;
+  }
+
+  /**
+   * Rewrite a URL with every enabled rule that matches
+   * Returns [{ url, rule }] in rule order, without duplicates or unchanged URLs
+   */
+  apply(url) {
+    const candidates = [];
+
+    this.rules.forEach(rule => {
+      if (!rule.enabled) {
+        return;
+      }
+
+      const rewritten = this.rewrite(rule, url);
+      if (rewritten && rewritten !== url && !candidates.some(candidate => candidate.url === rewritten)) {
+        candidates.push({ url: rewritten, rule });
+      }
+    });
+
+    return candidates;
+  }
+
+  /**
+   * Rewrite a URL with one rule, or return null when it does not match
+   */
+  rewrite(rule, url) {
+    const { regex, replace } = this.compiled.get(rule.id) || this.compile(rule);
+    if (!regex.test(url)) {
+      return null;
+    }
+
+    const rewritten = url.replace(regex, replace);
+    try {
+      return new URL(rewritten).href;
+    } catch {
+      this.logger.debug(`Rewrite rule "${rule.name}" produced an invalid URL: ${rewritten}`);
+      return null;
+    }
+  }
+
+  /**
+   * Compile a rule into a regular expression and a replacement for String.replace
+   * In patterns, each * matches any text and is substituted in order into the *s of the replacement;
+   * a pattern without a scheme matches http and https and keeps the original scheme
+   */
+  compile(rule) {
+    if (!rule.match || typeof rule.replace !== 'string') {
+      throw new Error('Rewrite rules need a match and a replacement');
+    }
+
+    if (rule.type === 'regex') {
+      try {
+        return { regex: new RegExp(rule.match), replace: rule.replace };
+      } catch (error) {
+        throw new Error(`Invalid regular expression: ${error.message}`);
+      }
+    }
+
+    const hasScheme = /^[a-z][a-z\d+.-]*:\/\//i.test(rule.match);
+    const parts = rule.match.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+    const source = `^${hasScheme ? '' : '(https?://)'}${parts.join('(.*)')}$`;
+    const keepScheme = !hasScheme && !/^[a-z][a-z\d+.-]*:\/\//i.test(rule.replace);
+    const pieces = rule.replace.split('*');
+
+    const replace = (...args) => {
+      const groups = args.slice(1, args.length - 2);
+      const wildcards = hasScheme ? groups : groups.slice(1);
+      const rewritten = pieces.reduce((text, piece, index) => text + (wildcards[index - 1] ?? '') + piece);
+      return keepScheme ? groups[0] + rewritten : rewritten;
+    };
+
+    return { regex: new RegExp(source, 'i'), replace };
+  }
+}
@@ -0,0 +1,166 @@
+/**
+ * RobotsService - Read robots.txt rules for crawling
+ * Rules come from the group for our user agent (or *); the longest matching Allow/Disallow path wins
+ */
+
+'use strict';
+
+import { Logger } from '../utils/Logger.js';
+import { FetchHttpClient } from '../adapters/FetchHttpClient.js';
+
+export class RobotsService {
+  constructor(config = {}) {
+    this.logger = new Logger('RobotsService');
+    this.http = new FetchHttpClient();
+    this.config = {
+      proxyServerUrl: 'http://localhost:3001',
+      timeout: 10000,
+      userAgent: 'URL-Fixer',
+      ...config
+    };
+    this.rules = new Map(); // origin -> Promise of parsed rules
+  }
+
+  /**
+   * Get the rules that apply to a URL's site (fetched once per origin)
+   */
+  async getRules(url) {
+    const origin = new URL(url).origin;
+    if (!this.rules.has(origin)) {
+      this.rules.set(origin, this.fetchRules(origin));
+    }
+    return this.rules.get(origin);
+  }
+
+  /**
+   * Check whether robots.txt allows fetching a URL
+   * Sites without a readable robots.txt allow everything
+   */
+  async isAllowed(url) {
+    let target;
+    try {
+      target = new URL(url);
+    } catch {
+      return false;
+    }
+
+    const rules = await this.getRules(target.href);
+    return this.isPathAllowed(rules, `${target.pathname}${target.search}`);
+  }
+
+  /**
+   * Fetch and parse robots.txt through the proxy
+   */
+  async fetchRules(origin) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.config.timeout);
+
+    try {
+      const robotsURL = `${origin}/robots.txt`;
+      const proxyURL = `${this.config.proxyServerUrl}/fetch-text?url=${encodeURIComponent(robotsURL)}&timeout=${this.config.timeout}`;
+      const response = await this.http.fetch(proxyURL, { method: 'GET', signal: controller.signal });
+      if (!response.ok) {
+        throw new Error(`Proxy error: ${response.status} ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      if (data.status < 200 || data.status >= 300) {
+        this.logger.debug(`No robots.txt for ${origin}: ${data.status} ${data.statusText || ''}`);
+        return this.parse('');
+      }
+      return this.parse(data.text || '');
+
+    } catch (error) {
+      const message = error.name === 'AbortError' ? `timeout after ${this.config.timeout}ms` : error.message;
+      this.logger.debug(`Failed to fetch robots.txt for ${origin}: ${message}`);
+      return this.parse('');
+
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Parse robots.txt into the rules for our user agent: { allow, disallow, crawlDelay, sitemaps }
+   */
+  parse(text) {
+    const groups = [];
+    const sitemaps = [];
+    let group = null;
+    let lastWasAgent = false;
+
+    text.split(/\r?\n/).forEach(rawLine => {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      const match = /^([A-Za-z-]+)\s*:\s*(.*)$/.exec(line);
+      if (!match) {
+        return;
+      }
+
+      const field = match[1].toLowerCase();
+      const value = match[2].trim();
+
+      if (field === 'sitemap') {
+        sitemaps.push(value);
+        return;
+      }
+
+      if (field === 'user-agent') {
+        // Consecutive User-agent lines share one group
+        if (!lastWasAgent) {
+          group = { agents: [], allow: [], disallow: [], crawlDelay: null };
+          groups.push(group);
+        }
+        group.agents.push(value.toLowerCase());
+        lastWasAgent = true;
+        return;
+      }
+
+      lastWasAgent = false;
+      if (!group) {
+        return;
+      }
+
+      if (field === 'allow' && value) {
+        group.allow.push(value);
+      } else if (field === 'disallow' && value) {
+        group.disallow.push(value);
+      } else if (field === 'crawl-delay' && !isNaN(parseFloat(value))) {
+        group.crawlDelay = parseFloat(value);
+      }
+    });
+
+    const agent = this.config.userAgent.toLowerCase();
+    const selected = groups.find(entry => entry.agents.some(name => name !== '*' && agent.includes(name))) ||
+      groups.find(entry => entry.agents.includes('*'));
+
+    return {
+      allow: selected?.allow || [],
+      disallow: selected?.disallow || [],
+      crawlDelay: selected?.crawlDelay ?? null,
+      sitemaps
+    };
+  }
+
+  /**
+   * Check a path against parsed rules; Allow wins ties
+   */
+  isPathAllowed(rules, path) {
+    const longest = (patterns) => patterns
+      .filter(pattern => this.patternToRegExp(pattern).test(path))
+      .reduce((length, pattern) => Math.max(length, pattern.length), -1);
+
+    return longest(rules.allow) >= longest(rules.disallow);
+  }
+
+  /**
+   * Convert a robots.txt path pattern (* wildcards, $ end anchor) to a regular expression
+   */
+  patternToRegExp(pattern) {
+    const anchored = pattern.endsWith('$');
+    const body = (anchored ? pattern.slice(0, -1) : pattern)
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    return new RegExp(`^${body}${anchored ? '$' : ''}`);
+  }
+}
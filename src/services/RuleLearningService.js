@@ -0,0 +1,216 @@
+/**
+ * RuleLearningService - Suggest rewrite rules from replacements the user accepted
+ * Accepted pairs that move the same part of a path the same way are generalized into one regex rule
+ */
+
+'use strict';
+
+import { Logger } from '../utils/Logger.js';
+import { BROKEN_STATUSES } from '../models/URLProcessorModel.js';
+
+const DISMISSED_KEY = 'dismissedRuleSuggestions';
+
+export class RuleLearningService {
+  constructor(storageService, rewriteRuleService) {
+    this.logger = new Logger('RuleLearningService');
+    this.storageService = storageService;
+    this.rewriteRuleService = rewriteRuleService;
+
+    this.minEvidence = 2; // accepted pairs needed before a rule is suggested
+    this.historyLimit = 100;
+    this.brokenStatuses = BROKEN_STATUSES;
+  }
+
+  /**
+   * Suggest rules from processing history and the current document's accepted fixes
+   * Returns [{ id, rule, evidence: [{ originalURL, newURL }], matches: [urlId] }]; matches are the
+   * current document's broken links without a fix that the rule would rewrite
+   */
+  async suggestRules(currentUrls = []) {
+    let records = [];
+    let dismissed = [];
+    try {
+      records = await this.storageService.getProcessingHistory({ limit: this.historyLimit });
+      dismissed = await this.storageService.getSetting(DISMISSED_KEY, []);
+    } catch (error) {
+      this.logger.warn('Failed to read processing history for rule suggestions:', error.message);
+    }
+
+    const existing = new Set(this.rewriteRuleService.getRules().map(rule => rule.match));
+    const pairs = this.collectAcceptedPairs([...records.flatMap(record => record.urls || []), ...currentUrls]);
+
+    return this.inferRules(pairs)
+      .filter(suggestion => !existing.has(suggestion.rule.match) && !dismissed.includes(suggestion.id))
+      .map(suggestion => {
+        const regex = new RegExp(suggestion.rule.match);
+        const matches = currentUrls
+          .filter(url => this.brokenStatuses.includes(url.status) && !url.newURL && regex.test(url.resolvedURL || url.originalURL))
+          .map(url => url.id);
+        return { ...suggestion, matches };
+      });
+  }
+
+  /**
+   * Collect distinct { originalURL, newURL } pairs from URL records with an accepted fix
+   */
+  collectAcceptedPairs(urls) {
+    const pairs = new Map();
+
+    urls.forEach(url => {
+      const originalURL = url.resolvedURL || url.originalURL;
+      if (!url.newURL || !originalURL || url.newURL === originalURL) {
+        return;
+      }
+
+      const key = `${originalURL} ${url.newURL}`;
+      if (!pairs.has(key)) {
+        pairs.set(key, { originalURL, newURL: url.newURL });
+      }
+    });
+
+    return [...pairs.values()];
+  }
+
+  /**
+   * Generalize pairs into rules backed by at least minEvidence pairs
+   * Each pair keeps a common path suffix (the slug); pairs with the same hosts, the same new prefix and
+   * an old prefix of the same length are grouped, and old prefix segments that differ become wildcards
+   */
+  inferRules(pairs) {
+    const groups = new Map();
+
+    pairs.forEach(pair => {
+      const shape = this.getShape(pair);
+      if (!shape) {
+        return;
+      }
+
+      const key = [shape.host, shape.oldPrefix.length, shape.newOrigin, shape.newPrefix.join('/')].join('|');
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push({ pair, shape });
+    });
+
+    const suggestions = [];
+    groups.forEach(members => {
+      if (members.length < this.minEvidence) {
+        return;
+      }
+
+      const suggestion = this.generalize(members);
+      if (suggestion) {
+        suggestions.push(suggestion);
+      }
+    });
+
+    return suggestions.sort((a, b) => b.evidence.length - a.evidence.length);
+  }
+
+  /**
+   * Split a pair into the old host and prefix, the new origin and prefix, and the shared path suffix
+   */
+  getShape(pair) {
+    let original;
+    let replacement;
+    try {
+      original = new URL(pair.originalURL);
+      replacement = new URL(pair.newURL);
+    } catch {
+      return null;
+    }
+
+    if (!['http:', 'https:'].includes(original.protocol) || !['http:', 'https:'].includes(replacement.protocol)) {
+      return null;
+    }
+
+    const oldSegments = original.pathname.split('/').slice(1);
+    const newSegments = replacement.pathname.split('/').slice(1);
+
+    let shared = 0;
+    while (shared < oldSegments.length && shared < newSegments.length &&
+           oldSegments[oldSegments.length - 1 - shared] === newSegments[newSegments.length - 1 - shared]) {
+      shared++;
+    }
+
+    const suffix = oldSegments.slice(oldSegments.length - shared);
+    if (!suffix.some(segment => segment.length > 0)) {
+      return null;
+    }
+
+    const shape = {
+      host: original.host,
+      oldPrefix: oldSegments.slice(0, oldSegments.length - shared),
+      newOrigin: replacement.origin,
+      newPrefix: newSegments.slice(0, newSegments.length - shared)
+    };
+
+    const moved = shape.host !== replacement.host || shape.oldPrefix.join('/') !== shape.newPrefix.join('/');
+    return moved ? shape : null;
+  }
+
+  /**
+   * Build a rule for a group and keep only the pairs it reproduces exactly
+   */
+  generalize(members) {
+    const { host, newOrigin, newPrefix } = members[0].shape;
+    const oldPrefix = members[0].shape.oldPrefix.map((segment, index) =>
+      members.every(member => member.shape.oldPrefix[index] === segment) ? segment : null
+    );
+
+    // A rule made only of wildcards would rewrite every page on the host
+    if (host === new URL(newOrigin).host && !oldPrefix.some(segment => segment !== null)) {
+      return null;
+    }
+
+    const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const match = `^https?://${escape(host)}/${oldPrefix.map(segment => `${segment === null ? '[^/]+' : escape(segment)}/`).join('')}(.+)$`;
+    const replace = `${newOrigin}/${newPrefix.map(segment => `${segment}/`).join('')}$1`;
+
+    const regex = new RegExp(match);
+    const evidence = members
+      .map(member => member.pair)
+      .filter(pair => {
+        try {
+          return regex.test(pair.originalURL) && new URL(pair.originalURL.replace(regex, replace)).href === new URL(pair.newURL).href;
+        } catch {
+          return false;
+        }
+      });
+
+    if (evidence.length < this.minEvidence) {
+      return null;
+    }
+
+    const display = (origin, prefix) => `${origin}/${prefix.map(segment => `${segment ?? '*'}/`).join('')}…`;
+    return {
+      id: match,
+      rule: {
+        name: `Learned: ${display(host, oldPrefix)} → ${display(new URL(newOrigin).host, newPrefix)}`,
+        type: 'regex',
+        match,
+        replace
+      },
+      evidence
+    };
+  }
+
+  /**
+   * Confirm a suggestion, turning it into an active rewrite rule
+   */
+  async acceptSuggestion(suggestion) {
+    const rule = await this.rewriteRuleService.addRule(suggestion.rule);
+    this.logger.info(`Learned rewrite rule confirmed: ${rule.name}`);
+    return rule;
+  }
+
+  /**
+   * Stop suggesting a rule
+   */
+  async dismissSuggestion(suggestion) {
+    const dismissed = await this.storageService.getSetting(DISMISSED_KEY, []);
+    if (!dismissed.includes(suggestion.id)) {
+      await this.storageService.storeSetting(DISMISSED_KEY, [...dismissed, suggestion.id]);
+    }
+  }
+}
@@ -0,0 +1,167 @@
+/**
+ * SearchProviderRegistry - Registered web search providers with per-provider config, priority and enable/disable
+ * Providers are tried in priority order until one returns results, which are normalized to a shared shape
+ */
+
+'use strict';
+
+import { Logger } from '../utils/Logger.js';
+
+export class SearchProviderRegistry {
+  constructor() {
+    this.logger = new Logger('SearchProviderRegistry');
+    this.providers = new Map();
+  }
+
+  /**
+   * Register a provider (any object with a name and search(query, options)); replaces one with the same name
+   * config is merged into provider.config (enabled, priority and provider-specific settings)
+   */
+  register(provider, config = {}) {
+    if (!provider || !provider.name || typeof provider.search !== 'function') {
+      throw new Error('Search providers need a name and a search(query, options) method');
+    }
+
+    if (this.providers.has(provider.name)) {
+      this.logger.info(`Replacing search provider: ${provider.name}`);
+    }
+
+    provider.config = {
+      enabled: true,
+      priority: 100,
+      ...(provider.config || {}),
+      ...config
+    };
+    this.providers.set(provider.name, provider);
+    return provider;
+  }
+
+  /**
+   * Remove a provider
+   */
+  unregister(name) {
+    return this.providers.delete(name);
+  }
+
+  /**
+   * Get a provider by name
+   */
+  get(name) {
+    return this.providers.get(name) || null;
+  }
+
+  /**
+   * Update a provider's config
+   */
+  configure(name, config) {
+    const provider = this.providers.get(name);
+    if (!provider) {
+      throw new Error(`Unknown search provider: ${name}`);
+    }
+
+    provider.config = { ...provider.config, ...config };
+    this.logger.debug(`Search provider ${name} configured:`, provider.config);
+    return provider.config;
+  }
+
+  /**
+   * Enable a provider
+   */
+  enable(name) {
+    return this.configure(name, { enabled: true });
+  }
+
+  /**
+   * Disable a provider
+   */
+  disable(name) {
+    return this.configure(name, { enabled: false });
+  }
+
+  /**
+   * List providers in the order they are tried ({ name, enabled, priority })
+   */
+  list() {
+    return this.getOrderedProviders().map(provider => ({
+      name: provider.name,
+      enabled: provider.config.enabled !== false,
+      priority: provider.config.priority
+    }));
+  }
+
+  /**
+   * Providers sorted by priority (registration order breaks ties)
+   */
+  getOrderedProviders() {
+    return [...this.providers.values()].sort((a, b) => a.config.priority - b.config.priority);
+  }
+
+  /**
+   * Search with each enabled provider in turn until one returns results
+   * options.providers limits the search to the named providers
+   */
+  async search(query, options = {}) {
+    const { maxResults = 5, timeout = 15000, providers = null } = options;
+
+    const candidates = this.getOrderedProviders().filter(provider =>
+      provider.config.enabled !== false && (!providers || providers.includes(provider.name))
+    );
+
+    for (const provider of candidates) {
+      try {
+        const results = this.normalizeResults(
+          await provider.search(query, { maxResults, timeout: provider.config.timeout || timeout }),
+          provider,
+          maxResults
+        );
+
+        if (results.length > 0) {
+          this.logger.debug(`Found ${results.length} results using search provider ${provider.name}`);
+          return results;
+        }
+      } catch (error) {
+        this.logger.debug(`Search provider ${provider.name} failed, trying next: ${error.message}`);
+      }
+    }
+
+    this.logger.warn('All search providers failed for query:', query);
+    return [];
+  }
+
+  /**
+   * Bring provider results to the shared shape: { url, title, snippet, source, provider, confidence? }
+   */
+  normalizeResults(results, provider, maxResults) {
+    if (!Array.isArray(results)) {
+      return [];
+    }
+
+    return results
+      .filter(result => result && this.isValidURL(result.url))
+      .slice(0, maxResults)
+      .map(result => {
+        const normalized = {
+          url: result.url,
+          title: result.title || 'No title',
+          snippet: result.snippet || '',
+          source: result.source || provider.name,
+          provider: provider.name
+        };
+        if (typeof result.confidence === 'number') {
+          normalized.confidence = result.confidence;
+        }
+        return normalized;
+      });
+  }
+
+  /**
+   * Only absolute http(s) URLs are usable results
+   */
+  isValidURL(url) {
+    try {
+      return ['http:', 'https:'].includes(new URL(url).protocol);
+    } catch {
+      return false;
+    }
+  }
+}
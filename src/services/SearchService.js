@@ -6,15 +6,22 @@
 'use strict';
 
 import { Logger } from '../utils/Logger.js';
+import { FetchHttpClient } from '../adapters/FetchHttpClient.js';
+import { SearchProviderRegistry } from './SearchProviderRegistry.js';
+import { HeadlessSearchProvider } from './providers/HeadlessSearchProvider.js';
+import { SerpApiSearchProvider } from './providers/SerpApiSearchProvider.js';
+import { DuckDuckGoSearchProvider } from './providers/DuckDuckGoSearchProvider.js';
+import { BingSearchProvider } from './providers/BingSearchProvider.js';
+import { GoogleSearchProvider } from './providers/GoogleSearchProvider.js';
 
 export class SearchService {
-  constructor() {
+  constructor(mementoService = null, sitemapService = null) {
     this.logger = new Logger('SearchService');
+    this.mementoService = mementoService; // Archive fallback when searches find nothing
+    this.sitemapService = sitemapService; // Same-site candidates tried before any search engine
+    this.http = new FetchHttpClient();
     this.searchEndpoint = 'https://api.duckduckgo.com/';
     this.proxyEndpoint = 'http://localhost:3001/search';
-    this.webSearchEndpoint = 'http://localhost:3001/web-search';
-    this.webSearchHeadlessEndpoint = 'http://localhost:3001/web-search-headless';
-    this.googleSearchEndpoint = 'http://localhost:3001/google-search';
     this.useProxy = true; // Use proxy by default to avoid CORS issues
     this.maxResults = 5;
     this.searchTimeout = 15000; // 15 seconds
@@ -29,6 +36,10 @@ export class SearchService {
       maxRetries: 2,
       fallbackToOriginalSearch: true
     };
+
+    // Web search providers for performWebSearch (see registerDefaultProviders)
+    this.providers = new SearchProviderRegistry();
+    this.registerDefaultProviders();
   }
 
   /**
@@ -39,7 +50,8 @@ export class SearchService {
       maxResults = this.maxResults,
       timeout = this.searchTimeout,
       strictDomain = true,
-      statusCode = 404
+      statusCode = 404,
+      documentDate = null
     } = options;
 
     try {
@@ -58,6 +70,14 @@ export class SearchService {
         return mockReplacement;
       }
 
+      // The site's own sitemap often lists the page under its new address
+      if (this.sitemapService) {
+        const sitemapResult = await this.findSitemapReplacement(originalURL, urlInfo);
+        if (sitemapResult) {
+          return sitemapResult;
+        }
+      }
+
       // For 404/403 errors, try enhanced SERP-based search first
       if (statusCode === 404 || statusCode === 403) {
         const serpResult = await this.performEnhancedSerpSearch(originalURL, urlInfo, options);
@@ -143,6 +163,14 @@ export class SearchService {
         }
       }
 
+      // Last resort: an archived snapshot, whose title also makes a better search query
+      if (this.mementoService && (statusCode === 404 || statusCode === 403)) {
+        const archived = await this.findArchivedReplacement(originalURL, urlInfo, { maxResults, timeout, strictDomain, documentDate });
+        if (archived) {
+          return archived;
+        }
+      }
+
       this.logger.warn(`No replacement found for: ${originalURL}`);
       return null;
       
@@ -152,6 +180,181 @@ export class SearchService {
     }
   }
 
+  /**
+   * Look for the page among the URLs in its site's sitemaps
+   * The best ranked candidates are validated like search results; the others become alternatives
+   */
+  async findSitemapReplacement(originalURL, urlInfo) {
+    let siteURLs;
+    try {
+      siteURLs = await this.sitemapService.getSiteURLs(originalURL);
+    } catch (error) {
+      this.logger.warn(`Sitemap lookup failed for ${originalURL}: ${error.message}`);
+      return null;
+    }
+
+    const candidates = this.rankSitemapURLs(originalURL, urlInfo, siteURLs).slice(0, 3);
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const searchTerms = this.parseFilenameForSearch(urlInfo.fileName || urlInfo.fileNameWithoutExt);
+    const replacements = [];
+
+    for (const candidate of candidates) {
+      const validationResult = await this.validateReplacementURL(candidate.url, urlInfo, searchTerms);
+      if (!validationResult.valid) {
+        this.logger.debug(`Sitemap candidate failed validation: ${candidate.url} - ${validationResult.reason}`);
+        continue;
+      }
+
+      replacements.push({
+        originalURL,
+        replacementURL: candidate.url,
+        confidence: Math.min(candidate.score, validationResult.score),
+        source: 'sitemap',
+        searchQuery: null,
+        validated: true,
+        validationScore: validationResult.score,
+        validationDetails: validationResult,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (replacements.length === 0) {
+      return null;
+    }
+
+    this.logger.info(`Found replacement in sitemap: ${replacements[0].replacementURL}`);
+    return {
+      ...replacements[0],
+      alternatives: replacements,
+      totalAlternatives: replacements.length,
+      currentAlternativeIndex: 0
+    };
+  }
+
+  /**
+   * Rank sitemap URLs by filename and path similarity to the broken URL
+   * Returns [{ url, score }], best first, for candidates scoring at least minScore
+   */
+  rankSitemapURLs(originalURL, urlInfo, siteURLs, minScore = 0.5) {
+    const originalName = urlInfo.fileNameWithoutExt.toLowerCase();
+    const originalTerms = this.parseFilenameForSearch(urlInfo.fileName);
+    if (!originalName) {
+      return [];
+    }
+
+    return siteURLs
+      .filter(url => url !== originalURL)
+      .map(url => {
+        const candidateInfo = this.parseURL(url);
+        if (!candidateInfo || !candidateInfo.fileName) {
+          return null;
+        }
+
+        let filenameScore = 0;
+        if (candidateInfo.fileNameWithoutExt.toLowerCase() === originalName) {
+          filenameScore = 1;
+        } else if (originalTerms.length > 0) {
+          const candidateTerms = this.parseFilenameForSearch(candidateInfo.fileName);
+          const shared = originalTerms.filter(term => candidateTerms.includes(term));
+          filenameScore = shared.length / Math.max(originalTerms.length, candidateTerms.length);
+        }
+
+        const pathScore = this.calculatePathSimilarity(urlInfo.pathParts.slice(0, -1), candidateInfo.pathParts.slice(0, -1));
+        return { url, score: filenameScore * 0.6 + pathScore * 0.4 };
+      })
+      .filter(candidate => candidate && candidate.score >= minScore)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Find the snapshot closest to the document's date and search the live site for the archived title
+   * Returns the live page found by title (with the snapshot as an alternative) or the snapshot itself
+   */
+  async findArchivedReplacement(originalURL, urlInfo, options = {}) {
+    const { maxResults = this.maxResults, timeout = this.searchTimeout, strictDomain = true, documentDate = null } = options;
+
+    const snapshot = await this.mementoService.findClosestSnapshot(originalURL, documentDate);
+    if (!snapshot) {
+      return null;
+    }
+
+    const archivedPage = await this.scrapePageContent(snapshot.url);
+    const archivedTitle = archivedPage ? this.cleanArchivedTitle(archivedPage.title) : '';
+
+    const snapshotReplacement = {
+      originalURL,
+      replacementURL: snapshot.url,
+      confidence: 0.5,
+      source: 'memento',
+      searchQuery: null,
+      title: archivedTitle || null,
+      archivedAt: snapshot.datetime,
+      validated: false,
+      timestamp: new Date().toISOString()
+    };
+
+    if (archivedTitle) {
+      const query = `site:${urlInfo.domain} "${archivedTitle}"`;
+      this.logger.debug(`Trying archived title search query: ${query}`);
+
+      let validatedResults = [];
+      try {
+        const searchResults = await this.performSearch(query, maxResults, timeout);
+        if (searchResults.length > 0) {
+          validatedResults = await this.validateSearchResults(searchResults, urlInfo, strictDomain);
+        }
+      } catch (error) {
+        this.logger.warn(`Archived title search failed, offering the snapshot instead: ${error.message}`);
+      }
+      const searchTerms = this.cleanSearchTerm(archivedTitle).split(' ').filter(term => term.length > 2 && !this.isStopWord(term));
+
+      for (const result of validatedResults.slice(0, 3)) {
+        const validationResult = await this.validateReplacementURL(result.url, urlInfo, searchTerms);
+        if (validationResult.valid) {
+          this.logger.info(`Found replacement via archived title: ${result.url}`);
+
+          const titleReplacement = {
+            originalURL,
+            replacementURL: result.url,
+            confidence: Math.min(result.confidence, validationResult.score),
+            source: 'archived-title-search',
+            searchQuery: query,
+            title: result.title,
+            snippet: result.snippet,
+            archivedAt: snapshot.datetime,
+            validated: true,
+            validationScore: validationResult.score,
+            validationDetails: validationResult,
+            timestamp: new Date().toISOString()
+          };
+
+          return {
+            ...titleReplacement,
+            alternatives: [titleReplacement, snapshotReplacement],
+            totalAlternatives: 2,
+            currentAlternativeIndex: 0
+          };
+        }
+      }
+    }
+
+    this.logger.info(`Offering archived snapshot for ${originalURL}: ${snapshot.url}`);
+    return snapshotReplacement;
+  }
+
+  /**
+   * Strip the site name from an archived page title ("Release notes | Example" -> "Release notes")
+   */
+  cleanArchivedTitle(title) {
+    if (!title) {
+      return '';
+    }
+    return title.split(/\s+[|\u2013\u2014-]\s+|\s+::\s+/)[0].trim();
+  }
+
   /**
    * Get the next alternative URL for re-processing
    */
@@ -575,7 +778,7 @@ export class SearchService {
 
       let response;
       try {
-        response = await fetch(searchURL.toString(), {
+        response = await this.http.fetch(searchURL.toString(), {
           signal: controller.signal,
           headers: {
             'User-Agent': 'URL-Fixer/1.0 (+https://url-fixer.app)',
@@ -632,7 +835,7 @@ export class SearchService {
       searchURL.searchParams.set('no_html', '1');
       searchURL.searchParams.set('skip_disambig', '1');
 
-      const response = await fetch(searchURL.toString(), {
+      const response = await this.http.fetch(searchURL.toString(), {
         signal: controller.signal,
         headers: {
           'User-Agent': 'URL-Fixer/1.0 (+https://url-fixer.app)'
@@ -838,555 +1041,45 @@ export class SearchService {
   }
 
   /**
-   * Perform web search using multiple search strategies
-   * Enhanced to provide better SERP results for 404/403 URL replacement
+   * Replace the HTTP adapter of the service and of its registered providers
    */
-  async performWebSearch(query, maxResults, timeout) {
-    try {
-      this.logger.debug(`Performing enhanced web search for: ${query}`);
-
-      // Try multiple search strategies in order of preference
-      const searchStrategies = [
-        () => this.performHeadlessSearch(query, maxResults, timeout),
-        () => this.performSerpApiSearch(query, maxResults, timeout),
-        () => this.performDuckDuckGoSearch(query, maxResults, timeout),
-        () => this.performBingSearch(query, maxResults, timeout),
-        () => this.performGoogleScrapeSearch(query, maxResults, timeout)
-      ];
-
-      let lastError = null;
-      for (const strategy of searchStrategies) {
-        try {
-          const results = await strategy();
-          if (results && results.length > 0) {
-            this.logger.debug(`Found ${results.length} results using search strategy`);
-            return results;
-          }
-        } catch (error) {
-          lastError = error;
-          this.logger.debug(`Search strategy failed, trying next: ${error.message}`);
-          continue;
-        }
-      }
-
-      // If all strategies failed, return empty array (don't throw)
-      this.logger.warn('All search strategies failed for query:', query);
-      return [];
-
-    } catch (error) {
-      this.logger.warn('Web search failed:', error.message);
-      return [];
-    }
+  setHttpClient(http) {
+    this.http = http;
+    this.providers.providers.forEach(provider => {
+      provider.http = http;
+    });
   }
 
   /**
-   * Perform search using SerpApi (if API key is available)
+   * Register the built-in web search providers, in order of preference
    */
-  async performSerpApiSearch(query, maxResults, timeout) {
-    // Check if SerpApi key is available in environment
-    const apiKey = process.env.SERPAPI_KEY || window.SERPAPI_KEY;
-    if (!apiKey) {
-      throw new Error('SerpApi key not available');
-    }
-
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), timeout);
-
-    try {
-      const searchUrl = new URL('https://serpapi.com/search');
-      searchUrl.searchParams.set('engine', 'google');
-      searchUrl.searchParams.set('q', query);
-      searchUrl.searchParams.set('api_key', apiKey);
-      searchUrl.searchParams.set('num', Math.min(maxResults, 10).toString());
-
-      const response = await fetch(searchUrl.toString(), {
-        signal: controller.signal,
-        headers: {
-          'User-Agent': 'URL-Fixer/1.0 (+https://url-fixer.app)'
-        }
-      });
-
-      clearTimeout(timeoutId);
-
-      if (!response.ok) {
-        throw new Error(`SerpApi error: ${response.status} ${response.statusText}`);
-      }
-
-      const data = await response.json();
-
-      if (data.organic_results && data.organic_results.length > 0) {
-        return data.organic_results.map(result => ({
-          url: result.link,
-          title: result.title || 'No title',
-          snippet: result.snippet || '',
-          source: 'serpapi'
-        }));
-      }
-
-      return [];
-
-    } catch (error) {
-      clearTimeout(timeoutId);
-      throw error;
-    }
+  registerDefaultProviders() {
+    this.providers.register(new HeadlessSearchProvider());
+    this.providers.register(new SerpApiSearchProvider());
+    this.providers.register(new DuckDuckGoSearchProvider({
+      instantSearch: (query, options) => this.performSearch(query, options.maxResults, options.timeout)
+    }));
+    this.providers.register(new BingSearchProvider());
+    this.providers.register(new GoogleSearchProvider());
   }
 
   /**
-   * Perform search using Chrome Headless proxy (best quality, CORS-free)
+   * Perform web search with the registered providers
+   * Enhanced to provide better SERP results for 404/403 URL replacement
    */
-  async performHeadlessSearch(query, maxResults, timeout, engine = 'duckduckgo') {
+  async performWebSearch(query, maxResults, timeout) {
     try {
-      this.logger.debug(`Performing headless search for: ${query} (engine: ${engine})`);
+      this.logger.debug(`Performing enhanced web search for: ${query}`);
 
-      // Rate limiting
       await this.enforceRateLimit();
-
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), timeout);
-
-      // Use headless web search proxy endpoint
-      const searchURL = new URL(this.webSearchHeadlessEndpoint);
-      searchURL.searchParams.set('q', query);
-      searchURL.searchParams.set('maxResults', maxResults.toString());
-      searchURL.searchParams.set('timeout', timeout.toString());
-      searchURL.searchParams.set('engine', engine);
-
-      try {
-        const response = await fetch(searchURL.toString(), {
-          signal: controller.signal,
-          headers: {
-            'Accept': 'application/json'
-          }
-        });
-
-        clearTimeout(timeoutId);
-
-        if (!response || !response.ok) {
-          throw new Error(`Headless search proxy returned ${response?.status || 'unknown'}: ${response?.statusText || 'unknown error'}`);
-        }
-
-        const data = await response.json();
-
-        this.logger.debug(`Headless search returned ${data.results?.length || 0} results for: ${query}`);
-
-        // Return results in standardized format
-        return (data.results || []).map(result => ({
-          url: result.url,
-          title: result.title || 'No title',
-          snippet: result.snippet || '',
-          source: `headless-${engine}`,
-          confidence: 0.9 // High confidence for headless results
-        }));
-
-      } catch (error) {
-        clearTimeout(timeoutId);
-        if (error.name === 'AbortError') {
-          throw new Error('Headless search request timeout');
-        }
-        throw error;
-      }
+      return await this.providers.search(query, { maxResults, timeout });
 
     } catch (error) {
-      this.logger.warn(`Headless search failed: ${error.message}`);
-      throw error;
-    }
-  }
-
-  /**
-   * Enhanced DuckDuckGo search with web search proxy fallback
-   */
-  async performDuckDuckGoSearch(query, maxResults, timeout) {
-    try {
-      // First try the instant answer API
-      const instantResults = await this.performSearch(query, maxResults, timeout);
-      if (instantResults && instantResults.length > 0) {
-        return instantResults.map(result => ({
-          url: result.url,
-          title: result.title || 'No title',
-          snippet: result.snippet || '',
-          source: 'duckduckgo-api'
-        }));
-      }
-
-      // Fallback to web search proxy (for actual search results)
-      return await this.performWebSearchProxy(query, maxResults, timeout);
-
-    } catch (error) {
-      this.logger.debug(`DuckDuckGo search failed: ${error.message}`);
-      throw error;
-    }
-  }
-
-  /**
-   * Perform web search using proxy server (for actual search results)
-   */
-  async performWebSearchProxy(query, maxResults, timeout) {
-    try {
-      this.logger.debug(`Performing web search via proxy for: ${query}`);
-
-      // Rate limiting
-      await this.enforceRateLimit();
-
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), timeout);
-
-      // Use web search proxy endpoint
-      const searchURL = new URL(this.webSearchEndpoint);
-      searchURL.searchParams.set('q', query);
-      searchURL.searchParams.set('maxResults', maxResults.toString());
-      searchURL.searchParams.set('timeout', timeout.toString());
-
-      try {
-        const response = await fetch(searchURL.toString(), {
-          signal: controller.signal,
-          headers: {
-            'Accept': 'application/json'
-          }
-        });
-
-        clearTimeout(timeoutId);
-
-        if (!response || !response.ok) {
-          throw new Error(`Web search proxy returned ${response?.status || 'unknown'}: ${response?.statusText || 'unknown error'}`);
-        }
-
-        const data = await response.json();
-
-        this.logger.debug(`Web search proxy returned ${data.results?.length || 0} results for: ${query}`);
-        return data.results || [];
-
-      } catch (error) {
-        clearTimeout(timeoutId);
-        if (error.name === 'AbortError') {
-          throw new Error('Web search proxy request timeout');
-        }
-        throw error;
-      }
-
-    } catch (error) {
-      this.logger.warn(`Web search proxy failed: ${error.message}`);
-      throw error;
-    }
-  }
-
-  /**
-   * Scrape DuckDuckGo HTML results for better coverage
-   */
-  async scrapeDuckDuckGoResults(query, maxResults, timeout) {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), timeout);
-
-    try {
-      const searchUrl = new URL('https://html.duckduckgo.com/html/');
-      searchUrl.searchParams.set('q', query);
-
-      const response = await fetch(searchUrl.toString(), {
-        signal: controller.signal,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-          'Accept-Language': 'en-US,en;q=0.9'
-        }
-      });
-
-      clearTimeout(timeoutId);
-
-      if (!response.ok) {
-        throw new Error(`DuckDuckGo scrape error: ${response.status}`);
-      }
-
-      const html = await response.text();
-      return this.parseDuckDuckGoHTML(html, maxResults);
-
-    } catch (error) {
-      clearTimeout(timeoutId);
-      throw error;
-    }
-  }
-
-  /**
-   * Parse DuckDuckGo HTML results
-   */
-  parseDuckDuckGoHTML(html, maxResults) {
-    const results = [];
-
-    try {
-      // Create a temporary DOM element to parse HTML
-      const parser = new DOMParser();
-      const doc = parser.parseFromString(html, 'text/html');
-
-      // Find result elements (DuckDuckGo uses specific classes)
-      const resultElements = doc.querySelectorAll('.result, .web-result');
-
-      for (let i = 0; i < Math.min(resultElements.length, maxResults); i++) {
-        const element = resultElements[i];
-
-        // Extract URL
-        const linkElement = element.querySelector('a[href]');
-        if (!linkElement) continue;
-
-        let url = linkElement.getAttribute('href');
-        if (!url) continue;
-
-        // Clean up DuckDuckGo redirect URLs
-        if (url.startsWith('/l/?uddg=')) {
-          const urlMatch = url.match(/uddg=([^&]+)/);
-          if (urlMatch) {
-            url = decodeURIComponent(urlMatch[1]);
-          }
-        }
-
-        // Extract title
-        const titleElement = element.querySelector('.result__title, .result__a') || linkElement;
-        const title = titleElement ? titleElement.textContent.trim() : 'No title';
-
-        // Extract snippet
-        const snippetElement = element.querySelector('.result__snippet, .result__body');
-        const snippet = snippetElement ? snippetElement.textContent.trim() : '';
-
-        if (this.isValidURL(url)) {
-          results.push({
-            url,
-            title,
-            snippet,
-            source: 'duckduckgo-scrape'
-          });
-        }
-      }
-
-    } catch (error) {
-      this.logger.debug(`Failed to parse DuckDuckGo HTML: ${error.message}`);
-    }
-
-    return results;
-  }
-
-  /**
-   * Perform Bing search using their API or scraping
-   */
-  async performBingSearch(query, maxResults, timeout) {
-    // Check if Bing API key is available
-    const apiKey = process.env.BING_SEARCH_KEY || window.BING_SEARCH_KEY;
-    if (apiKey) {
-      return await this.performBingApiSearch(query, maxResults, timeout, apiKey);
-    }
-
-    // Fallback to scraping (less reliable)
-    return await this.scrapeBingResults(query, maxResults, timeout);
-  }
-
-  /**
-   * Perform Bing API search
-   */
-  async performBingApiSearch(query, maxResults, timeout, apiKey) {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), timeout);
-
-    try {
-      const searchUrl = new URL('https://api.bing.microsoft.com/v7.0/search');
-      searchUrl.searchParams.set('q', query);
-      searchUrl.searchParams.set('count', Math.min(maxResults, 50).toString());
-
-      const response = await fetch(searchUrl.toString(), {
-        signal: controller.signal,
-        headers: {
-          'Ocp-Apim-Subscription-Key': apiKey,
-          'User-Agent': 'URL-Fixer/1.0 (+https://url-fixer.app)'
-        }
-      });
-
-      clearTimeout(timeoutId);
-
-      if (!response.ok) {
-        throw new Error(`Bing API error: ${response.status} ${response.statusText}`);
-      }
-
-      const data = await response.json();
-
-      if (data.webPages && data.webPages.value && data.webPages.value.length > 0) {
-        return data.webPages.value.map(result => ({
-          url: result.url,
-          title: result.name || 'No title',
-          snippet: result.snippet || '',
-          source: 'bing-api'
-        }));
-      }
-
+      this.logger.warn('Web search failed:', error.message);
       return [];
-
-    } catch (error) {
-      clearTimeout(timeoutId);
-      throw error;
-    }
-  }
-
-  /**
-   * Scrape Bing search results
-   */
-  async scrapeBingResults(query, maxResults, timeout) {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), timeout);
-
-    try {
-      const searchUrl = new URL('https://www.bing.com/search');
-      searchUrl.searchParams.set('q', query);
-
-      const response = await fetch(searchUrl.toString(), {
-        signal: controller.signal,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-          'Accept-Language': 'en-US,en;q=0.9'
-        }
-      });
-
-      clearTimeout(timeoutId);
-
-      if (!response.ok) {
-        throw new Error(`Bing scrape error: ${response.status}`);
-      }
-
-      const html = await response.text();
-      return this.parseBingHTML(html, maxResults);
-
-    } catch (error) {
-      clearTimeout(timeoutId);
-      throw error;
     }
   }
 
-  /**
-   * Parse Bing HTML results
-   */
-  parseBingHTML(html, maxResults) {
-    const results = [];
-
-    try {
-      const parser = new DOMParser();
-      const doc = parser.parseFromString(html, 'text/html');
-
-      // Find result elements
-      const resultElements = doc.querySelectorAll('.b_algo');
-
-      for (let i = 0; i < Math.min(resultElements.length, maxResults); i++) {
-        const element = resultElements[i];
-
-        // Extract URL
-        const linkElement = element.querySelector('h2 a[href]');
-        if (!linkElement) continue;
-
-        const url = linkElement.getAttribute('href');
-        if (!url || !this.isValidURL(url)) continue;
-
-        // Extract title
-        const title = linkElement.textContent.trim() || 'No title';
-
-        // Extract snippet
-        const snippetElement = element.querySelector('.b_caption p, .b_descript');
-        const snippet = snippetElement ? snippetElement.textContent.trim() : '';
-
-        results.push({
-          url,
-          title,
-          snippet,
-          source: 'bing-scrape'
-        });
-      }
-
-    } catch (error) {
-      this.logger.debug(`Failed to parse Bing HTML: ${error.message}`);
-    }
-
-    return results;
-  }
-
-  /**
-   * Perform Google search using proxy server (to avoid CORS)
-   */
-  async performGoogleScrapeSearch(query, maxResults, timeout) {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), timeout);
-
-    try {
-      // Use proxy endpoint to avoid CORS issues
-      const searchURL = new URL(this.googleSearchEndpoint);
-      searchURL.searchParams.set('q', query);
-      searchURL.searchParams.set('maxResults', Math.min(maxResults, 10).toString());
-      searchURL.searchParams.set('timeout', timeout.toString());
-
-      const response = await fetch(searchURL.toString(), {
-        signal: controller.signal,
-        headers: {
-          'Accept': 'application/json'
-        }
-      });
-
-      clearTimeout(timeoutId);
-
-      if (!response.ok) {
-        throw new Error(`Google search proxy returned ${response.status}: ${response.statusText}`);
-      }
-
-      const data = await response.json();
-
-      this.logger.debug(`Google search proxy returned ${data.results?.length || 0} results for: ${query}`);
-      return data.results || [];
-
-    } catch (error) {
-      clearTimeout(timeoutId);
-      if (error.name === 'AbortError') {
-        throw new Error('Google search proxy request timeout');
-      }
-      throw error;
-    }
-  }
-
-  /**
-   * Parse Google HTML results (basic implementation)
-   */
-  parseGoogleHTML(html, maxResults) {
-    const results = [];
-
-    try {
-      const parser = new DOMParser();
-      const doc = parser.parseFromString(html, 'text/html');
-
-      // Find result elements (Google's structure changes frequently)
-      const resultElements = doc.querySelectorAll('.g, .tF2Cxc');
-
-      for (let i = 0; i < Math.min(resultElements.length, maxResults); i++) {
-        const element = resultElements[i];
-
-        // Extract URL
-        const linkElement = element.querySelector('a[href]');
-        if (!linkElement) continue;
-
-        const url = linkElement.getAttribute('href');
-        if (!url || !this.isValidURL(url)) continue;
-
-        // Extract title
-        const titleElement = element.querySelector('h3');
-        const title = titleElement ? titleElement.textContent.trim() : 'No title';
-
-        // Extract snippet
-        const snippetElement = element.querySelector('.VwiC3b, .s3v9rd');
-        const snippet = snippetElement ? snippetElement.textContent.trim() : '';
-
-        results.push({
-          url,
-          title,
-          snippet,
-          source: 'google-scrape'
-        });
-      }
-
-    } catch (error) {
-      this.logger.debug(`Failed to parse Google HTML: ${error.message}`);
-    }
-
-    return results;
-  }
-
   /**
    * Validate SERP result by scraping content and checking for keywords
    */
@@ -1466,7 +1159,7 @@ export class SearchService {
       const controller = new AbortController();
       const timeoutId = setTimeout(() => controller.abort(), this.enhancedSearchConfig.contentScrapeTimeout);
 
-      const response = await fetch(url, {
+      const response = await this.http.fetch(url, {
         signal: controller.signal,
         headers: {
           'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
@@ -1907,7 +1600,7 @@ export class SearchService {
       const controller = new AbortController();
       const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout
 
-      const response = await fetch(url, {
+      const response = await this.http.fetch(url, {
         method: 'HEAD', // Use HEAD to avoid downloading content
         signal: controller.signal,
         headers: {
@@ -2001,7 +1694,8 @@ export class SearchService {
       maxResults: this.maxResults,
       timeout: this.searchTimeout,
       rateLimit: this.rateLimitDelay,
-      enhancedSearchConfig: this.enhancedSearchConfig
+      enhancedSearchConfig: this.enhancedSearchConfig,
+      providers: this.providers.list()
     };
   }
 }
@@ -0,0 +1,196 @@
+/**
+ * SitemapService - List a site's pages from robots.txt and its XML sitemaps
+ * Sitemap locations come from the RobotsService rules; sitemap indexes are followed and gzipped sitemaps are
+ * decompressed by the proxy; results are cached per origin
+ */
+
+'use strict';
+
+import { Logger } from '../utils/Logger.js';
+import { FetchHttpClient } from '../adapters/FetchHttpClient.js';
+import { RobotsService } from './RobotsService.js';
+
+export class SitemapService {
+  constructor(storageService = null, robotsService = null, config = {}) {
+    this.logger = new Logger('SitemapService');
+    this.storageService = storageService;
+    this.http = new FetchHttpClient();
+    this.config = {
+      proxyServerUrl: 'http://localhost:3001',
+      timeout: 15000,
+      maxSitemaps: 20, // sitemap files fetched per site, indexes included
+      maxURLs: 50000,
+      cacheMaxAge: 24 * 60 * 60 * 1000, // 1 day
+      ...config
+    };
+    this.robotsService = robotsService || new RobotsService({ proxyServerUrl: this.config.proxyServerUrl });
+    this.pending = new Map(); // origin -> in-flight discovery, shared by links to the same site
+  }
+
+  /**
+   * Get the page URLs listed in the sitemaps of a URL's site
+   * Returns [] when the site has no readable sitemap
+   */
+  async getSiteURLs(url) {
+    let origin;
+    try {
+      origin = new URL(url).origin;
+    } catch {
+      return [];
+    }
+
+    if (this.storageService) {
+      try {
+        const cached = await this.storageService.getCachedSitemap(origin, this.config.cacheMaxAge);
+        if (cached) {
+          this.logger.debug(`Using cached sitemap for ${origin} (${cached.urls.length} URLs)`);
+          return cached.urls;
+        }
+      } catch (error) {
+        this.logger.warn(`Failed to read cached sitemap for ${origin}:`, error.message);
+      }
+    }
+
+    if (!this.pending.has(origin)) {
+      this.pending.set(origin, this.discover(origin).finally(() => this.pending.delete(origin)));
+    }
+    return this.pending.get(origin);
+  }
+
+  /**
+   * Read the sitemap locations declared in robots.txt (falling back to /sitemap.xml) and collect their URLs
+   */
+  async discover(origin) {
+    const rules = await this.robotsService.getRules(origin);
+    const declared = (rules?.sitemaps || []).filter(url => /^https?:\/\//i.test(url));
+    const queue = declared.length > 0 ? declared : [`${origin}/sitemap.xml`];
+
+    const visited = new Set();
+    const urls = new Set();
+
+    while (queue.length > 0 && visited.size < this.config.maxSitemaps && urls.size < this.config.maxURLs) {
+      const sitemapURL = queue.shift();
+      if (visited.has(sitemapURL)) {
+        continue;
+      }
+      visited.add(sitemapURL);
+
+      const text = await this.fetchText(sitemapURL);
+      if (!text) {
+        continue;
+      }
+
+      const sitemap = this.parseSitemap(text);
+      queue.push(...sitemap.sitemaps);
+      sitemap.urls
+        .filter(url => this.isSameSite(url, origin))
+        .slice(0, this.config.maxURLs - urls.size)
+        .forEach(url => urls.add(url));
+    }
+
+    const result = [...urls];
+    this.logger.info(`Found ${result.length} URLs in ${visited.size} sitemaps for ${origin}`);
+
+    if (this.storageService) {
+      try {
+        await this.storageService.cacheSitemap(origin, result, [...visited]);
+      } catch (error) {
+        this.logger.warn(`Failed to cache sitemap for ${origin}:`, error.message);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Fetch a text resource through the proxy
+   * Returns null for errors and non-2xx responses
+   */
+  async fetchText(url) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.config.timeout);
+
+    try {
+      const proxyURL = `${this.config.proxyServerUrl}/fetch-text?url=${encodeURIComponent(url)}&timeout=${this.config.timeout}`;
+      const response = await this.http.fetch(proxyURL, { method: 'GET', signal: controller.signal });
+      if (!response.ok) {
+        throw new Error(`Proxy error: ${response.status} ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      if (data.status < 200 || data.status >= 300) {
+        this.logger.debug(`No sitemap data at ${url}: ${data.status} ${data.statusText || ''}`);
+        return null;
+      }
+      return data.text || null;
+
+    } catch (error) {
+      const message = error.name === 'AbortError' ? `timeout after ${this.config.timeout}ms` : error.message;
+      this.logger.debug(`Failed to fetch ${url}: ${message}`);
+      return null;
+
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Parse a sitemap or sitemap index into { urls, sitemaps }
+   * Plain text sitemaps (one URL per line) are accepted too
+   */
+  parseSitemap(text) {
+    const trimmed = text.trim();
+    if (!trimmed.startsWith('<')) {
+      return {
+        urls: trimmed.split(/\s+/).filter(line => /^https?:\/\//i.test(line)),
+        sitemaps: []
+      };
+    }
+
+    if (typeof DOMParser === 'undefined') {
+      return this.scanSitemap(trimmed);
+    }
+
+    const doc = new DOMParser().parseFromString(trimmed, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+      this.logger.debug('Ignoring malformed sitemap XML');
+      return { urls: [], sitemaps: [] };
+    }
+
+    const locations = Array.from(doc.getElementsByTagNameNS('*', 'loc'))
+      .map(loc => loc.textContent.trim())
+      .filter(Boolean);
+
+    return doc.documentElement.localName === 'sitemapindex'
+      ? { urls: [], sitemaps: locations }
+      : { urls: locations, sitemaps: [] };
+  }
+
+  /**
+   * Read <loc> entries without an XML parser (outside the browser)
+   */
+  scanSitemap(text) {
+    const decode = (value) => value
+      .replace(/^<!\[CDATA\[|\]\]>$/g, '')
+      .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+    const locations = [...text.matchAll(/<(?:[\w-]+:)?loc>\s*([\s\S]*?)\s*<\/(?:[\w-]+:)?loc>/g)]
+      .map(match => decode(match[1]).trim())
+      .filter(Boolean);
+
+    return /<(?:[\w-]+:)?sitemapindex[\s>]/.test(text)
+      ? { urls: [], sitemaps: locations }
+      : { urls: locations, sitemaps: [] };
+  }
+
+  /**
+   * Check whether a URL belongs to the site, ignoring a leading www.
+   */
+  isSameSite(url, origin) {
+    try {
+      const host = (hostname) => hostname.toLowerCase().replace(/^www\./, '');
+      return host(new URL(url).hostname) === host(new URL(origin).hostname);
+    } catch {
+      return false;
+    }
+  }
+}
@@ -0,0 +1,218 @@
+/**
+ * Soft404Service - Detect pages that answer 200 but are really "not found" pages
+ * Combines title/heading patterns, body size, a probe of a nonexistent path and homepage redirects
+ */
+
+'use strict';
+
+import { Logger } from '../utils/Logger.js';
+import { FetchHttpClient } from '../adapters/FetchHttpClient.js';
+
+// Phrases used by "not found" templates
+const NOT_FOUND_PATTERNS = [
+  /\b404\b/,
+  /\bnot found\b/i,
+  /\bpage (?:does not|doesn't|no longer) exists?\b/i,
+  /\b(?:page|content|article|file|product)\b.{0,20}\b(?:no longer available|unavailable|could not be found|cannot be found|can't be found|was not found|has been (?:removed|deleted))\b/i,
+  /\bnothing (?:was )?found\b/i,
+  /\boops\b.{0,40}\b(?:page|find)\b/i
+];
+
+export class Soft404Service {
+  constructor(searchService) {
+    this.logger = new Logger('Soft404Service');
+    this.searchService = searchService;
+    this.http = new FetchHttpClient();
+    this.proxyServerUrl = 'http://localhost:3001';
+    this.timeout = 20000;
+
+    // Score needed to call a page a soft 404, and the weight of each signal
+    this.threshold = 0.6;
+    this.weights = {
+      'not-found-title': 0.4,
+      'not-found-heading': 0.3,
+      'tiny-body': 0.2,
+      'matches-missing-page': 0.6,
+      'redirected-to-homepage': 0.8,
+      'not-found-on-get': 0.8,
+      'site-returns-real-404': -0.2
+    };
+    this.tinyBodyLength = 250;
+    this.similarityThreshold = 0.85;
+
+    // Probe results per origin, shared by every URL on the host
+    this.probes = new Map();
+  }
+
+  /**
+   * Check whether a URL that returned 2xx is a soft 404
+   * options.finalURL is where redirects ended. Returns { isSoft404, score, signals } or null when the page could not be fetched
+   */
+  async detect(url, options = {}) {
+    const { finalURL = url } = options;
+
+    try {
+      const page = await this.fetchPage(url);
+      if (!page) {
+        return null;
+      }
+
+      const signals = [];
+
+      // Some servers only answer HEAD with 200
+      if (page.status === 404 || page.status === 410) {
+        signals.push('not-found-on-get');
+      }
+
+      if (NOT_FOUND_PATTERNS.some(pattern => pattern.test(page.title))) {
+        signals.push('not-found-title');
+      }
+
+      const mainHeadings = page.headings.filter(heading => heading.level <= 2).map(heading => heading.text);
+      if (mainHeadings.some(text => NOT_FOUND_PATTERNS.some(pattern => pattern.test(text)))) {
+        signals.push('not-found-heading');
+      }
+
+      if (page.text.length < this.tinyBodyLength) {
+        signals.push('tiny-body');
+      }
+
+      if (this.isHomepageRedirect(url, page.url || finalURL) || this.isHomepageRedirect(url, finalURL)) {
+        signals.push('redirected-to-homepage');
+      }
+
+      const probe = await this.probeOrigin(url);
+      if (probe && probe.status === 200 && this.isSamePage(page, probe)) {
+        signals.push('matches-missing-page');
+      } else if (probe && (probe.status === 404 || probe.status === 410)) {
+        signals.push('site-returns-real-404');
+      }
+
+      const score = Math.round(signals.reduce((sum, signal) => sum + this.weights[signal], 0) * 100) / 100;
+      const isSoft404 = score >= this.threshold;
+
+      if (isSoft404) {
+        this.logger.info(`Soft 404 detected for ${url} (score ${score}: ${signals.join(', ')})`);
+      }
+
+      return { isSoft404, score, signals };
+
+    } catch (error) {
+      this.logger.debug(`Soft 404 detection failed for ${url}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Fetch a page through the scrape-content proxy and extract its title, headings and text
+   */
+  async fetchPage(url) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout + 5000);
+
+    try {
+      const proxyUrl = `${this.proxyServerUrl}/scrape-content?url=${encodeURIComponent(url)}&extractText=true&extractHtml=true&timeout=${this.timeout}`;
+      const response = await this.http.fetch(proxyUrl, {
+        method: 'GET',
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`Scrape proxy error: ${response.status} ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      if (data.error || !data.status) {
+        return null;
+      }
+
+      const extracted = data.html
+        ? this.searchService.extractEnhancedTextFromHTML(data.html, data.url || url)
+        : { title: data.title || '', headings: [], text: this.searchService.normalizeText(data.text || '') };
+
+      return {
+        url: data.url || url,
+        status: data.status,
+        title: extracted.title || data.title || '',
+        headings: extracted.headings || [],
+        text: extracted.text || ''
+      };
+
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Fetch a random nonexistent path on the URL's origin to learn what the site's missing pages look like
+   */
+  async probeOrigin(url) {
+    let origin;
+    try {
+      origin = new URL(url).origin;
+    } catch {
+      return null;
+    }
+
+    if (!this.probes.has(origin)) {
+      const token = Math.random().toString(36).slice(2, 14);
+      const probe = this.fetchPage(`${origin}/url-fixer-probe-${token}`).catch(error => {
+        this.logger.debug(`Soft 404 probe failed for ${origin}: ${error.message}`);
+        return null;
+      });
+      this.probes.set(origin, probe);
+    }
+
+    return this.probes.get(origin);
+  }
+
+  /**
+   * Check whether a deep link ended up on the site's homepage
+   */
+  isHomepageRedirect(url, finalURL) {
+    try {
+      const original = new URL(url);
+      const final = new URL(finalURL);
+      const isHome = path => /^\/(?:index\.[a-z]+|home)?\/?$/i.test(path);
+      return !isHome(original.pathname) && isHome(final.pathname) && !final.search;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Compare a page with the probe of a missing page (same title and nearly the same words)
+   */
+  isSamePage(page, probe) {
+    if (page.title && probe.title && page.title !== probe.title) {
+      return false;
+    }
+    return this.getSimilarity(page.text, probe.text) >= this.similarityThreshold;
+  }
+
+  /**
+   * Jaccard similarity of the word sets of two texts
+   */
+  getSimilarity(a, b) {
+    const wordsA = new Set(a.split(/\s+/).filter(Boolean));
+    const wordsB = new Set(b.split(/\s+/).filter(Boolean));
+    if (wordsA.size === 0 && wordsB.size === 0) {
+      return 1;
+    }
+
+    let shared = 0;
+    wordsA.forEach(word => {
+      if (wordsB.has(word)) {
+        shared++;
+      }
+    });
+    return shared / (wordsA.size + wordsB.size - shared);
+  }
+
+  /**
+   * Forget cached origin probes
+   */
+  clearProbes() {
+    this.probes.clear();
+  }
+}
@@ -11,7 +11,7 @@ export class StorageService {
   constructor() {
     this.logger = new Logger('StorageService');
     this.dbName = 'URLFixerDB';
-    this.version = 1;
+    this.version = 2;
     this.db = null;
     this.isInitialized = false;
     
@@ -49,6 +49,17 @@ export class StorageService {
             indexes: {}
           }
         }
+      },
+      2: {
+        stores: {
+          'sitemap_cache': {
+            keyPath: 'origin',
+            autoIncrement: false,
+            indexes: {
+              'fetchedAt': { keyPath: 'fetchedAt', unique: false }
+            }
+          }
+        }
       }
     };
   }
@@ -198,7 +209,7 @@ export class StorageService {
   }
 
   /**
-   * Store processing history record
+   * Store processing history record; resolves with the id IndexedDB generated for it
    */
   async storeProcessingHistory(data) {
     const record = {
@@ -207,8 +218,24 @@ export class StorageService {
       // Don't set id - let IndexedDB auto-generate
     };
 
+    return this.executeTransaction('processing_history', 'readwrite', (store) => new Promise((resolve, reject) => {
+      const request = store.add(record);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }));
+  }
+
+  /**
+   * Replace a stored processing history record (data must include its id)
+   */
+  async updateProcessingHistory(data) {
+    const record = {
+      ...data,
+      timestamp: new Date().toISOString()
+    };
+
     return this.executeTransaction('processing_history', 'readwrite', (store) => {
-      return store.add(record);
+      return store.put(record);
     });
   }
 
@@ -354,12 +381,13 @@ export class StorageService {
   /**
    * Cache URL validation result
    */
-  async cacheURLResult(url, status, responseTime, headers = {}) {
+  async cacheURLResult(url, status, responseTime, headers = {}, redirectChain = []) {
     const record = {
       url,
       status,
       responseTime,
       headers,
+      redirectChain,
       lastChecked: new Date().toISOString()
     };
 
@@ -396,6 +424,43 @@ export class StorageService {
     });
   }
 
+  /**
+   * Cache the URLs listed in a site's sitemaps
+   */
+  async cacheSitemap(origin, urls, sitemaps = []) {
+    const record = {
+      origin,
+      urls,
+      sitemaps,
+      fetchedAt: new Date().toISOString()
+    };
+
+    return this.executeTransaction('sitemap_cache', 'readwrite', (store) => {
+      return store.put(record);
+    });
+  }
+
+  /**
+   * Get a site's cached sitemap URLs
+   */
+  async getCachedSitemap(origin, maxAge = 86400000) { // 1 day default
+    return this.executeTransaction('sitemap_cache', 'readonly', (store) => {
+      return new Promise((resolve, reject) => {
+        const request = store.get(origin);
+        request.onsuccess = () => {
+          const result = request.result;
+          if (!result || Date.now() - new Date(result.fetchedAt).getTime() > maxAge) {
+            resolve(null);
+            return;
+          }
+
+          resolve(result);
+        };
+        request.onerror = () => reject(request.error);
+      });
+    });
+  }
+
   /**
    * Store application settings
    */
@@ -426,7 +491,7 @@ export class StorageService {
    * Clear all data (factory reset)
    */
   async clearAllData() {
-    const storeNames = ['processing_history', 'session_data', 'url_cache', 'settings'];
+    const storeNames = ['processing_history', 'session_data', 'url_cache', 'settings', 'sitemap_cache'];
 
     await this.executeTransaction(storeNames, 'readwrite', (stores) => {
       const promises = stores.map(store => {
@@ -6,22 +6,44 @@
 'use strict';
 
 import { Logger } from '../utils/Logger.js';
+import { FetchHttpClient } from '../adapters/FetchHttpClient.js';
+import { RequestScheduler } from '../utils/RequestScheduler.js';
+import { CircuitBreaker } from '../utils/CircuitBreaker.js';
+
+// Failure types reported by the proxy that mean the domain itself did not answer
+const DOMAIN_FAILURE_TYPES = ['dns', 'connection', 'timeout', 'ssl', 'network'];
+
+// Statuses some servers answer HEAD with while GET works; these are checked again with a ranged GET
+const HEAD_FALLBACK_STATUSES = [400, 403, 404, 405, 501];
 
 export class URLValidationService {
   constructor(storageService = null) {
     this.logger = new Logger('URLValidationService');
     this.storageService = storageService;
+    this.http = new FetchHttpClient();
     this.defaultTimeout = 10000; // 10 seconds
     this.maxRetries = 2;
     this.retryDelay = 1000; // 1 second
-    this.concurrentLimit = 5; // Max concurrent requests
-    this.activeRequests = new Set();
-    this.requestQueue = [];
+    this.maxRedirects = 10;
+    this.concurrentLimit = 5; // Max concurrent requests per batch
+    this.maxRetryAfter = 30000; // longest Retry-After (ms) waited for before retrying
+
+    // Global and per-host limits shared by every batch of checks
+    this.scheduler = new RequestScheduler({ maxHostDelay: this.maxRetryAfter });
+
+    // Domains that keep failing or blocking us are skipped instead of retried link by link
+    this.circuitBreaker = new CircuitBreaker();
 
     // Proxy server configuration
     this.proxyServerUrl = 'http://localhost:3001';
     this.useProxyFallback = true;
     this.proxyAvailable = null; // null = unknown, true = available, false = unavailable
+
+    // Files of an uploaded folder or archive (a LocalFileTree); relative links are checked against them
+    this.localFiles = null;
+
+    // Per-domain credential profiles (a CredentialService) for links to intranet sites
+    this.credentials = null;
   }
 
   /**
@@ -36,7 +58,7 @@ export class URLValidationService {
       const controller = new AbortController();
       const timeoutId = setTimeout(() => controller.abort(), 2000);
 
-      const response = await fetch(`${this.proxyServerUrl}/health`, {
+      const response = await this.http.fetch(`${this.proxyServerUrl}/health`, {
         method: 'GET',
         signal: controller.signal
       });
@@ -67,11 +89,7 @@ export class URLValidationService {
       const controller = new AbortController();
       const timeoutId = setTimeout(() => controller.abort(), timeout + 2000);
 
-      const proxyUrl = `${this.proxyServerUrl}/validate-url?url=${encodeURIComponent(url)}&method=HEAD&timeout=${timeout}`;
-      const response = await fetch(proxyUrl, {
-        method: 'GET',
-        signal: controller.signal
-      });
+      const response = await this.fetchFromProxy('/validate-url', { url, method: 'HEAD', timeout }, controller.signal);
 
       clearTimeout(timeoutId);
 
@@ -90,7 +108,12 @@ export class URLValidationService {
         headers: result.headers || {},
         fromCache: false,
         timestamp: result.timestamp || new Date().toISOString(),
-        viaProxy: true
+        viaProxy: true,
+        method: result.method || 'HEAD', // GET when the proxy fell back from a rejected HEAD
+        ...(result.headStatus ? { headStatus: result.headStatus } : {}),
+        finalURL: result.finalUrl || url,
+        redirectChain: result.redirectChain || [],
+        ...(result.error ? { error: result.error, errorType: result.errorType } : {})
       };
 
     } catch (error) {
@@ -109,11 +132,7 @@ export class URLValidationService {
       const controller = new AbortController();
       const timeoutId = setTimeout(() => controller.abort(), timeout + 5000);
 
-      const proxyUrl = `${this.proxyServerUrl}/validate-url-headless?url=${encodeURIComponent(url)}&timeout=${timeout}`;
-      const response = await fetch(proxyUrl, {
-        method: 'GET',
-        signal: controller.signal
-      });
+      const response = await this.fetchFromProxy('/validate-url-headless', { url, timeout }, controller.signal);
 
       clearTimeout(timeoutId);
 
@@ -134,7 +153,10 @@ export class URLValidationService {
         timestamp: new Date().toISOString(),
         method: 'HEADLESS',
         title: data.title,
-        redirected: data.redirected || false
+        redirected: data.redirected || false,
+        finalURL: data.finalUrl || data.url || url,
+        redirectChain: data.redirectChain || [],
+        markers: data.markers || null // login form, challenge and paywall markers seen on the page
       };
 
       // Add error information if present
@@ -152,6 +174,28 @@ export class URLValidationService {
     }
   }
 
+  /**
+   * Call a proxy validation endpoint
+   * Credentials for the URL go in a POST body so they never end up in a query string or a server log
+   */
+  async fetchFromProxy(endpoint, params, signal) {
+    const credentials = this.getCredentials(params.url);
+    if (credentials) {
+      return this.http.fetch(`${this.proxyServerUrl}${endpoint}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...params, credentials }),
+        signal
+      });
+    }
+
+    const query = Object.entries(params).map(([name, value]) => `${name}=${encodeURIComponent(value)}`).join('&');
+    return this.http.fetch(`${this.proxyServerUrl}${endpoint}?${query}`, {
+      method: 'GET',
+      signal
+    });
+  }
+
   /**
    * Validate a single URL
    */
@@ -165,9 +209,12 @@ export class URLValidationService {
 
     try {
       this.logger.debug(`Validating URL: ${url}`);
-      
+
+      // What an authenticated check sees depends on the credentials, so it is never cached
+      const authenticated = Boolean(this.getCredentials(url));
+
       // Check cache first
-      if (useCache && this.storageService) {
+      if (useCache && this.storageService && !authenticated) {
         const cached = await this.storageService.getCachedURLResult(url, maxAge);
         if (cached) {
           this.logger.debug(`Using cached result for ${url}`);
@@ -178,7 +225,9 @@ export class URLValidationService {
             responseTime: cached.responseTime,
             headers: cached.headers,
             fromCache: true,
-            timestamp: cached.lastChecked
+            timestamp: cached.lastChecked,
+            finalURL: cached.redirectChain?.length ? cached.redirectChain[cached.redirectChain.length - 1].url : url,
+            redirectChain: cached.redirectChain || []
           };
         }
       }
@@ -197,16 +246,29 @@ export class URLValidationService {
         };
       }
 
+      if (!this.circuitBreaker.canRequest(url)) {
+        return this.getDomainUnreachableResult(url);
+      }
+
       // Perform HTTP request with retries
       const result = await this.performRequestWithRetries(url, timeout, retries);
+
+      // Rate-limited hosts get a break before anything else is sent their way
+      const retryAfter = this.getRetryAfter(result);
+      if (retryAfter !== null) {
+        result.retryAfter = retryAfter;
+        this.scheduler.pauseHost(url, retryAfter);
+      }
+      this.recordDomainResult(url, result);
       
-      // Cache the result
-      if (this.storageService && result.status > 0) {
+      // Cache the result (a rate-limited answer says nothing about the link)
+      if (this.storageService && result.status > 0 && retryAfter === null && !authenticated) {
         await this.storageService.cacheURLResult(
           url,
           result.status,
           result.responseTime,
-          result.headers
+          result.headers,
+          result.redirectChain
         );
       }
 
@@ -214,7 +276,7 @@ export class URLValidationService {
       
     } catch (error) {
       this.logger.error(`URL validation failed for ${url}`, error);
-      return {
+      const result = {
         url,
         status: 0,
         statusText: error.message,
@@ -224,73 +286,236 @@ export class URLValidationService {
         timestamp: new Date().toISOString(),
         error: error.message
       };
+      this.recordDomainResult(url, result);
+      return result;
+    }
+  }
+
+  /**
+   * Classify a failed check: 'dns', 'connection', 'timeout' or 'ssl' when the domain did not answer,
+   * 'blocked' when it answered with a bot block (a 403 from bot protection, 429 without a usable Retry-After,
+   * LinkedIn's 999)
+   * Returns null for answers that say something about the link itself (an ordinary 403 is a restricted page),
+   * and for browser network errors that may just be CORS
+   */
+  classifyFailure(result) {
+    if (result.status === 999 || (result.status === 429 && result.retryAfter == null) ||
+        (result.status === 403 && this.isBotProtected(result))) {
+      return 'blocked';
+    }
+    if (result.status !== 0) {
+      return null;
+    }
+
+    if (DOMAIN_FAILURE_TYPES.includes(result.errorType)) {
+      return result.errorType === 'network' ? 'connection' : result.errorType;
+    }
+
+    const message = result.error || result.statusText || '';
+    if (/timeout/i.test(message)) {
+      return 'timeout';
+    }
+    if (/DNS resolution failed/i.test(message)) {
+      return 'dns';
+    }
+    if (/SSL certificate/i.test(message)) {
+      return 'ssl';
+    }
+    if (/Connection (refused|failed)/i.test(message)) {
+      return 'connection';
+    }
+    return null;
+  }
+
+  /**
+   * Check whether a response came from bot protection: a Cloudflare challenge (cf-mitigated)
+   * A CDN Server header alone is no signal, since CDNs send it with ordinary errors too
+   */
+  isBotProtected(result) {
+    const headers = result.headers || {};
+    return Boolean(headers['cf-mitigated']);
+  }
+
+  /**
+   * Count a check's outcome towards its domain's circuit breaker
+   * The result gets failureType when it failed, and domainUnreachable once the domain is skipped
+   */
+  recordDomainResult(url, result) {
+    const failureType = this.classifyFailure(result);
+    if (!failureType) {
+      this.circuitBreaker.recordSuccess(url);
+      return;
+    }
+
+    result.failureType = failureType;
+    if (this.circuitBreaker.recordFailure(url, failureType)) {
+      result.domainUnreachable = true;
     }
   }
 
   /**
-   * Validate multiple URLs with concurrency control
+   * Result for a link on a domain the circuit breaker skips; no request is made
+   */
+  getDomainUnreachableResult(url) {
+    const { failures, failureType } = this.circuitBreaker.getState(url);
+    const statusText = failureType === 'blocked'
+      ? `Skipped: domain blocked ${failures} requests in a row`
+      : `Skipped: domain unreachable (${failures} ${failureType} failures in a row)`;
+
+    return {
+      url,
+      status: 0,
+      statusText,
+      responseTime: 0,
+      headers: {},
+      fromCache: false,
+      timestamp: new Date().toISOString(),
+      error: statusText,
+      failureType,
+      domainUnreachable: true,
+      skipped: true
+    };
+  }
+
+  /**
+   * Set the uploaded file set relative links are checked against (null to check over HTTP only)
+   */
+  setLocalFiles(localFiles) {
+    this.localFiles = localFiles;
+  }
+
+  /**
+   * Set the credential profiles (a CredentialService) used for links to matching hosts (null for none)
+   */
+  setCredentials(credentials) {
+    this.credentials = credentials;
+  }
+
+  /**
+   * Get the credentials for a URL: { hosts, headers }, or null when no profile matches
+   */
+  getCredentials(url) {
+    return this.credentials?.getCredentials(url) || null;
+  }
+
+  /**
+   * Check whether a link is checked against the uploaded files rather than over HTTP
+   */
+  isLocalLink(url) {
+    return Boolean(this.localFiles?.isLocalLink(url));
+  }
+
+  /**
+   * Validate a relative link against the uploaded files
+   * fromPath is the path of the file the link appears in; missing files come with suggestions
+   * ({ url, path, score }, url written relative to fromPath) for files with the same or a similar name
+   */
+  validateLocalURL(url, fromPath) {
+    const target = this.localFiles?.resolve(url, fromPath);
+    const foundPath = target ? this.localFiles.find(target.path) : null;
+    const suggestions = target && !foundPath
+      ? this.localFiles.findSimilar(target.path).map(suggestion => ({
+        ...suggestion,
+        url: `${this.localFiles.relative(fromPath, suggestion.path)}${target.fragment}`
+      }))
+      : [];
+
+    return {
+      url,
+      status: foundPath ? 200 : 404,
+      statusText: foundPath ? 'Found in uploaded files' : 'Not found in uploaded files',
+      responseTime: 0,
+      headers: {},
+      fromCache: false,
+      timestamp: new Date().toISOString(),
+      local: true,
+      localPath: foundPath || target?.path || null,
+      suggestions
+    };
+  }
+
+  /**
+   * Validate multiple URLs through the scheduler: at most `concurrency` at a time, with each host's own
+   * cap and delay, so a slow host does not hold up the rest; 429/503 answers with Retry-After are retried
    */
   async validateURLs(urls, options = {}) {
     const {
       concurrency = this.concurrentLimit,
       onProgress = null,
-      onResult = null
+      onResult = null,
+      signal = null
     } = options;
 
     this.logger.info(`Validating ${urls.length} URLs with concurrency ${concurrency}`);
-    
-    const results = [];
-    const batches = this.createBatches(urls, concurrency);
+
+    const group = this.scheduler.createGroup(concurrency);
     let completed = 0;
 
-    for (const batch of batches) {
-      const batchPromises = batch.map(async (url) => {
-        try {
-          const result = await this.validateURL(url, options);
-          completed++;
-          
-          if (onProgress) {
-            onProgress(completed, urls.length, result);
-          }
-          
-          if (onResult) {
-            onResult(result);
-          }
-          
-          return result;
-        } catch (error) {
-          completed++;
-          const errorResult = {
-            url,
-            status: 0,
-            statusText: error.message,
-            responseTime: 0,
-            headers: {},
-            fromCache: false,
-            timestamp: new Date().toISOString(),
-            error: error.message
-          };
-          
-          if (onProgress) {
-            onProgress(completed, urls.length, errorResult);
-          }
-          
-          if (onResult) {
-            onResult(errorResult);
-          }
-          
-          return errorResult;
-        }
-      });
+    const results = await Promise.all(urls.map(async (url) => {
+      let result;
+      try {
+        result = await this.scheduler.schedule(url, () => this.validateURL(url, options), {
+          signal,
+          group,
+          getRetryAfter: (validation) => validation.retryAfter ?? null
+        });
+      } catch (error) {
+        result = {
+          url,
+          status: 0,
+          statusText: error.message,
+          responseTime: 0,
+          headers: {},
+          fromCache: false,
+          timestamp: new Date().toISOString(),
+          error: error.message
+        };
+      }
 
-      const batchResults = await Promise.all(batchPromises);
-      results.push(...batchResults);
-    }
+      completed++;
+      if (onProgress) {
+        onProgress(completed, urls.length, result);
+      }
+      if (onResult) {
+        onResult(result);
+      }
+      return result;
+    }));
 
     this.logger.info(`Completed validation of ${urls.length} URLs`);
     return results;
   }
 
+  /**
+   * Space requests to each host by the Crawl-delay in its robots.txt
+   */
+  useCrawlDelays(robotsService) {
+    this.scheduler.setHostDelayLookup(async (url) => ((await robotsService.getRules(url))?.crawlDelay || 0) * 1000);
+  }
+
+  /**
+   * Get how long a 429 or 503 response asks us to wait (Retry-After in seconds or as a date), in ms
+   * Returns null for other responses, or when the wait is missing or longer than maxRetryAfter
+   */
+  getRetryAfter(result) {
+    if (![429, 503].includes(result?.status)) {
+      return null;
+    }
+
+    const value = result.headers?.['retry-after'];
+    if (!value) {
+      return null;
+    }
+
+    const wait = /^\d+$/.test(value.trim())
+      ? parseInt(value, 10) * 1000
+      : new Date(value).getTime() - Date.now();
+    if (Number.isNaN(wait) || wait > this.maxRetryAfter) {
+      return null;
+    }
+    return Math.max(wait, 0);
+  }
+
   /**
    * Perform HTTP request with retry logic and proxy fallback
    */
@@ -298,6 +523,10 @@ export class URLValidationService {
     let lastError;
     let corsErrorOccurred = false;
 
+    if (this.getCredentials(url)) {
+      return this.performAuthenticatedRequest(url, timeout);
+    }
+
     for (let attempt = 0; attempt <= retries; attempt++) {
       try {
         if (attempt > 0) {
@@ -362,32 +591,87 @@ export class URLValidationService {
   }
 
   /**
-   * Perform a single HTTP request
+   * Check a URL that has credentials; only the proxy sends them, checking every redirect hop against the
+   * profile's hosts, so without the proxy the check fails instead of falling back to a direct request
+   */
+  async performAuthenticatedRequest(url, timeout) {
+    let error = 'Authenticated check needs the proxy server';
+
+    if (this.useProxyFallback && await this.checkProxyAvailability()) {
+      try {
+        return await this.validateURLViaProxy(url, timeout);
+      } catch (proxyError) {
+        this.logger.warn(`❌ Authenticated proxy check failed for ${url}:`, proxyError.message);
+        error = `${error}: ${proxyError.message}`;
+      }
+    }
+
+    return {
+      url,
+      status: 0,
+      statusText: error,
+      responseTime: 0,
+      headers: {},
+      fromCache: false,
+      timestamp: new Date().toISOString(),
+      error,
+      errorType: 'auth-proxy'
+    };
+  }
+
+  /**
+   * Perform a single check, following redirects hop by hop to record the chain
+   * A HEAD the server rejects (HEAD_FALLBACK_STATUSES) is repeated as a GET for the first byte, and that answer decides;
+   * the result's method is the method that decided it, with headStatus after a fallback
+   * Never sends credentials (see performAuthenticatedRequest)
    */
   async performRequest(url, timeout) {
     const startTime = Date.now();
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), timeout);
+    const requestOptions = {
+      method: 'HEAD', // Use HEAD to minimize data transfer
+      signal: controller.signal,
+      headers: {
+        'User-Agent': 'URL-Fixer/1.0 (+https://url-fixer.app)',
+        'Accept': '*/*',
+        'Cache-Control': 'no-cache'
+      },
+      mode: 'cors'
+    };
 
     try {
-      const response = await fetch(url, {
-        method: 'HEAD', // Use HEAD to minimize data transfer
-        signal: controller.signal,
-        headers: {
-          'User-Agent': 'URL-Fixer/1.0 (+https://url-fixer.app)',
-          'Accept': '*/*',
-          'Cache-Control': 'no-cache'
-        },
-        mode: 'cors',
-        redirect: 'follow'
-      });
+      let method = 'HEAD';
+      let headStatus = null;
+      let { response, currentURL, redirectChain } = await this.fetchWithRedirects(url, requestOptions);
+
+      if (HEAD_FALLBACK_STATUSES.includes(response.status)) {
+        try {
+          const getOptions = { ...requestOptions, method: 'GET' };
+          let ranged = await this.fetchWithRedirects(url, { ...getOptions, headers: { ...getOptions.headers, 'Range': 'bytes=0-0' } });
+
+          // An empty file cannot satisfy the range; a plain GET (still cut off after the headers) can
+          if (ranged.response.status === 416) {
+            ranged = await this.fetchWithRedirects(url, getOptions);
+          }
+
+          headStatus = response.status;
+          method = 'GET';
+          ({ response, currentURL, redirectChain } = ranged);
+        } catch (getError) {
+          if (getError.name === 'AbortError') {
+            throw getError;
+          }
+          this.logger.debug(`GET fallback failed for ${url}: ${getError.message}`);
+        }
+      }
 
       const responseTime = Date.now() - startTime;
       clearTimeout(timeoutId);
 
       // Extract relevant headers
       const headers = {};
-      const relevantHeaders = ['content-type', 'content-length', 'last-modified', 'etag'];
+      const relevantHeaders = ['content-type', 'content-length', 'content-range', 'last-modified', 'etag', 'retry-after', 'server', 'cf-mitigated', 'www-authenticate'];
       relevantHeaders.forEach(header => {
         const value = response.headers.get(header);
         if (value) {
@@ -395,6 +679,10 @@ export class URLValidationService {
         }
       });
 
+      if (redirectChain.length > 0) {
+        redirectChain.push({ url: currentURL, status: response.status, statusText: response.statusText });
+      }
+
       return {
         url,
         status: response.status,
@@ -402,7 +690,11 @@ export class URLValidationService {
         responseTime,
         headers,
         fromCache: false,
-        timestamp: new Date().toISOString()
+        timestamp: new Date().toISOString(),
+        method,
+        ...(headStatus ? { headStatus } : {}),
+        finalURL: currentURL,
+        redirectChain
       };
 
     } catch (error) {
@@ -413,6 +705,18 @@ export class URLValidationService {
         throw new Error(`Request timeout after ${timeout}ms`);
       }
 
+      // Node's fetch names the socket error in the cause; browsers cannot tell it from a CORS block
+      const code = error.cause?.code || '';
+      if (['ENOTFOUND', 'EAI_AGAIN'].includes(code)) {
+        throw new Error('DNS resolution failed');
+      }
+      if (['ECONNREFUSED', 'ECONNRESET', 'EHOSTUNREACH', 'ENETUNREACH'].includes(code)) {
+        throw new Error(`Connection failed (${code})`);
+      }
+      if (/CERT|SSL|TLS/.test(code)) {
+        throw new Error(`SSL certificate error (${code})`);
+      }
+
       // Handle different error types
       if (error.name === 'TypeError' && error.message.includes('fetch')) {
         throw new Error('Network error or CORS policy blocked the request');
@@ -422,6 +726,69 @@ export class URLValidationService {
     }
   }
 
+  /**
+   * Request a URL with redirect: 'manual' and follow its redirects; returns { response, currentURL, redirectChain }
+   * Only the headers are used: each body is cancelled as soon as they arrive, so a GET never downloads the file
+   */
+  async fetchWithRedirects(url, requestOptions) {
+    const redirectChain = [];
+    let currentURL = url;
+    let response;
+
+    for (;;) {
+      response = await this.http.fetch(currentURL, { ...requestOptions, redirect: 'manual' });
+
+      // Browsers hide manual redirects behind an opaque response, so only the final URL is known
+      if (response.type === 'opaqueredirect') {
+        response = await this.http.fetch(currentURL, { ...requestOptions, redirect: 'follow' });
+        this.cancelBody(response);
+        if (response.redirected && response.url) {
+          redirectChain.push({ url: currentURL, status: null, statusText: 'Redirect' });
+          currentURL = this.keepFragment(response.url, url);
+        }
+        break;
+      }
+      this.cancelBody(response);
+
+      const location = response.headers.get('location');
+      if (!this.isRedirectStatus(response.status) || !location) {
+        break;
+      }
+
+      if (redirectChain.length >= this.maxRedirects) {
+        throw new Error(`Too many redirects (more than ${this.maxRedirects})`);
+      }
+
+      redirectChain.push({ url: currentURL, status: response.status, statusText: response.statusText });
+      currentURL = this.keepFragment(new URL(location, currentURL).href, currentURL);
+    }
+
+    return { response, currentURL, redirectChain };
+  }
+
+  /**
+   * Stop downloading a response body that is not read
+   */
+  cancelBody(response) {
+    response.body?.cancel?.().catch(() => {});
+  }
+
+  /**
+   * Carry a URL fragment over a redirect whose target has none (as browsers do)
+   */
+  keepFragment(targetURL, fromURL) {
+    try {
+      const target = new URL(targetURL);
+      const from = new URL(fromURL);
+      if (!target.hash && from.hash) {
+        target.hash = from.hash;
+      }
+      return target.href;
+    } catch {
+      return targetURL;
+    }
+  }
+
   /**
    * Check if an error should not be retried
    */
@@ -462,7 +829,10 @@ export class URLValidationService {
       204: 'No Content',
       301: 'Moved Permanently',
       302: 'Found',
+      303: 'See Other',
       304: 'Not Modified',
+      307: 'Temporary Redirect',
+      308: 'Permanent Redirect',
       400: 'Bad Request',
       401: 'Unauthorized',
       403: 'Forbidden',
@@ -493,6 +863,25 @@ export class URLValidationService {
     return status >= 300 && status < 400;
   }
 
+  /**
+   * Check if status indicates a permanent redirect
+   */
+  isPermanentRedirectStatus(status) {
+    return status === 301 || status === 308;
+  }
+
+  /**
+   * Classify a redirect chain: 'permanent' when every hop is a 301/308, 'temporary' otherwise
+   * Returns null when the URL was not redirected
+   */
+  getRedirectType(redirectChain = []) {
+    const hops = redirectChain.slice(0, -1);
+    if (hops.length === 0) {
+      return null;
+    }
+    return hops.every(hop => this.isPermanentRedirectStatus(hop.status)) ? 'permanent' : 'temporary';
+  }
+
   /**
    * Check if status indicates a client error
    */
@@ -507,17 +896,6 @@ export class URLValidationService {
     return status >= 500 && status < 600;
   }
 
-  /**
-   * Create batches for concurrent processing
-   */
-  createBatches(items, batchSize) {
-    const batches = [];
-    for (let i = 0; i < items.length; i += batchSize) {
-      batches.push(items.slice(i, i + batchSize));
-    }
-    return batches;
-  }
-
   /**
    * Delay utility for retries
    */
@@ -0,0 +1,100 @@
+/**
+ * BingSearchProvider - Bing Web Search API when a key is configured, otherwise scraped Bing results
+ */
+
+'use strict';
+
+import { SearchProvider } from './SearchProvider.js';
+
+export class BingSearchProvider extends SearchProvider {
+  constructor(config = {}) {
+    super('bing', {
+      priority: 40,
+      apiEndpoint: 'https://api.bing.microsoft.com/v7.0/search',
+      htmlEndpoint: 'https://www.bing.com/search',
+      apiKey: null, // falls back to BING_SEARCH_KEY
+      ...config
+    });
+  }
+
+  /**
+   * Search via the API or, without a key, by scraping
+   */
+  async search(query, options = {}) {
+    const apiKey = this.getApiKey('BING_SEARCH_KEY');
+    return apiKey ? this.searchViaApi(query, options, apiKey) : this.scrapeResults(query, options);
+  }
+
+  /**
+   * Search via the Bing Web Search API
+   */
+  async searchViaApi(query, options, apiKey) {
+    const { maxResults = 5, timeout = 15000 } = options;
+
+    const searchURL = new URL(this.config.apiEndpoint);
+    searchURL.searchParams.set('q', query);
+    searchURL.searchParams.set('count', Math.min(maxResults, 50).toString());
+
+    const response = await this.request(searchURL.toString(), {
+      headers: {
+        'Ocp-Apim-Subscription-Key': apiKey,
+        'User-Agent': 'URL-Fixer/1.0 (+https://url-fixer.app)'
+      }
+    }, timeout);
+    const data = await response.json();
+
+    return (data.webPages?.value || []).map(result => ({
+      url: result.url,
+      title: result.name,
+      snippet: result.snippet,
+      source: 'bing-api'
+    }));
+  }
+
+  /**
+   * Scrape the Bing results page
+   */
+  async scrapeResults(query, options = {}) {
+    const { maxResults = 5, timeout = 15000 } = options;
+
+    const searchURL = new URL(this.config.htmlEndpoint);
+    searchURL.searchParams.set('q', query);
+
+    const response = await this.request(searchURL.toString(), {
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+        'Accept-Language': 'en-US,en;q=0.9'
+      }
+    }, timeout);
+
+    return this.parseHTML(await response.text(), maxResults);
+  }
+
+  /**
+   * Parse Bing HTML results
+   */
+  parseHTML(html, maxResults) {
+    const results = [];
+    const resultElements = this.parseDocument(html).querySelectorAll('.b_algo');
+
+    for (let i = 0; i < Math.min(resultElements.length, maxResults); i++) {
+      const element = resultElements[i];
+
+      const linkElement = element.querySelector('h2 a[href]');
+      const url = linkElement?.getAttribute('href');
+      if (!url) continue;
+
+      const snippetElement = element.querySelector('.b_caption p, .b_descript');
+
+      results.push({
+        url,
+        title: linkElement.textContent.trim(),
+        snippet: snippetElement ? snippetElement.textContent.trim() : '',
+        source: 'bing-scrape'
+      });
+    }
+
+    return results;
+  }
+}
@@ -0,0 +1,52 @@
+/**
+ * DuckDuckGoSearchProvider - DuckDuckGo instant answers, then web results through the proxy server
+ */
+
+'use strict';
+
+import { SearchProvider } from './SearchProvider.js';
+
+export class DuckDuckGoSearchProvider extends SearchProvider {
+  constructor(config = {}) {
+    super('duckduckgo', {
+      priority: 30,
+      endpoint: 'http://localhost:3001/web-search',
+      instantSearch: null, // (query, { maxResults, timeout }) => results from the instant answer API
+      ...config
+    });
+  }
+
+  /**
+   * Search instant answers first, then fall back to web results
+   */
+  async search(query, options = {}) {
+    if (this.config.instantSearch) {
+      const instantResults = await this.config.instantSearch(query, options);
+      if (instantResults && instantResults.length > 0) {
+        return instantResults.map(result => ({ ...result, source: 'duckduckgo-api' }));
+      }
+    }
+
+    return this.searchViaProxy(query, options);
+  }
+
+  /**
+   * Search via the proxy's /web-search endpoint (actual search results)
+   */
+  async searchViaProxy(query, options = {}) {
+    const { maxResults = 5, timeout = 15000 } = options;
+
+    const searchURL = new URL(this.config.endpoint);
+    searchURL.searchParams.set('q', query);
+    searchURL.searchParams.set('maxResults', maxResults.toString());
+    searchURL.searchParams.set('timeout', timeout.toString());
+
+    const response = await this.request(searchURL.toString(), {
+      headers: { 'Accept': 'application/json' }
+    }, timeout);
+    const data = await response.json();
+
+    this.logger.debug(`Web search proxy returned ${data.results?.length || 0} results for: ${query}`);
+    return data.results || [];
+  }
+}
@@ -0,0 +1,37 @@
+/**
+ * GoogleSearchProvider - Google results scraped by the proxy server (to avoid CORS)
+ */
+
+'use strict';
+
+import { SearchProvider } from './SearchProvider.js';
+
+export class GoogleSearchProvider extends SearchProvider {
+  constructor(config = {}) {
+    super('google', {
+      priority: 50,
+      endpoint: 'http://localhost:3001/google-search',
+      ...config
+    });
+  }
+
+  /**
+   * Search via the proxy's /google-search endpoint
+   */
+  async search(query, options = {}) {
+    const { maxResults = 5, timeout = 15000 } = options;
+
+    const searchURL = new URL(this.config.endpoint);
+    searchURL.searchParams.set('q', query);
+    searchURL.searchParams.set('maxResults', Math.min(maxResults, 10).toString());
+    searchURL.searchParams.set('timeout', timeout.toString());
+
+    const response = await this.request(searchURL.toString(), {
+      headers: { 'Accept': 'application/json' }
+    }, timeout);
+    const data = await response.json();
+
+    this.logger.debug(`Google search proxy returned ${data.results?.length || 0} results for: ${query}`);
+    return data.results || [];
+  }
+}
@@ -0,0 +1,47 @@
+/**
+ * HeadlessSearchProvider - Search through the proxy's Chrome Headless endpoint (best quality, CORS-free)
+ */
+
+'use strict';
+
+import { SearchProvider } from './SearchProvider.js';
+
+export class HeadlessSearchProvider extends SearchProvider {
+  constructor(config = {}) {
+    super('headless', {
+      priority: 10,
+      endpoint: 'http://localhost:3001/web-search-headless',
+      engine: 'duckduckgo',
+      ...config
+    });
+  }
+
+  /**
+   * Search via the headless proxy
+   */
+  async search(query, options = {}) {
+    const { maxResults = 5, timeout = 15000 } = options;
+    const { endpoint, engine } = this.config;
+
+    const searchURL = new URL(endpoint);
+    searchURL.searchParams.set('q', query);
+    searchURL.searchParams.set('maxResults', maxResults.toString());
+    searchURL.searchParams.set('timeout', timeout.toString());
+    searchURL.searchParams.set('engine', engine);
+
+    const response = await this.request(searchURL.toString(), {
+      headers: { 'Accept': 'application/json' }
+    }, timeout);
+    const data = await response.json();
+
+    this.logger.debug(`Headless search returned ${data.results?.length || 0} results for: ${query}`);
+
+    return (data.results || []).map(result => ({
+      url: result.url,
+      title: result.title,
+      snippet: result.snippet,
+      source: `headless-${engine}`,
+      confidence: 0.9 // High confidence for headless results
+    }));
+  }
+}
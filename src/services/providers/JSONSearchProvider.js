@@ -0,0 +1,69 @@
+/**
+ * JSONSearchProvider - Any search engine with a JSON API (e.g. an internal search service or a local mock)
+ * The request template and the fields to read are configured, so no code is needed per engine
+ */
+
+'use strict';
+
+import { SearchProvider } from './SearchProvider.js';
+
+export class JSONSearchProvider extends SearchProvider {
+  constructor(name, config = {}) {
+    super(name, {
+      endpoint: null,
+      queryParam: 'q',
+      limitParam: 'limit',
+      params: {},   // extra query parameters
+      headers: {},  // e.g. { Authorization: 'Bearer ...' }
+      resultsPath: 'results',
+      fields: { url: 'url', title: 'title', snippet: 'snippet' },
+      ...config
+    });
+  }
+
+  /**
+   * Search via the configured endpoint
+   */
+  async search(query, options = {}) {
+    const { maxResults = 5, timeout = 15000 } = options;
+    const { endpoint, queryParam, limitParam, params, headers, resultsPath, fields } = this.config;
+
+    if (!endpoint) {
+      throw new Error(`Search provider "${this.name}" has no endpoint configured`);
+    }
+
+    const searchURL = new URL(endpoint);
+    searchURL.searchParams.set(queryParam, query);
+    if (limitParam) {
+      searchURL.searchParams.set(limitParam, maxResults.toString());
+    }
+    Object.entries(params).forEach(([key, value]) => searchURL.searchParams.set(key, value));
+
+    const response = await this.request(searchURL.toString(), {
+      headers: { 'Accept': 'application/json', ...headers }
+    }, timeout);
+    const data = await response.json();
+
+    const results = this.getPath(data, resultsPath);
+    if (!Array.isArray(results)) {
+      throw new Error(`Search provider "${this.name}" response has no array at "${resultsPath}"`);
+    }
+
+    return results.map(result => ({
+      url: this.getPath(result, fields.url),
+      title: this.getPath(result, fields.title),
+      snippet: this.getPath(result, fields.snippet),
+      source: this.name
+    }));
+  }
+
+  /**
+   * Read a dotted path ('data.items') from an object; an empty path returns the object itself
+   */
+  getPath(object, path) {
+    if (!path) {
+      return object;
+    }
+    return path.split('.').reduce((value, key) => value?.[key], object);
+  }
+}
@@ -0,0 +1,77 @@
+/**
+ * SearchProvider - Base class for web search providers used by SearchService
+ * Subclasses implement search(query, { maxResults, timeout }) and return raw results ({ url, title, snippet })
+ */
+
+'use strict';
+
+import { Logger } from '../../utils/Logger.js';
+import { FetchHttpClient } from '../../adapters/FetchHttpClient.js';
+
+export class SearchProvider {
+  constructor(name, config = {}) {
+    this.name = name;
+    this.logger = new Logger(`SearchProvider:${name}`);
+    this.http = new FetchHttpClient();
+
+    // enabled and priority are read by SearchProviderRegistry; lower priorities are tried first
+    this.config = {
+      enabled: true,
+      priority: 100,
+      ...config
+    };
+  }
+
+  /**
+   * Search for a query
+   */
+  async search(query, options = {}) {
+    throw new Error(`Search provider "${this.name}" does not implement search()`);
+  }
+
+  /**
+   * Fetch with a timeout, throwing on non-2xx responses
+   */
+  async request(url, init = {}, timeout = 15000) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+    try {
+      const response = await this.http.fetch(url, { ...init, signal: controller.signal });
+
+      if (!response || !response.ok) {
+        throw new Error(`${this.name} search returned ${response?.status || 'unknown'}: ${response?.statusText || 'unknown error'}`);
+      }
+      return response;
+
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(`${this.name} search request timeout`);
+      }
+      throw error;
+
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Parse an HTML results page
+   */
+  parseDocument(html) {
+    return new DOMParser().parseFromString(html, 'text/html');
+  }
+
+  /**
+   * Read an API key from the provider config, then from a global or environment variable
+   */
+  getApiKey(variable) {
+    if (this.config.apiKey) {
+      return this.config.apiKey;
+    }
+    if (globalThis[variable]) {
+      return globalThis[variable];
+    }
+    return typeof process !== 'undefined' ? process.env?.[variable] : undefined;
+  }
+}
@@ -0,0 +1,49 @@
+/**
+ * SerpApiSearchProvider - Google results through SerpApi (needs an API key)
+ */
+
+'use strict';
+
+import { SearchProvider } from './SearchProvider.js';
+
+export class SerpApiSearchProvider extends SearchProvider {
+  constructor(config = {}) {
+    super('serpapi', {
+      priority: 20,
+      endpoint: 'https://serpapi.com/search',
+      engine: 'google',
+      apiKey: null, // falls back to SERPAPI_KEY
+      ...config
+    });
+  }
+
+  /**
+   * Search via SerpApi
+   */
+  async search(query, options = {}) {
+    const { maxResults = 5, timeout = 15000 } = options;
+
+    const apiKey = this.getApiKey('SERPAPI_KEY');
+    if (!apiKey) {
+      throw new Error('SerpApi key not available');
+    }
+
+    const searchURL = new URL(this.config.endpoint);
+    searchURL.searchParams.set('engine', this.config.engine);
+    searchURL.searchParams.set('q', query);
+    searchURL.searchParams.set('api_key', apiKey);
+    searchURL.searchParams.set('num', Math.min(maxResults, 10).toString());
+
+    const response = await this.request(searchURL.toString(), {
+      headers: { 'User-Agent': 'URL-Fixer/1.0 (+https://url-fixer.app)' }
+    }, timeout);
+    const data = await response.json();
+
+    return (data.organic_results || []).map(result => ({
+      url: result.link,
+      title: result.title,
+      snippet: result.snippet,
+      source: 'serpapi'
+    }));
+  }
+}
@@ -0,0 +1,115 @@
+/**
+ * CircuitBreaker - Stop sending requests to a domain that keeps failing
+ * After failureThreshold consecutive failures the domain is "open" and requests to it are skipped;
+ * once resetTimeout has passed one probe request is let through ("half-open") to see if it is back
+ */
+
+'use strict';
+
+import { Logger } from './Logger.js';
+
+export class CircuitBreaker {
+  constructor(config = {}) {
+    this.logger = new Logger('CircuitBreaker');
+    this.config = {
+      failureThreshold: 5, // consecutive failures before a domain is skipped
+      resetTimeout: 60000, // ms before a skipped domain is probed again
+      ...config
+    };
+    this.domains = new Map(); // domain -> { state, failures, failureType, openedAt }
+  }
+
+  /**
+   * Check whether a request to a URL's domain may be sent
+   * The first request after resetTimeout becomes the probe; others are skipped until it reports back
+   */
+  canRequest(url) {
+    const domain = this.domains.get(this.getDomain(url));
+    if (!domain || domain.state === 'closed') {
+      return true;
+    }
+
+    if (domain.state === 'open' && Date.now() - domain.openedAt >= this.config.resetTimeout) {
+      domain.state = 'half-open';
+      this.logger.info(`Probing ${this.getDomain(url)} again`);
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Record a response from a URL's domain; any answer that is not a failure closes the circuit
+   */
+  recordSuccess(url) {
+    const name = this.getDomain(url);
+    const domain = this.domains.get(name);
+    if (!domain) {
+      return;
+    }
+
+    if (domain.state !== 'closed') {
+      this.logger.info(`${name} is reachable again`);
+    }
+    this.domains.delete(name);
+  }
+
+  /**
+   * Record a failed request to a URL's domain (failureType: 'dns', 'connection', 'timeout', 'ssl' or 'blocked')
+   * Returns true when the domain is now skipped
+   */
+  recordFailure(url, failureType) {
+    const name = this.getDomain(url);
+    let domain = this.domains.get(name);
+    if (!domain) {
+      domain = { state: 'closed', failures: 0, failureType: null, openedAt: 0 };
+      this.domains.set(name, domain);
+    }
+
+    domain.failures++;
+    domain.failureType = failureType;
+
+    // A failed probe skips the domain for another resetTimeout
+    if (domain.state === 'half-open' || (domain.state === 'closed' && domain.failures >= this.config.failureThreshold)) {
+      domain.state = 'open';
+      domain.openedAt = Date.now();
+      this.logger.warn(`Skipping ${name || 'unknown host'} after ${domain.failures} consecutive failures (${failureType})`);
+    }
+
+    return domain.state === 'open';
+  }
+
+  /**
+   * Get the state of a URL's domain: { state, failures, failureType, openedAt }
+   */
+  getState(url) {
+    return this.domains.get(this.getDomain(url)) || { state: 'closed', failures: 0, failureType: null, openedAt: 0 };
+  }
+
+  /**
+   * Get the domains that are currently skipped
+   */
+  getOpenDomains() {
+    return [...this.domains.entries()]
+      .filter(([, domain]) => domain.state !== 'closed')
+      .map(([name, domain]) => ({ domain: name, ...domain }));
+  }
+
+  /**
+   * Forget every domain's failures
+   */
+  reset() {
+    this.domains.clear();
+  }
+
+  /**
+   * Get the domain (host name) a URL belongs to
+   */
+  getDomain(url) {
+    try {
+      return new URL(url).hostname.toLowerCase();
+    } catch {
+      return '';
+    }
+  }
+}
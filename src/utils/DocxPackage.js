@@ -0,0 +1,344 @@
+/**
+ * DocxPackage - Read and rewrite hyperlinks in Word (.docx) packages
+ * Hyperlink targets live in the relationship parts, so fixes only touch those targets and leave formatting intact
+ */
+
+'use strict';
+
+import { Logger } from './Logger.js';
+
+const HYPERLINK_RELATIONSHIP = /\/relationships\/hyperlink$/;
+
+// Parts whose text and hyperlinks are extracted, in text view order
+const CONTENT_PARTS = [
+  /^word\/document\.xml$/,
+  /^word\/header\d*\.xml$/,
+  /^word\/footer\d*\.xml$/,
+  /^word\/footnotes\.xml$/,
+  /^word\/endnotes\.xml$/
+];
+
+// Markup that makes up the text view: hyperlink boundaries, text runs, tabs, breaks and paragraph ends
+const TEXT_VIEW_TOKENS = /<w:hyperlink\b([^>]*?)(\/?)>|<\/w:hyperlink>|<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>|<w:tab\/>|<w:(?:br|cr)\b[^>]*\/>|<\/w:p>|<w:p(?:\s[^>]*)?\/>/g;
+
+export class DocxPackage {
+  constructor() {
+    this.logger = new Logger('DocxPackage');
+  }
+
+  /**
+   * Read a .docx archive into a text view plus its external hyperlinks
+   * Returns { text, parts: [{ path, start, end }], hyperlinks: [{ part, relationshipId, url, linkText, offset }], linkRanges }
+   */
+  async read(data) {
+    const zip = await this.loadArchive(data);
+    const paths = this.getContentParts(zip);
+
+    if (!paths.includes('word/document.xml')) {
+      throw new Error('Not a Word document (missing word/document.xml)');
+    }
+
+    let text = '';
+    const parts = [];
+    const hyperlinks = [];
+    const linkRanges = [];
+
+    for (const path of paths) {
+      const xml = await zip.file(path).async('string');
+      const relationships = await this.readRelationships(zip, path);
+      const start = text.length;
+      const partText = this.extractPartText(xml, start, relationships, hyperlinks, linkRanges, path);
+
+      text += partText;
+      parts.push({ path, start, end: text.length });
+
+      // Hyperlink relationships that are never referenced from the body are still link targets
+      relationships.forEach((relationship, id) => {
+        if (!hyperlinks.some(link => link.part === path && link.relationshipId === id)) {
+          hyperlinks.push({ part: path, relationshipId: id, url: relationship.target, linkText: null, offset: start });
+        }
+      });
+    }
+
+    this.logger.debug(`Read ${parts.length} parts with ${hyperlinks.length} hyperlinks`);
+
+    return { text, parts, hyperlinks, linkRanges };
+  }
+
+  /**
+   * Write fixes back into the archive
+   * Each fix is { part, relationshipId?, partOffset?, originalURL, newURL }; fixes without a relationship rewrite the
+   * visible text run at partOffset (the URL's offset in the part's text view)
+   * Returns { data, unapplied }: the new .docx bytes and the fixes that could not be written, each with a reason
+   */
+  async write(data, fixes) {
+    const zip = await this.loadArchive(data);
+    const byPart = new Map();
+    const pending = new Set(fixes.filter(fix => fix.part));
+
+    fixes.forEach(fix => {
+      if (!fix.part) {
+        return;
+      }
+      if (!byPart.has(fix.part)) {
+        byPart.set(fix.part, []);
+      }
+      byPart.get(fix.part).push(fix);
+    });
+
+    for (const [part, partFixes] of byPart) {
+      const linkFixes = partFixes.filter(fix => fix.relationshipId);
+      const textFixes = partFixes.filter(fix => !fix.relationshipId);
+
+      if (linkFixes.length > 0) {
+        const relsPath = this.getRelationshipsPath(part);
+        const relsFile = zip.file(relsPath);
+
+        if (relsFile) {
+          const xml = await relsFile.async('string');
+          zip.file(relsPath, this.rewriteRelationships(xml, linkFixes, pending));
+        } else {
+          this.logger.warn(`Relationship part not found: ${relsPath}`);
+        }
+      }
+
+      if (textFixes.length > 0 && zip.file(part)) {
+        const xml = await zip.file(part).async('string');
+        zip.file(part, this.rewriteTextRuns(xml, textFixes, pending));
+      }
+    }
+
+    const unapplied = [...pending].map(fix => ({
+      ...fix,
+      reason: fix.relationshipId ? 'Hyperlink target not found in the relationship part' : 'URL not found in a single text run'
+    }));
+    unapplied.forEach(fix => this.logger.warn(`Could not write fix for ${fix.originalURL} in ${fix.part}: ${fix.reason}`));
+
+    const bytes = await zip.generateAsync({
+      type: 'uint8array',
+      compression: 'DEFLATE',
+      mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+    });
+    return { data: bytes, unapplied };
+  }
+
+  /**
+   * Load the archive with JSZip
+   */
+  async loadArchive(data) {
+    const { default: JSZip } = await import('jszip');
+    return JSZip.loadAsync(data);
+  }
+
+  /**
+   * List the content parts present in the archive, in text view order
+   */
+  getContentParts(zip) {
+    const names = Object.keys(zip.files).filter(name => !zip.files[name].dir);
+    const paths = [];
+
+    CONTENT_PARTS.forEach(pattern => {
+      names
+        .filter(name => pattern.test(name))
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+        .forEach(name => paths.push(name));
+    });
+
+    return paths;
+  }
+
+  /**
+   * Get the relationship part path for a part (word/document.xml -> word/_rels/document.xml.rels)
+   */
+  getRelationshipsPath(part) {
+    const slash = part.lastIndexOf('/');
+    return `${part.slice(0, slash + 1)}_rels/${part.slice(slash + 1)}.rels`;
+  }
+
+  /**
+   * Read the external hyperlink relationships of a part, keyed by relationship id
+   */
+  async readRelationships(zip, part) {
+    const relationships = new Map();
+    const relsFile = zip.file(this.getRelationshipsPath(part));
+
+    if (!relsFile) {
+      return relationships;
+    }
+
+    const xml = await relsFile.async('string');
+    const pattern = /<Relationship\b([^>]*?)\/?>/g;
+    let match;
+
+    while ((match = pattern.exec(xml)) !== null) {
+      const attributes = this.parseAttributes(match[1]);
+      if (HYPERLINK_RELATIONSHIP.test(attributes.Type || '') && attributes.TargetMode === 'External' && attributes.Target) {
+        relationships.set(attributes.Id, { target: attributes.Target });
+      }
+    }
+
+    return relationships;
+  }
+
+  /**
+   * Build the text view of a part (one line per paragraph) and record hyperlink positions
+   */
+  extractPartText(xml, baseOffset, relationships, hyperlinks, linkRanges, part) {
+    const pattern = new RegExp(TEXT_VIEW_TOKENS);
+    let text = '';
+    let current = null;
+    let match;
+
+    while ((match = pattern.exec(xml)) !== null) {
+      const token = match[0];
+
+      if (token.startsWith('<w:hyperlink')) {
+        const attributes = this.parseAttributes(match[1]);
+        const id = attributes['r:id'];
+        if (match[2] || !id || !relationships.has(id)) {
+          continue;
+        }
+
+        current = hyperlinks.find(link => link.part === part && link.relationshipId === id);
+        if (!current) {
+          current = { part, relationshipId: id, url: relationships.get(id).target, linkText: '', offset: baseOffset + text.length };
+          hyperlinks.push(current);
+        }
+        current.rangeStart = baseOffset + text.length;
+      } else if (token === '</w:hyperlink>') {
+        if (current) {
+          linkRanges.push([current.rangeStart, baseOffset + text.length]);
+          delete current.rangeStart;
+          current = null;
+        }
+      } else if (match[3] !== undefined) {
+        const value = this.decodeXML(match[3]);
+        text += value;
+        if (current) {
+          current.linkText += value;
+        }
+      } else if (token === '<w:tab/>') {
+        text += '\t';
+      } else {
+        text += '\n';
+      }
+    }
+
+    hyperlinks.forEach(link => {
+      if (link.part === part && link.linkText === '') {
+        link.linkText = null;
+      }
+    });
+
+    return text;
+  }
+
+  /**
+   * Point the matching hyperlink relationships at their new targets; written fixes are removed from pending
+   */
+  rewriteRelationships(xml, fixes, pending) {
+    return xml.replace(/<Relationship\b([^>]*?)(\/?)>/g, (element, attributeText, selfClosing) => {
+      const attributes = this.parseAttributes(attributeText);
+      const fix = fixes.find(f => f.relationshipId === attributes.Id);
+
+      if (!fix || attributes.Target !== fix.originalURL) {
+        return element;
+      }
+
+      const updated = attributeText.replace(/(\bTarget\s*=\s*)(?:"[^"]*"|'[^']*')/, (m, prefix) => {
+        const quote = m[prefix.length];
+        const target = this.encodeXML(fix.newURL);
+        return `${prefix}${quote}${quote === "'" ? target.replace(/'/g, '&apos;') : target}${quote}`;
+      });
+      if (updated === attributeText) {
+        return element;
+      }
+
+      pending.delete(fix);
+      return `<Relationship${updated}${selfClosing}>`;
+    });
+  }
+
+  /**
+   * Replace URLs written out in visible text runs, each at its own offset in the part's text view
+   * (only where the URL sits in a single run); other occurrences of the same URL are left alone
+   * Written fixes are removed from pending
+   */
+  rewriteTextRuns(xml, fixes, pending) {
+    let position = 0;
+
+    const rewritten = xml.replace(new RegExp(TEXT_VIEW_TOKENS), (token, linkAttributes, linkClosing, value) => {
+      // Tabs, breaks and paragraph ends are one character of the text view; hyperlink tags are none
+      if (value === undefined) {
+        if (!token.startsWith('<w:hyperlink') && token !== '</w:hyperlink>') {
+          position += 1;
+        }
+        return token;
+      }
+
+      const decoded = this.decodeXML(value);
+      const start = position;
+      position += decoded.length;
+
+      const runFixes = fixes
+        .filter(fix => pending.has(fix) && fix.partOffset >= start && decoded.startsWith(fix.originalURL, fix.partOffset - start))
+        .sort((a, b) => b.partOffset - a.partOffset);
+
+      if (runFixes.length === 0) {
+        return token;
+      }
+
+      // Apply from the end of the run so earlier offsets stay valid
+      let updated = decoded;
+      runFixes.forEach(fix => {
+        const at = fix.partOffset - start;
+        updated = updated.slice(0, at) + fix.newURL + updated.slice(at + fix.originalURL.length);
+        pending.delete(fix);
+      });
+
+      const open = token.slice(0, token.indexOf('>') + 1);
+      return `${open}${this.encodeXML(updated)}</w:t>`;
+    });
+
+    return rewritten;
+  }
+
+  /**
+   * Parse XML attributes into an object (values are entity-decoded)
+   */
+  parseAttributes(source) {
+    const attributes = {};
+    const pattern = /([\w:.-]+)\s*=\s*(["'])(.*?)\2/g;
+    let match;
+
+    while ((match = pattern.exec(source)) !== null) {
+      attributes[match[1]] = this.decodeXML(match[3]);
+    }
+
+    return attributes;
+  }
+
+  /**
+   * Decode XML entities
+   */
+  decodeXML(value) {
+    return value.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (entity, code) => {
+      const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+      if (code[0] === '#') {
+        return String.fromCodePoint(code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10));
+      }
+      return named[code.toLowerCase()];
+    });
+  }
+
+  /**
+   * Encode a value for use in XML text or attributes
+   */
+  encodeXML(value) {
+    return value
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
@@ -0,0 +1,161 @@
+/**
+ * HTMLTokenizer - Forgiving HTML tokenizer that keeps exact source offsets
+ * Produces tag and text tokens; comments, doctypes and script bodies are skipped
+ */
+
+'use strict';
+
+// Elements whose content is raw text rather than markup
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+
+export class HTMLTokenizer {
+  /**
+   * Tokenize HTML source
+   * Tag tokens: { type: 'tag', name, closing, attributes: [{ name, value, valueStart, valueEnd }], start, end }
+   * Text tokens: { type: 'text', value, start, end, parent } where parent is set for raw text elements (e.g. style)
+   */
+  tokenize(source) {
+    const tokens = [];
+    let position = 0;
+    let textStart = 0;
+
+    const flushText = (end, parent = null) => {
+      if (end > textStart) {
+        tokens.push({ type: 'text', value: source.slice(textStart, end), start: textStart, end, parent });
+      }
+    };
+
+    while (position < source.length) {
+      const open = source.indexOf('<', position);
+      if (open === -1) {
+        break;
+      }
+
+      const next = source[open + 1];
+
+      if (source.startsWith('<!--', open)) {
+        flushText(open);
+        const close = source.indexOf('-->', open + 4);
+        position = textStart = close === -1 ? source.length : close + 3;
+      } else if (next === '!' || next === '?') {
+        // Doctype, CDATA or processing instruction
+        flushText(open);
+        const terminator = source.startsWith('<![CDATA[', open) ? ']]>' : '>';
+        const close = source.indexOf(terminator, open + 2);
+        position = textStart = close === -1 ? source.length : close + terminator.length;
+      } else if (/[a-zA-Z]/.test(next || '') || (next === '/' && /[a-zA-Z]/.test(source[open + 2] || ''))) {
+        flushText(open);
+        const tag = this.readTag(source, open);
+        tokens.push(tag);
+        position = textStart = tag.end;
+
+        if (!tag.closing && !tag.selfClosing && RAW_TEXT_ELEMENTS.has(tag.name)) {
+          const pattern = new RegExp(`</${tag.name}[\\s/>]`, 'ig');
+          pattern.lastIndex = position;
+          const match = pattern.exec(source);
+          const close = match ? match.index : source.length;
+
+          // Script bodies never contain document links worth checking
+          if (tag.name !== 'script') {
+            textStart = position;
+            flushText(close, tag.name);
+          }
+          position = textStart = close;
+        }
+      } else {
+        // A stray '<' is ordinary text
+        position = open + 1;
+      }
+    }
+
+    flushText(source.length);
+    return tokens;
+  }
+
+  /**
+   * Read a start or end tag beginning at offset
+   */
+  readTag(source, offset) {
+    let position = offset + 1;
+    const closing = source[position] === '/';
+    if (closing) {
+      position++;
+    }
+
+    const nameMatch = /^[^\s/>]+/.exec(source.slice(position, position + 64));
+    const name = nameMatch[0].toLowerCase();
+    position += nameMatch[0].length;
+
+    const attributes = [];
+    let selfClosing = false;
+
+    while (position < source.length) {
+      // Skip whitespace (attributes may span several lines)
+      while (position < source.length && /\s/.test(source[position])) {
+        position++;
+      }
+
+      const char = source[position];
+      if (char === undefined) {
+        break;
+      }
+      if (char === '>') {
+        position++;
+        break;
+      }
+      if (char === '/') {
+        selfClosing = source[position + 1] === '>';
+        position++;
+        continue;
+      }
+
+      // Attribute name
+      const attributeStart = position;
+      while (position < source.length && !/[\s/>=]/.test(source[position])) {
+        position++;
+      }
+      if (position === attributeStart) {
+        position++;
+        continue;
+      }
+      const attributeName = source.slice(attributeStart, position).toLowerCase();
+
+      // Optional value
+      let lookahead = position;
+      while (lookahead < source.length && /\s/.test(source[lookahead])) {
+        lookahead++;
+      }
+
+      if (source[lookahead] !== '=') {
+        attributes.push({ name: attributeName, value: '', valueStart: position, valueEnd: position });
+        continue;
+      }
+
+      position = lookahead + 1;
+      while (position < source.length && /\s/.test(source[position])) {
+        position++;
+      }
+
+      const quote = source[position];
+      let valueStart;
+      let valueEnd;
+
+      if (quote === '"' || quote === "'") {
+        valueStart = position + 1;
+        const close = source.indexOf(quote, valueStart);
+        valueEnd = close === -1 ? source.length : close;
+        position = close === -1 ? source.length : close + 1;
+      } else {
+        valueStart = position;
+        while (position < source.length && !/[\s>]/.test(source[position])) {
+          position++;
+        }
+        valueEnd = position;
+      }
+
+      attributes.push({ name: attributeName, value: source.slice(valueStart, valueEnd), valueStart, valueEnd });
+    }
+
+    return { type: 'tag', name, closing, selfClosing, attributes, start: offset, end: position };
+  }
+}
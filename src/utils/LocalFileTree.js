@@ -0,0 +1,167 @@
+/**
+ * LocalFileTree - The set of files from an uploaded folder or archive, for checking relative links without HTTP
+ * Paths are relative to the upload ("site/docs/setup.html"); root-relative links ("/images/logo.png") resolve
+ * against the folder all files share, if there is one
+ */
+
+'use strict';
+
+import { URLResolver } from './URLResolver.js';
+
+// Any origin works for resolving paths; it never leaves this module
+const LOCAL_ORIGIN = 'http://local.invalid';
+const INDEX_FILES = ['index.html', 'index.htm'];
+
+export class LocalFileTree {
+  constructor(paths = []) {
+    this.urlResolver = new URLResolver();
+    this.paths = new Set(paths.map(path => path.replace(/\\/g, '/').replace(/^\/+/, '')));
+    this.root = this.getRoot();
+  }
+
+  /**
+   * Get the top folder every file is in ("site/"), or '' when files sit at different top levels
+   */
+  getRoot() {
+    const tops = new Set([...this.paths].map(path => (path.includes('/') ? path.slice(0, path.indexOf('/') + 1) : '')));
+    const [top] = tops;
+    return tops.size === 1 ? top : '';
+  }
+
+  /**
+   * Check whether a link points into the file set (root- or path-relative, not absolute or protocol-relative)
+   */
+  isLocalLink(url) {
+    return typeof url === 'string' && ['root-relative', 'path-relative'].includes(this.urlResolver.getStyle(url));
+  }
+
+  /**
+   * Resolve a relative link from the file it appears in
+   * Returns { path, fragment } (query dropped, path decoded), or null for links that are not local
+   */
+  resolve(url, fromPath) {
+    if (!this.isLocalLink(url)) {
+      return null;
+    }
+
+    const value = url.trim();
+    const link = this.urlResolver.getStyle(value) === 'root-relative' ? `/${this.encode(this.root)}${value.slice(1)}` : value;
+
+    try {
+      const resolved = new URL(link, `${LOCAL_ORIGIN}/${this.encode(fromPath)}`);
+      return { path: decodeURIComponent(resolved.pathname.slice(1)), fragment: resolved.hash };
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Find the file a resolved path refers to: the file itself, or the index page of a folder
+   */
+  find(path) {
+    if (this.paths.has(path)) {
+      return path;
+    }
+
+    const folder = path === '' || path.endsWith('/') ? path : `${path}/`;
+    return INDEX_FILES.map(name => `${folder}${name}`).find(candidate => this.paths.has(candidate)) || null;
+  }
+
+  /**
+   * Suggest files for a missing path: the same name elsewhere in the tree first, then similar names
+   * Returns [{ path, score }], best first; files closer to the missing path win ties
+   */
+  findSimilar(path, limit = 3) {
+    const name = path.split('/').filter(Boolean).pop()?.toLowerCase() || '';
+    const stem = this.getStem(name);
+    if (!stem) {
+      return [];
+    }
+
+    return [...this.paths]
+      .map(candidate => {
+        const candidateName = candidate.split('/').pop().toLowerCase();
+        const candidateStem = this.getStem(candidateName);
+        let score;
+        if (candidateName === name) {
+          score = 1;
+        } else if (candidateStem === stem) {
+          score = 0.9; // other extension, e.g. .htm for .html
+        } else {
+          score = 0.8 * (1 - this.editDistance(stem, candidateStem) / Math.max(stem.length, candidateStem.length));
+        }
+        return { path: candidate, score: Math.round(score * 100) / 100, shared: this.sharedFolders(path, candidate) };
+      })
+      .filter(candidate => candidate.score >= 0.4 && this.isSameKind(candidate.path, name))
+      .sort((a, b) => b.score - a.score || b.shared - a.shared || a.path.localeCompare(b.path))
+      .slice(0, limit)
+      .map(({ path: candidate, score }) => ({ path: candidate, score }));
+  }
+
+  /**
+   * Write a link from one file to another as a relative URL
+   */
+  relative(fromPath, toPath) {
+    const from = fromPath.split('/').slice(0, -1);
+    const to = toPath.split('/');
+    let shared = 0;
+    while (shared < from.length && shared < to.length - 1 && from[shared] === to[shared]) {
+      shared++;
+    }
+
+    return this.encode([...from.slice(shared).map(() => '..'), ...to.slice(shared)].join('/'));
+  }
+
+  /**
+   * Get a file name without its extension
+   */
+  getStem(name) {
+    return name.replace(/\.[^.]*$/, '');
+  }
+
+  /**
+   * Only suggest files of the same kind: a page for a page link, an image for an image...
+   */
+  isSameKind(candidate, name) {
+    const extension = (path) => (path.includes('.') ? path.split('.').pop().toLowerCase() : '');
+    const pages = ['html', 'htm', ''];
+    const wanted = extension(name);
+    const found = extension(candidate.split('/').pop());
+    return wanted === found || (pages.includes(wanted) && pages.includes(found));
+  }
+
+  /**
+   * Count the leading folders two paths share
+   */
+  sharedFolders(a, b) {
+    const left = a.split('/').slice(0, -1);
+    const right = b.split('/').slice(0, -1);
+    let count = 0;
+    while (count < left.length && count < right.length && left[count] === right[count]) {
+      count++;
+    }
+    return count;
+  }
+
+  /**
+   * Levenshtein distance between two strings
+   */
+  editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  /**
+   * Percent-encode each segment of a path so it can be used in a URL
+   */
+  encode(path) {
+    return path.split('/').map(segment => encodeURIComponent(segment)).join('/');
+  }
+}
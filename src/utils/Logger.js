@@ -5,6 +5,12 @@
 
 'use strict';
 
+// Process-wide overrides set with Logger.configure (e.g. by the Node adapters)
+const settings = {
+  level: null,
+  sink: null
+};
+
 export class Logger {
   constructor(context = 'App') {
     this.context = context;
@@ -12,13 +18,31 @@ export class Logger {
   }
 
   /**
-   * Get the current log level from localStorage or default to 'info'
+   * Send log output to another sink (any object with error, warn, info and debug methods) and/or set the
+   * level of loggers created afterwards; pass null to restore the console and the stored level
+   */
+  static configure({ level, sink } = {}) {
+    if (level !== undefined) {
+      settings.level = level;
+    }
+    if (sink !== undefined) {
+      settings.sink = sink;
+    }
+  }
+
+  /**
+   * Get the current log level from Logger.configure, localStorage, the URL_FIXER_LOG_LEVEL environment
+   * variable (Node) or default to 'info'
    */
   getLogLevel() {
+    if (settings.level) {
+      return settings.level;
+    }
+
     try {
       return localStorage.getItem('url-fixer-log-level') || 'info';
     } catch {
-      return 'info';
+      return globalThis.process?.env?.URL_FIXER_LOG_LEVEL || 'info';
     }
   }
 
@@ -34,6 +58,13 @@ export class Logger {
     }
   }
 
+  /**
+   * Get where log output goes (the console unless configured otherwise)
+   */
+  getSink() {
+    return settings.sink || console;
+  }
+
   /**
    * Format timestamp in the required format
    */
@@ -97,6 +128,7 @@ export class Logger {
    */
   shouldLog(level) {
     const levels = {
+      silent: -1,
       error: 0,
       warn: 1,
       info: 2,
@@ -113,12 +145,12 @@ export class Logger {
     if (!this.shouldLog('error')) return;
     
     const formattedMessage = this.formatMessage('ERROR', message, element, tagNumber);
-    console.error(formattedMessage);
+    this.getSink().error(formattedMessage);
     
     if (error) {
-      console.error('Error details:', error);
+      this.getSink().error('Error details:', error);
       if (error.stack) {
-        console.error('Stack trace:', error.stack);
+        this.getSink().error('Stack trace:', error.stack);
       }
     }
   }
@@ -130,7 +162,7 @@ export class Logger {
     if (!this.shouldLog('warn')) return;
     
     const formattedMessage = this.formatMessage('WARN', message, element, tagNumber);
-    console.warn(formattedMessage);
+    this.getSink().warn(formattedMessage);
   }
 
   /**
@@ -140,7 +172,7 @@ export class Logger {
     if (!this.shouldLog('info')) return;
     
     const formattedMessage = this.formatMessage('INFO', message, element, tagNumber);
-    console.info(formattedMessage);
+    this.getSink().info(formattedMessage);
   }
 
   /**
@@ -150,7 +182,7 @@ export class Logger {
     if (!this.shouldLog('debug')) return;
     
     const formattedMessage = this.formatMessage('DEBUG', message, element, tagNumber);
-    console.debug(formattedMessage);
+    this.getSink().debug(formattedMessage);
   }
 
   /**
@@ -0,0 +1,401 @@
+/**
+ * MarkdownLinkScanner - CommonMark-aware link scanner that keeps exact source offsets
+ * Finds inline links, images, reference links and definitions, autolinks and bare URLs outside code
+ */
+
+'use strict';
+
+// Link reference definition: [label]: destination "optional title"
+const DEFINITION_PATTERN = /^ {0,3}\[((?:[^\]\\\n]|\\.){1,999})\]:[ \t]*\n?[ \t]*(<[^>\n]*>|\S+)(?:[ \t]*\n?[ \t]*("[^"]*"|'[^']*'|\([^)]*\)))?[ \t]*$/gm;
+
+// Autolink: <scheme:...>
+const AUTOLINK_PATTERN = /<([a-zA-Z][a-zA-Z\d+.-]{1,31}:[^\s<>]*)>/g;
+
+export class MarkdownLinkScanner {
+  constructor() {
+    this.barePattern = /https?:\/\/[^\s<>"'`]+/gi;
+  }
+
+  /**
+   * Scan Markdown source for links
+   * Returns [{ kind, url, start, end, text, title, label, referenceCount }] in source order, where kind is
+   * 'inline', 'image', 'definition', 'autolink' or 'bare' and start/end delimit the URL as written
+   */
+  scan(source) {
+    const masked = this.maskCode(source);
+    const links = [];
+    const covered = [];
+
+    // Reference definitions first, so shortcut links can be matched against them
+    const definitions = new Map();
+    let match;
+    DEFINITION_PATTERN.lastIndex = 0;
+    while ((match = DEFINITION_PATTERN.exec(masked)) !== null) {
+      const label = this.normalizeLabel(match[1]);
+      if (!label || definitions.has(label)) {
+        continue;
+      }
+
+      const destination = this.readDestinationToken(match[2], match.index + match[0].indexOf(match[2], match[0].indexOf(']:') + 2));
+      const definition = {
+        kind: 'definition',
+        ...destination,
+        text: null,
+        title: match[3] ? match[3].slice(1, -1) : null,
+        label: match[1].trim(),
+        referenceCount: 0
+      };
+
+      definitions.set(label, definition);
+      links.push(definition);
+      covered.push([match.index, match.index + match[0].length]);
+    }
+
+    const definitionMasked = this.maskRanges(masked, covered);
+
+    // Inline links, images and reference links
+    const labelBrackets = new Set();
+    for (let i = definitionMasked.indexOf('['); i !== -1; i = definitionMasked.indexOf('[', i + 1)) {
+      if (labelBrackets.has(i) || this.isEscaped(definitionMasked, i)) {
+        continue;
+      }
+
+      const close = this.findClosingBracket(definitionMasked, i);
+      if (close === -1) {
+        continue;
+      }
+
+      const isImage = i > 0 && definitionMasked[i - 1] === '!' && !this.isEscaped(definitionMasked, i - 1);
+      const text = source.slice(i + 1, close);
+      const inline = definitionMasked[close + 1] === '(' ? this.readInlineDestination(definitionMasked, close + 1) : null;
+
+      if (inline) {
+        if (inline.end > inline.start) {
+          links.push({
+            kind: isImage ? 'image' : 'inline',
+            url: source.slice(inline.start, inline.end),
+            start: inline.start,
+            end: inline.end,
+            text,
+            title: inline.title
+          });
+        }
+        covered.push([isImage ? i - 1 : i, inline.close + 1]);
+        continue;
+      }
+
+      // Full [text][label], collapsed [text][] or shortcut [label] reference
+      let label = text;
+      let end = close + 1;
+      if (definitionMasked[close + 1] === '[') {
+        const labelClose = this.findClosingBracket(definitionMasked, close + 1);
+        if (labelClose !== -1) {
+          labelBrackets.add(close + 1);
+          const written = source.slice(close + 2, labelClose);
+          label = written.trim() ? written : text;
+          end = labelClose + 1;
+        }
+      }
+
+      const definition = definitions.get(this.normalizeLabel(label));
+      if (definition) {
+        definition.referenceCount++;
+        if (definition.text === null) {
+          definition.text = text;
+        }
+        covered.push([isImage ? i - 1 : i, end]);
+      }
+    }
+
+    // Autolinks
+    AUTOLINK_PATTERN.lastIndex = 0;
+    while ((match = AUTOLINK_PATTERN.exec(definitionMasked)) !== null) {
+      if (this.isCovered(covered, match.index)) {
+        continue;
+      }
+      links.push({
+        kind: 'autolink',
+        url: match[1],
+        start: match.index + 1,
+        end: match.index + 1 + match[1].length,
+        text: null,
+        title: null
+      });
+      covered.push([match.index, match.index + match[0].length]);
+    }
+
+    // Bare URLs in prose
+    this.barePattern.lastIndex = 0;
+    while ((match = this.barePattern.exec(definitionMasked)) !== null) {
+      if (this.isCovered(covered, match.index)) {
+        continue;
+      }
+      links.push({
+        kind: 'bare',
+        url: match[0],
+        start: match.index,
+        end: match.index + match[0].length,
+        text: null,
+        title: null
+      });
+    }
+
+    return links.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Blank out fenced and indented code blocks, code spans and HTML comments (offsets and newlines are kept)
+   * A line indented by four columns more than the open list item's content is code, unless it continues a paragraph
+   */
+  maskCode(source) {
+    const ranges = [];
+    const linePattern = /^.*$/gm;
+    let fence = null;
+    let listIndent = null; // content column of the open list item
+    let inParagraph = false;
+    let afterBlank = false;
+    let match;
+
+    while ((match = linePattern.exec(source)) !== null) {
+      const line = match[0];
+      const lineEnd = match.index + line.length;
+      if (line.length === 0) {
+        linePattern.lastIndex++;
+      }
+
+      if (fence) {
+        const closing = /^ {0,3}(`{3,}|~{3,})[ \t]*$/.exec(line);
+        if (closing && closing[1][0] === fence.char && closing[1].length >= fence.length) {
+          ranges.push([fence.start, lineEnd]);
+          fence = null;
+        }
+        continue;
+      }
+
+      if (!line.trim()) {
+        inParagraph = false;
+        afterBlank = true;
+        continue;
+      }
+
+      const indent = this.getColumns(/^[ \t]*/.exec(line)[0]);
+      if (listIndent !== null && indent < listIndent && afterBlank) {
+        listIndent = null;
+      }
+
+      if (!inParagraph && indent >= (listIndent ?? 0) + 4) {
+        ranges.push([match.index, lineEnd]);
+        afterBlank = false;
+        continue;
+      }
+      afterBlank = false;
+
+      const opening = /^ {0,3}(`{3,}|~{3,})/.exec(line);
+      if (opening && !(opening[1][0] === '`' && line.slice(opening[0].length).includes('`'))) {
+        fence = { char: opening[1][0], length: opening[1].length, start: match.index };
+        inParagraph = false;
+        continue;
+      }
+
+      const item = /^([ \t]*)([-+*]|\d{1,9}[.)])([ \t]+|$)/.exec(line);
+      if (item && !/^[ \t]*([-*_])([ \t]*\1){2,}[ \t]*$/.test(line)) {
+        listIndent = this.getColumns(item[0]) + (item[3] ? 0 : 1);
+      }
+
+      // Headings and thematic breaks end a paragraph; other text starts or continues one
+      inParagraph = !/^[ \t]*(#{1,6}([ \t]|$)|([-*_])([ \t]*\3){2,}[ \t]*$)/.test(line);
+    }
+    if (fence) {
+      ranges.push([fence.start, source.length]);
+    }
+
+    let masked = this.maskRanges(source, ranges);
+
+    // Code spans: a backtick run closed by a run of the same length within the paragraph
+    const spans = [];
+    const runPattern = /`+/g;
+    while ((match = runPattern.exec(masked)) !== null) {
+      if (this.isEscaped(masked, match.index)) {
+        continue;
+      }
+      const closer = new RegExp(`(?<!\`)\`{${match[0].length}}(?!\`)`, 'g');
+      closer.lastIndex = match.index + match[0].length;
+      const closing = closer.exec(masked);
+      if (!closing || /\n[ \t]*\n/.test(masked.slice(match.index, closing.index))) {
+        continue;
+      }
+      spans.push([match.index, closing.index + closing[0].length]);
+      runPattern.lastIndex = closing.index + closing[0].length;
+    }
+
+    const commentPattern = /<!--[\s\S]*?-->/g;
+    while ((match = commentPattern.exec(masked)) !== null) {
+      spans.push([match.index, match.index + match[0].length]);
+    }
+
+    masked = this.maskRanges(masked, spans);
+    return masked;
+  }
+
+  /**
+   * Get the width of text in columns, with tabs stopping at multiples of four
+   */
+  getColumns(text) {
+    let columns = 0;
+    for (const character of text) {
+      columns = character === '\t' ? columns + 4 - (columns % 4) : columns + 1;
+    }
+    return columns;
+  }
+
+  /**
+   * Replace the given ranges with spaces, keeping newlines
+   */
+  maskRanges(source, ranges) {
+    if (ranges.length === 0) {
+      return source;
+    }
+
+    const chars = source.split('');
+    ranges.forEach(([start, end]) => {
+      for (let i = start; i < end; i++) {
+        if (chars[i] !== '\n') {
+          chars[i] = ' ';
+        }
+      }
+    });
+    return chars.join('');
+  }
+
+  /**
+   * Find the bracket closing the one at offset (nesting and escapes aware, not across blank lines)
+   */
+  findClosingBracket(source, offset) {
+    let depth = 0;
+
+    for (let i = offset; i < source.length; i++) {
+      const char = source[i];
+      if (char === '\\') {
+        i++;
+      } else if (char === '[') {
+        depth++;
+      } else if (char === ']') {
+        depth--;
+        if (depth === 0) {
+          return i;
+        }
+      } else if (char === '\n' && /^\n[ \t]*\n/.test(source.slice(i, i + 64))) {
+        return -1;
+      }
+    }
+
+    return -1;
+  }
+
+  /**
+   * Read an inline destination and optional title starting at the '(' at offset
+   * Returns { start, end, title, close } or null when this is not an inline link
+   */
+  readInlineDestination(source, offset) {
+    let position = this.skipSpace(source, offset + 1);
+    let start;
+    let end;
+
+    if (source[position] === '<') {
+      const close = source.indexOf('>', position);
+      if (close === -1 || source.slice(position, close).includes('\n')) {
+        return null;
+      }
+      start = position + 1;
+      end = close;
+      position = close + 1;
+    } else {
+      start = position;
+      let depth = 0;
+      while (position < source.length && !/[\s\x00-\x1f]/.test(source[position])) {
+        const char = source[position];
+        if (char === '\\') {
+          position++;
+        } else if (char === '(') {
+          depth++;
+        } else if (char === ')') {
+          if (depth === 0) {
+            break;
+          }
+          depth--;
+        }
+        position++;
+      }
+      end = position;
+    }
+
+    position = this.skipSpace(source, position);
+
+    let title = null;
+    const opener = source[position];
+    if (opener === '"' || opener === "'" || opener === '(') {
+      const closer = opener === '(' ? ')' : opener;
+      const close = source.indexOf(closer, position + 1);
+      if (close === -1) {
+        return null;
+      }
+      title = source.slice(position + 1, close);
+      position = this.skipSpace(source, close + 1);
+    }
+
+    if (source[position] !== ')') {
+      return null;
+    }
+
+    return { start, end, title, close: position };
+  }
+
+  /**
+   * Read a definition destination token, unwrapping angle brackets
+   */
+  readDestinationToken(token, offset) {
+    if (token.startsWith('<') && token.endsWith('>')) {
+      return { url: token.slice(1, -1), start: offset + 1, end: offset + token.length - 1 };
+    }
+    return { url: token, start: offset, end: offset + token.length };
+  }
+
+  /**
+   * Skip spaces, tabs and at most one line ending
+   */
+  skipSpace(source, position) {
+    let newlines = 0;
+    while (position < source.length && /[ \t\n]/.test(source[position])) {
+      if (source[position] === '\n' && ++newlines > 1) {
+        break;
+      }
+      position++;
+    }
+    return position;
+  }
+
+  /**
+   * Check whether the character at offset is backslash-escaped
+   */
+  isEscaped(source, offset) {
+    let backslashes = 0;
+    for (let i = offset - 1; i >= 0 && source[i] === '\\'; i--) {
+      backslashes++;
+    }
+    return backslashes % 2 === 1;
+  }
+
+  /**
+   * Check whether an offset falls inside any of the ranges
+   */
+  isCovered(ranges, offset) {
+    return ranges.some(([start, end]) => offset >= start && offset < end);
+  }
+
+  /**
+   * Normalize a reference label for matching (case-insensitive, collapsed whitespace)
+   */
+  normalizeLabel(label) {
+    return label.trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+}
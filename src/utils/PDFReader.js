@@ -0,0 +1,966 @@
+/**
+ * PDFReader - Lightweight PDF reader for link extraction
+ * Decodes page content streams and link annotations so URLs can be located by page and position
+ */
+
+'use strict';
+
+import { Logger } from './Logger.js';
+
+/**
+ * PDF name object (e.g. /Type)
+ */
+class PDFName {
+  constructor(name) {
+    this.name = name;
+  }
+}
+
+/**
+ * PDF indirect object reference (e.g. 12 0 R)
+ */
+class PDFRef {
+  constructor(num, gen) {
+    this.num = num;
+    this.gen = gen;
+  }
+}
+
+/**
+ * PDF content stream operator (e.g. Tj, BT)
+ */
+class PDFOperator {
+  constructor(op) {
+    this.op = op;
+  }
+}
+
+const WHITESPACE = new Set([0x00, 0x09, 0x0a, 0x0c, 0x0d, 0x20]);
+const DELIMITERS = new Set(['(', ')', '<', '>', '[', ']', '{', '}', '/', '%']);
+
+/**
+ * Tokenizer and object parser for PDF syntax (works on latin1 strings)
+ */
+class PDFLexer {
+  constructor(source, position = 0) {
+    this.source = source;
+    this.pos = position;
+  }
+
+  isWhitespace(char) {
+    return WHITESPACE.has(char.charCodeAt(0));
+  }
+
+  skipWhitespace() {
+    while (this.pos < this.source.length) {
+      const char = this.source[this.pos];
+      if (this.isWhitespace(char)) {
+        this.pos++;
+      } else if (char === '%') {
+        // Comments run to the end of the line
+        while (this.pos < this.source.length && this.source[this.pos] !== '\n' && this.source[this.pos] !== '\r') {
+          this.pos++;
+        }
+      } else {
+        break;
+      }
+    }
+  }
+
+  /**
+   * Read the next parsed object, or a PDFOperator for bare keywords.
+   * Returns undefined at end of input.
+   */
+  next() {
+    this.skipWhitespace();
+    if (this.pos >= this.source.length) {
+      return undefined;
+    }
+
+    const char = this.source[this.pos];
+
+    if (char === '/') {
+      return this.readName();
+    }
+    if (char === '(') {
+      return this.readLiteralString();
+    }
+    if (char === '<') {
+      if (this.source[this.pos + 1] === '<') {
+        this.pos += 2;
+        return this.readDictionary();
+      }
+      return this.readHexString();
+    }
+    if (char === '[') {
+      this.pos++;
+      return this.readArray();
+    }
+    if (char === '>' && this.source[this.pos + 1] === '>') {
+      this.pos += 2;
+      return new PDFOperator('>>');
+    }
+    if (char === ']' || char === '>' || char === ')' || char === '{' || char === '}') {
+      this.pos++;
+      return new PDFOperator(char);
+    }
+
+    const token = this.readRegular();
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(token)) {
+      const value = parseFloat(token);
+      return this.maybeReference(value, token);
+    }
+    if (token === 'true') return true;
+    if (token === 'false') return false;
+    if (token === 'null') return null;
+    return new PDFOperator(token);
+  }
+
+  /**
+   * Turn "n g R" sequences into references
+   */
+  maybeReference(value, token) {
+    if (!/^\d+$/.test(token)) {
+      return value;
+    }
+
+    const saved = this.pos;
+    const match = /^\s+(\d+)\s+R(?![^\s()<>[\]{}/%])/.exec(this.source.slice(this.pos, this.pos + 32));
+    if (match) {
+      this.pos += match[0].length;
+      return new PDFRef(value, parseInt(match[1], 10));
+    }
+    this.pos = saved;
+    return value;
+  }
+
+  readRegular() {
+    const start = this.pos;
+    while (this.pos < this.source.length) {
+      const char = this.source[this.pos];
+      if (this.isWhitespace(char) || DELIMITERS.has(char)) {
+        break;
+      }
+      this.pos++;
+    }
+    if (this.pos === start) {
+      // Stray delimiter, consume it so parsing always advances
+      this.pos++;
+    }
+    return this.source.slice(start, this.pos);
+  }
+
+  readName() {
+    this.pos++; // Skip '/'
+    const raw = this.readRegularAfterSlash();
+    return new PDFName(raw.replace(/#([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16))));
+  }
+
+  readRegularAfterSlash() {
+    const start = this.pos;
+    while (this.pos < this.source.length) {
+      const char = this.source[this.pos];
+      if (this.isWhitespace(char) || DELIMITERS.has(char)) {
+        break;
+      }
+      this.pos++;
+    }
+    return this.source.slice(start, this.pos);
+  }
+
+  readLiteralString() {
+    this.pos++; // Skip '('
+    let depth = 1;
+    let result = '';
+
+    while (this.pos < this.source.length) {
+      const char = this.source[this.pos++];
+
+      if (char === '\\') {
+        const next = this.source[this.pos++];
+        const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+        if (next in escapes) {
+          result += escapes[next];
+        } else if (/[0-7]/.test(next)) {
+          let octal = next;
+          while (octal.length < 3 && /[0-7]/.test(this.source[this.pos])) {
+            octal += this.source[this.pos++];
+          }
+          result += String.fromCharCode(parseInt(octal, 8) & 0xff);
+        } else if (next === '\r') {
+          // Line continuation
+          if (this.source[this.pos] === '\n') this.pos++;
+        } else if (next !== '\n') {
+          result += next;
+        }
+      } else if (char === '(') {
+        depth++;
+        result += char;
+      } else if (char === ')') {
+        depth--;
+        if (depth === 0) break;
+        result += char;
+      } else {
+        result += char;
+      }
+    }
+
+    return result;
+  }
+
+  readHexString() {
+    this.pos++; // Skip '<'
+    const end = this.source.indexOf('>', this.pos);
+    const stop = end === -1 ? this.source.length : end;
+    let hex = this.source.slice(this.pos, stop).replace(/[^0-9a-fA-F]/g, '');
+    this.pos = stop + 1;
+
+    if (hex.length % 2 === 1) {
+      hex += '0';
+    }
+
+    let result = '';
+    for (let i = 0; i < hex.length; i += 2) {
+      result += String.fromCharCode(parseInt(hex.slice(i, i + 2), 16));
+    }
+    return result;
+  }
+
+  readArray() {
+    const items = [];
+    while (this.pos < this.source.length) {
+      const item = this.next();
+      if (item === undefined) break;
+      if (item instanceof PDFOperator && item.op === ']') break;
+      items.push(item);
+    }
+    return items;
+  }
+
+  readDictionary() {
+    const dict = {};
+    while (this.pos < this.source.length) {
+      const key = this.next();
+      if (key === undefined) break;
+      if (key instanceof PDFOperator && key.op === '>>') break;
+      if (!(key instanceof PDFName)) continue;
+
+      const value = this.next();
+      if (value instanceof PDFOperator && value.op === '>>') break;
+      dict[key.name] = value;
+    }
+    return dict;
+  }
+}
+
+export class PDFReader {
+  constructor() {
+    this.logger = new Logger('PDFReader');
+
+    // Heuristic used to estimate text advance when glyph widths are unknown
+    this.averageCharWidth = 0.5;
+  }
+
+  /**
+   * Read a PDF document and return per-page text lines and link annotations
+   */
+  async read(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    const source = this.bytesToLatin1(bytes);
+
+    if (!source.slice(0, 1024).includes('%PDF-')) {
+      throw new Error('Not a PDF document (missing %PDF header)');
+    }
+
+    this.source = source;
+    this.bytes = bytes;
+    this.objects = new Map();
+    this.decodedStreams = new Map();
+
+    this.indexObjects();
+    await this.indexObjectStreams();
+
+    const catalog = this.findCatalog();
+    if (!catalog) {
+      throw new Error('PDF catalog not found');
+    }
+
+    const pageDicts = [];
+    this.collectPages(this.resolve(catalog.Pages), {}, pageDicts, new Set());
+
+    const pages = [];
+    for (let index = 0; index < pageDicts.length; index++) {
+      pages.push(await this.readPage(pageDicts[index], index + 1));
+    }
+
+    this.logger.debug(`Read ${pages.length} PDF pages`);
+
+    return {
+      pageCount: pages.length,
+      pages,
+      text: pages.map(page => page.lines.map(line => line.text).join('\n')).join('\n\n')
+    };
+  }
+
+  /**
+   * Convert bytes to a latin1 string in chunks (avoids call stack limits)
+   */
+  bytesToLatin1(bytes) {
+    let result = '';
+    const chunkSize = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+      result += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+    }
+    return result;
+  }
+
+  /**
+   * Locate every "n g obj" definition. Later definitions win, matching incremental updates.
+   */
+  indexObjects() {
+    const objectPattern = /(\d+)\s+(\d+)\s+obj\b/g;
+    let match;
+
+    while ((match = objectPattern.exec(this.source)) !== null) {
+      const lexer = new PDFLexer(this.source, objectPattern.lastIndex);
+      const value = lexer.next();
+      const entry = { value, streamStart: null };
+
+      // Detect a following stream body
+      const afterValue = this.source.slice(lexer.pos, lexer.pos + 32);
+      const streamMatch = /^\s*stream(\r\n|\n|\r)/.exec(afterValue);
+      if (streamMatch && value && typeof value === 'object') {
+        entry.streamStart = lexer.pos + streamMatch[0].length;
+
+        // Skip the stream body so binary data is never mistaken for object headers
+        const end = typeof value.Length === 'number'
+          ? entry.streamStart + value.Length
+          : this.source.indexOf('endstream', entry.streamStart);
+        objectPattern.lastIndex = end === -1 ? this.source.length : end;
+      } else {
+        objectPattern.lastIndex = Math.max(objectPattern.lastIndex, lexer.pos);
+      }
+
+      this.objects.set(parseInt(match[1], 10), entry);
+    }
+  }
+
+  /**
+   * Expand compressed object streams (/Type /ObjStm, PDF 1.5+)
+   */
+  async indexObjectStreams() {
+    const objectStreams = [...this.objects.values()]
+      .filter(entry => entry.streamStart !== null && this.isName(entry.value.Type, 'ObjStm'));
+
+    for (const entry of objectStreams) {
+      try {
+        const data = await this.decodeStream(entry);
+        const source = this.bytesToLatin1(data);
+        const count = this.resolve(entry.value.N) || 0;
+        const first = this.resolve(entry.value.First) || 0;
+
+        const header = new PDFLexer(source);
+        const offsets = [];
+        for (let i = 0; i < count; i++) {
+          offsets.push({ num: header.next(), offset: header.next() });
+        }
+
+        offsets.forEach(({ num, offset }) => {
+          if (typeof num !== 'number' || this.objects.has(num)) return;
+          const lexer = new PDFLexer(source, first + offset);
+          this.objects.set(num, { value: lexer.next(), streamStart: null });
+        });
+      } catch (error) {
+        this.logger.debug(`Skipping unreadable object stream: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Find the document catalog via the trailer, falling back to a /Type /Catalog scan
+   */
+  findCatalog() {
+    const trailerPattern = /trailer\s*<</g;
+    let rootRef = null;
+    let match;
+
+    while ((match = trailerPattern.exec(this.source)) !== null) {
+      const lexer = new PDFLexer(this.source, match.index + match[0].length - 2);
+      const trailer = lexer.next();
+      if (trailer && trailer.Root) {
+        rootRef = trailer.Root;
+      }
+    }
+
+    if (!rootRef) {
+      // Cross-reference streams carry the trailer keys in their dictionary
+      for (const entry of this.objects.values()) {
+        if (entry.value && this.isName(entry.value.Type, 'XRef') && entry.value.Root) {
+          rootRef = entry.value.Root;
+        }
+      }
+    }
+
+    const catalog = rootRef ? this.resolve(rootRef) : null;
+    if (catalog && catalog.Pages) {
+      return catalog;
+    }
+
+    for (const entry of this.objects.values()) {
+      if (entry.value && this.isName(entry.value.Type, 'Catalog')) {
+        return entry.value;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Walk the page tree, carrying inheritable attributes down to leaves
+   */
+  collectPages(node, inherited, pages, visited) {
+    if (!node || typeof node !== 'object' || visited.has(node)) {
+      return;
+    }
+    visited.add(node);
+
+    const attributes = {
+      MediaBox: node.MediaBox || inherited.MediaBox,
+      Resources: node.Resources || inherited.Resources
+    };
+
+    if (this.isName(node.Type, 'Pages') || Array.isArray(this.resolve(node.Kids))) {
+      const kids = this.resolve(node.Kids) || [];
+      kids.forEach(kid => this.collectPages(this.resolve(kid), attributes, pages, visited));
+    } else {
+      pages.push({ ...node, ...attributes });
+    }
+  }
+
+  /**
+   * Extract text lines and link annotations for a single page
+   */
+  async readPage(pageDict, pageNumber) {
+    const mediaBox = (this.resolve(pageDict.MediaBox) || [0, 0, 612, 792]).map(value => this.resolve(value));
+    const width = mediaBox[2] - mediaBox[0];
+    const height = mediaBox[3] - mediaBox[1];
+
+    const fonts = await this.loadFonts(this.resolve(pageDict.Resources));
+    const content = await this.readPageContent(pageDict);
+    const runs = this.extractTextRuns(content, fonts);
+    const lines = this.groupRunsIntoLines(runs, height);
+    const links = this.readLinkAnnotations(pageDict, runs, height);
+
+    return { pageNumber, width, height, lines, links };
+  }
+
+  /**
+   * Concatenate all content streams of a page
+   */
+  async readPageContent(pageDict) {
+    const contents = this.resolve(pageDict.Contents);
+    const refs = Array.isArray(contents) ? contents : [pageDict.Contents];
+    const parts = [];
+
+    for (const ref of refs) {
+      const entry = ref instanceof PDFRef ? this.objects.get(ref.num) : null;
+      if (!entry || entry.streamStart === null) continue;
+
+      try {
+        parts.push(this.bytesToLatin1(await this.decodeStream(entry)));
+      } catch (error) {
+        this.logger.debug(`Skipping unreadable content stream: ${error.message}`);
+      }
+    }
+
+    return parts.join('\n');
+  }
+
+  /**
+   * Load page fonts with their ToUnicode maps
+   */
+  async loadFonts(resources) {
+    const fonts = {};
+    const fontDict = resources ? this.resolve(resources.Font) : null;
+    if (!fontDict) {
+      return fonts;
+    }
+
+    for (const [name, ref] of Object.entries(fontDict)) {
+      const font = this.resolve(ref);
+      if (!font) continue;
+
+      const isComposite = this.isName(font.Subtype, 'Type0');
+      let toUnicode = null;
+
+      const toUnicodeEntry = font.ToUnicode instanceof PDFRef ? this.objects.get(font.ToUnicode.num) : null;
+      if (toUnicodeEntry && toUnicodeEntry.streamStart !== null) {
+        try {
+          toUnicode = this.parseToUnicode(this.bytesToLatin1(await this.decodeStream(toUnicodeEntry)));
+        } catch (error) {
+          this.logger.debug(`Skipping unreadable ToUnicode map for font ${name}: ${error.message}`);
+        }
+      }
+
+      fonts[name] = {
+        bytesPerCode: isComposite ? 2 : 1,
+        toUnicode
+      };
+    }
+
+    return fonts;
+  }
+
+  /**
+   * Parse bfchar/bfrange sections of a ToUnicode CMap
+   */
+  parseToUnicode(cmap) {
+    const map = new Map();
+    const hexToString = (hex) => {
+      let result = '';
+      for (let i = 0; i + 4 <= hex.length; i += 4) {
+        result += String.fromCharCode(parseInt(hex.slice(i, i + 4), 16));
+      }
+      if (hex.length === 2) {
+        result = String.fromCharCode(parseInt(hex, 16));
+      }
+      return result;
+    };
+
+    const charSections = cmap.match(/beginbfchar([\s\S]*?)endbfchar/g) || [];
+    charSections.forEach(section => {
+      const pairPattern = /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>/g;
+      let pair;
+      while ((pair = pairPattern.exec(section)) !== null) {
+        map.set(parseInt(pair[1], 16), hexToString(pair[2]));
+      }
+    });
+
+    const rangeSections = cmap.match(/beginbfrange([\s\S]*?)endbfrange/g) || [];
+    rangeSections.forEach(section => {
+      const rangePattern = /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]+>|\[[^\]]*\])/g;
+      let range;
+      while ((range = rangePattern.exec(section)) !== null) {
+        const start = parseInt(range[1], 16);
+        const end = parseInt(range[2], 16);
+
+        if (range[3].startsWith('[')) {
+          const targets = range[3].match(/<([0-9a-fA-F]+)>/g) || [];
+          targets.forEach((target, offset) => {
+            map.set(start + offset, hexToString(target.slice(1, -1)));
+          });
+        } else {
+          const base = range[3].slice(1, -1);
+          const baseCode = parseInt(base.slice(-4), 16);
+          const prefix = hexToString(base.slice(0, -4));
+          for (let code = start; code <= end && code - start < 0x10000; code++) {
+            map.set(code, prefix + String.fromCharCode(baseCode + (code - start)));
+          }
+        }
+      }
+    });
+
+    return map;
+  }
+
+  /**
+   * Decode a string operand using the current font
+   */
+  decodeText(raw, font) {
+    if (!font) {
+      return raw;
+    }
+
+    let result = '';
+    const step = font.bytesPerCode;
+    for (let i = 0; i + step <= raw.length; i += step) {
+      const code = step === 2
+        ? (raw.charCodeAt(i) << 8) | raw.charCodeAt(i + 1)
+        : raw.charCodeAt(i);
+
+      if (font.toUnicode && font.toUnicode.has(code)) {
+        result += font.toUnicode.get(code);
+      } else if (step === 1) {
+        result += String.fromCharCode(code);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Interpret text operators in a content stream and return positioned text runs
+   */
+  extractTextRuns(content, fonts) {
+    const runs = [];
+    const lexer = new PDFLexer(content);
+    const stack = [];
+
+    let ctm = [1, 0, 0, 1, 0, 0];
+    const ctmStack = [];
+    let textMatrix = [1, 0, 0, 1, 0, 0];
+    let lineMatrix = [1, 0, 0, 1, 0, 0];
+    let font = null;
+    let fontSize = 12;
+    let leading = 0;
+
+    const multiply = (m1, m2) => [
+      m1[0] * m2[0] + m1[1] * m2[2],
+      m1[0] * m2[1] + m1[1] * m2[3],
+      m1[2] * m2[0] + m1[3] * m2[2],
+      m1[2] * m2[1] + m1[3] * m2[3],
+      m1[4] * m2[0] + m1[5] * m2[2] + m2[4],
+      m1[4] * m2[1] + m1[5] * m2[3] + m2[5]
+    ];
+
+    const moveLine = (tx, ty) => {
+      lineMatrix = multiply([1, 0, 0, 1, tx, ty], lineMatrix);
+      textMatrix = [...lineMatrix];
+    };
+
+    const showText = (text, advanceUnits = 0) => {
+      const matrix = multiply(textMatrix, ctm);
+      const scale = Math.hypot(matrix[0], matrix[1]) || 1;
+      const size = fontSize * scale;
+
+      if (text.length > 0) {
+        runs.push({
+          text,
+          x: matrix[4],
+          y: matrix[5],
+          fontSize: size,
+          width: text.length * size * this.averageCharWidth
+        });
+      }
+
+      // Advance the text matrix by the estimated width of the shown text
+      const advance = text.length * fontSize * this.averageCharWidth - (advanceUnits / 1000) * fontSize;
+      textMatrix = multiply([1, 0, 0, 1, advance, 0], textMatrix);
+    };
+
+    let token;
+    while ((token = lexer.next()) !== undefined) {
+      if (!(token instanceof PDFOperator)) {
+        stack.push(token);
+        continue;
+      }
+
+      const operands = stack.splice(0, stack.length);
+
+      switch (token.op) {
+        case 'q':
+          ctmStack.push([...ctm]);
+          break;
+        case 'Q':
+          ctm = ctmStack.pop() || [1, 0, 0, 1, 0, 0];
+          break;
+        case 'cm':
+          if (operands.length === 6) ctm = multiply(operands, ctm);
+          break;
+        case 'BT':
+          textMatrix = [1, 0, 0, 1, 0, 0];
+          lineMatrix = [1, 0, 0, 1, 0, 0];
+          break;
+        case 'Tf':
+          font = operands[0] instanceof PDFName ? fonts[operands[0].name] || null : null;
+          fontSize = typeof operands[1] === 'number' ? operands[1] : fontSize;
+          break;
+        case 'TL':
+          leading = operands[0] || 0;
+          break;
+        case 'Td':
+          moveLine(operands[0] || 0, operands[1] || 0);
+          break;
+        case 'TD':
+          leading = -(operands[1] || 0);
+          moveLine(operands[0] || 0, operands[1] || 0);
+          break;
+        case 'Tm':
+          if (operands.length === 6) {
+            lineMatrix = [...operands];
+            textMatrix = [...operands];
+          }
+          break;
+        case 'T*':
+          moveLine(0, -leading);
+          break;
+        case 'Tj':
+          showText(this.decodeText(String(operands[0] ?? ''), font));
+          break;
+        case "'":
+          moveLine(0, -leading);
+          showText(this.decodeText(String(operands[0] ?? ''), font));
+          break;
+        case '"':
+          moveLine(0, -leading);
+          showText(this.decodeText(String(operands[2] ?? ''), font));
+          break;
+        case 'TJ': {
+          const parts = Array.isArray(operands[0]) ? operands[0] : [];
+          let text = '';
+          let adjustment = 0;
+          parts.forEach(part => {
+            if (typeof part === 'number') {
+              // Large negative kerning is how many generators encode word spaces
+              if (part < -200) text += ' ';
+              adjustment += part;
+            } else {
+              text += this.decodeText(String(part), font);
+            }
+          });
+          showText(text, adjustment);
+          break;
+        }
+        case 'BI':
+          this.skipInlineImage(lexer);
+          break;
+        default:
+          break;
+      }
+    }
+
+    return runs;
+  }
+
+  /**
+   * Skip inline image data (BI ... ID <binary> EI)
+   */
+  skipInlineImage(lexer) {
+    const dataStart = lexer.source.indexOf('ID', lexer.pos);
+    if (dataStart === -1) {
+      lexer.pos = lexer.source.length;
+      return;
+    }
+    const end = lexer.source.slice(dataStart + 2).search(/\sEI(\s|$)/);
+    lexer.pos = end === -1 ? lexer.source.length : dataStart + 2 + end + 3;
+  }
+
+  /**
+   * Group runs into visual lines (top to bottom, left to right)
+   */
+  groupRunsIntoLines(runs, pageHeight) {
+    const sorted = [...runs].sort((a, b) => {
+      const tolerance = Math.max(a.fontSize, b.fontSize) * 0.3;
+      if (Math.abs(a.y - b.y) > tolerance) {
+        return b.y - a.y;
+      }
+      return a.x - b.x;
+    });
+
+    const lines = [];
+    sorted.forEach(run => {
+      const current = lines[lines.length - 1];
+      const sameLine = current && Math.abs(current.y - run.y) <= Math.max(current.fontSize, run.fontSize) * 0.3;
+
+      if (!sameLine) {
+        lines.push({ y: run.y, fontSize: run.fontSize, text: '', runs: [] });
+      }
+
+      const line = lines[lines.length - 1];
+      const previous = line.runs[line.runs.length - 1];
+      if (previous) {
+        const gap = run.x - (previous.x + previous.width);
+        if (gap > run.fontSize * 0.15 && !line.text.endsWith(' ') && !run.text.startsWith(' ')) {
+          line.text += ' ';
+        }
+      }
+
+      line.runs.push({ ...run, offset: line.text.length });
+      line.text += run.text;
+    });
+
+    return lines.map(line => ({
+      text: line.text,
+      y: this.round(pageHeight - line.y),
+      runs: line.runs
+    }));
+  }
+
+  /**
+   * Read /Link annotations with URI actions
+   */
+  readLinkAnnotations(pageDict, runs, pageHeight) {
+    const annotations = this.resolve(pageDict.Annots) || [];
+    const links = [];
+
+    annotations.forEach(ref => {
+      const annotation = this.resolve(ref);
+      if (!annotation || !this.isName(annotation.Subtype, 'Link')) return;
+
+      const action = this.resolve(annotation.A);
+      if (!action || !this.isName(action.S, 'URI')) return;
+
+      const uri = this.decodePDFString(this.resolve(action.URI));
+      if (!uri) return;
+
+      const rect = (this.resolve(annotation.Rect) || [0, 0, 0, 0]).map(value => this.resolve(value));
+      const [x1, y1, x2, y2] = [Math.min(rect[0], rect[2]), Math.min(rect[1], rect[3]), Math.max(rect[0], rect[2]), Math.max(rect[1], rect[3])];
+
+      // Visible text covered by the annotation becomes the link text
+      const linkText = runs
+        .filter(run => run.x >= x1 - 1 && run.x <= x2 + 1 && run.y >= y1 - 2 && run.y <= y2 + 2)
+        .map(run => run.text)
+        .join(' ')
+        .trim();
+
+      links.push({
+        url: uri.trim(),
+        linkText: linkText || null,
+        x: this.round(x1),
+        y: this.round(pageHeight - y2),
+        width: this.round(x2 - x1),
+        height: this.round(y2 - y1)
+      });
+    });
+
+    return links;
+  }
+
+  /**
+   * Decode a PDF text string (UTF-16BE with BOM or PDFDocEncoding)
+   */
+  decodePDFString(value) {
+    if (typeof value !== 'string') {
+      return null;
+    }
+
+    if (value.charCodeAt(0) === 0xfe && value.charCodeAt(1) === 0xff) {
+      let result = '';
+      for (let i = 2; i + 1 < value.length; i += 2) {
+        result += String.fromCharCode((value.charCodeAt(i) << 8) | value.charCodeAt(i + 1));
+      }
+      return result;
+    }
+
+    return value;
+  }
+
+  /**
+   * Decode a stream body according to its /Filter entry
+   */
+  async decodeStream(entry) {
+    if (this.decodedStreams.has(entry)) {
+      return this.decodedStreams.get(entry);
+    }
+
+    const dict = entry.value;
+    let length = this.resolve(dict.Length);
+    if (typeof length !== 'number' || entry.streamStart + length > this.source.length) {
+      const end = this.source.indexOf('endstream', entry.streamStart);
+      length = (end === -1 ? this.source.length : end) - entry.streamStart;
+    }
+
+    let data = this.bytes.subarray(entry.streamStart, entry.streamStart + length);
+    const filters = [].concat(this.resolve(dict.Filter) || []).map(filter => this.resolve(filter));
+    const decodeParams = [].concat(this.resolve(dict.DecodeParms) || []).map(param => this.resolve(param));
+
+    for (let i = 0; i < filters.length; i++) {
+      const filter = filters[i] instanceof PDFName ? filters[i].name : '';
+      switch (filter) {
+        case 'FlateDecode':
+        case 'Fl':
+          data = this.applyPredictor(await this.inflate(data), decodeParams[i]);
+          break;
+        case 'ASCIIHexDecode':
+        case 'AHx':
+          data = this.decodeASCIIHex(data);
+          break;
+        default:
+          throw new Error(`Unsupported stream filter: ${filter}`);
+      }
+    }
+
+    this.decodedStreams.set(entry, data);
+    return data;
+  }
+
+  /**
+   * Inflate zlib data with the platform DecompressionStream
+   */
+  async inflate(data) {
+    if (typeof DecompressionStream === 'undefined') {
+      throw new Error('DecompressionStream is not supported in this environment');
+    }
+
+    const stream = new Response(data).body.pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  /**
+   * Undo PNG predictors (used by object and cross-reference streams)
+   * Each row starts with its filter type: 0 None, 1 Sub, 2 Up, 3 Average, 4 Paeth
+   */
+  applyPredictor(data, params) {
+    const predictor = params ? this.resolve(params.Predictor) : null;
+    if (!predictor || predictor < 10) {
+      return data;
+    }
+
+    const colors = this.resolve(params.Colors) || 1;
+    const bitsPerComponent = this.resolve(params.BitsPerComponent) || 8;
+    const columns = Math.ceil((this.resolve(params.Columns) || 1) * colors * bitsPerComponent / 8);
+    const bytesPerPixel = Math.max(1, Math.ceil(colors * bitsPerComponent / 8));
+    const rowLength = columns + 1;
+    const output = new Uint8Array(Math.floor(data.length / rowLength) * columns);
+    const previous = new Uint8Array(columns);
+
+    for (let row = 0; row * rowLength < data.length; row++) {
+      const type = data[row * rowLength];
+      for (let col = 0; col < columns; col++) {
+        const raw = data[row * rowLength + 1 + col] || 0;
+        const left = col >= bytesPerPixel ? output[row * columns + col - bytesPerPixel] : 0;
+        const up = previous[col];
+        const upLeft = col >= bytesPerPixel ? previous[col - bytesPerPixel] : 0;
+        let value = raw;
+        if (type === 1) value = raw + left;
+        else if (type === 2) value = raw + up;
+        else if (type === 3) value = raw + Math.floor((left + up) / 2);
+        else if (type === 4) value = raw + this.paethPredictor(left, up, upLeft);
+        output[row * columns + col] = value & 0xff;
+      }
+      previous.set(output.subarray(row * columns, (row + 1) * columns));
+    }
+
+    return output;
+  }
+
+  /**
+   * Pick whichever neighbour is closest to left + up - upLeft (ties favour left, then up)
+   */
+  paethPredictor(left, up, upLeft) {
+    const estimate = left + up - upLeft;
+    const toLeft = Math.abs(estimate - left);
+    const toUp = Math.abs(estimate - up);
+    const toUpLeft = Math.abs(estimate - upLeft);
+    if (toLeft <= toUp && toLeft <= toUpLeft) return left;
+    return toUp <= toUpLeft ? up : upLeft;
+  }
+
+  decodeASCIIHex(data) {
+    const hex = this.bytesToLatin1(data).replace(/>.*$/s, '').replace(/[^0-9a-fA-F]/g, '');
+    const output = new Uint8Array(Math.ceil(hex.length / 2));
+    for (let i = 0; i < output.length; i++) {
+      output[i] = parseInt(hex.slice(i * 2, i * 2 + 2).padEnd(2, '0'), 16);
+    }
+    return output;
+  }
+
+  /**
+   * Resolve indirect references (depth-limited to survive reference cycles)
+   */
+  resolve(value, depth = 0) {
+    if (value instanceof PDFRef && depth < 32) {
+      const entry = this.objects.get(value.num);
+      return entry ? this.resolve(entry.value, depth + 1) : null;
+    }
+    return value;
+  }
+
+  isName(value, name) {
+    const resolved = this.resolve(value);
+    return resolved instanceof PDFName && resolved.name === name;
+  }
+
+  round(value) {
+    return Math.round(value * 10) / 10;
+  }
+}
@@ -0,0 +1,211 @@
+/**
+ * RequestScheduler - Run requests under a global concurrency cap plus a per-host cap and minimum delay
+ * Each host has its own queue, so a slow or rate-limited host waits without holding up the others
+ */
+
+'use strict';
+
+import { Logger } from './Logger.js';
+
+export class RequestScheduler {
+  constructor(config = {}) {
+    this.logger = new Logger('RequestScheduler');
+    this.config = {
+      maxConcurrent: 6,
+      maxPerHost: 2,
+      hostDelay: 200, // minimum ms between requests to one host
+      maxHostDelay: 30000, // longest Crawl-delay or Retry-After wait honored
+      maxRetries: 2, // retries of a request answered with Retry-After
+      getHostDelay: null, // async (url) => ms for a new host, e.g. from robots.txt Crawl-delay
+      ...config
+    };
+    this.hosts = new Map(); // host -> { name, queue, active, delay, nextStart, pausedUntil, loading }
+    this.active = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Run task() once the URL's host and the global cap allow it; resolves with the task's result
+   * options.group (from createGroup) caps how many of a caller's tasks run at once
+   * options.getRetryAfter(result) returns a wait in ms when the host asked to come back later; the host is
+   * paused for that long and the task runs again (up to maxRetries times)
+   */
+  schedule(url, task, options = {}) {
+    const { signal = null, group = null, getRetryAfter = null } = options;
+
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new Error('Request was aborted'));
+        return;
+      }
+
+      const host = this.getHost(url);
+      const job = { task, resolve, reject, signal, group, getRetryAfter, attempts: 0 };
+      host.queue.push(job);
+      signal?.addEventListener('abort', () => this.cancel(host, job), { once: true });
+      this.pump();
+    });
+  }
+
+  /**
+   * Create a group of tasks that may run at most limit at a time
+   */
+  createGroup(limit) {
+    return { limit, active: 0 };
+  }
+
+  /**
+   * Set how the delay of each new host is looked up: async (url) => ms, or null for hostDelay only
+   * Hosts already seen keep the delay they have
+   */
+  setHostDelayLookup(getHostDelay) {
+    this.config.getHostDelay = getHostDelay;
+  }
+
+  /**
+   * Hold back requests to a URL's host for a while (e.g. after a 429 with Retry-After)
+   */
+  pauseHost(url, ms) {
+    const host = this.getHost(url);
+    const wait = Math.min(ms, this.config.maxHostDelay);
+    host.pausedUntil = Math.max(host.pausedUntil, Date.now() + wait);
+    this.logger.info(`Pausing requests to ${host.name || 'unknown host'} for ${wait}ms`);
+    this.pump();
+  }
+
+  /**
+   * Get the scheduling state of a URL's host, creating it (and looking up its delay) on first use
+   */
+  getHost(url) {
+    let name = '';
+    try {
+      name = new URL(url).host.toLowerCase();
+    } catch {
+      // Unparseable URLs share one queue
+    }
+
+    let host = this.hosts.get(name);
+    if (!host) {
+      host = { name, queue: [], active: 0, delay: this.config.hostDelay, nextStart: 0, pausedUntil: 0, loading: null };
+      this.hosts.set(name, host);
+
+      if (this.config.getHostDelay && name) {
+        host.loading = Promise.resolve()
+          .then(() => this.config.getHostDelay(url))
+          .then(delay => {
+            if (delay > 0) {
+              host.delay = Math.max(host.delay, Math.min(delay, this.config.maxHostDelay));
+              this.logger.debug(`Waiting ${host.delay}ms between requests to ${name}`);
+            }
+          })
+          .catch(error => this.logger.debug(`No crawl delay for ${name}: ${error.message}`))
+          .finally(() => {
+            host.loading = null;
+            this.pump();
+          });
+      }
+    }
+    return host;
+  }
+
+  /**
+   * Start every queued task that may run now, one per host per pass so hosts take turns
+   * When hosts are only waiting for their delay, wake up when the first one is ready
+   */
+  pump() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const now = Date.now();
+    let wakeAt = Infinity;
+    let started = true;
+
+    while (started && this.active < this.config.maxConcurrent) {
+      started = false;
+
+      for (const host of this.hosts.values()) {
+        if (this.active >= this.config.maxConcurrent) {
+          break;
+        }
+        if (host.loading || host.active >= this.config.maxPerHost) {
+          continue;
+        }
+
+        const job = host.queue.find(queued => !queued.group || queued.group.active < queued.group.limit);
+        if (!job) {
+          continue;
+        }
+
+        const readyAt = Math.max(host.nextStart, host.pausedUntil);
+        if (readyAt > now) {
+          wakeAt = Math.min(wakeAt, readyAt);
+          continue;
+        }
+
+        host.queue.splice(host.queue.indexOf(job), 1);
+        this.start(host, job);
+        started = true;
+      }
+    }
+
+    if (wakeAt < Infinity) {
+      this.timer = setTimeout(() => this.pump(), wakeAt - now);
+    }
+  }
+
+  /**
+   * Run a job, requeueing it at the front of its host's queue when the host asked for a retry later
+   */
+  start(host, job) {
+    this.active++;
+    host.active++;
+    host.nextStart = Date.now() + host.delay;
+    if (job.group) {
+      job.group.active++;
+    }
+    job.attempts++;
+
+    Promise.resolve()
+      .then(() => job.task())
+      .then(result => {
+        const retryAfter = job.getRetryAfter?.(result) ?? null;
+        if (retryAfter !== null && job.attempts <= this.config.maxRetries && retryAfter <= this.config.maxHostDelay && !job.signal?.aborted) {
+          this.logger.info(`${host.name} asked to retry in ${retryAfter}ms`);
+          host.pausedUntil = Math.max(host.pausedUntil, Date.now() + retryAfter);
+          host.queue.unshift(job);
+          return;
+        }
+        job.resolve(result);
+      }, error => job.reject(error))
+      .finally(() => {
+        this.active--;
+        host.active--;
+        if (job.group) {
+          job.group.active--;
+        }
+        this.pump();
+      });
+  }
+
+  /**
+   * Drop a job that is still waiting when its signal aborts
+   */
+  cancel(host, job) {
+    const index = host.queue.indexOf(job);
+    if (index !== -1) {
+      host.queue.splice(index, 1);
+      job.reject(new Error('Request was aborted'));
+    }
+  }
+
+  /**
+   * Get counts of running and waiting tasks
+   */
+  getStatus() {
+    let queued = 0;
+    this.hosts.forEach(host => {
+      queued += host.queue.length;
+    });
+    return { active: this.active, queued, hosts: this.hosts.size };
+  }
+}
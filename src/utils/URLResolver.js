@@ -0,0 +1,101 @@
+/**
+ * URLResolver - Resolve relative URLs against a document base and write URLs back in their original style
+ * Styles: absolute (https://host/a), protocol-relative (//host/a), root-relative (/a) and path-relative (../a, a, ?q)
+ */
+
+'use strict';
+
+export class URLResolver {
+  /**
+   * Get the style a URL is written in
+   */
+  getStyle(url) {
+    const value = url.trim();
+
+    if (/^[a-z][a-z\d+.-]*:/i.test(value)) {
+      return 'absolute';
+    }
+    if (value.startsWith('//')) {
+      return 'protocol-relative';
+    }
+    if (value.startsWith('/')) {
+      return 'root-relative';
+    }
+    return 'path-relative';
+  }
+
+  /**
+   * Check whether a URL needs a base to be resolved
+   */
+  isRelative(url) {
+    return this.getStyle(url) !== 'absolute';
+  }
+
+  /**
+   * Resolve a URL against a base (returns null when it cannot be resolved)
+   */
+  resolve(url, base) {
+    try {
+      return base ? new URL(url.trim(), base).href : new URL(url.trim()).href;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Write an absolute URL in the same style as the URL it replaces
+   * Falls back to the absolute form when the target is on another origin
+   */
+  toOriginalStyle(targetURL, originalURL, baseURL) {
+    const style = this.getStyle(originalURL);
+    if (style === 'absolute' || !baseURL) {
+      return targetURL;
+    }
+
+    let target;
+    let base;
+    try {
+      target = new URL(targetURL);
+      base = new URL(baseURL);
+    } catch {
+      return targetURL;
+    }
+
+    const pathAndQuery = `${target.pathname}${target.search}${target.hash}`;
+
+    if (style === 'protocol-relative') {
+      return target.protocol === base.protocol ? `//${target.host}${pathAndQuery}` : targetURL;
+    }
+
+    if (target.origin !== base.origin) {
+      return targetURL;
+    }
+
+    if (style === 'root-relative') {
+      return pathAndQuery;
+    }
+
+    return this.getRelativePath(base.pathname, target.pathname, originalURL) + target.search + target.hash;
+  }
+
+  /**
+   * Build a path-relative reference from the base document's directory to the target path
+   */
+  getRelativePath(basePath, targetPath, originalURL) {
+    const baseDirs = basePath.split('/').slice(1, -1);
+    const targetSegments = targetPath.split('/').slice(1);
+
+    let common = 0;
+    while (common < baseDirs.length && common < targetSegments.length - 1 && baseDirs[common] === targetSegments[common]) {
+      common++;
+    }
+
+    const relative = '../'.repeat(baseDirs.length - common) + targetSegments.slice(common).join('/');
+
+    // Keep an explicit ./ prefix if the original used one
+    if (originalURL.trim().startsWith('./') && !relative.startsWith('../')) {
+      return `./${relative}`;
+    }
+    return relative || './';
+  }
+}
@@ -0,0 +1,151 @@
+/**
+ * UnifiedDiff - Build git-compatible unified diffs between a document and its fixed version
+ * URL fixes never add or remove lines, so lines are compared pairwise
+ */
+
+'use strict';
+
+const NO_NEWLINE = '\\ No newline at end of file';
+
+export class UnifiedDiff {
+  constructor(context = 3) {
+    this.context = context;
+  }
+
+  /**
+   * Create a unified diff
+   * options.path names the file in the patch headers; options.replacements ({ line, urlId }) link hunks to URLs
+   * Returns { patch, hunks: [{ oldStart, oldLines, newStart, newLines, header, rows, links }] }
+   */
+  create(original, fixed, options = {}) {
+    const { path = 'document', replacements = [] } = options;
+    const before = this.splitLines(original);
+    const after = this.splitLines(fixed);
+
+    if (before.lines.length !== after.lines.length) {
+      throw new Error('Fixed document has a different number of lines than the original');
+    }
+
+    const changed = [];
+    before.lines.forEach((line, index) => {
+      if (line !== after.lines[index]) {
+        changed.push(index);
+      }
+    });
+
+    if (changed.length === 0) {
+      return { patch: '', hunks: [] };
+    }
+
+    const hunks = this.groupChanges(changed, before.lines.length).map(([start, end]) =>
+      this.buildHunk(before, after, start, end, changed, replacements)
+    );
+
+    const patch = [
+      `diff --git a/${path} b/${path}`,
+      `--- a/${path}`,
+      `+++ b/${path}`,
+      ...hunks.flatMap(hunk => [hunk.header, ...hunk.body])
+    ].join('\n') + '\n';
+
+    hunks.forEach(hunk => delete hunk.body);
+    return { patch, hunks };
+  }
+
+  /**
+   * Split text into lines, remembering whether it ends with a newline
+   */
+  splitLines(text) {
+    if (text === '') {
+      return { lines: [], finalNewline: true };
+    }
+
+    const finalNewline = text.endsWith('\n');
+    const lines = text.split('\n');
+    if (finalNewline) {
+      lines.pop();
+    }
+    return { lines, finalNewline };
+  }
+
+  /**
+   * Group changed line indexes into hunk ranges (inclusive), merging hunks whose context touches
+   */
+  groupChanges(changed, lineCount) {
+    const ranges = [];
+
+    changed.forEach(index => {
+      const start = Math.max(0, index - this.context);
+      const end = Math.min(lineCount - 1, index + this.context);
+      const last = ranges[ranges.length - 1];
+
+      if (last && start <= last[1] + 1) {
+        last[1] = end;
+      } else {
+        ranges.push([start, end]);
+      }
+    });
+
+    return ranges;
+  }
+
+  /**
+   * Build one hunk: patch body lines plus side-by-side rows for display
+   */
+  buildHunk(before, after, start, end, changed, replacements) {
+    const changedSet = new Set(changed);
+    const lastIndex = before.lines.length - 1;
+    const body = [];
+    const rows = [];
+
+    for (let index = start; index <= end;) {
+      if (!changedSet.has(index)) {
+        body.push(` ${before.lines[index]}`);
+        if (index === lastIndex && !before.finalNewline) {
+          body.push(NO_NEWLINE);
+        }
+        rows.push({ type: 'context', oldNumber: index + 1, newNumber: index + 1, oldText: before.lines[index], newText: after.lines[index] });
+        index++;
+        continue;
+      }
+
+      // A run of consecutive changed lines: removals first, then additions
+      let runEnd = index;
+      while (runEnd + 1 <= end && changedSet.has(runEnd + 1)) {
+        runEnd++;
+      }
+
+      for (let i = index; i <= runEnd; i++) {
+        body.push(`-${before.lines[i]}`);
+      }
+      if (runEnd === lastIndex && !before.finalNewline) {
+        body.push(NO_NEWLINE);
+      }
+      for (let i = index; i <= runEnd; i++) {
+        body.push(`+${after.lines[i]}`);
+        rows.push({ type: 'change', oldNumber: i + 1, newNumber: i + 1, oldText: before.lines[i], newText: after.lines[i] });
+      }
+      if (runEnd === lastIndex && !after.finalNewline) {
+        body.push(NO_NEWLINE);
+      }
+
+      index = runEnd + 1;
+    }
+
+    const count = end - start + 1;
+    const links = replacements
+      .filter(replacement => replacement.urlId && replacement.line >= start + 1 && replacement.line <= end + 1)
+      .map(replacement => ({ urlId: replacement.urlId, line: replacement.line, originalURL: replacement.originalURL }));
+
+    return {
+      oldStart: start + 1,
+      oldLines: count,
+      newStart: start + 1,
+      newLines: count,
+      header: `@@ -${start + 1},${count} +${start + 1},${count} @@`,
+      body,
+      rows,
+      links
+    };
+  }
+}
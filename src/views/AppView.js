@@ -56,15 +56,26 @@ export class AppView {
       uploadArea: document.getElementById('upload-area'),
       uploadTrigger: document.querySelector('.upload-trigger'),
       urlInput: document.getElementById('url-input'),
+      baseUrlInput: document.getElementById('base-url-input'),
       scanUrlBtn: document.getElementById('scan-url-btn'),
+      crawlInput: document.getElementById('crawl-input'),
+      crawlDepthInput: document.getElementById('crawl-depth-input'),
+      crawlPagesInput: document.getElementById('crawl-pages-input'),
       
       // Control elements
       processBtn: document.getElementById('process-btn'),
       downloadBtn: document.getElementById('download-btn'),
+      viewDiffBtn: document.getElementById('view-diff-btn'),
+      downloadPatchBtn: document.getElementById('download-patch-btn'),
+      crawlReportBtn: document.getElementById('crawl-report-btn'),
       clearBtn: document.getElementById('clear-btn'),
       
       // Table elements
       tableContainer: document.getElementById('table-container'),
+
+      // Workspace elements
+      workspaceSection: document.getElementById('workspace-section'),
+      workspaceContent: document.getElementById('workspace-content'),
       
       // Progress elements
       progressContainer: document.getElementById('progress-container'),
@@ -76,6 +87,26 @@ export class AppView {
       readmeModal: document.getElementById('readme-modal'),
       readmeClose: document.getElementById('readme-close'),
       readmeContent: document.getElementById('readme-content'),
+      diffModal: document.getElementById('diff-modal'),
+      diffClose: document.getElementById('diff-close'),
+      diffContent: document.getElementById('diff-content'),
+      crawlModal: document.getElementById('crawl-modal'),
+      crawlClose: document.getElementById('crawl-close'),
+      crawlContent: document.getElementById('crawl-content'),
+      rulesBtn: document.getElementById('rules-btn'),
+      rulesModal: document.getElementById('rules-modal'),
+      rulesClose: document.getElementById('rules-close'),
+      rulesList: document.getElementById('rules-list'),
+      ruleSuggestions: document.getElementById('rule-suggestions'),
+      ruleForm: document.getElementById('rule-form'),
+      credentialsBtn: document.getElementById('credentials-btn'),
+      credentialsModal: document.getElementById('credentials-modal'),
+      credentialsClose: document.getElementById('credentials-close'),
+      credentialsList: document.getElementById('credentials-list'),
+      credentialForm: document.getElementById('credential-form'),
+      credentialUnlockForm: document.getElementById('credential-unlock-form'),
+      credentialPassphraseForm: document.getElementById('credential-passphrase-form'),
+      credentialsEncryption: document.getElementById('credentials-encryption'),
       
       // Toast elements
       errorToast: document.getElementById('error-toast'),
@@ -96,11 +127,9 @@ export class AppView {
    * Set up event listeners
    */
   setupEventListeners() {
-    // File upload events
+    // File upload events (several files open as a workspace)
     this.elements.fileInput.addEventListener('change', (e) => {
-      if (e.target.files.length > 0) {
-        this.emit('fileSelected', e.target.files[0]);
-      }
+      this.emitFiles(e.target.files);
     });
 
     this.elements.uploadTrigger?.addEventListener('click', () => {
@@ -120,16 +149,29 @@ export class AppView {
     this.elements.uploadArea.addEventListener('drop', (e) => {
       e.preventDefault();
       this.elements.uploadArea.classList.remove('drag-over');
-      
-      if (e.dataTransfer.files.length > 0) {
-        this.emit('fileSelected', e.dataTransfer.files[0]);
+
+      // Dropped folders are read through their file system entries (only available during the drop event)
+      const entries = Array.from(e.dataTransfer.items || [])
+        .map(item => item.webkitGetAsEntry?.())
+        .filter(Boolean);
+      if (entries.some(entry => entry.isDirectory)) {
+        this.emit('entriesDropped', entries);
+        return;
       }
+
+      this.emitFiles(e.dataTransfer.files);
     });
 
-    // URL scan
+    // URL scan (or a site crawl starting at the URL)
     this.elements.scanUrlBtn?.addEventListener('click', () => {
       const url = this.elements.urlInput.value.trim();
-      if (url) {
+      if (!url) {
+        return;
+      }
+
+      if (this.elements.crawlInput?.checked) {
+        this.emit('siteCrawlRequested', { url, ...this.getCrawlOptions() });
+      } else {
         this.emit('urlScanRequested', url);
       }
     });
@@ -149,6 +191,18 @@ export class AppView {
       this.emit('downloadRequested');
     });
 
+    this.elements.viewDiffBtn?.addEventListener('click', () => {
+      this.emit('diffViewRequested');
+    });
+
+    this.elements.downloadPatchBtn?.addEventListener('click', () => {
+      this.emit('patchDownloadRequested');
+    });
+
+    this.elements.crawlReportBtn?.addEventListener('click', () => {
+      this.emit('crawlReportRequested');
+    });
+
     this.elements.clearBtn?.addEventListener('click', () => {
       if (confirm('Are you sure you want to clear the current document?')) {
         this.emit('clearRequested');
@@ -170,6 +224,145 @@ export class AppView {
       }
     });
 
+    // Diff modal
+    this.elements.diffClose?.addEventListener('click', () => {
+      this.hideDiffModal();
+    });
+
+    this.elements.diffModal?.addEventListener('click', (e) => {
+      if (e.target === this.elements.diffModal || e.target.classList.contains('modal-backdrop')) {
+        this.hideDiffModal();
+        return;
+      }
+
+      // Hunk links jump to the URL's row in the results table
+      const rowLink = e.target.closest('.diff-row-link');
+      if (rowLink) {
+        this.hideDiffModal();
+        this.tableInstance.focusRow(rowLink.dataset.urlId);
+      }
+    });
+
+    // Workspace documents
+    this.elements.workspaceContent?.addEventListener('click', (e) => {
+      const removeBtn = e.target.closest('.workspace-remove');
+      if (removeBtn) {
+        this.emit('workspaceDocumentRemoved', { fileName: removeBtn.dataset.fileName });
+      }
+    });
+
+    // Crawl report modal
+    this.elements.crawlClose?.addEventListener('click', () => {
+      this.hideCrawlModal();
+    });
+
+    this.elements.crawlModal?.addEventListener('click', (e) => {
+      if (e.target === this.elements.crawlModal || e.target.classList.contains('modal-backdrop')) {
+        this.hideCrawlModal();
+      }
+    });
+
+    // Rewrite rules modal
+    this.elements.rulesBtn?.addEventListener('click', () => {
+      this.emit('rulesRequested');
+    });
+
+    this.elements.rulesClose?.addEventListener('click', () => {
+      this.hideRulesModal();
+    });
+
+    this.elements.rulesModal?.addEventListener('click', (e) => {
+      if (e.target === this.elements.rulesModal || e.target.classList.contains('modal-backdrop')) {
+        this.hideRulesModal();
+        return;
+      }
+
+      const removeBtn = e.target.closest('.rule-remove');
+      if (removeBtn) {
+        this.emit('ruleRemoved', { id: removeBtn.dataset.ruleId });
+      }
+
+      const suggestionBtn = e.target.closest('.suggestion-accept, .suggestion-dismiss');
+      if (suggestionBtn) {
+        const event = suggestionBtn.classList.contains('suggestion-accept') ? 'ruleSuggestionAccepted' : 'ruleSuggestionDismissed';
+        this.emit(event, { index: Number(suggestionBtn.dataset.index) });
+      }
+    });
+
+    this.elements.rulesList?.addEventListener('change', (e) => {
+      if (e.target.classList.contains('rule-toggle')) {
+        this.emit('ruleToggled', { id: e.target.dataset.ruleId, enabled: e.target.checked });
+      }
+    });
+
+    this.elements.ruleForm?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const form = this.elements.ruleForm;
+      this.emit('ruleAdded', {
+        name: form.elements.name.value.trim(),
+        type: form.elements.type.value,
+        match: form.elements.match.value.trim(),
+        replace: form.elements.replace.value.trim()
+      });
+    });
+
+    // Credentials modal
+    this.elements.credentialsBtn?.addEventListener('click', () => {
+      this.emit('credentialsRequested');
+    });
+
+    this.elements.credentialsClose?.addEventListener('click', () => {
+      this.hideCredentialsModal();
+    });
+
+    this.elements.credentialsModal?.addEventListener('click', (e) => {
+      if (e.target === this.elements.credentialsModal || e.target.classList.contains('modal-backdrop')) {
+        this.hideCredentialsModal();
+        return;
+      }
+
+      const removeBtn = e.target.closest('.credential-remove');
+      if (removeBtn) {
+        this.emit('credentialRemoved', { id: removeBtn.dataset.credentialId });
+      }
+    });
+
+    this.elements.credentialsList?.addEventListener('change', (e) => {
+      if (e.target.classList.contains('credential-toggle')) {
+        this.emit('credentialToggled', { id: e.target.dataset.credentialId, enabled: e.target.checked });
+      }
+    });
+
+    this.elements.credentialForm?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const form = this.elements.credentialForm;
+      const type = form.elements.type.value;
+      const secret = form.elements.secret.value.trim();
+      this.emit('credentialAdded', {
+        name: form.elements.name.value.trim(),
+        hosts: form.elements.hosts.value,
+        type,
+        ...(type === 'bearer' ? { token: secret } : {}),
+        ...(type === 'cookie' ? { cookie: secret } : {}),
+        ...(type === 'basic' ? { username: form.elements.username.value.trim(), password: secret } : {}),
+        ...(type === 'headers' ? { headers: secret } : {})
+      });
+    });
+
+    this.elements.credentialUnlockForm?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const input = this.elements.credentialUnlockForm.elements.passphrase;
+      this.emit('credentialsUnlocked', { passphrase: input.value });
+      input.value = '';
+    });
+
+    this.elements.credentialPassphraseForm?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const input = this.elements.credentialPassphraseForm.elements.passphrase;
+      this.emit('credentialPassphraseSet', { passphrase: input.value });
+      input.value = '';
+    });
+
     // Toast close
     this.elements.toastClose?.addEventListener('click', () => {
       this.hideToast();
@@ -194,6 +387,9 @@ export class AppView {
       
       if (e.key === 'Escape') {
         this.hideReadmeModal();
+        this.hideDiffModal();
+        this.hideRulesModal();
+        this.hideCredentialsModal();
         this.hideToast();
       }
     });
@@ -207,12 +403,47 @@ export class AppView {
     const supportedTypes = [
       '.htm', '.html', '.asp', '.aspx',
       '.css', '.md', '.markdown',
-      '.doc', '.docx', '.txt', '.rtf', '.pdf'
+      '.doc', '.docx', '.txt', '.rtf', '.pdf', '.zip'
     ].join(',');
     
     this.elements.fileInput.setAttribute('accept', supportedTypes);
   }
 
+  /**
+   * Get the base URL entered for uploaded documents (null when empty)
+   */
+  getBaseURL() {
+    const value = this.elements.baseUrlInput?.value?.trim();
+    return value || null;
+  }
+
+  /**
+   * Emit selected files: one file opens as a document, several as a workspace
+   */
+  emitFiles(fileList) {
+    const files = Array.from(fileList || []);
+    if (files.length === 1) {
+      this.emit('fileSelected', files[0]);
+    } else if (files.length > 1) {
+      this.emit('filesSelected', files);
+    }
+  }
+
+  /**
+   * Get the crawl depth and page budget entered next to the URL input
+   */
+  getCrawlOptions() {
+    const number = (input, fallback) => {
+      const value = parseInt(input?.value, 10);
+      return Number.isFinite(value) && value >= 0 ? value : fallback;
+    };
+
+    return {
+      maxDepth: number(this.elements.crawlDepthInput, 2),
+      maxPages: Math.max(1, number(this.elements.crawlPagesInput, 50))
+    };
+  }
+
   /**
    * Initialize table component
    */
@@ -273,6 +504,31 @@ export class AppView {
     if (this.elements.downloadBtn) {
       this.elements.downloadBtn.disabled = !canDownload;
     }
+
+    // Workspaces download as a ZIP of the fixed documents
+    const isWorkspace = hasDocument && this.currentDocument?.fileType === 'workspace';
+    const downloadLabel = this.elements.downloadBtn?.querySelector('.btn-label');
+    if (downloadLabel) {
+      downloadLabel.textContent = isWorkspace ? 'Download Fixed Documents (ZIP)' : 'Download Fixed Document';
+    }
+
+    // Patches are only available for text documents
+    const canPatch = canDownload && !['docx', 'pdf', 'crawl', 'workspace'].includes(this.currentDocument?.fileType);
+    [this.elements.viewDiffBtn, this.elements.downloadPatchBtn].forEach(button => {
+      if (button) {
+        button.disabled = !canPatch;
+      }
+    });
+
+    // Crawls have a report instead of a fixed document
+    const isCrawl = hasDocument && this.currentDocument?.fileType === 'crawl';
+    if (this.elements.downloadBtn && isCrawl) {
+      this.elements.downloadBtn.disabled = true;
+    }
+    if (this.elements.crawlReportBtn) {
+      this.elements.crawlReportBtn.hidden = !isCrawl;
+      this.elements.crawlReportBtn.disabled = !(isCrawl && canDownload);
+    }
     
     if (this.elements.clearBtn) {
       this.elements.clearBtn.disabled = !hasDocument;
@@ -352,6 +608,68 @@ export class AppView {
     
     // Hide progress
     this.showProgress(false);
+    this.hideWorkspace();
+  }
+
+  /**
+   * Show the workspace documents with their link stats and the totals across all of them
+   */
+  renderWorkspace(stats) {
+    if (!this.elements.workspaceSection || !this.elements.workspaceContent) return;
+
+    const escape = (text) => String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+
+    const { total } = stats;
+    const row = (document) => `
+      <tr>
+        <td><code>${escape(document.fileName)}</code></td>
+        <td>${document.links}</td>
+        <td>${document.checked}</td>
+        <td class="${document.broken > 0 ? 'workspace-broken' : ''}">${document.broken}</td>
+        <td>${document.fixed}</td>
+        <td>
+          <button type="button" class="btn-reject workspace-remove" data-file-name="${escape(document.fileName)}"
+                  title="Remove from workspace">✗</button>
+        </td>
+      </tr>
+    `;
+
+    this.elements.workspaceContent.innerHTML = `
+      <p class="workspace-summary">
+        ${total.documents} document(s), ${total.links} link(s), ${total.uniqueLinks} distinct
+        (${total.duplicates} duplicate(s) checked once): ${total.checked} checked, ${total.broken} broken, ${total.fixed} fixed
+      </p>
+      <table class="workspace-table">
+        <thead>
+          <tr>
+            <th scope="col">Document</th>
+            <th scope="col">Links</th>
+            <th scope="col">Checked</th>
+            <th scope="col">Broken</th>
+            <th scope="col">Fixed</th>
+            <th scope="col"><span class="sr-only">Actions</span></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${stats.documents.map(row).join('')}
+        </tbody>
+      </table>
+    `;
+
+    this.elements.workspaceSection.hidden = false;
+  }
+
+  /**
+   * Hide the workspace documents
+   */
+  hideWorkspace() {
+    if (this.elements.workspaceSection) {
+      this.elements.workspaceSection.hidden = true;
+    }
   }
 
   /**
@@ -424,6 +742,302 @@ export class AppView {
     }
   }
 
+  /**
+   * Show the side-by-side diff of all fixes, with each hunk linked to its rows in the URL table
+   */
+  showDiffModal(diff) {
+    if (!this.elements.diffModal) return;
+
+    const escape = (text) => String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+
+    if (diff.hunks.length === 0) {
+      this.elements.diffContent.innerHTML = '<p class="diff-empty">No changes to review.</p>';
+    } else {
+      const unapplied = diff.unapplied?.length > 0
+        ? `<p class="diff-warning">${diff.unapplied.length} fix(es) could not be applied: ${
+          diff.unapplied.map(fix => escape(`${fix.originalURL} (${fix.reason})`)).join('; ')}</p>`
+        : '';
+
+      const hunks = diff.hunks.map((hunk, index) => `
+        <div class="diff-hunk" id="diff-hunk-${index}">
+          <div class="diff-hunk-header">
+            <code>${escape(hunk.header)}</code>
+            <span class="diff-hunk-links">
+              ${hunk.links.map(link => `
+                <button type="button" class="diff-row-link" data-url-id="${escape(link.urlId)}" title="${escape(link.originalURL)}">
+                  Line ${link.line}
+                </button>
+              `).join('')}
+            </span>
+          </div>
+          <table class="diff-table">
+            <tbody>
+              ${hunk.rows.map(row => `
+                <tr class="diff-row diff-${row.type}">
+                  <td class="diff-num">${row.oldNumber}</td>
+                  <td class="diff-old"><pre>${escape(row.oldText)}</pre></td>
+                  <td class="diff-num">${row.newNumber}</td>
+                  <td class="diff-new"><pre>${escape(row.newText)}</pre></td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+      `).join('');
+
+      this.elements.diffContent.innerHTML = `
+        <p class="diff-summary"><code>${escape(diff.path)}</code>: ${diff.hunks.length} hunk(s), ${diff.replacements.length} fix(es)</p>
+        ${unapplied}
+        ${hunks}
+      `;
+    }
+
+    this.elements.diffModal.hidden = false;
+  }
+
+  /**
+   * Hide diff modal
+   */
+  hideDiffModal() {
+    if (this.elements.diffModal) {
+      this.elements.diffModal.hidden = true;
+    }
+  }
+
+  /**
+   * Show a crawl report: site-wide summary, links broken on several pages first, then each page's broken links
+   */
+  showCrawlReport(report) {
+    if (!this.elements.crawlModal) return;
+
+    const escape = (text) => String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+
+    const { summary } = report;
+    const status = (link) => `${link.status}${link.statusCode ? ` (${link.statusCode})` : ''}`;
+    const warnings = [
+      report.truncated ? 'The page budget was reached before every page was crawled.' : '',
+      summary.blocked > 0 ? `${summary.blocked} page(s) were skipped because robots.txt disallows them.` : ''
+    ].filter(Boolean);
+
+    const brokenLinks = report.brokenLinks.length === 0 ? '<p>No broken links found.</p>' : `
+      <ul class="crawl-links">
+        ${report.brokenLinks.map(link => `
+          <li>
+            <code>${escape(link.url)}</code> ${escape(status(link))}, on ${link.pages.length} page(s)
+            ${link.replacementURL ? `<br><small>suggestion: <code>${escape(link.replacementURL)}</code></small>` : ''}
+          </li>
+        `).join('')}
+      </ul>
+    `;
+
+    const pages = report.pages.map(page => `
+      <details class="crawl-page"${page.broken.length > 0 || page.error ? ' open' : ''}>
+        <summary>
+          <code>${escape(page.url)}</code>
+          ${page.error
+            ? `<span class="crawl-page-error">${escape(page.error)}</span>`
+            : `${page.links} link(s), ${page.broken.length} broken`}
+        </summary>
+        ${page.broken.length === 0 ? '' : `
+          <ul class="crawl-links">
+            ${page.broken.map(link => `<li>${link.line ?? ''}${link.line ? ':' : ''}${link.column ?? ''} <code>${escape(link.url)}</code> ${escape(status(link))}</li>`).join('')}
+          </ul>
+        `}
+      </details>
+    `).join('');
+
+    this.elements.crawlContent.innerHTML = `
+      <p class="crawl-summary">
+        <code>${escape(report.startURL)}</code>: ${summary.pages} page(s) crawled, ${summary.uniqueLinks} distinct link(s)
+        (${summary.links} in total), ${summary.broken} broken on ${summary.pagesWithBrokenLinks} page(s)${
+          summary.failedPages > 0 ? `, ${summary.failedPages} page(s) could not be read` : ''}
+      </p>
+      ${warnings.map(warning => `<p class="crawl-warning">${escape(warning)}</p>`).join('')}
+      <div class="crawl-section">
+        <h3>Broken links</h3>
+        ${brokenLinks}
+      </div>
+      <div class="crawl-section">
+        <h3>Pages</h3>
+        ${pages}
+      </div>
+    `;
+
+    this.elements.crawlModal.hidden = false;
+  }
+
+  /**
+   * Hide crawl report modal
+   */
+  hideCrawlModal() {
+    if (this.elements.crawlModal) {
+      this.elements.crawlModal.hidden = true;
+    }
+  }
+
+  /**
+   * Show the rewrite rules modal
+   */
+  showRulesModal(rules, suggestions = []) {
+    if (!this.elements.rulesModal) return;
+
+    this.renderRules(rules);
+    this.renderRuleSuggestions(suggestions);
+    this.elements.rulesModal.hidden = false;
+  }
+
+  /**
+   * Render learned rule suggestions with the accepted replacements they were inferred from
+   */
+  renderRuleSuggestions(suggestions) {
+    if (!this.elements.ruleSuggestions) return;
+
+    const escape = (text) => String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+
+    this.elements.ruleSuggestions.innerHTML = suggestions.length === 0 ? '' : `
+      <h3>Suggested from your accepted fixes</h3>
+      ${suggestions.map((suggestion, index) => `
+        <div class="rule-suggestion">
+          <div class="rule-details">
+            <strong>${escape(suggestion.rule.name)}</strong>
+            <code>regex ${escape(suggestion.rule.match)} → ${escape(suggestion.rule.replace)}</code>
+            <ul class="suggestion-evidence">
+              ${suggestion.evidence.map(pair => `<li><code>${escape(pair.originalURL)}</code> → <code>${escape(pair.newURL)}</code></li>`).join('')}
+            </ul>
+            ${suggestion.matches.length > 0 ? `<small>Would rewrite ${suggestion.matches.length} broken link(s) in this document</small>` : ''}
+          </div>
+          <div class="action-buttons">
+            <button type="button" class="btn-accept suggestion-accept" data-index="${index}" title="Add this rule">✓</button>
+            <button type="button" class="btn-reject suggestion-dismiss" data-index="${index}" title="Don't suggest this rule again">✗</button>
+          </div>
+        </div>
+      `).join('')}
+    `;
+  }
+
+  /**
+   * Render the rule list; clears the add form when a rule was just added
+   */
+  renderRules(rules, options = {}) {
+    if (!this.elements.rulesList) return;
+
+    const escape = (text) => String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+
+    this.elements.rulesList.innerHTML = rules.length === 0
+      ? '<li class="rules-empty">No rewrite rules yet.</li>'
+      : rules.map(rule => `
+        <li class="rule-item${rule.enabled ? '' : ' disabled'}">
+          <input type="checkbox" class="rule-toggle" data-rule-id="${escape(rule.id)}"${rule.enabled ? ' checked' : ''}
+                 aria-label="Enable ${escape(rule.name)}">
+          <div class="rule-details">
+            <strong>${escape(rule.name)}</strong>
+            <code>${rule.type === 'regex' ? 'regex ' : ''}${escape(rule.match)} → ${escape(rule.replace)}</code>
+          </div>
+          <button type="button" class="btn-reject rule-remove" data-rule-id="${escape(rule.id)}" title="Remove rule">✗</button>
+        </li>
+      `).join('');
+
+    if (options.added) {
+      this.elements.ruleForm?.reset();
+    }
+  }
+
+  /**
+   * Hide rewrite rules modal
+   */
+  hideRulesModal() {
+    if (this.elements.rulesModal) {
+      this.elements.rulesModal.hidden = true;
+    }
+  }
+
+  /**
+   * Show the credentials modal
+   */
+  showCredentialsModal(profiles, state = {}) {
+    if (!this.elements.credentialsModal) return;
+
+    this.renderCredentials(profiles, state);
+    this.elements.credentialsModal.hidden = false;
+  }
+
+  /**
+   * Render the credential profiles (hosts and type only, never the secrets)
+   * state: { locked, encrypted, added }; the add form is cleared when a profile was just added
+   */
+  renderCredentials(profiles, state = {}) {
+    if (!this.elements.credentialsList) return;
+
+    const { locked = false, encrypted = false, added = false } = state;
+    const escape = (text) => String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+    const typeLabels = { bearer: 'Bearer token', basic: 'Basic auth', cookie: 'Cookie', headers: 'Custom headers' };
+
+    if (this.elements.credentialUnlockForm) {
+      this.elements.credentialUnlockForm.hidden = !locked;
+    }
+    [this.elements.credentialForm, this.elements.credentialPassphraseForm].forEach(form => {
+      if (form) {
+        form.hidden = locked;
+      }
+    });
+    if (this.elements.credentialsEncryption) {
+      this.elements.credentialsEncryption.textContent = encrypted
+        ? 'Profiles are encrypted with your passphrase.'
+        : 'Profiles are stored unencrypted. Set a passphrase to encrypt them.';
+    }
+
+    if (locked) {
+      this.elements.credentialsList.innerHTML = '<li class="rules-empty">Enter your passphrase to use the saved credentials.</li>';
+    } else {
+      this.elements.credentialsList.innerHTML = profiles.length === 0
+        ? '<li class="rules-empty">No credentials yet.</li>'
+        : profiles.map(profile => `
+          <li class="rule-item${profile.enabled ? '' : ' disabled'}">
+            <input type="checkbox" class="credential-toggle" data-credential-id="${escape(profile.id)}"${profile.enabled ? ' checked' : ''}
+                   aria-label="Enable ${escape(profile.name)}">
+            <div class="rule-details">
+              <strong>${escape(profile.name)}</strong>
+              <code>${escape(typeLabels[profile.type] || profile.type)} for ${escape(profile.hosts.join(', '))}</code>
+            </div>
+            <button type="button" class="btn-reject credential-remove" data-credential-id="${escape(profile.id)}" title="Remove credentials">✗</button>
+          </li>
+        `).join('');
+    }
+
+    if (added) {
+      this.elements.credentialForm?.reset();
+    }
+  }
+
+  /**
+   * Hide credentials modal
+   */
+  hideCredentialsModal() {
+    if (this.elements.credentialsModal) {
+      this.elements.credentialsModal.hidden = true;
+    }
+  }
+
   /**
    * Basic markdown to HTML conversion
    */
@@ -494,6 +1108,9 @@ class URLTable {
     this.data = [];
     this.listeners = new Map();
     this.table = null;
+    this.rows = new Map(); // url id -> row
+    this.groupRows = new Map(); // domain -> header row of its skipped links
+    this.expandedGroups = new Set(); // domains whose skipped links are shown
     
     this.init();
   }
@@ -553,11 +1170,26 @@ class URLTable {
     }
 
     this.tbody.innerHTML = '';
+    this.rows.clear();
+    this.groupRows.clear();
     this.data.forEach((url, index) => {
       this.renderRow(index);
     });
   }
 
+  /**
+   * Scroll to a URL's row and highlight it briefly
+   */
+  focusRow(urlId) {
+    const row = [...(this.tbody?.querySelectorAll('tr[data-url-id]') || [])]
+      .find(tr => tr.getAttribute('data-url-id') === urlId);
+    if (!row) return;
+
+    row.scrollIntoView?.({ behavior: 'smooth', block: 'center' });
+    row.classList.add('row-highlight');
+    setTimeout(() => row.classList.remove('row-highlight'), 2000);
+  }
+
   renderRow(index) {
     const url = this.data[index];
     const row = document.createElement('tr');
@@ -565,12 +1197,14 @@ class URLTable {
     row.setAttribute('data-url-id', url.id);
     
     row.innerHTML = `
-      <td>${url.line}</td>
-      <td><span class="url-type">${url.type}</span></td>
+      <td>${this.renderLocation(url)}</td>
+      <td>${this.renderType(url)}</td>
       <td>
-        <a href="${url.originalURL}" target="_blank" rel="noopener" class="url-link">
+        <a href="${url.resolvedURL || url.originalURL}" target="_blank" rel="noopener" class="url-link"${
+          url.resolvedURL && url.resolvedURL !== url.originalURL ? ` title="Resolves to ${url.resolvedURL}"` : ''}>
           ${this.truncateUrl(url.originalURL)}
         </a>
+        ${this.renderRedirectChain(url)}
       </td>
       <td>
         ${this.renderStatusBadge(url)}
@@ -583,16 +1217,202 @@ class URLTable {
       </td>
     `;
 
-    if (this.tbody.children[index]) {
-      this.tbody.replaceChild(row, this.tbody.children[index]);
+    // Links on unreachable domains are listed together under one collapsible row per domain, after the rest
+    const group = this.getGroup(url);
+    if (group) {
+      row.setAttribute('data-group', group);
+      row.hidden = !this.expandedGroups.has(group);
+    }
+
+    const existing = this.rows.get(url.id);
+    if (existing && existing.getAttribute('data-group') === group) {
+      this.tbody.replaceChild(row, existing);
     } else {
-      this.tbody.appendChild(row);
+      const previousGroup = existing?.getAttribute('data-group');
+      existing?.remove();
+
+      if (group) {
+        const members = [...this.tbody.querySelectorAll('tr[data-group]')].filter(member => member.getAttribute('data-group') === group);
+        (members[members.length - 1] || this.getGroupRow(group)).after(row);
+      } else {
+        this.tbody.insertBefore(row, this.findNextRow(index));
+      }
+
+      if (previousGroup) {
+        this.updateGroupRow(previousGroup);
+      }
+    }
+    this.rows.set(url.id, row);
+
+    if (group) {
+      this.updateGroupRow(group);
     }
 
     this.setupRowEvents(row, url);
   }
 
+  /**
+   * Get the domain a URL is grouped under (links the circuit breaker skipped), or null
+   */
+  getGroup(url) {
+    if (url.status !== 'domain-unreachable') {
+      return null;
+    }
+    try {
+      return new URL(url.resolvedURL || url.originalURL).hostname;
+    } catch {
+      return '';
+    }
+  }
+
+  /**
+   * Find the row an ungrouped URL's row goes before: the next ungrouped row, else the first group
+   */
+  findNextRow(index) {
+    for (let i = index + 1; i < this.data.length; i++) {
+      const next = this.rows.get(this.data[i].id);
+      if (next && !next.hasAttribute('data-group')) {
+        return next;
+      }
+    }
+    return this.tbody.querySelector('.url-group-row');
+  }
+
+  /**
+   * Get (or add at the end of the table) the header row of a domain's skipped links
+   */
+  getGroupRow(group) {
+    let header = this.groupRows.get(group);
+    if (!header) {
+      header = document.createElement('tr');
+      header.className = 'url-group-row';
+      header.setAttribute('data-domain', group);
+      this.tbody.appendChild(header);
+      this.groupRows.set(group, header);
+    }
+    return header;
+  }
+
+  /**
+   * Render a domain's header row with the number of skipped links and why; drop it when none are left
+   */
+  updateGroupRow(group) {
+    const members = this.data.filter(url => this.getGroup(url) === group);
+    const header = this.groupRows.get(group);
+    if (members.length === 0) {
+      header?.remove();
+      this.groupRows.delete(group);
+      return;
+    }
+
+    const expanded = this.expandedGroups.has(group);
+    const count = members.length;
+    this.getGroupRow(group).innerHTML = `
+      <td colspan="6">
+        <button type="button" class="group-toggle" aria-expanded="${expanded}" title="${expanded ? 'Hide' : 'Show'} these links">
+          ${expanded ? '▾' : '▸'}
+        </button>
+        <strong>${group || 'Unknown host'}</strong> ${this.getUnreachableReason(members[0].failureType)}:
+        ${count} link${count === 1 ? '' : 's'} skipped, no replacements searched
+        <small class="group-note">One request is sent again later to see if the domain is back</small>
+      </td>
+    `;
+
+    this.groupRows.get(group).querySelector('.group-toggle').addEventListener('click', () => this.toggleGroup(group));
+  }
+
+  /**
+   * Show or hide a domain's skipped links
+   */
+  toggleGroup(group) {
+    if (this.expandedGroups.has(group)) {
+      this.expandedGroups.delete(group);
+    } else {
+      this.expandedGroups.add(group);
+    }
+
+    this.rows.forEach(row => {
+      if (row.getAttribute('data-group') === group) {
+        row.hidden = !this.expandedGroups.has(group);
+      }
+    });
+    this.updateGroupRow(group);
+  }
+
+  getUnreachableReason(failureType) {
+    const reasons = {
+      'blocked': 'is blocking our requests',
+      'dns': 'could not be found (DNS)',
+      'connection': 'refused or dropped the connection',
+      'timeout': 'did not answer in time',
+      'ssl': 'has a certificate problem'
+    };
+
+    return reasons[failureType] || 'is unreachable';
+  }
+
+  /**
+   * Render where the URL was found (files for workspaces, pages for crawls, page and position for PDFs, line otherwise)
+   */
+  renderLocation(url) {
+    if (url.occurrences) {
+      const documents = new Set(url.occurrences.map(occurrence => occurrence.document));
+      const title = url.occurrences
+        .map(occurrence => `${occurrence.document}${occurrence.page ? ` p. ${occurrence.page}` : occurrence.line ? `:${occurrence.line}` : ''}`)
+        .map(location => location.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;'))
+        .join('&#10;');
+      return `<span class="url-location" title="${title}">${url.occurrences.length}× in ${documents.size} file${documents.size === 1 ? '' : 's'}</span>`;
+    }
+    if (url.foundOn) {
+      const pages = [...new Set(url.foundOn.map(location => location.page))];
+      const title = pages.map(page => page.replace(/&/g, '&amp;').replace(/"/g, '&quot;')).join('&#10;');
+      return `<span class="url-location" title="${title}">${pages.length} page${pages.length === 1 ? '' : 's'}</span>`;
+    }
+    if (url.page) {
+      const position = url.position ? ` title="x: ${url.position.x}pt, y: ${url.position.y}pt"` : '';
+      return `<span class="url-location"${position}>p. ${url.page}</span>`;
+    }
+    return url.line ?? '';
+  }
+
+  /**
+   * Render the URL type, with the element and attribute (or reference label) it came from as a tooltip
+   */
+  renderType(url) {
+    const escape = (text) => String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+
+    let source = url.element ? ` title="&lt;${url.element}${url.attribute ? ` ${url.attribute}` : ''}&gt;"` : '';
+    if (url.referenceLabel) {
+      // Labels come from the uploaded document
+      source = ` title="[${escape(url.referenceLabel)}] used by ${url.referenceCount} link${url.referenceCount === 1 ? '' : 's'}"`;
+    }
+    return `<span class="url-type"${source}>${this.getTypeText(url.type)}</span>`;
+  }
+
+  /**
+   * Render the redirect chain under the original URL, one hop per tooltip line
+   */
+  renderRedirectChain(url) {
+    if (!url.redirectChain || url.redirectChain.length < 2) {
+      return '';
+    }
+
+    const hops = url.redirectChain.map(hop => `${hop.status ?? '3xx'} ${hop.url}`).join('&#10;');
+    const count = url.redirectChain.length - 1;
+    return `<small class="redirect-chain" title="${hops}">→ ${this.truncateUrl(url.finalURL)} (${count} redirect${count === 1 ? '' : 's'})</small>`;
+  }
+
   renderNewUrlCell(url) {
+    const escape = (text) => String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+
     if (url.newURL) {
       // Show the new URL with validation status if available
       let validationIndicator = '';
@@ -641,6 +1461,8 @@ class URLTable {
             ${validationIndicator}
           </div>
           <small class="confidence">Confidence: ${Math.round((url.replacementConfidence || 0) * 100)}%</small>
+          ${url.rewriteRule ? `<small class="rewrite-rule">Rewrite rule: ${escape(url.rewriteRule.name)}</small>` : ''}
+          ${url.archivedAt ? `<small class="archived-at">${url.replacementSource === 'memento' ? 'Archived snapshot' : 'Found via archived title'} from ${new Date(url.archivedAt).toLocaleDateString()}</small>` : ''}
           ${url.replacementValidationError ? `<small class="validation-error-text">${url.replacementValidationError}</small>` : ''}
           <div class="url-input-container">
             <input type="url" class="url-input-field replacement-input" placeholder="Enter replacement URL"
@@ -695,6 +1517,8 @@ class URLTable {
     // Make INVALID badges clickable if there are alternatives, regardless of current status
     // This allows cycling through alternatives even after a replacement has been found
     const originallyInvalid = url.status === 'invalid' ||
+                             url.status === 'soft-404' ||
+                             url.status === 'missing-local' ||
                              url.originalStatusCode === 404 ||
                              url.originalStatusCode === 403 ||
                              url.status === 'replacement-found';
@@ -702,12 +1526,24 @@ class URLTable {
     const isClickableInvalid = originallyInvalid && hasMoreAlternatives;
 
     const clickableClass = isClickableInvalid ? ' clickable' : '';
-    const clickableAttrs = isClickableInvalid ?
+    let clickableAttrs = isClickableInvalid ?
       `data-url-id="${url.id}" title="Click to try next alternative URL (${currentIndex + 1}/${url.alternatives.length} remaining)"` : '';
+    if (!isClickableInvalid && url.soft404Signals) {
+      clickableAttrs = `title="Answers ${url.statusCode} but looks like a missing page (${url.soft404Signals.join(', ')})"`;
+    }
+    if (!isClickableInvalid && url.status === 'missing-local' && url.localPath) {
+      clickableAttrs = `title="No file at ${url.localPath} in the uploaded files"`;
+    }
+    if (!isClickableInvalid && url.accessSignals) {
+      clickableAttrs = `title="${this.getAccessTooltip(url)}"`;
+    }
+    if (!isClickableInvalid && url.status === 'domain-unreachable' && url.error) {
+      clickableAttrs = `title="${url.error.replace(/"/g, '&quot;')}"`;
+    }
 
     return `
       <span class="status-badge status-${url.status}${clickableClass}" ${clickableAttrs}>
-        ${this.getStatusText(url.status, url.statusCode)}
+        ${this.getStatusText(url.status, url.redirectChain ? url.originalStatusCode : url.statusCode)}
       </span>
     `;
   }
@@ -823,7 +1659,14 @@ class URLTable {
       'pending': 'Pending',
       'valid': `Valid (${statusCode})`,
       'invalid': `Invalid (${statusCode})`,
-      'redirect': `Redirect (${statusCode})`,
+      'redirect': statusCode ? `Redirect (${statusCode})` : 'Redirect',
+      'moved': `Moved (${statusCode})`,
+      'soft-404': 'Soft 404',
+      'missing-local': 'Missing File',
+      'domain-unreachable': 'Domain Unreachable',
+      'protected': 'Bot Protected',
+      'auth-required': 'Login Required',
+      'paywalled': 'Paywalled',
       'error': 'Error',
       'fixed': 'Fixed',
       'replacement-found': 'Replacement Found',
@@ -833,6 +1676,35 @@ class URLTable {
     return statusMap[status] || status;
   }
 
+  /**
+   * Explain a protected, auth-required or paywalled status from the signals that gave it away
+   */
+  getAccessTooltip(url) {
+    const descriptions = {
+      'protected': 'The site checks for bots, so the link could not be verified. It probably works in a browser',
+      'auth-required': 'The page needs a login',
+      'paywalled': 'The page is behind a paywall'
+    };
+
+    return `${descriptions[url.status] || 'Access is restricted'} (${url.accessSignals.join(', ')})`;
+  }
+
+  getTypeText(type) {
+    const typeMap = {
+      'pdf-link': 'PDF link',
+      'docx-link': 'DOCX link',
+      'markdown-link': 'Link',
+      'markdown-image': 'Image',
+      'markdown-reference': 'Reference',
+      'meta-refresh': 'Meta refresh',
+      'form-action': 'Form action',
+      'object-data': 'Object data',
+      'style-url': 'Style url()'
+    };
+
+    return typeMap[type] || type;
+  }
+
   /**
    * Get tooltip text for validation indicator
    */
@@ -862,6 +1734,7 @@ class URLTable {
 
   clear() {
     this.data = [];
+    this.expandedGroups.clear();
     this.render();
   }
 
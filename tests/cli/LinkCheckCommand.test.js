@@ -0,0 +1,199 @@
+/**
+ * Tests for the url-fixer command-line link checker
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtemp, mkdir, writeFile, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { LinkCheckCommand } from '../../src/cli/LinkCheckCommand.js';
+import { URLFixer } from '../../src/core/URLFixer.js';
+import { NodeAdapters } from '../../src/adapters/NodeAdapters.js';
+import { ReportFormatter } from '../../src/cli/ReportFormatter.js';
+
+describe('LinkCheckCommand', () => {
+  let cwd;
+  let command;
+  let stdout;
+  let stderr;
+  let fixer;
+
+  const statuses = {
+    'https://example.com/ok': { status: 'valid', statusCode: 200 },
+    'https://example.com/gone': {
+      status: 'replacement-found',
+      statusCode: 404,
+      replacementURL: 'https://example.com/moved',
+      replacementConfidence: 0.95,
+      replacementSource: 'sitemap'
+    },
+    'https://example.com/unsure': {
+      status: 'replacement-found',
+      statusCode: 404,
+      replacementURL: 'https://example.com/maybe',
+      replacementConfidence: 0.6,
+      replacementSource: 'duckduckgo-fallback'
+    },
+    'https://example.com/dead': { status: 'invalid', statusCode: 410 },
+    'https://example.com/old-home': {
+      status: 'moved',
+      statusCode: 200,
+      replacementURL: 'https://example.com/home',
+      replacementConfidence: 1,
+      replacementSource: 'redirect'
+    }
+  };
+
+  beforeEach(async () => {
+    cwd = await mkdtemp(join(tmpdir(), 'url-fixer-cli-'));
+    await mkdir(join(cwd, 'docs/guide'), { recursive: true });
+    await writeFile(join(cwd, 'docs/index.md'), '# Docs\n\n[ok](https://example.com/ok) [gone](https://example.com/gone)\n[local](guide/setup.md)\n');
+    await writeFile(join(cwd, 'docs/guide/setup.md'), '[gone again](https://example.com/gone) [unsure](https://example.com/unsure)\n');
+    await writeFile(join(cwd, 'docs/guide/page.html'), '<a href="https://example.com/dead">dead</a>\n');
+    await writeFile(join(cwd, 'docs/notes.bin'), 'not a document');
+
+    stdout = { text: '', write(chunk) { this.text += chunk; } };
+    stderr = { text: '', write(chunk) { this.text += chunk; } };
+    fixer = new URLFixer({ adapters: new NodeAdapters({ cwd, logLevel: 'silent' }) });
+    vi.spyOn(fixer.processor, 'processURLs').mockImplementation(async (urls) => urls.map(url => ({ ...url, ...statuses[url.resolvedURL] })));
+    command = new LinkCheckCommand({ cwd, stdout, stderr, fixer });
+  });
+
+  afterEach(async () => {
+    await rm(cwd, { recursive: true, force: true });
+  });
+
+  describe('arguments', () => {
+    it('should parse options', () => {
+      const options = command.parseArgs(['check', 'docs/**/*.md', '--format=json', '--max-broken', '3', '--fix', '--min-confidence', '0.8', '--no-search']);
+
+      expect(options).toMatchObject({
+        patterns: ['docs/**/*.md'],
+        format: 'json',
+        maxBroken: 3,
+        fix: true,
+        minConfidence: 0.8,
+        search: false
+      });
+    });
+
+    it('should reject unknown commands, options and formats with exit code 2', async () => {
+      expect(() => command.parseArgs(['lint', 'docs'])).toThrow('Unknown command: lint');
+      expect(() => command.parseArgs(['check', 'docs', '--colour'])).toThrow('Unknown option: --colour');
+      expect(() => command.parseArgs(['check', 'docs', '--min-confidence', '2'])).toThrow('Invalid value for --min-confidence: 2');
+
+      expect(await command.run(['check', 'docs', '--format', 'xml'])).toBe(2);
+      expect(stderr.text).toContain('Unknown report format: xml');
+    });
+  });
+
+  describe('file selection', () => {
+    it('should expand globs with ** and braces', async () => {
+      expect(await command.expandPatterns(['docs/**/*.{md,html}'])).toEqual([
+        'docs/guide/page.html',
+        'docs/guide/setup.md',
+        'docs/index.md'
+      ]);
+      expect(await command.expandPatterns(['docs/*.md'])).toEqual(['docs/index.md']);
+    });
+
+    it('should walk directories for supported documents', async () => {
+      expect(await command.expandPatterns(['docs'])).toEqual([
+        'docs/guide/page.html',
+        'docs/guide/setup.md',
+        'docs/index.md'
+      ]);
+    });
+  });
+
+  describe('checking', () => {
+    it('should validate each distinct link once and skip unresolvable relative links', async () => {
+      const code = await command.run(['check', 'docs', '--format', 'json', '--max-broken', '10']);
+      const report = JSON.parse(stdout.text);
+
+      expect(code).toBe(0);
+      expect(fixer.processor.processURLs.mock.calls[0][0].map(url => url.resolvedURL).sort()).toEqual([
+        'https://example.com/dead',
+        'https://example.com/gone',
+        'https://example.com/ok',
+        'https://example.com/unsure'
+      ]);
+      expect(report.summary).toMatchObject({ files: 3, links: 6, checked: 5, broken: 4, skipped: 1, fixed: 0 });
+      expect(report.files.find(file => file.path === 'docs/index.md').links[2]).toMatchObject({
+        url: 'guide/setup.md',
+        status: 'skipped',
+        skipped: true
+      });
+    });
+
+    it('should mark the JSON report when replacements were not searched for', async () => {
+      await command.run(['check', 'docs', '--format', 'json', '--max-broken', '10', '--no-search']);
+      const report = JSON.parse(stdout.text);
+
+      expect(report.search).toBe(false);
+      expect(report.summary.replacementsFound).toBeNull();
+    });
+
+    it('should exit with 1 when broken links exceed the threshold', async () => {
+      expect(await command.run(['check', 'docs', '--max-broken', '3'])).toBe(1);
+      expect(stdout.text).toContain('Failed: 4 broken links (at most 3 allowed)');
+      expect(stdout.text).toContain('suggestion: https://example.com/moved (95%, sitemap)');
+    });
+
+    it('should write confident replacements in place with --fix', async () => {
+      const code = await command.run(['check', 'docs/**/*.md', '--fix', '--format', 'json', '--max-broken', '1']);
+      const report = JSON.parse(stdout.text);
+
+      expect(await readFile(join(cwd, 'docs/index.md'), 'utf8')).toBe('# Docs\n\n[ok](https://example.com/ok) [gone](https://example.com/moved)\n[local](guide/setup.md)\n');
+      expect(await readFile(join(cwd, 'docs/guide/setup.md'), 'utf8')).toBe('[gone again](https://example.com/moved) [unsure](https://example.com/unsure)\n');
+      expect(report.summary).toMatchObject({ broken: 1, fixed: 2 });
+      expect(code).toBe(0);
+    });
+
+    it('should write permanent redirect targets with --fix without counting them as broken', async () => {
+      await writeFile(join(cwd, 'docs/moved.md'), '[home](https://example.com/old-home)\n');
+
+      const checked = await command.run(['check', 'docs/moved.md', '--format', 'json']);
+      expect(JSON.parse(stdout.text).summary).toMatchObject({ broken: 0, fixed: 0 });
+
+      stdout.text = '';
+      const fixed = await command.run(['check', 'docs/moved.md', '--fix', '--format', 'json']);
+
+      expect(await readFile(join(cwd, 'docs/moved.md'), 'utf8')).toBe('[home](https://example.com/home)\n');
+      expect(JSON.parse(stdout.text).summary).toMatchObject({ broken: 0, fixed: 1 });
+      expect([checked, fixed]).toEqual([0, 0]);
+    });
+  });
+});
+
+describe('ReportFormatter', () => {
+  const report = {
+    summary: { files: 1, links: 2, checked: 2, broken: 1, replacementsFound: 0, fixed: 0, skipped: 0, unreadable: 0 },
+    maxBroken: 0,
+    passed: false,
+    files: [{
+      path: 'docs/a&b.md',
+      links: [
+        { line: 1, column: 0, url: 'https://example.com/ok', status: 'valid', statusCode: 200, broken: false, skipped: false, fixed: false },
+        { line: 2, column: 4, url: 'https://example.com/?a=1&b=<2>', status: 'invalid', statusCode: 404, broken: true, skipped: false, fixed: false }
+      ]
+    }]
+  };
+
+  it('should write broken links as escaped JUnit failures', () => {
+    const xml = new ReportFormatter().format(report, 'junit');
+
+    expect(xml).toContain('<testsuites name="url-fixer" tests="2" failures="1" errors="0" skipped="0">');
+    expect(xml).toContain('<testsuite name="docs/a&amp;b.md" tests="2" failures="1" errors="0" skipped="0">');
+    expect(xml).toContain('name="2:4 https://example.com/?a=1&amp;b=&lt;2&gt;"');
+    expect(xml).toContain('<failure message="invalid (404)" type="invalid">No replacement found</failure>');
+    expect(new DOMParser().parseFromString(xml, 'application/xml').getElementsByTagName('parsererror')).toHaveLength(0);
+  });
+
+  it('should not report missing replacements when the search was disabled', () => {
+    const xml = new ReportFormatter().format({ ...report, search: false }, 'junit');
+
+    expect(xml).toContain('<failure message="invalid (404)" type="invalid">Replacement search disabled (--no-search)</failure>');
+    expect(xml).not.toContain('No replacement found');
+  });
+});
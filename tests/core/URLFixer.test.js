@@ -0,0 +1,162 @@
+/**
+ * Tests for URLFixer and the Node adapters
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtemp, mkdir, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { URLFixer } from '../../src/core/URLFixer.js';
+import { NodeAdapters } from '../../src/adapters/NodeAdapters.js';
+import { MemoryStorage } from '../../src/adapters/MemoryStorage.js';
+import { Logger } from '../../src/utils/Logger.js';
+
+describe('URLFixer', () => {
+  let cwd;
+  let fixer;
+
+  const markdown = [
+    '# Docs',
+    '',
+    '[home](https://example.com/) and [old](https://example.com/old)',
+    '[again](https://example.com/old)',
+    ''
+  ].join('\n');
+
+  beforeEach(async () => {
+    cwd = await mkdtemp(join(tmpdir(), 'url-fixer-core-'));
+    await mkdir(join(cwd, 'docs'));
+    await writeFile(join(cwd, 'docs/readme.md'), markdown);
+
+    fixer = new URLFixer({ adapters: new NodeAdapters({ cwd, logLevel: 'silent' }) });
+  });
+
+  afterEach(async () => {
+    Logger.configure({ level: null, sink: null });
+    await rm(cwd, { recursive: true, force: true });
+  });
+
+  describe('parse', () => {
+    it('should read documents from paths relative to the working directory', async () => {
+      const document = await fixer.parse('docs/readme.md');
+
+      expect(document.fileName).toBe('docs/readme.md');
+      expect(document.fileType).toBe('markdown');
+      expect(document.urls.map(url => url.originalURL)).toEqual([
+        'https://example.com/',
+        'https://example.com/old',
+        'https://example.com/old'
+      ]);
+    });
+
+    it('should require a name for raw bytes', async () => {
+      await expect(fixer.parse(new TextEncoder().encode(markdown))).rejects.toThrow('A name is required');
+
+      const document = await fixer.parse(new TextEncoder().encode(markdown), { name: 'notes.md' });
+      expect(document.urls).toHaveLength(3);
+    });
+  });
+
+  describe('validate', () => {
+    it('should check each distinct URL once and return results in input order', async () => {
+      const processURLs = vi.spyOn(fixer.processor, 'processURLs').mockImplementation(async (urls) =>
+        urls.map(url => ({ ...url, status: url.resolvedURL.endsWith('/old') ? 'invalid' : 'valid', statusCode: 200 }))
+      );
+      const document = await fixer.parse('docs/readme.md');
+
+      const results = await fixer.validate(document);
+
+      expect(processURLs).toHaveBeenCalledTimes(1);
+      expect(processURLs.mock.calls[0][0]).toHaveLength(2);
+      expect(results.map(result => [result.id, result.status])).toEqual([
+        [document.urls[0].id, 'valid'],
+        [document.urls[1].id, 'invalid'],
+        [document.urls[2].id, 'invalid']
+      ]);
+      expect(results[2].line).toBe(4);
+    });
+
+    it('should accept plain URL strings', async () => {
+      vi.spyOn(fixer.processor, 'processURLs').mockImplementation(async (urls) => urls.map(url => ({ ...url, status: 'valid' })));
+
+      const results = await fixer.validate(['https://example.com/a', 'https://example.com/b']);
+
+      expect(results.map(result => result.originalURL)).toEqual(['https://example.com/a', 'https://example.com/b']);
+    });
+
+    it('should send requests through the injected HTTP adapter', async () => {
+      const http = {
+        fetch: vi.fn(async (url) => ({ ok: true, status: 200, statusText: 'OK', url, headers: new Headers() }))
+      };
+      fixer = new URLFixer({ adapters: new NodeAdapters({ cwd, http, logLevel: 'silent' }), config: { search: false } });
+
+      const [result] = await fixer.validate(['https://example.com/']);
+
+      expect(result.status).toBe('valid');
+      expect(http.fetch).toHaveBeenCalledWith('https://example.com/', expect.any(Object));
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('applyFixes', () => {
+    it('should apply new URLs and replacements at or above the confidence threshold', async () => {
+      const document = await fixer.parse('docs/readme.md');
+      const [home, first, second] = document.urls;
+
+      const fixed = await fixer.applyFixes(document, [
+        { id: home.id, newURL: 'https://example.org/' },
+        { id: first.id, status: 'replacement-found', replacementURL: 'https://example.com/new', replacementConfidence: 0.9 },
+        { id: second.id, status: 'replacement-found', replacementURL: 'https://example.com/guess', replacementConfidence: 0.4 }
+      ], { minConfidence: 0.8 });
+
+      expect(fixed.data).toBe(markdown
+        .replace('https://example.com/)', 'https://example.org/)')
+        .replace('https://example.com/old', 'https://example.com/new'));
+      expect(fixed.replacements).toHaveLength(2);
+    });
+
+    it('should apply the targets of permanent redirects', async () => {
+      const document = await fixer.parse('docs/readme.md');
+      const [, first] = document.urls;
+
+      const fixed = await fixer.applyFixes(document, [
+        { id: first.id, status: 'moved', replacementURL: 'https://example.com/new', replacementConfidence: 1, replacementSource: 'redirect' }
+      ], { minConfidence: 0.9 });
+
+      expect(fixed.data).toBe(markdown.replace('https://example.com/old', 'https://example.com/new'));
+      expect(fixed.replacements).toHaveLength(1);
+    });
+
+    it('should refuse formats that cannot be written', async () => {
+      await expect(fixer.applyFixes({ fileType: 'pdf', urls: [] }, [])).rejects.toThrow('PDF');
+    });
+  });
+
+  describe('adapters', () => {
+    it('should keep caches in memory', async () => {
+      const storage = new MemoryStorage();
+
+      await storage.cacheURLResult('https://example.com/', 'valid', 12);
+      await storage.storeSetting('theme', 'dark');
+
+      expect((await storage.getCachedURLResult('https://example.com/')).status).toBe('valid');
+      expect(await storage.getCachedURLResult('https://example.com/', -1)).toBeNull();
+      expect(await storage.getSetting('theme')).toBe('dark');
+
+      await storage.clearAllData();
+      expect(await storage.getSetting('theme', 'light')).toBe('light');
+    });
+
+    it('should route log output to the configured sink and level', () => {
+      const sink = { error: vi.fn(), warn: vi.fn(), info: vi.fn(), debug: vi.fn() };
+      new URLFixer({ adapters: new NodeAdapters({ cwd, logLevel: 'warn', logSink: sink }) });
+
+      const logger = new Logger('Test');
+      logger.warn('careful');
+      logger.info('chatty');
+
+      expect(sink.warn).toHaveBeenCalledWith(expect.stringContaining('careful'));
+      expect(sink.info).not.toHaveBeenCalled();
+    });
+  });
+});
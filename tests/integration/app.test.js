@@ -164,6 +164,54 @@ describe('URL Fixer Application Integration', () => {
       global.FileReader = originalFileReader;
     });
 
+    it('should open several files as a workspace with each distinct URL listed once', async () => {
+      const files = [
+        new File(['[a](https://example.com/a) [b](https://example.com/b)'], 'one.md', { type: 'text/markdown' }),
+        new File(['See https://example.com/a'], 'two.txt', { type: 'text/plain' })
+      ];
+
+      await app.controllers.app.handleFilesUpload(files);
+
+      expect(app.models.document.currentDocument.fileType).toBe('workspace');
+      expect(app.models.document.urls.map(url => [url.resolvedURL, url.occurrences.length])).toEqual([
+        ['https://example.com/a', 2],
+        ['https://example.com/b', 1]
+      ]);
+
+      await app.controllers.app.handleRemoveWorkspaceDocument('one.md');
+      expect(app.models.document.urls.map(url => url.resolvedURL)).toEqual(['https://example.com/a']);
+    });
+
+    it('should zip PDF and unreadable documents from an uploaded archive back unchanged', async () => {
+      const { default: JSZip } = await import('jszip');
+      const pdf = [
+        '%PDF-1.4',
+        '1 0 obj << /Type /Catalog /Pages 2 0 R >> endobj',
+        '2 0 obj << /Type /Pages /Kids [3 0 R] /Count 1 >> endobj',
+        '3 0 obj << /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] >> endobj',
+        'trailer << /Root 1 0 R >>',
+        '%%EOF'
+      ].join('\n');
+      const upload = new JSZip();
+      upload.file('docs/guide.md', '[old](https://example.com/old)');
+      upload.file('docs/paper.pdf', pdf);
+      upload.file('docs/broken.docx', 'not a zip');
+      const archive = new File([await upload.generateAsync({ type: 'arraybuffer' })], 'site.zip', { type: 'application/zip' });
+
+      app.controllers.app.handleClear();
+      await app.controllers.app.handleFilesUpload([archive]);
+      const result = await app.models.workspace.generateZip(app.models.document.urls, vi.fn());
+      const zip = await JSZip.loadAsync(result.data);
+
+      expect(app.models.workspace.documents.map(document => document.fileName)).toEqual(['docs/guide.md', 'docs/paper.pdf']);
+      expect(Object.keys(zip.files).filter(path => !zip.files[path].dir).sort()).toEqual([
+        'docs/broken.docx', 'docs/guide.md', 'docs/paper.pdf'
+      ]);
+      expect(await zip.file('docs/paper.pdf').async('string')).toBe(pdf);
+      expect(await zip.file('docs/broken.docx').async('string')).toBe('not a zip');
+      expect(result.skipped).toEqual([]);
+    });
+
     it('should process URLs and update results', async () => {
       // Set up a document with URLs
       const documentData = {
@@ -166,6 +166,78 @@ describe('URL Replacement UI Integration Tests', () => {
     });
   });
 
+  describe('Unreachable Domains', () => {
+    it('should group links skipped on an unreachable domain under one collapsible row', async () => {
+      const urls = ['https://gone.test/a', 'https://example.com/', 'https://gone.test/b', 'https://example.com/about']
+        .map((originalURL, index) => ({ id: `url-${index}`, originalURL, line: index + 1, type: 'href', status: 'pending' }));
+      await app.models.document.loadDocument({ fileName: 'test.html', fileType: 'html', fileSize: 100, content: '', urls });
+
+      app.services.urlValidation.validateURL = vi.fn(async (url) => url.startsWith('https://gone.test/')
+        ? { url, status: 0, statusText: 'Skipped: domain unreachable (5 dns failures in a row)', failureType: 'dns', domainUnreachable: true, timestamp: new Date().toISOString() }
+        : { url, status: 200, statusText: 'OK', timestamp: new Date().toISOString() });
+      app.services.search.findReplacementURL = vi.fn();
+
+      await app.controllers.app.handleProcessURLs();
+
+      const tbody = document.querySelector('.url-table-body');
+      const rows = [...tbody.children];
+      const header = tbody.querySelector('.url-group-row');
+
+      expect(rows.map(row => row.getAttribute('data-url-id') || row.getAttribute('data-domain'))).toEqual([
+        'url-1', 'url-3', 'gone.test', 'url-0', 'url-2'
+      ]);
+      expect(header.textContent).toMatch(/gone\.test\s+could not be found \(DNS\):\s+2 links skipped/);
+      expect(rows.filter(row => row.hidden)).toHaveLength(2);
+      expect(app.services.search.findReplacementURL).not.toHaveBeenCalled();
+
+      header.querySelector('.group-toggle').click();
+      expect([...tbody.children].filter(row => row.hidden)).toHaveLength(0);
+    });
+  });
+
+  describe('Document Text in the Table', () => {
+    it('should keep quotes in a reference label inside its tooltip', async () => {
+      const label = 'x" onmouseover="alert(1)';
+      await app.models.document.loadDocument({
+        fileName: 'links.md',
+        fileType: 'markdown',
+        fileSize: 100,
+        content: '',
+        urls: [{ id: 'url-0', originalURL: 'https://example.com/', line: 1, type: 'markdown', status: 'pending', referenceLabel: label, referenceCount: 1 }]
+      });
+
+      const type = document.querySelector('#table-container .url-type');
+
+      expect(type.getAttribute('onmouseover')).toBeNull();
+      expect(type.getAttribute('title')).toBe(`[${label}] used by 1 link`);
+    });
+
+    it('should show rewrite rule names as text', async () => {
+      const name = '<img src=x onerror="alert(1)"> docs move';
+      await app.models.document.loadDocument({
+        fileName: 'links.md',
+        fileType: 'markdown',
+        fileSize: 100,
+        content: '',
+        urls: [{
+          id: 'url-0',
+          originalURL: 'https://example.com/old',
+          line: 1,
+          type: 'markdown',
+          status: 'replacement-found',
+          replacementURL: 'https://example.com/new',
+          replacementConfidence: 0.9,
+          rewriteRule: { id: 'rule-1', name }
+        }]
+      });
+
+      const rule = document.querySelector('#table-container .rewrite-rule');
+
+      expect(rule.querySelector('img')).toBeNull();
+      expect(rule.textContent).toBe(`Rewrite rule: ${name}`);
+    });
+  });
+
   describe('Download with Replacement URLs', () => {
     it('should include replacement URLs in downloaded document', async () => {
       // Set up document with replacement URLs
@@ -214,61 +214,35 @@ describe('URL Replacement Integration Tests', () => {
         }
       ];
 
-      // Mock validation responses
-      validationService.validateURL = vi.fn()
-        .mockResolvedValueOnce({
-          // First URL - valid (200)
-          url: testURLs[0].originalURL,
-          status: 200,
-          statusText: 'OK',
-          responseTime: 500,
-          headers: { 'content-type': 'text/html' },
-          fromCache: false,
-          timestamp: new Date().toISOString()
-        })
-        .mockResolvedValueOnce({
-          // Second URL - broken (404)
-          url: testURLs[1].originalURL,
-          status: 404,
-          statusText: 'Not Found',
-          responseTime: 1000,
-          headers: {},
-          fromCache: false,
-          timestamp: new Date().toISOString()
-        })
-        .mockResolvedValueOnce({
-          // Third URL - broken (404)
-          url: testURLs[2].originalURL,
-          status: 404,
-          statusText: 'Not Found',
-          responseTime: 1200,
-          headers: {},
-          fromCache: false,
-          timestamp: new Date().toISOString()
-        })
-        .mockResolvedValueOnce({
-          // Replacement for second URL
-          url: 'https://example.com/fixed-page.html',
-          status: 200,
-          statusText: 'OK',
-          responseTime: 600,
-          headers: { 'content-type': 'text/html' },
-          fromCache: false,
-          timestamp: new Date().toISOString()
-        });
+      // Mock validation responses by URL (links to one host are no longer all started at once)
+      const validationResponses = {
+        // First URL - valid (200)
+        [testURLs[0].originalURL]: { status: 200, statusText: 'OK', responseTime: 500, headers: { 'content-type': 'text/html' } },
+        // Second URL - broken (404)
+        [testURLs[1].originalURL]: { status: 404, statusText: 'Not Found', responseTime: 1000, headers: {} },
+        // Third URL - broken (404)
+        [testURLs[2].originalURL]: { status: 404, statusText: 'Not Found', responseTime: 1200, headers: {} },
+        // Replacement for second URL
+        'https://example.com/fixed-page.html': { status: 200, statusText: 'OK', responseTime: 600, headers: { 'content-type': 'text/html' } }
+      };
+      validationService.validateURL = vi.fn(async (url) => ({
+        url,
+        ...validationResponses[url],
+        fromCache: false,
+        timestamp: new Date().toISOString()
+      }));
 
-      // Mock search service
-      searchService.findReplacementURL = vi.fn()
-        .mockResolvedValueOnce({
-          // Replacement found for second URL
+      // Mock search service: a replacement for the second URL only
+      searchService.findReplacementURL = vi.fn(async (url) => (url === testURLs[1].originalURL
+        ? {
           originalURL: testURLs[1].originalURL,
           replacementURL: 'https://example.com/fixed-page.html',
           confidence: 0.8,
           source: 'enhanced-serp',
           validated: true,
           timestamp: new Date().toISOString()
-        })
-        .mockResolvedValueOnce(null); // No replacement for third URL
+        }
+        : null));
 
       const results = await urlProcessor.processURLs(testURLs);
 
@@ -0,0 +1,174 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { DocumentModel } from '../../src/models/DocumentModel.js';
+import { DocumentParserService } from '../../src/services/DocumentParserService.js';
+
+describe('DocumentModel - Fixed document generation', () => {
+  let documentModel;
+  let parserService;
+
+  const load = async (content, fileType, fixes) => {
+    const urls = await parserService.parseContent(content, fileType, `doc.${fileType}`);
+    await documentModel.loadDocument({ fileName: `doc.${fileType}`, fileType, fileSize: content.length, content, urls });
+    fixes.forEach(([index, newURL]) => documentModel.updateURL(documentModel.urls[index].id, { newURL }));
+  };
+
+  beforeEach(() => {
+    documentModel = new DocumentModel(null);
+    parserService = new DocumentParserService();
+  });
+
+  it('should rewrite the occurrence at the recorded span when a URL repeats on a line', async () => {
+    await load('See https://example.com/a and https://example.com/a again', 'text', [[1, 'https://example.com/b']]);
+
+    const fixed = documentModel.generateFixedDocument();
+
+    expect(fixed.content).toBe('See https://example.com/a and https://example.com/b again');
+    expect(fixed.unapplied).toEqual([]);
+  });
+
+  it('should not rewrite a longer URL that starts with the fixed one', async () => {
+    await load('<a href="https://example.com/docs/v2">v2</a> <a href="https://example.com/docs">docs</a>', 'html', [
+      [1, 'https://docs.example.com/']
+    ]);
+
+    const fixed = documentModel.generateFixedDocument();
+
+    expect(fixed.content).toBe('<a href="https://example.com/docs/v2">v2</a> <a href="https://docs.example.com/">docs</a>');
+  });
+
+  it('should replace entity-encoded attribute values and encode the fix', async () => {
+    await load('<a href="https://example.com/up?a=1&amp;b=2">up</a>', 'html', [[0, 'https://example.com/new?a=1&b="2"']]);
+
+    expect(documentModel.urls[0].originalURL).toBe('https://example.com/up?a=1&b=2');
+
+    const fixed = documentModel.generateFixedDocument();
+
+    expect(fixed.content).toBe('<a href="https://example.com/new?a=1&amp;b=&quot;2&quot;">up</a>');
+    expect(fixed.unapplied).toEqual([]);
+  });
+
+  it('should apply several fixes on one line', async () => {
+    await load('[a](https://a.example.com) [b](https://b.example.com) [c](https://c.example.com)', 'markdown', [
+      [0, 'https://a.example.org/long/path'],
+      [2, 'https://c.example.org']
+    ]);
+
+    const fixed = documentModel.generateFixedDocument();
+
+    expect(fixed.content).toBe('[a](https://a.example.org/long/path) [b](https://b.example.com) [c](https://c.example.org)');
+    expect(fixed.replacements.map(r => r.originalURL)).toEqual(['https://a.example.com', 'https://c.example.com']);
+  });
+
+  it('should report overlapping fixes instead of applying both', async () => {
+    await documentModel.loadDocument({
+      fileName: 'doc.txt',
+      fileType: 'text',
+      fileSize: 0,
+      content: 'Go to https://example.com/page now',
+      urls: [
+        { id: 'u1', originalURL: 'https://example.com/page', line: 1, column: 6, start: 6, end: 30, newURL: 'https://example.com/new' },
+        { id: 'u2', originalURL: 'example.com/page', line: 1, column: 14, start: 14, end: 30, newURL: 'example.org/page' }
+      ]
+    });
+
+    const fixed = documentModel.generateFixedDocument();
+
+    expect(fixed.content).toBe('Go to https://example.com/new now');
+    expect(fixed.unapplied).toHaveLength(1);
+    expect(fixed.unapplied[0]).toMatchObject({ urlId: 'u2', originalURL: 'example.com/page' });
+    expect(fixed.unapplied[0].reason).toContain('Overlaps');
+  });
+
+  it('should report fixes whose original URL is no longer where it was recorded', async () => {
+    await documentModel.loadDocument({
+      fileName: 'doc.txt',
+      fileType: 'text',
+      fileSize: 0,
+      content: 'Nothing to see here',
+      urls: [{ id: 'u1', originalURL: 'https://example.com/gone', line: 1, column: 0, newURL: 'https://example.com/new' }]
+    });
+
+    const fixed = documentModel.generateFixedDocument();
+
+    expect(fixed.content).toBe('Nothing to see here');
+    expect(fixed.replacements).toEqual([]);
+    expect(fixed.unapplied[0]).toMatchObject({ urlId: 'u1', reason: 'Original URL not found at its recorded position' });
+  });
+
+  it('should fall back to the nearest occurrence to the column for entries without offsets', async () => {
+    await documentModel.loadDocument({
+      fileName: 'doc.txt',
+      fileType: 'text',
+      fileSize: 0,
+      content: 'first line\nhttps://x.example.com and https://x.example.com',
+      urls: [{ id: 'u1', originalURL: 'https://x.example.com', line: 2, column: 26, newURL: 'https://y.example.com' }]
+    });
+
+    const fixed = documentModel.generateFixedDocument();
+
+    expect(fixed.content).toBe('first line\nhttps://x.example.com and https://y.example.com');
+  });
+
+  describe('patch export', () => {
+    it('should produce a unified diff with hunks linked to the fixed URLs', async () => {
+      const lines = Array.from({ length: 12 }, (_, i) => `line ${i + 1}`);
+      lines[1] = 'See https://example.com/one here';
+      lines[10] = 'And https://example.com/two there';
+      await load(`${lines.join('\n')}\n`, 'text', [[0, 'https://example.org/one'], [1, 'https://example.org/two']]);
+
+      const diff = documentModel.generatePatch();
+
+      expect(diff.patch).toBe([
+        'diff --git a/doc.text b/doc.text',
+        '--- a/doc.text',
+        '+++ b/doc.text',
+        '@@ -1,5 +1,5 @@',
+        ' line 1',
+        '-See https://example.com/one here',
+        '+See https://example.org/one here',
+        ' line 3',
+        ' line 4',
+        ' line 5',
+        '@@ -8,5 +8,5 @@',
+        ' line 8',
+        ' line 9',
+        ' line 10',
+        '-And https://example.com/two there',
+        '+And https://example.org/two there',
+        ' line 12',
+        ''
+      ].join('\n'));
+      expect(diff.hunks.map(hunk => hunk.links.map(link => link.urlId))).toEqual([
+        [documentModel.urls[0].id],
+        [documentModel.urls[1].id]
+      ]);
+      expect(diff.hunks[0].rows[1]).toMatchObject({ type: 'change', oldNumber: 2, newText: 'See https://example.org/one here' });
+    });
+
+    it('should mark a missing final newline', async () => {
+      await load('first\nlast https://example.com/a', 'text', [[0, 'https://example.com/b']]);
+
+      const diff = documentModel.generatePatch();
+
+      expect(diff.patch.endsWith([
+        '-last https://example.com/a',
+        '\\ No newline at end of file',
+        '+last https://example.com/b',
+        '\\ No newline at end of file',
+        ''
+      ].join('\n'))).toBe(true);
+    });
+
+    it('should return an empty patch when nothing was fixed', async () => {
+      await load('Nothing https://example.com/a', 'text', []);
+
+      expect(documentModel.generatePatch()).toMatchObject({ patch: '', hunks: [] });
+    });
+
+    it('should refuse binary document formats', async () => {
+      await documentModel.loadDocument({ fileName: 'a.docx', fileType: 'docx', fileSize: 0, content: '', urls: [] });
+
+      expect(() => documentModel.generatePatch()).toThrow('only available for text documents');
+    });
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { DocumentModel } from '../../src/models/DocumentModel.js';
+
+describe('DocumentModel - Relative URL write-back', () => {
+  let documentModel;
+
+  const load = (content, urls) => documentModel.loadDocument({
+    fileName: 'page.html',
+    fileType: 'html',
+    fileSize: content.length,
+    content,
+    urls
+  });
+
+  beforeEach(() => {
+    documentModel = new DocumentModel(null);
+  });
+
+  it('should write same-origin replacements back as path-relative links', async () => {
+    await load('<a href="../docs/old.html">Docs</a>', [{
+      id: 'u1',
+      originalURL: '../docs/old.html',
+      resolvedURL: 'https://example.com/site/docs/old.html',
+      baseURL: 'https://example.com/site/guide/page.html',
+      line: 1,
+      column: 9,
+      replacementURL: 'https://example.com/site/docs/new.html?v=2'
+    }]);
+
+    const fixed = documentModel.generateFixedDocument();
+
+    expect(fixed.content).toBe('<a href="../docs/new.html?v=2">Docs</a>');
+    expect(fixed.replacements[0].newURL).toBe('../docs/new.html?v=2');
+  });
+
+  it('should keep root-relative and protocol-relative styles', async () => {
+    await load('<img src="/img/a.png">\n<script src="//cdn.example.com/a.js"></script>', [
+      {
+        id: 'u1',
+        originalURL: '/img/a.png',
+        resolvedURL: 'https://example.com/img/a.png',
+        baseURL: 'https://example.com/site/page.html',
+        line: 1,
+        column: 10,
+        newURL: 'https://example.com/images/a.png'
+      },
+      {
+        id: 'u2',
+        originalURL: '//cdn.example.com/a.js',
+        resolvedURL: 'https://cdn.example.com/a.js',
+        baseURL: 'https://example.com/site/page.html',
+        line: 2,
+        column: 13,
+        newURL: 'https://cdn2.example.com/a.js'
+      }
+    ]);
+
+    const fixed = documentModel.generateFixedDocument();
+
+    expect(fixed.content).toBe('<img src="/images/a.png">\n<script src="//cdn2.example.com/a.js"></script>');
+  });
+
+  it('should write absolute URLs when the replacement is on another origin', async () => {
+    await load('<a href="old.html">Old</a>', [{
+      id: 'u1',
+      originalURL: 'old.html',
+      resolvedURL: 'https://example.com/old.html',
+      baseURL: 'https://example.com/index.html',
+      line: 1,
+      column: 9,
+      replacementURL: 'https://archive.example.org/old.html'
+    }]);
+
+    const fixed = documentModel.generateFixedDocument();
+
+    expect(fixed.content).toBe('<a href="https://archive.example.org/old.html">Old</a>');
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { URLProcessorModel } from '../../src/models/URLProcessorModel.js';
+import { URLValidationService } from '../../src/services/URLValidationService.js';
+
+describe('URLProcessorModel - Restricted access', () => {
+  let urlProcessor;
+  let validationService;
+  let mockSearchService;
+  let mockAccessClassifier;
+
+  beforeEach(() => {
+    validationService = new URLValidationService();
+    vi.spyOn(validationService, 'validateURL').mockImplementation(async (url) => ({
+      status: url.endsWith('/ok') ? 200 : 403,
+      headers: { server: 'cloudflare' },
+      timestamp: new Date().toISOString(),
+      redirectChain: []
+    }));
+    mockSearchService = {
+      findReplacementURL: vi.fn().mockResolvedValue({ replacementURL: 'https://example.com/other', confidence: 0.8, source: 'enhanced-serp' })
+    };
+    mockAccessClassifier = {
+      classify: vi.fn(async (url, result) => result.status === 403 ? { status: 'protected', signals: ['server-cloudflare', 'challenge-page'] } : null)
+    };
+    urlProcessor = new URLProcessorModel(validationService, mockSearchService, null, null, null, mockAccessClassifier);
+  });
+
+  it('should give protected links their own status and not search for replacements', async () => {
+    const result = await urlProcessor.processURL({ id: 'u1', originalURL: 'https://example.com/report' });
+    const valid = await urlProcessor.processURL({ id: 'u2', originalURL: 'https://example.com/ok' });
+
+    expect(result).toMatchObject({
+      status: 'protected',
+      statusCode: 403,
+      accessSignals: ['server-cloudflare', 'challenge-page'],
+      searchAttempted: false
+    });
+    expect(valid.status).toBe('valid');
+    expect(mockSearchService.findReplacementURL).not.toHaveBeenCalled();
+    expect(urlProcessor.calculateStats([result, valid]).restricted).toBe(1);
+  });
+
+  it('should search for restricted links when searchRestricted is on', async () => {
+    urlProcessor.updateConfig({ searchRestricted: true });
+
+    const result = await urlProcessor.processURL({ id: 'u1', originalURL: 'https://example.com/report' });
+
+    expect(result.searchAttempted).toBe(true);
+    expect(mockSearchService.findReplacementURL).toHaveBeenCalledWith('https://example.com/report', expect.objectContaining({ statusCode: 403 }));
+  });
+});
@@ -0,0 +1,43 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { URLProcessorModel } from '../../src/models/URLProcessorModel.js';
+import { URLValidationService } from '../../src/services/URLValidationService.js';
+
+describe('URLProcessorModel - Unreachable domains', () => {
+  let urlProcessor;
+  let validationService;
+  let mockSearchService;
+
+  beforeEach(() => {
+    validationService = new URLValidationService();
+    validationService.useProxyFallback = false;
+    validationService.retryDelay = 0;
+    validationService.scheduler.config.hostDelay = 0;
+    mockSearchService = {
+      findReplacementURL: vi.fn().mockResolvedValue(null)
+    };
+    urlProcessor = new URLProcessorModel(validationService, mockSearchService, null);
+
+    global.fetch = vi.fn(async (url) => {
+      if (url.startsWith('https://gone.test/')) {
+        throw Object.assign(new TypeError('fetch failed'), { cause: { code: 'ECONNREFUSED' } });
+      }
+      return { ok: true, status: 200, statusText: 'OK', headers: new Map() };
+    });
+  });
+
+  it('should mark the rest of a failing domain as unreachable without searching for replacements', async () => {
+    const urls = Array.from({ length: 8 }, (_, i) => ({ id: `u${i}`, originalURL: `https://gone.test/page${i}` }));
+    urls.push({ id: 'ok', originalURL: 'https://fine.test/' });
+
+    const results = await urlProcessor.processURLs(urls);
+    const unreachable = results.filter(result => result.status === 'domain-unreachable');
+
+    expect(results.find(result => result.id === 'ok').status).toBe('valid');
+    expect(unreachable.length).toBeGreaterThanOrEqual(3);
+    expect(unreachable[0]).toMatchObject({ failureType: 'connection', searchAttempted: false });
+    expect(unreachable[0].error).toMatch(/^Skipped: domain unreachable|^Connection failed/);
+    expect(urlProcessor.calculateStats(results).domainUnreachable).toBe(unreachable.length);
+    expect(global.fetch.mock.calls.filter(([url]) => url.startsWith('https://gone.test/')).length).toBeLessThan(8 * 3);
+    expect(mockSearchService.findReplacementURL).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { URLProcessorModel } from '../../src/models/URLProcessorModel.js';
+import { URLValidationService } from '../../src/services/URLValidationService.js';
+import { LocalFileTree } from '../../src/utils/LocalFileTree.js';
+
+describe('URLProcessorModel - Local files', () => {
+  let urlProcessor;
+  let validationService;
+
+  const link = (originalURL, fileName = 'site/docs/guide.html') => ({ id: 'u1', originalURL, resolvedURL: null, fileName });
+
+  beforeEach(() => {
+    validationService = new URLValidationService();
+    vi.spyOn(validationService, 'validateURL');
+    validationService.setLocalFiles(new LocalFileTree([
+      'site/index.html',
+      'site/docs/guide.html',
+      'site/docs/setup.html',
+      'site/docs/reference/index.html',
+      'site/assets/images/logo.png',
+      'site/assets/images/logo2.png'
+    ]));
+    urlProcessor = new URLProcessorModel(validationService, { findReplacementURL: vi.fn() }, null);
+  });
+
+  it('should check relative links against the uploaded files instead of over HTTP', async () => {
+    const results = await Promise.all([
+      urlProcessor.processURL(link('setup.html#install')),
+      urlProcessor.processURL(link('../index.html')),
+      urlProcessor.processURL(link('/docs/guide.html')),
+      urlProcessor.processURL(link('reference/')),
+      urlProcessor.processURL(link('#top'))
+    ]);
+
+    expect(results.map(result => [result.status, result.localPath])).toEqual([
+      ['valid', 'site/docs/setup.html'],
+      ['valid', 'site/index.html'],
+      ['valid', 'site/docs/guide.html'],
+      ['valid', 'site/docs/reference/index.html'],
+      ['valid', 'site/docs/guide.html']
+    ]);
+    expect(validationService.validateURL).not.toHaveBeenCalled();
+  });
+
+  it('should mark missing files and suggest files with the same or a similar name', async () => {
+    const moved = await urlProcessor.processURL(link('../images/logo.png'));
+    const misspelled = await urlProcessor.processURL(link('setpu.html#install'));
+    const unknown = await urlProcessor.processURL(link('changelog.html'));
+
+    expect(moved).toMatchObject({
+      status: 'missing-local',
+      statusCode: 404,
+      localPath: 'site/images/logo.png',
+      replacementURL: '../assets/images/logo.png',
+      replacementSource: 'local',
+      replacementConfidence: 1
+    });
+    expect(moved.alternatives.map(alternative => alternative.replacementURL)).toEqual(['../assets/images/logo.png', '../assets/images/logo2.png']);
+    expect(misspelled.replacementURL).toBe('setup.html#install');
+    expect(unknown).toMatchObject({ status: 'missing-local' });
+    expect(unknown.replacementURL).toBeUndefined();
+  });
+
+  it('should keep checking absolute links over HTTP', async () => {
+    validationService.validateURL.mockResolvedValue({ status: 200, timestamp: new Date().toISOString(), redirectChain: [] });
+
+    const result = await urlProcessor.processURL({ ...link('https://example.com/'), resolvedURL: 'https://example.com/' });
+
+    expect(result.status).toBe('valid');
+    expect(validationService.validateURL).toHaveBeenCalledWith('https://example.com/', expect.any(Object));
+  });
+
+  it('should validate relative replacements against the uploaded files', () => {
+    expect(urlProcessor.validateLocalReplacementURL(link('old.html'), '../index.html').overallValid).toBe(true);
+    expect(urlProcessor.validateLocalReplacementURL(link('old.html'), 'missing.html').httpValidation).toMatchObject({
+      status: 404,
+      isValid: false
+    });
+  });
+});
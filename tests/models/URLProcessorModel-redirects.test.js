@@ -0,0 +1,86 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { URLProcessorModel } from '../../src/models/URLProcessorModel.js';
+import { URLValidationService } from '../../src/services/URLValidationService.js';
+
+describe('URLProcessorModel - Redirects', () => {
+  let urlProcessor;
+  let validationService;
+  let mockSearchService;
+
+  const chain = (...hops) => hops.map(([status, url]) => ({ url, status, statusText: '' }));
+
+  const validateWith = (status, redirectChain) => {
+    vi.spyOn(validationService, 'validateURL').mockResolvedValue({
+      status,
+      responseTime: 50,
+      timestamp: new Date().toISOString(),
+      fromCache: false,
+      finalURL: redirectChain.length ? redirectChain[redirectChain.length - 1].url : null,
+      redirectChain
+    });
+  };
+
+  beforeEach(() => {
+    validationService = new URLValidationService();
+    mockSearchService = {
+      findReplacementURL: vi.fn()
+    };
+    urlProcessor = new URLProcessorModel(validationService, mockSearchService, null);
+  });
+
+  it('should offer the final URL of a permanent redirect without searching', async () => {
+    validateWith(200, chain([301, 'http://example.com/old'], [308, 'https://example.com/old'], [200, 'https://example.com/new']));
+
+    const result = await urlProcessor.processURL({ id: 'u1', originalURL: 'http://example.com/old' });
+
+    expect(result).toMatchObject({
+      status: 'moved',
+      originalStatusCode: 301,
+      replacementURL: 'https://example.com/new',
+      replacementSource: 'redirect',
+      finalURL: 'https://example.com/new',
+      searchAttempted: false
+    });
+    expect(result.redirectChain).toHaveLength(3);
+    expect(result.newURL).toBeUndefined();
+    expect(mockSearchService.findReplacementURL).not.toHaveBeenCalled();
+  });
+
+  it('should apply permanent moves directly when auto-fix is on', async () => {
+    urlProcessor.config.autoFix = true;
+    validateWith(200, chain([301, 'https://example.com/old'], [200, 'https://example.com/new']));
+
+    const result = await urlProcessor.processURL({ id: 'u1', originalURL: 'https://example.com/old' });
+
+    expect(result.newURL).toBe('https://example.com/new');
+  });
+
+  it('should show temporary redirects without offering a replacement', async () => {
+    urlProcessor.config.autoFix = true;
+    validateWith(200, chain([301, 'https://example.com/a'], [302, 'https://example.com/b'], [200, 'https://example.com/login']));
+
+    const result = await urlProcessor.processURL({ id: 'u1', originalURL: 'https://example.com/a' });
+
+    expect(result.status).toBe('redirect');
+    expect(result.finalURL).toBe('https://example.com/login');
+    expect(result.replacementURL).toBeUndefined();
+    expect(result.newURL).toBeUndefined();
+  });
+
+  it('should keep searching when a redirect ends at a missing page', async () => {
+    mockSearchService.findReplacementURL.mockResolvedValue(null);
+    validateWith(404, chain([301, 'https://example.com/old'], [404, 'https://example.com/gone']));
+
+    const result = await urlProcessor.processURL({ id: 'u1', originalURL: 'https://example.com/old' });
+
+    expect(result.status).toBe('invalid');
+    expect(result.redirectChain).toHaveLength(2);
+    expect(mockSearchService.findReplacementURL).toHaveBeenCalled();
+  });
+
+  it('should count moved links separately', () => {
+    const stats = urlProcessor.calculateStats([{ status: 'moved' }, { status: 'redirect' }, { status: 'valid' }]);
+
+    expect(stats).toMatchObject({ moved: 1, redirects: 1, valid: 1 });
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { URLProcessorModel } from '../../src/models/URLProcessorModel.js';
+import { URLValidationService } from '../../src/services/URLValidationService.js';
+import { RewriteRuleService } from '../../src/services/RewriteRuleService.js';
+
+describe('URLProcessorModel - Rewrite rules', () => {
+  let urlProcessor;
+  let validationService;
+  let mockSearchService;
+  let rewriteRules;
+  let statuses;
+
+  beforeEach(async () => {
+    statuses = {};
+    validationService = new URLValidationService();
+    vi.spyOn(validationService, 'validateURL').mockImplementation(async (url) => ({
+      status: statuses[url] ?? 404,
+      responseTime: 50,
+      timestamp: new Date().toISOString(),
+      fromCache: false,
+      finalURL: url,
+      redirectChain: []
+    }));
+    mockSearchService = {
+      findReplacementURL: vi.fn().mockResolvedValue(null)
+    };
+    rewriteRules = new RewriteRuleService();
+    await rewriteRules.addRule({ name: 'Docs v1', match: 'docs.old.com/v1/*', replace: 'docs.new.com/latest/*' });
+    urlProcessor = new URLProcessorModel(validationService, mockSearchService, null, null, rewriteRules);
+  });
+
+  it('should offer a validated rule rewrite without searching', async () => {
+    statuses['https://docs.new.com/latest/setup'] = 200;
+
+    const result = await urlProcessor.processURL({ id: 'u1', originalURL: 'https://docs.old.com/v1/setup' });
+
+    expect(result).toMatchObject({
+      status: 'replacement-found',
+      replacementURL: 'https://docs.new.com/latest/setup',
+      replacementSource: 'rewrite-rule',
+      rewriteRule: { name: 'Docs v1' },
+      validated: true,
+      originalStatusCode: 404
+    });
+    expect(mockSearchService.findReplacementURL).not.toHaveBeenCalled();
+  });
+
+  it('should fall back to search when the rewritten URL is broken too', async () => {
+    const result = await urlProcessor.processURL({ id: 'u1', originalURL: 'https://docs.old.com/v1/setup' });
+
+    expect(validationService.validateURL).toHaveBeenCalledWith('https://docs.new.com/latest/setup', expect.any(Object));
+    expect(mockSearchService.findReplacementURL).toHaveBeenCalled();
+    expect(result.rewriteRule).toBeUndefined();
+  });
+
+  it('should apply rules to unreachable hosts that are never searched', async () => {
+    statuses['https://docs.old.com/v1/setup'] = 0;
+    statuses['https://docs.new.com/latest/setup'] = 200;
+
+    const result = await urlProcessor.processURL({ id: 'u1', originalURL: 'https://docs.old.com/v1/setup' });
+
+    expect(result).toMatchObject({ replacementURL: 'https://docs.new.com/latest/setup', searchAttempted: false });
+    expect(mockSearchService.findReplacementURL).not.toHaveBeenCalled();
+  });
+
+  it('should not rewrite working links', async () => {
+    statuses['https://docs.old.com/v1/setup'] = 200;
+
+    const result = await urlProcessor.processURL({ id: 'u1', originalURL: 'https://docs.old.com/v1/setup' });
+
+    expect(result.status).toBe('valid');
+    expect(validationService.validateURL).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { URLProcessorModel } from '../../src/models/URLProcessorModel.js';
+import { URLValidationService } from '../../src/services/URLValidationService.js';
+
+describe('URLProcessorModel - Soft 404s', () => {
+  let urlProcessor;
+  let validationService;
+  let mockSearchService;
+  let mockSoft404Service;
+
+  beforeEach(() => {
+    validationService = new URLValidationService();
+    vi.spyOn(validationService, 'validateURL').mockImplementation(async (url) => ({
+      status: 200,
+      responseTime: 50,
+      timestamp: new Date().toISOString(),
+      fromCache: false,
+      finalURL: url,
+      redirectChain: []
+    }));
+    mockSearchService = {
+      findReplacementURL: vi.fn().mockResolvedValue(null)
+    };
+    mockSoft404Service = {
+      detect: vi.fn().mockResolvedValue({ isSoft404: true, score: 0.8, signals: ['not-found-title', 'matches-missing-page'] })
+    };
+    urlProcessor = new URLProcessorModel(validationService, mockSearchService, null, mockSoft404Service);
+  });
+
+  it('should mark soft 404s and search for a replacement like a real 404', async () => {
+    const result = await urlProcessor.processURL({ id: 'u1', originalURL: 'https://example.com/old' });
+
+    expect(result).toMatchObject({
+      status: 'soft-404',
+      statusCode: 200,
+      soft404Score: 0.8,
+      soft404Signals: ['not-found-title', 'matches-missing-page'],
+      searchAttempted: true
+    });
+    expect(mockSearchService.findReplacementURL).toHaveBeenCalledWith('https://example.com/old', expect.objectContaining({ statusCode: 404 }));
+  });
+
+  it('should not offer the target of a permanent redirect that is a soft 404', async () => {
+    validationService.validateURL.mockResolvedValue({
+      status: 200,
+      finalURL: 'https://example.com/',
+      redirectChain: [
+        { url: 'https://example.com/old', status: 301, statusText: '' },
+        { url: 'https://example.com/', status: 200, statusText: '' }
+      ]
+    });
+
+    const result = await urlProcessor.processURL({ id: 'u1', originalURL: 'https://example.com/old' });
+
+    expect(result.status).toBe('soft-404');
+    expect(result.replacementURL).toBeUndefined();
+    expect(mockSoft404Service.detect).toHaveBeenCalledWith('https://example.com/old', { finalURL: 'https://example.com/' });
+  });
+
+  it('should leave pages alone when detection is turned off', async () => {
+    urlProcessor.config.soft404Detection = false;
+
+    const result = await urlProcessor.processURL({ id: 'u1', originalURL: 'https://example.com/page' });
+
+    expect(result.status).toBe('valid');
+    expect(mockSoft404Service.detect).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,155 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import JSZip from 'jszip';
+import { WorkspaceModel } from '../../src/models/WorkspaceModel.js';
+import { DocumentParserService } from '../../src/services/DocumentParserService.js';
+
+describe('WorkspaceModel', () => {
+  let workspace;
+  let parserService;
+
+  const add = async (fileName, fileType, content, baseURL = null) => {
+    const urls = await parserService.parseContent(content, fileType, fileName, { baseURL });
+    workspace.addDocument({ fileName, fileType, fileSize: content.length, content, urls, documentDate: null });
+  };
+
+  beforeEach(async () => {
+    workspace = new WorkspaceModel();
+    parserService = new DocumentParserService();
+
+    await add('guide.md', 'markdown', '[old](https://example.com/old) and [home](https://example.com/)\n');
+    await add('docs/intro.html', 'html', '<a href="../old">old</a>\n<a href="https://example.com/old">again</a>', 'https://example.com/docs/');
+    await add('notes.txt', 'text', 'See https://example.com/ for more');
+  });
+
+  it('should list each distinct URL once with every place it occurs', () => {
+    const document = workspace.toDocument();
+    const old = document.urls.find(url => url.resolvedURL === 'https://example.com/old');
+
+    expect(document.fileType).toBe('workspace');
+    expect(document.urls).toHaveLength(2);
+    expect(old.occurrences.map(occurrence => [occurrence.document, occurrence.line])).toEqual([
+      ['guide.md', 1],
+      ['docs/intro.html', 1],
+      ['docs/intro.html', 2]
+    ]);
+  });
+
+  it('should keep check results when documents are added or removed', async () => {
+    const urls = workspace.toDocument().urls.map(url => ({ ...url, status: 'valid', statusCode: 200 }));
+
+    await add('extra.md', 'markdown', '[new](https://example.com/new) [home](https://example.com/)');
+    workspace.removeDocument('notes.txt');
+    const document = workspace.toDocument(urls);
+
+    expect(document.urls.map(url => [url.resolvedURL, url.status])).toEqual([
+      ['https://example.com/old', 'valid'],
+      ['https://example.com/', 'valid'],
+      ['https://example.com/new', 'pending']
+    ]);
+  });
+
+  it('should replace a document added again under the same name', async () => {
+    await add('notes.txt', 'text', 'Nothing here');
+
+    expect(workspace.documents).toHaveLength(3);
+    expect(workspace.toDocument().urls.find(url => url.resolvedURL === 'https://example.com/').occurrences).toHaveLength(1);
+  });
+
+  it('should report stats per document and across the workspace', () => {
+    const urls = workspace.toDocument().urls.map(url => ({
+      ...url,
+      status: url.resolvedURL.endsWith('/old') ? 'invalid' : 'valid'
+    }));
+
+    const stats = workspace.getStats(urls);
+
+    expect(stats.documents.map(document => [document.fileName, document.links, document.broken])).toEqual([
+      ['guide.md', 2, 1],
+      ['docs/intro.html', 2, 2],
+      ['notes.txt', 1, 0]
+    ]);
+    expect(stats.total).toEqual({ documents: 3, links: 5, uniqueLinks: 2, duplicates: 3, checked: 2, broken: 1, fixed: 0 });
+  });
+
+  it('should apply a fix to every occurrence, each written in its own style', () => {
+    const urls = workspace.toDocument().urls.map(url =>
+      url.resolvedURL.endsWith('/old') ? { ...url, status: 'fixed', newURL: 'https://example.com/new' } : url
+    );
+
+    const fixed = workspace.generateFixedDocuments(urls).map(({ fixedDocument }) => fixedDocument.content);
+
+    expect(fixed).toEqual([
+      '[old](https://example.com/new) and [home](https://example.com/)\n',
+      '<a href="../new">old</a>\n<a href="https://example.com/new">again</a>',
+      'See https://example.com/ for more'
+    ]);
+  });
+
+  it('should download the fixed documents as a ZIP', async () => {
+    await add('more/guide.md', 'markdown', '[old](https://example.com/old)');
+    workspace.addDocument({ fileName: 'scan.pdf', fileType: 'pdf', content: '', urls: [] });
+    const urls = workspace.toDocument().urls.map(url =>
+      url.resolvedURL.endsWith('/old') ? { ...url, newURL: 'https://example.com/new' } : url
+    );
+    const writeDocx = vi.fn();
+
+    const result = await workspace.generateZip(urls, writeDocx);
+    const zip = await JSZip.loadAsync(result.data);
+
+    expect(Object.keys(zip.files).filter(path => !zip.files[path].dir).sort()).toEqual([
+      'docs/intro.html', 'guide.md', 'more/guide.md', 'notes.txt'
+    ]);
+    expect(await zip.file('more/guide.md').async('string')).toBe('[old](https://example.com/new)');
+    expect(result.replacements).toBe(4);
+    expect(result.skipped).toEqual(['scan.pdf']);
+    expect(writeDocx).not.toHaveBeenCalled();
+  });
+
+  it('should carry other files from uploaded archives into the ZIP unchanged', async () => {
+    workspace.addFile('docs/images/logo.png', new Uint8Array([137, 80, 78, 71]));
+
+    const result = await workspace.generateZip(workspace.toDocument().urls, vi.fn());
+    const zip = await JSZip.loadAsync(result.data);
+
+    expect(result).toMatchObject({ files: 4, documents: 3 });
+    expect([...await zip.file('docs/images/logo.png').async('uint8array')]).toEqual([137, 80, 78, 71]);
+
+    workspace.clear();
+    expect(workspace.files).toEqual([]);
+  });
+
+  it('should list relative links in a folder by the file they point to and write fixes relative to each document', async () => {
+    workspace.clear();
+    workspace.fileTree = true;
+    await add('site/index.html', 'html', '<a href="docs/old.html#intro">a</a> <img src="images/logo.png">');
+    await add('site/docs/guide.html', 'html', '<a href="old.html">b</a> <a href="/docs/old.html#top">c</a>');
+    workspace.addFile('site/images/logo.png', new Uint8Array([1]));
+
+    expect(workspace.getLocalFiles().paths).toEqual(new Set(['site/index.html', 'site/docs/guide.html', 'site/images/logo.png']));
+
+    const urls = workspace.toDocument().urls;
+    expect(urls.map(url => [url.key, url.occurrences.length])).toEqual([
+      ['local:site/docs/old.html', 3],
+      ['local:site/images/logo.png', 1]
+    ]);
+
+    // The suggestion is written relative to the first document the link occurs in
+    urls[0] = { ...urls[0], status: 'missing-local', replacementURL: 'docs/guide.html', replacementSource: 'local' };
+    const fixed = workspace.generateFixedDocuments(urls).map(({ fixedDocument }) => fixedDocument.content);
+
+    expect(fixed).toEqual([
+      '<a href="docs/guide.html#intro">a</a> <img src="images/logo.png">',
+      '<a href="guide.html">b</a> <a href="guide.html#top">c</a>'
+    ]);
+    expect(workspace.getStats(urls).total.broken).toBe(1);
+  });
+
+  it('should give documents with the same path unique names in the ZIP', () => {
+    const paths = new Set();
+
+    expect(workspace.getZipPath('https://example.com/a/index.html', paths)).toBe('index.html');
+    expect(workspace.getZipPath('https://example.com/b/index.html', paths)).toBe('index-2.html');
+    expect(workspace.getZipPath('README', paths)).toBe('README');
+    expect(workspace.getZipPath('README', paths)).toBe('README-2');
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { AccessClassifierService } from '../../src/services/AccessClassifierService.js';
+import { URLValidationService } from '../../src/services/URLValidationService.js';
+
+describe('AccessClassifierService', () => {
+  let classifier;
+  let validationService;
+
+  const page = (overrides = {}) => ({
+    status: 200,
+    title: '',
+    finalURL: 'https://example.com/report',
+    redirectChain: [],
+    markers: { passwordField: false, captcha: false, paywall: false, text: '' },
+    ...overrides
+  });
+
+  beforeEach(() => {
+    validationService = new URLValidationService();
+    vi.spyOn(validationService, 'checkProxyAvailability').mockResolvedValue(true);
+    vi.spyOn(validationService, 'validateURLViaHeadless').mockResolvedValue(page());
+    classifier = new AccessClassifierService(validationService);
+  });
+
+  it('should classify from response headers without loading the page', async () => {
+    const url = 'https://example.com/report';
+
+    expect(await classifier.classify(url, { status: 403, headers: { 'cf-mitigated': 'challenge' } }))
+      .toEqual({ status: 'protected', signals: ['cf-mitigated'] });
+    expect(await classifier.classify(url, { status: 401, headers: {} }))
+      .toEqual({ status: 'auth-required', signals: ['http-401'] });
+    expect(await classifier.classify(url, { status: 402, headers: {} }))
+      .toEqual({ status: 'paywalled', signals: ['http-402'] });
+    expect(validationService.validateURLViaHeadless).not.toHaveBeenCalled();
+  });
+
+  it('should treat links that redirect to a login page as auth-required', async () => {
+    const result = await classifier.classify('https://wiki.example.com/spaces/docs', {
+      status: 200,
+      headers: {},
+      finalURL: 'https://sso.example.com/idp/start?return=%2Fspaces%2Fdocs',
+      redirectChain: [
+        { url: 'https://wiki.example.com/spaces/docs', status: 302 },
+        { url: 'https://sso.example.com/idp/start?return=%2Fspaces%2Fdocs', status: 200 }
+      ]
+    });
+
+    expect(result).toEqual({ status: 'auth-required', signals: ['login-redirect'] });
+  });
+
+  it('should tell challenges, login forms and paywalls apart from what the headless proxy saw', async () => {
+    const url = 'https://example.com/report';
+    const blocked = { status: 403, headers: { server: 'cloudflare' } };
+
+    validationService.validateURLViaHeadless.mockResolvedValueOnce(page({ status: 403, title: 'Just a moment...' }));
+    expect(await classifier.classify(url, blocked)).toEqual({ status: 'protected', signals: ['server-cloudflare', 'challenge-page'] });
+
+    validationService.validateURLViaHeadless.mockResolvedValueOnce(page({ title: 'Sign in to Example', markers: { passwordField: true } }));
+    expect(await classifier.classify(url, { status: 403, headers: {} })).toEqual({ status: 'auth-required', signals: ['login-form'] });
+
+    validationService.validateURLViaHeadless.mockResolvedValueOnce(page({ markers: { text: 'Subscribe to continue reading. Already a subscriber? Log in' } }));
+    expect(await classifier.classify(url, { status: 403, headers: {} })).toEqual({ status: 'paywalled', signals: ['paywall'] });
+
+    validationService.validateURLViaHeadless.mockResolvedValueOnce(page());
+    expect(await classifier.classify(url, { status: 403, headers: {} })).toEqual({ status: 'protected', signals: ['opens-in-browser'] });
+  });
+
+  it('should leave real errors alone', async () => {
+    validationService.validateURLViaHeadless.mockResolvedValue(page({ status: 404, title: 'Page not found' }));
+
+    expect(await classifier.classify('https://example.com/gone', { status: 404, headers: {} })).toBeNull();
+    expect(await classifier.classify('https://example.com/gone', { status: 403, headers: {} })).toBeNull();
+  });
+
+  it('should not trust a bot-protection server header on its own when the proxy is not available', async () => {
+    validationService.checkProxyAvailability.mockResolvedValue(false);
+
+    expect(await classifier.classify('https://example.com/a', { status: 403, headers: { server: 'AkamaiGHost' } })).toBeNull();
+    expect(await classifier.classify('https://example.com/a', { status: 503, headers: { server: 'cloudflare' } })).toBeNull();
+    expect(await classifier.classify('https://example.com/a', { status: 403, headers: { server: 'cloudflare', 'cf-mitigated': 'challenge' } }))
+      .toEqual({ status: 'protected', signals: ['cf-mitigated'] });
+    expect(await classifier.classify('https://www.linkedin.com/in/someone', { status: 999, headers: {} }))
+      .toEqual({ status: 'protected', signals: ['http-999'] });
+  });
+});
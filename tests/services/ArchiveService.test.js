@@ -0,0 +1,87 @@
+/**
+ * Tests for ArchiveService
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import JSZip from 'jszip';
+import { ArchiveService } from '../../src/services/ArchiveService.js';
+import { DocumentParserService } from '../../src/services/DocumentParserService.js';
+
+describe('ArchiveService', () => {
+  let archiveService;
+
+  const zipFile = async (files, name = 'space.zip') => {
+    const zip = new JSZip();
+    Object.entries(files).forEach(([path, content]) => zip.file(path, content));
+    zip.folder('empty');
+    return new File([await zip.generateAsync({ type: 'arraybuffer' })], name, { type: 'application/zip' });
+  };
+
+  // Minimal stand-ins for the entries webkitGetAsEntry returns
+  const fileEntry = (fullPath, content) => ({
+    isFile: true,
+    isDirectory: false,
+    fullPath,
+    file: (resolve) => resolve(new File([content], fullPath.split('/').pop(), { type: 'text/html' }))
+  });
+  const directoryEntry = (fullPath, children) => ({
+    isFile: false,
+    isDirectory: true,
+    fullPath,
+    createReader: () => {
+      const batches = [children.slice(0, 1), children.slice(1), []];
+      return { readEntries: (resolve) => resolve(batches.shift()) };
+    }
+  });
+
+  beforeEach(() => {
+    archiveService = new ArchiveService(new DocumentParserService());
+  });
+
+  it('should recognize ZIP archives by type or extension', () => {
+    expect(archiveService.isArchive({ name: 'export', type: 'application/zip' })).toBe(true);
+    expect(archiveService.isArchive({ name: 'Site.ZIP', type: '' })).toBe(true);
+    expect(archiveService.isArchive({ name: 'page.html', type: 'text/html' })).toBe(false);
+  });
+
+  it('should unpack supported documents with their archive paths and keep other files as bytes', async () => {
+    const archive = await zipFile({
+      'index.html': '<a href="https://example.com/">home</a>',
+      'docs/guide.md': '[old](https://example.com/old)',
+      'docs/images/logo.png': 'PNG',
+      '__MACOSX/docs/._guide.md': 'fork',
+      'docs/.DS_Store': 'junk'
+    });
+
+    const { documents, others } = await archiveService.extract(archive);
+
+    expect(documents.map(file => file.name)).toEqual(['index.html', 'docs/guide.md']);
+    expect(others.map(file => file.path)).toEqual(['docs/images/logo.png']);
+    expect(new TextDecoder().decode(others[0].data)).toBe('PNG');
+  });
+
+  it('should expand archives in a batch and report ones that cannot be read', async () => {
+    const page = new File(['<p>hi</p>'], 'page.html', { type: 'text/html' });
+    const broken = new File(['not a zip'], 'broken.zip', { type: 'application/zip' });
+
+    const result = await archiveService.expand([page, await zipFile({ 'a/readme.txt': 'https://example.com/' }), broken]);
+
+    expect(result.documents.map(file => file.name)).toEqual(['page.html', 'a/readme.txt']);
+    expect(result.failed).toEqual(['broken.zip (not a readable ZIP archive)']);
+  });
+
+  it('should read dropped folders recursively, naming files by their relative path', async () => {
+    const entries = [
+      directoryEntry('/site', [
+        fileEntry('/site/index.html', '<p></p>'),
+        directoryEntry('/site/docs', [fileEntry('/site/docs/setup.html', '<p></p>'), fileEntry('/site/docs/.DS_Store', '')])
+      ]),
+      fileEntry('/notes.md', '# Notes')
+    ];
+
+    const files = await archiveService.readEntries(entries);
+
+    expect(files.map(file => file.name)).toEqual(['site/index.html', 'site/docs/setup.html', 'notes.md']);
+    expect(files[0].type).toBe('text/html');
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Tests for CrawlerService
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { CrawlerService } from '../../src/services/CrawlerService.js';
+import { RobotsService } from '../../src/services/RobotsService.js';
+import { DocumentParserService } from '../../src/services/DocumentParserService.js';
+
+describe('CrawlerService', () => {
+  let crawler;
+
+  const page = (...links) => `<html><body>\n${links.map(link => `<a href="${link}">link</a>`).join('\n')}\n</body></html>`;
+
+  const site = {
+    'https://site.test/robots.txt': { text: 'User-agent: *\nDisallow: /private/' },
+    'https://site.test/': { text: page('/docs/', '/about#team', '/private/notes', 'https://other.test/', '/files/guide.pdf', 'mailto:hi@site.test') },
+    'https://site.test/docs/': { text: page('/', '/docs/setup', 'https://other.test/gone') },
+    'https://site.test/about': { text: page('https://other.test/gone', '/missing') },
+    'https://site.test/docs/setup': { text: page('/docs/deep') },
+    'https://site.test/missing': { status: 404, statusText: 'Not Found', text: '' },
+    'https://site.test/docs/deep': { text: page() }
+  };
+
+  beforeEach(() => {
+    global.fetch = vi.fn(async (proxyURL) => {
+      const url = new URL(proxyURL).searchParams.get('url');
+      const entry = site[url];
+      return {
+        ok: true,
+        json: async () => (entry
+          ? { url, status: entry.status || 200, statusText: entry.statusText || 'OK', contentType: 'text/html', finalUrl: url, text: entry.text }
+          : { url, status: 404, statusText: 'Not Found', contentType: 'text/html', finalUrl: url, text: '' })
+      };
+    });
+
+    crawler = new CrawlerService(new DocumentParserService(), new RobotsService());
+  });
+
+  describe('crawl', () => {
+    it('should follow same-origin page links breadth first up to the depth limit', async () => {
+      const crawl = await crawler.crawl('https://site.test/', { maxDepth: 2 });
+
+      expect(crawl.pages.map(p => [p.url, p.depth])).toEqual([
+        ['https://site.test/', 0],
+        ['https://site.test/docs/', 1],
+        ['https://site.test/about', 1],
+        ['https://site.test/docs/setup', 2],
+        ['https://site.test/missing', 2]
+      ]);
+      expect(crawl.blocked).toEqual(['https://site.test/private/notes']);
+      expect(crawl.pages[4].error).toBe('HTTP 404 Not Found');
+      expect(crawl.truncated).toBe(false);
+    });
+
+    it('should stop at the page budget', async () => {
+      const onPage = vi.fn();
+      const crawl = await crawler.crawl('https://site.test/', { maxDepth: 5, maxPages: 2, onPage });
+
+      expect(crawl.pages).toHaveLength(2);
+      expect(crawl.truncated).toBe(true);
+      expect(onPage).toHaveBeenLastCalledWith(crawl.pages[1], expect.objectContaining({ crawled: 2, maxPages: 2 }));
+    });
+
+    it('should not crawl pages that are not HTML', async () => {
+      global.fetch.mockImplementationOnce(async () => ({ ok: true, json: async () => ({ status: 200, text: '' }) }))
+        .mockImplementationOnce(async () => ({ ok: true, json: async () => ({ status: 200, contentType: 'application/json', text: '{}' }) }));
+
+      const crawl = await crawler.crawl('https://site.test/');
+      expect(crawl.pages).toEqual([]);
+    });
+  });
+
+  describe('report', () => {
+    it('should list each distinct link once with the pages it was found on', async () => {
+      const document = crawler.toDocument(await crawler.crawl('https://site.test/', { maxDepth: 1 }));
+      const gone = document.urls.find(url => url.resolvedURL === 'https://other.test/gone');
+
+      expect(document.fileType).toBe('crawl');
+      expect(document.urls.some(url => url.resolvedURL.startsWith('mailto:'))).toBe(false);
+      expect(gone.foundOn.map(location => location.page)).toEqual(['https://site.test/docs/', 'https://site.test/about']);
+      expect(document.crawl.pages[0]).not.toHaveProperty('urls');
+    });
+
+    it('should report broken links per page and site-wide', async () => {
+      const document = crawler.toDocument(await crawler.crawl('https://site.test/', { maxDepth: 1 }));
+      const results = document.urls.map(url => ({
+        ...url,
+        status: ['https://other.test/gone', 'https://site.test/missing'].includes(url.resolvedURL) ? 'invalid' : 'valid',
+        statusCode: 404
+      }));
+
+      const report = crawler.buildReport(document, results);
+
+      expect(report.summary).toMatchObject({ pages: 3, pagesWithBrokenLinks: 2, blocked: 1, uniqueLinks: results.length, broken: 2 });
+      expect(report.summary.links).toBeGreaterThan(report.summary.uniqueLinks);
+      expect(report.brokenLinks[0]).toMatchObject({ url: 'https://other.test/gone', pages: ['https://site.test/docs/', 'https://site.test/about'] });
+      expect(report.pages.find(p => p.url === 'https://site.test/about').broken.map(link => link.url))
+        .toEqual(['https://other.test/gone', 'https://site.test/missing']);
+    });
+  });
+});
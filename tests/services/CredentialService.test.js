@@ -0,0 +1,90 @@
+/**
+ * Tests for CredentialService
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { CredentialService } from '../../src/services/CredentialService.js';
+
+describe('CredentialService', () => {
+  let credentials;
+  let settings;
+  let mockStorage;
+
+  beforeEach(() => {
+    settings = new Map();
+    mockStorage = {
+      storeSetting: vi.fn(async (key, value) => settings.set(key, JSON.parse(JSON.stringify(value)))),
+      getSetting: vi.fn(async (key, defaultValue) => settings.has(key) ? settings.get(key) : defaultValue)
+    };
+    credentials = new CredentialService(mockStorage);
+  });
+
+  describe('host matching', () => {
+    it('should hand out credentials only for the hosts of a profile', async () => {
+      await credentials.addProfile({ hosts: 'https://wiki.corp.test/, *.intranet.test', type: 'bearer', token: 'secret' });
+
+      expect(credentials.getCredentials('https://wiki.corp.test/display/ENG')).toEqual({
+        hosts: ['wiki.corp.test', '*.intranet.test'],
+        headers: { Authorization: 'Bearer secret' }
+      });
+      expect(credentials.getCredentials('http://jira.intranet.test/browse/X-1')).not.toBeNull();
+      expect(credentials.getCredentials('https://intranet.test/')).toBeNull();
+      expect(credentials.getCredentials('https://wiki.corp.test.evil.test/')).toBeNull();
+      expect(credentials.getCredentials('ftp://wiki.corp.test/file')).toBeNull();
+    });
+
+    it('should skip disabled profiles', async () => {
+      const profile = await credentials.addProfile({ hosts: ['wiki.corp.test'], type: 'cookie', cookie: 'session=1' });
+      await credentials.updateProfile(profile.id, { enabled: false });
+
+      expect(credentials.getCredentials('https://wiki.corp.test/')).toBeNull();
+    });
+  });
+
+  describe('request headers', () => {
+    it('should build headers for every profile type', () => {
+      const headers = (profile) => credentials.toHeaders(credentials.normalize({ hosts: 'a.test', ...profile }));
+
+      expect(headers({ type: 'bearer', token: 't0k' })).toEqual({ Authorization: 'Bearer t0k' });
+      expect(headers({ type: 'cookie', cookie: 'a=1; b=2' })).toEqual({ Cookie: 'a=1; b=2' });
+      expect(headers({ type: 'basic', username: 'jürgen', password: 'pw' })).toEqual({ Authorization: 'Basic asO8cmdlbjpwdw==' });
+      expect(headers({ type: 'headers', headers: 'X-Api-Key: abc\nX-Team:  docs ' })).toEqual({ 'X-Api-Key': 'abc', 'X-Team': 'docs' });
+    });
+
+    it('should reject profiles without hosts or credentials', async () => {
+      await expect(credentials.addProfile({ hosts: '', type: 'bearer', token: 'x' })).rejects.toThrow('at least one host');
+      await expect(credentials.addProfile({ hosts: 'a.test', type: 'bearer' })).rejects.toThrow('needs headers');
+      expect(credentials.getProfiles()).toEqual([]);
+    });
+  });
+
+  describe('passphrase encryption', () => {
+    it('should store encrypted profiles that stay locked until the passphrase is given', async () => {
+      await credentials.addProfile({ hosts: 'wiki.corp.test', type: 'bearer', token: 'secret' });
+      await credentials.setPassphrase('correct horse');
+
+      const stored = settings.get('credentialProfiles');
+      expect(stored.encrypted).toBe(true);
+      expect(JSON.stringify(stored)).not.toContain('secret');
+
+      const reloaded = new CredentialService(mockStorage);
+      await reloaded.load();
+      expect(reloaded.isLocked()).toBe(true);
+      expect(reloaded.getCredentials('https://wiki.corp.test/')).toBeNull();
+      await expect(reloaded.addProfile({ hosts: 'b.test', type: 'bearer', token: 'x' })).rejects.toThrow('locked');
+
+      await expect(reloaded.unlock('wrong')).rejects.toThrow('Wrong passphrase');
+      await reloaded.unlock('correct horse');
+      expect(reloaded.getCredentials('https://wiki.corp.test/').headers).toEqual({ Authorization: 'Bearer secret' });
+    });
+
+    it('should store profiles in plain text again when the passphrase is removed', async () => {
+      await credentials.addProfile({ hosts: 'wiki.corp.test', type: 'cookie', cookie: 'session=1' });
+      await credentials.setPassphrase('pass');
+      await credentials.setPassphrase('');
+
+      expect(settings.get('credentialProfiles')).toMatchObject({ encrypted: false, profiles: [{ hosts: ['wiki.corp.test'] }] });
+      expect(credentials.isEncrypted()).toBe(false);
+    });
+  });
+});
@@ -68,16 +68,13 @@ describe('DocumentParserService', () => {
       `;
 
       const urls = parserService.parseHTMLContent(htmlContent);
-      // Extracts URLs from both href attributes and text content (duplicates)
-      expect(urls).toHaveLength(4);
+      expect(urls).toHaveLength(2);
       expect(urls[0].originalURL).toBe('https://example.com');
       expect(urls[0].type).toBe('href');
+      expect(urls[0].linkText).toBe('Link');
       expect(urls[1].originalURL).toBe('https://test.com/page');
       expect(urls[1].type).toBe('href');
-      expect(urls[2].originalURL).toBe('https://example.com');
-      expect(urls[2].type).toBe('text');
-      expect(urls[3].originalURL).toBe('https://test.com/page');
-      expect(urls[3].type).toBe('text');
+      expect(urls[1].linkText).toBe('Another Link');
     });
 
     it('should extract src URLs from HTML', () => {
@@ -91,16 +88,13 @@ describe('DocumentParserService', () => {
       `;
 
       const urls = parserService.parseHTMLContent(htmlContent);
-      // Extracts URLs from both src attributes and text content (duplicates)
-      expect(urls).toHaveLength(4);
+      expect(urls).toHaveLength(2);
       expect(urls[0].originalURL).toBe('https://example.com/image.jpg');
       expect(urls[0].type).toBe('src');
+      expect(urls[0].element).toBe('img');
       expect(urls[1].originalURL).toBe('https://cdn.example.com/script.js');
       expect(urls[1].type).toBe('src');
-      expect(urls[2].originalURL).toBe('https://example.com/image.jpg');
-      expect(urls[2].type).toBe('text');
-      expect(urls[3].originalURL).toBe('https://cdn.example.com/script.js');
-      expect(urls[3].type).toBe('text');
+      expect(urls[1].element).toBe('script');
     });
 
     it('should extract standard URLs from HTML text', () => {
@@ -124,12 +118,12 @@ describe('DocumentParserService', () => {
       const htmlContent = `<a href="https://example.com">Link</a>`;
 
       const urls = parserService.parseHTMLContent(htmlContent);
-      // Extracts URL from both href attribute and text content
-      expect(urls).toHaveLength(2);
+      expect(urls).toHaveLength(1);
       expect(urls[0].line).toBe(1);
-      expect(urls[0].column).toBeGreaterThan(0);
-      expect(urls[1].line).toBe(1);
-      expect(urls[1].column).toBeGreaterThan(0);
+      expect(urls[0].column).toBe(9);
+      expect(urls[0].start).toBe(9);
+      expect(urls[0].end).toBe(28);
+      expect(htmlContent.slice(urls[0].start, urls[0].end)).toBe('https://example.com');
     });
 
     it('should skip anchor links (URLs starting with #)', () => {
@@ -146,16 +140,11 @@ describe('DocumentParserService', () => {
       `;
 
       const urls = parserService.parseHTMLContent(htmlContent);
-      // Extracts URLs from both href attributes and text content (duplicates)
-      expect(urls).toHaveLength(4);
+      expect(urls).toHaveLength(2);
       expect(urls[0].originalURL).toBe('https://example.com');
       expect(urls[0].type).toBe('href');
       expect(urls[1].originalURL).toBe('https://test.com');
       expect(urls[1].type).toBe('href');
-      expect(urls[2].originalURL).toBe('https://example.com');
-      expect(urls[2].type).toBe('text');
-      expect(urls[3].originalURL).toBe('https://test.com');
-      expect(urls[3].type).toBe('text');
 
       // Verify anchor links are not included
       const anchorLinks = urls.filter(url => url.originalURL.startsWith('#'));
@@ -176,16 +165,12 @@ describe('DocumentParserService', () => {
 
       const urls = parserService.parseHTMLContent(htmlContent);
 
-      // Should only include the two website URLs (from both href and text extraction)
-      expect(urls).toHaveLength(4);
+      // Should only include the two website URLs
+      expect(urls).toHaveLength(2);
       expect(urls[0].originalURL).toBe('https://example.com');
       expect(urls[0].type).toBe('href');
       expect(urls[1].originalURL).toBe('https://test.com');
       expect(urls[1].type).toBe('href');
-      expect(urls[2].originalURL).toBe('https://example.com');
-      expect(urls[2].type).toBe('text');
-      expect(urls[3].originalURL).toBe('https://test.com');
-      expect(urls[3].type).toBe('text');
 
       // Verify mailto: and tel: URLs are not included
       const mailtoUrls = urls.filter(url => url.originalURL.startsWith('mailto:'));
@@ -193,6 +178,81 @@ describe('DocumentParserService', () => {
       expect(mailtoUrls).toHaveLength(0);
       expect(telUrls).toHaveLength(0);
     });
+
+    it('should classify srcset, meta refresh, link rel, form and media URLs', () => {
+      const htmlContent = `<head>
+  <meta http-equiv="refresh" content="5; url=https://example.com/moved">
+  <link rel="canonical" href="https://example.com/page">
+  <link rel="alternate" hreflang="de" href="https://example.com/de/page">
+  <link rel="stylesheet" href="https://cdn.example.com/site.css">
+</head>
+<body>
+  <img src="https://example.com/small.jpg" srcset="https://example.com/small.jpg 1x, https://example.com/large.jpg 2x">
+  <form action="https://example.com/submit"><button formaction="https://example.com/alt">Go</button></form>
+  <video poster="https://example.com/poster.png"><source src="https://example.com/clip.mp4"></video>
+  <object data="https://example.com/movie.swf"></object>
+  <blockquote cite="https://example.com/quote">Quoted</blockquote>
+  <div style="background: url('https://example.com/bg.png')"></div>
+</body>`;
+
+      const urls = parserService.parseHTMLContent(htmlContent);
+      const summary = urls.map(url => [url.type, url.originalURL]);
+
+      expect(summary).toEqual([
+        ['meta-refresh', 'https://example.com/moved'],
+        ['canonical', 'https://example.com/page'],
+        ['alternate', 'https://example.com/de/page'],
+        ['stylesheet', 'https://cdn.example.com/site.css'],
+        ['src', 'https://example.com/small.jpg'],
+        ['srcset', 'https://example.com/small.jpg'],
+        ['srcset', 'https://example.com/large.jpg'],
+        ['form-action', 'https://example.com/submit'],
+        ['form-action', 'https://example.com/alt'],
+        ['poster', 'https://example.com/poster.png'],
+        ['source', 'https://example.com/clip.mp4'],
+        ['object-data', 'https://example.com/movie.swf'],
+        ['cite', 'https://example.com/quote'],
+        ['style-url', 'https://example.com/bg.png']
+      ]);
+
+      urls.forEach(url => {
+        expect(htmlContent.slice(url.start, url.end)).toBe(url.originalURL);
+      });
+      expect(urls[6]).toMatchObject({ element: 'img', attribute: 'srcset', line: 8 });
+    });
+
+    it('should read attributes that span several lines', () => {
+      const htmlContent = `<a class="nav"
+   href="https://example.com/docs"
+   title="Docs">Docs</a>`;
+
+      const urls = parserService.parseHTMLContent(htmlContent);
+      expect(urls).toHaveLength(1);
+      expect(urls[0]).toMatchObject({ type: 'href', element: 'a', attribute: 'href', line: 2, column: 9 });
+    });
+
+    it('should decode character references in attribute values', () => {
+      const htmlContent = '<a href="../up.html?a=1&amp;b=2">Up</a> <div style="background:url(&quot;q.png&quot;)"></div>';
+
+      const urls = parserService.parseHTMLContent(htmlContent);
+      expect(urls.map(url => url.originalURL)).toEqual(['../up.html?a=1&b=2', 'q.png']);
+      expect(urls[0]).toMatchObject({ start: 9, end: 31, sourceText: '../up.html?a=1&amp;b=2' });
+      expect(htmlContent.slice(urls[1].start, urls[1].end)).toBe('q.png');
+      expect(urls[1].sourceText).toBeUndefined();
+    });
+
+    it('should skip URLs inside comments and scripts', () => {
+      const htmlContent = `<!-- old link: https://old.example.com -->
+<script>fetch('https://api.example.com/data');</script>
+<style>body { background: url(https://example.com/bg.png); }</style>
+<p>See https://example.com/visible</p>`;
+
+      const urls = parserService.parseHTMLContent(htmlContent);
+      expect(urls.map(url => [url.type, url.originalURL])).toEqual([
+        ['style-url', 'https://example.com/bg.png'],
+        ['text', 'https://example.com/visible']
+      ]);
+    });
   });
 
   describe('CSS parsing', () => {
@@ -221,17 +281,16 @@ describe('DocumentParserService', () => {
   describe('Markdown parsing', () => {
     it('should extract URLs from Markdown links', () => {
       const markdownContent = `
-        # Title
-        
-        Check out [Example](https://example.com) for more info.
-        Also visit [Test Site](https://test.org/page).
-        
-        Direct link: https://direct.com
-      `;
+# Title
+
+Check out [Example](https://example.com) for more info.
+Also visit [Test Site](https://test.org/page).
+
+Direct link: https://direct.com
+`;
       
       const urls = parserService.parseMarkdownContent(markdownContent);
-      // Extracts URLs from both markdown links and text content (duplicates)
-      expect(urls).toHaveLength(5);
+      expect(urls).toHaveLength(3);
 
       // Markdown link
       expect(urls[0].originalURL).toBe('https://example.com');
@@ -246,43 +305,475 @@ describe('DocumentParserService', () => {
       // Direct URL
       expect(urls[2].originalURL).toBe('https://direct.com');
       expect(urls[2].type).toBe('text');
-
-      // Duplicates from text extraction
-      expect(urls[3].originalURL).toBe('https://example.com');
-      expect(urls[3].type).toBe('text');
-      expect(urls[4].originalURL).toBe('https://test.org/page');
-      expect(urls[4].type).toBe('text');
     });
 
     it('should skip anchor links in Markdown content', () => {
       const markdownContent = `
-        # Table of Contents
+# Table of Contents
 
-        - [Section 1](#section1)
-        - [Section 2](#section2)
-        - [External Link](https://example.com)
-        - [Another Anchor](#top)
+- [Section 1](#section1)
+- [Section 2](#section2)
+- [External Link](https://example.com)
+- [Another Anchor](#top)
 
-        Visit https://test.com for more info.
-      `;
+Visit https://test.com for more info.
+`;
 
       const urls = parserService.parseMarkdownContent(markdownContent);
-      // Extracts URLs from both markdown links and text content (duplicates)
-      expect(urls).toHaveLength(3);
+      expect(urls).toHaveLength(2);
 
       // Only external links should be included
       expect(urls[0].originalURL).toBe('https://example.com');
       expect(urls[0].type).toBe('markdown-link');
       expect(urls[1].originalURL).toBe('https://test.com');
       expect(urls[1].type).toBe('text');
-      expect(urls[2].originalURL).toBe('https://example.com');
-      expect(urls[2].type).toBe('text');
-      expect(urls[1].type).toBe('text');
 
       // Verify anchor links are not included
       const anchorLinks = urls.filter(url => url.originalURL.startsWith('#'));
       expect(anchorLinks).toHaveLength(0);
     });
+
+    it('should extract reference links, images, autolinks and titles', () => {
+      const markdownContent = [
+        'See the [user guide][guide] and the [Guide][] again.',
+        '![Logo](https://example.com/logo.png "Company logo")',
+        'Contact <https://example.com/contact> or read [Wiki](<https://example.com/a page>).',
+        'Also [Parens](https://en.example.org/wiki/Foo_(bar)).',
+        '',
+        '[guide]: https://example.com/guide "The guide"'
+      ].join('\n');
+
+      const urls = parserService.parseMarkdownContent(markdownContent);
+
+      expect(urls.map(url => [url.type, url.originalURL])).toEqual([
+        ['markdown-image', 'https://example.com/logo.png'],
+        ['autolink', 'https://example.com/contact'],
+        ['markdown-link', 'https://example.com/a page'],
+        ['markdown-link', 'https://en.example.org/wiki/Foo_(bar)'],
+        ['markdown-reference', 'https://example.com/guide']
+      ]);
+      expect(urls[0]).toMatchObject({ linkText: 'Logo', title: 'Company logo', line: 2, column: 8 });
+      expect(urls[4]).toMatchObject({ referenceLabel: 'guide', referenceCount: 2, linkText: 'user guide', title: 'The guide', line: 6 });
+
+      urls.forEach(url => {
+        expect(markdownContent.slice(url.start, url.end)).toBe(url.originalURL);
+      });
+    });
+
+    it('should skip URLs in code spans and fenced code blocks', () => {
+      const markdownContent = [
+        'Run `curl https://api.example.com/v1` first.',
+        '```bash',
+        'curl https://internal.example.com/[x](https://y.example.com)',
+        '```',
+        '~~~',
+        '[ref]: https://fenced.example.com',
+        '~~~',
+        'Then visit [Docs](https://example.com/docs).'
+      ].join('\n');
+
+      const urls = parserService.parseMarkdownContent(markdownContent);
+
+      expect(urls.map(url => url.originalURL)).toEqual(['https://example.com/docs']);
+      expect(urls[0].line).toBe(8);
+    });
+
+    it('should skip indented code blocks but not indented list or paragraph text', () => {
+      const markdownContent = [
+        'Example:',
+        '',
+        '    curl https://code.example.com/[x](https://y.example.com)',
+        '',
+        '\t[ref]: https://tab.example.com',
+        'A paragraph that',
+        '    continues at https://lazy.example.com',
+        '',
+        '- A list item',
+        '',
+        '    with [more](https://item.example.com)',
+        '',
+        '        and https://item-code.example.com',
+        '',
+        'Back to [Docs](https://example.com/docs).'
+      ].join('\n');
+
+      const urls = parserService.parseMarkdownContent(markdownContent);
+
+      expect(urls.map(url => url.originalURL)).toEqual([
+        'https://lazy.example.com',
+        'https://item.example.com',
+        'https://example.com/docs'
+      ]);
+    });
+
+    it('should rewrite every usage of a fixed reference definition', async () => {
+      const { DocumentModel } = await import('../../src/models/DocumentModel.js');
+      const markdownContent = 'Read [one][docs], [two][docs] and [docs].\n\n[docs]: https://example.com/old-docs\n';
+      const urls = parserService.parseMarkdownContent(markdownContent);
+
+      expect(urls).toHaveLength(1);
+      expect(urls[0].referenceCount).toBe(3);
+
+      const documentModel = new DocumentModel(null);
+      await documentModel.loadDocument({ fileName: 'a.md', fileType: 'markdown', fileSize: 0, content: markdownContent, urls });
+      documentModel.updateURL(documentModel.urls[0].id, { newURL: 'https://example.com/docs' });
+
+      const fixed = documentModel.generateFixedDocument();
+      expect(fixed.content).toBe('Read [one][docs], [two][docs] and [docs].\n\n[docs]: https://example.com/docs\n');
+    });
+  });
+
+  describe('PDF parsing', () => {
+    const deflate = async (text) => {
+      const stream = new Response(new TextEncoder().encode(text)).body.pipeThrough(new CompressionStream('deflate'));
+      return new Uint8Array(await new Response(stream).arrayBuffer());
+    };
+
+    // Build a small PDF with one page per content stream; streams may be raw text or deflated bytes
+    const buildPDF = (pages) => {
+      const encoder = new TextEncoder();
+      const objects = [];
+      const pageRefs = [];
+
+      objects.push('<< /Type /Catalog /Pages 2 0 R >>');
+      objects.push(null); // Pages node, filled in below
+      objects.push('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>');
+
+      pages.forEach(page => {
+        const contentNum = objects.length + 1;
+        const annotNums = (page.links || []).map((_, i) => contentNum + 1 + i);
+        const pageNum = contentNum + 1 + annotNums.length;
+
+        const body = page.compressed ? page.content : encoder.encode(page.content);
+        const filter = page.compressed ? ' /Filter /FlateDecode' : '';
+        objects.push({ dict: `<< /Length ${body.length}${filter} >>`, body });
+        (page.links || []).forEach(link => {
+          objects.push(`<< /Type /Annot /Subtype /Link /Rect [${link.rect.join(' ')}] /A << /S /URI /URI (${link.url}) >> >>`);
+        });
+        objects.push(`<< /Type /Page /Parent 2 0 R /Contents ${contentNum} 0 R /Resources << /Font << /F1 3 0 R >> >> /Annots [${annotNums.map(n => `${n} 0 R`).join(' ')}] >>`);
+        pageRefs.push(`${pageNum} 0 R`);
+      });
+
+      objects[1] = `<< /Type /Pages /MediaBox [0 0 612 792] /Kids [${pageRefs.join(' ')}] /Count ${pageRefs.length} >>`;
+
+      const chunks = [encoder.encode('%PDF-1.4\n')];
+      let length = chunks[0].length;
+      const push = (chunk) => {
+        const bytes = typeof chunk === 'string' ? encoder.encode(chunk) : chunk;
+        chunks.push(bytes);
+        length += bytes.length;
+      };
+
+      objects.forEach((object, index) => {
+        push(`${index + 1} 0 obj\n`);
+        if (typeof object === 'string') {
+          push(`${object}\n`);
+        } else {
+          push(`${object.dict}\nstream\n`);
+          push(object.body);
+          push('\nendstream\n');
+        }
+        push('endobj\n');
+      });
+      push(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\n%%EOF`);
+
+      const output = new Uint8Array(length);
+      let offset = 0;
+      chunks.forEach(chunk => {
+        output.set(chunk, offset);
+        offset += chunk.length;
+      });
+      return output;
+    };
+
+    it('should extract visible URLs with page numbers and positions', async () => {
+      const pdf = buildPDF([
+        { content: 'BT /F1 12 Tf 72 700 Td (Read the report at https://example.com/whitepaper.pdf today.) Tj ET' },
+        { content: 'BT /F1 12 Tf 72 100 Td [(See ) -250 (https://test.org/page)] TJ ET' }
+      ]);
+
+      const pdfDocument = await parserService.pdfReader.read(pdf);
+      const urls = parserService.parsePDFContent(pdfDocument);
+
+      expect(pdfDocument.pageCount).toBe(2);
+      expect(urls).toHaveLength(2);
+      expect(urls[0].originalURL).toBe('https://example.com/whitepaper.pdf');
+      expect(urls[0].type).toBe('text');
+      expect(urls[0].page).toBe(1);
+      expect(urls[0].line).toBeNull();
+      expect(urls[0].position.y).toBe(92);
+      expect(urls[0].position.x).toBeGreaterThan(72);
+      expect(urls[1].originalURL).toBe('https://test.org/page');
+      expect(urls[1].page).toBe(2);
+      expect(urls[1].position.y).toBe(692);
+    });
+
+    it('should read compressed content streams', async () => {
+      const pdf = buildPDF([
+        { content: await deflate('BT /F1 10 Tf 1 0 0 1 50 400 Tm (Compressed https://compressed.example.com/doc) Tj ET'), compressed: true }
+      ]);
+
+      const pdfDocument = await parserService.pdfReader.read(pdf);
+      const urls = parserService.parsePDFContent(pdfDocument);
+
+      expect(urls).toHaveLength(1);
+      expect(urls[0].originalURL).toBe('https://compressed.example.com/doc');
+      expect(pdfDocument.text).toContain('Compressed https://compressed.example.com/doc');
+    });
+
+    it('should extract link annotation targets with link text', async () => {
+      const pdf = buildPDF([
+        {
+          content: 'BT /F1 12 Tf 72 700 Td (Download the annual report) Tj ET',
+          links: [{ rect: [72, 695, 260, 712], url: 'https://annot.example.org/report' }]
+        }
+      ]);
+
+      const pdfDocument = await parserService.pdfReader.read(pdf);
+      const urls = parserService.parsePDFContent(pdfDocument);
+
+      expect(urls).toHaveLength(1);
+      expect(urls[0].originalURL).toBe('https://annot.example.org/report');
+      expect(urls[0].type).toBe('pdf-link');
+      expect(urls[0].linkText).toBe('Download the annual report');
+      expect(urls[0].page).toBe(1);
+      expect(urls[0].position).toEqual({ x: 72, y: 80 });
+    });
+
+    it('should parse PDF files end to end', async () => {
+      const pdf = buildPDF([
+        { content: 'BT /F1 12 Tf 72 700 Td (Visit https://example.com) Tj ET', links: [{ rect: [72, 690, 200, 710], url: 'https://example.com/' }] }
+      ]);
+      const file = new File([pdf], 'paper.pdf', { type: 'application/pdf' });
+
+      const result = await parserService.parseFile(file);
+
+      expect(result.fileType).toBe('pdf');
+      expect(result.pageCount).toBe(1);
+      expect(result.content).toContain('Visit https://example.com');
+      expect(result.urls.map(url => url.type)).toEqual(['text', 'pdf-link']);
+      expect(result.urls.every(url => url.page === 1)).toBe(true);
+    });
+
+    it('should undo PNG predictors of cross-reference stream rows', () => {
+      // Three /W [1 2 1] xref rows: the first Up-encoded, the others Paeth-encoded
+      const encoded = new Uint8Array([
+        2, 1, 0, 0x0f, 0,
+        4, 0, 1, 0x1d, 0xf1,
+        4, 1, 0xfe, 0xd9, 3
+      ]);
+
+      const rows = parserService.pdfReader.applyPredictor(encoded, { Predictor: 12, Columns: 4 });
+
+      expect([...rows]).toEqual([
+        1, 0, 0x0f, 0,
+        1, 1, 0x2c, 0,
+        2, 0, 5, 3
+      ]);
+    });
+
+    it('should fall back to text parsing for plain string content', () => {
+      const urls = parserService.parsePDFContent('Visit https://example.com');
+      expect(urls).toHaveLength(1);
+      expect(urls[0].line).toBe(1);
+    });
+  });
+
+  describe('DOCX parsing', () => {
+    const HYPERLINK_TYPE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink';
+    const DOCX_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+    const paragraph = (body) => `<w:p><w:pPr><w:jc w:val="left"/></w:pPr>${body}</w:p>`;
+    const run = (text) => `<w:r><w:rPr><w:b/></w:rPr><w:t xml:space="preserve">${text}</w:t></w:r>`;
+    const hyperlink = (id, text) => `<w:hyperlink r:id="${id}">${run(text)}</w:hyperlink>`;
+    const part = (root, body) => `<?xml version="1.0" encoding="UTF-8"?><w:${root} xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">${body}</w:${root}>`;
+    const rels = (links) => `<?xml version="1.0" encoding="UTF-8"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${
+      links.map(([id, target]) => `<Relationship Id="${id}" Type="${HYPERLINK_TYPE}" Target="${target}" TargetMode="External"/>`).join('')
+    }<Relationship Id="rIdStyles" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/></Relationships>`;
+
+    // Build a minimal .docx with hyperlinks in the body and a footer
+    const buildDocx = async () => {
+      const { default: JSZip } = await import('jszip');
+      const zip = new JSZip();
+      zip.file('[Content_Types].xml', '<?xml version="1.0" encoding="UTF-8"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"/>');
+      zip.file('word/document.xml', part('document', `<w:body>${
+        paragraph(run('Read ') + hyperlink('rId1', 'the guide') + run(' today.'))
+      }${
+        paragraph(run('Plain https://plain.example.com/page here'))
+      }</w:body>`));
+      zip.file('word/_rels/document.xml.rels', rels([['rId1', 'https://example.com/guide?a=1&amp;b=2']]));
+      zip.file('word/footer1.xml', part('ftr', paragraph(hyperlink('rId7', 'Contact us'))));
+      zip.file('word/_rels/footer1.xml.rels', rels([['rId7', 'https://example.com/contact']]));
+      zip.file('word/styles.xml', '<w:styles/>');
+      return zip.generateAsync({ type: 'uint8array' });
+    };
+
+    it('should extract hyperlinks from relationship parts with link text', async () => {
+      const docx = await parserService.docxPackage.read(await buildDocx());
+      const urls = parserService.parseDocxContent(docx);
+
+      expect(urls.map(url => url.originalURL)).toEqual([
+        'https://example.com/guide?a=1&b=2',
+        'https://plain.example.com/page',
+        'https://example.com/contact'
+      ]);
+      expect(urls[0]).toMatchObject({ type: 'docx-link', linkText: 'the guide', part: 'word/document.xml', relationshipId: 'rId1', line: 1, column: 5 });
+      expect(urls[1]).toMatchObject({ type: 'text', part: 'word/document.xml', partOffset: 28, line: 2, column: 6 });
+      expect(urls[2]).toMatchObject({ type: 'docx-link', linkText: 'Contact us', part: 'word/footer1.xml', line: 3 });
+    });
+
+    it('should parse DOCX files end to end', async () => {
+      const file = new File([await buildDocx()], 'guide.docx', { type: DOCX_TYPE });
+
+      const result = await parserService.parseFile(file);
+
+      expect(result.fileType).toBe('docx');
+      expect(result.content).toBe('Read the guide today.\nPlain https://plain.example.com/page here\nContact us\n');
+      expect(result.archive).toBeInstanceOf(Uint8Array);
+      expect(result.urls.map(url => url.type)).toEqual(['docx-link', 'text', 'docx-link']);
+    });
+
+    it('should write fixed link targets back without touching other parts', async () => {
+      const { default: JSZip } = await import('jszip');
+      const archive = await buildDocx();
+
+      const { data: fixed, unapplied } = await parserService.writeDocxContent(archive, [
+        { part: 'word/footer1.xml', relationshipId: 'rId7', originalURL: 'https://example.com/contact', newURL: 'https://example.com/contact-us?x=1&y=2' },
+        { part: 'word/document.xml', relationshipId: null, partOffset: 28, originalURL: 'https://plain.example.com/page', newURL: 'https://plain.example.com/new-page' }
+      ]);
+      expect(unapplied).toEqual([]);
+      const zip = await JSZip.loadAsync(fixed);
+
+      const footerRels = await zip.file('word/_rels/footer1.xml.rels').async('string');
+      expect(footerRels).toContain('Target="https://example.com/contact-us?x=1&amp;y=2"');
+      expect(footerRels).toContain('Target="styles.xml"');
+
+      const documentRels = await zip.file('word/_rels/document.xml.rels').async('string');
+      expect(documentRels).toContain('Target="https://example.com/guide?a=1&amp;b=2"');
+
+      const body = await zip.file('word/document.xml').async('string');
+      expect(body).toContain('<w:t xml:space="preserve">Plain https://plain.example.com/new-page here</w:t>');
+      expect(body).toContain('<w:rPr><w:b/></w:rPr>');
+
+      const reparsed = parserService.parseDocxContent(await parserService.docxPackage.read(fixed));
+      expect(reparsed.map(url => url.originalURL)).toEqual([
+        'https://example.com/guide?a=1&b=2',
+        'https://plain.example.com/new-page',
+        'https://example.com/contact-us?x=1&y=2'
+      ]);
+    });
+
+    it('should rewrite only the text occurrence a fix was made for', async () => {
+      const { default: JSZip } = await import('jszip');
+      const zip = new JSZip();
+      zip.file('word/document.xml', part('document', `<w:body>${
+        paragraph(run('See https://a.example.com/x and https://a.example.com/x'))
+      }${
+        paragraph(run('Then ') + run('https://a.example.com/x'))
+      }</w:body>`));
+      const archive = await zip.generateAsync({ type: 'uint8array' });
+      const urls = parserService.parseDocxContent(await parserService.docxPackage.read(archive));
+      expect(urls.map(url => url.partOffset)).toEqual([4, 32, 61]);
+
+      const { data: fixed } = await parserService.writeDocxContent(archive, [
+        { part: 'word/document.xml', partOffset: 32, originalURL: 'https://a.example.com/x', newURL: 'https://a.example.com/y' },
+        { part: 'word/document.xml', partOffset: 61, originalURL: 'https://a.example.com/x', newURL: 'https://a.example.com/z' }
+      ]);
+
+      const reparsed = parserService.parseDocxContent(await parserService.docxPackage.read(fixed));
+      expect(reparsed.map(url => url.originalURL)).toEqual([
+        'https://a.example.com/x',
+        'https://a.example.com/y',
+        'https://a.example.com/z'
+      ]);
+    });
+
+    it('should rewrite targets by their own quote and report fixes that were not written', async () => {
+      const { default: JSZip } = await import('jszip');
+      const zip = new JSZip();
+      zip.file('word/document.xml', part('document', `<w:body>${
+        paragraph(hyperlink('rId1', 'Profile') + hyperlink('rId2', 'Quotes') + run('Split https://split.') + run('example.com/x'))
+      }</w:body>`));
+      zip.file('word/_rels/document.xml.rels', rels([['rId1', "https://example.com/o'brien"]])
+        .replace('</Relationships>', `<Relationship Id='rId2' Type='${HYPERLINK_TYPE}' Target='https://example.com/say-&quot;hi&quot;' TargetMode='External'/></Relationships>`));
+      const archive = await zip.generateAsync({ type: 'uint8array' });
+
+      const { data, unapplied } = await parserService.writeDocxContent(archive, [
+        { part: 'word/document.xml', relationshipId: 'rId1', originalURL: "https://example.com/o'brien", newURL: "https://example.com/people/o'brien" },
+        { part: 'word/document.xml', relationshipId: 'rId2', originalURL: 'https://example.com/say-"hi"', newURL: "https://example.com/it's" },
+        { part: 'word/document.xml', relationshipId: 'rId9', originalURL: 'https://gone.example.com', newURL: 'https://example.com' },
+        { part: 'word/document.xml', partOffset: 20, originalURL: 'https://split.example.com/x', newURL: 'https://split.example.com/y' }
+      ]);
+
+      const relsXml = await (await JSZip.loadAsync(data)).file('word/_rels/document.xml.rels').async('string');
+      expect(relsXml).toContain(`Target="https://example.com/people/o'brien"`);
+      expect(relsXml).toContain(`Target='https://example.com/it&apos;s'`);
+      expect(unapplied.map(fix => [fix.originalURL, fix.reason])).toEqual([
+        ['https://gone.example.com', 'Hyperlink target not found in the relationship part'],
+        ['https://split.example.com/x', 'URL not found in a single text run']
+      ]);
+    });
+
+    it('should reject archives that are not Word documents', async () => {
+      const file = new File(['not a zip'], 'broken.docx', { type: DOCX_TYPE });
+      await expect(parserService.readDocxContent(file)).rejects.toThrow('DOCX parsing failed');
+    });
+  });
+
+  describe('relative URL resolution', () => {
+    it('should resolve relative links against the document base URL', async () => {
+      const urls = await parserService.parseContent(
+        '<a href="../docs/guide.html">Guide</a> <a href="/index.html">Home</a> <a href="https://other.example.com/x">Abs</a>',
+        'html',
+        'readme.html',
+        { baseURL: 'https://example.com/handbook/intro/readme.html' }
+      );
+
+      expect(urls.map(url => [url.originalURL, url.resolvedURL])).toEqual([
+        ['../docs/guide.html', 'https://example.com/handbook/docs/guide.html'],
+        ['/index.html', 'https://example.com/index.html'],
+        ['https://other.example.com/x', 'https://other.example.com/x']
+      ]);
+      expect(urls[0].baseURL).toBe('https://example.com/handbook/intro/readme.html');
+      expect(urls[2].baseURL).toBeUndefined();
+    });
+
+    it('should prefer <base href> over the document address', async () => {
+      const html = `<head><base href="/assets/"></head>
+<body><img src="img/logo.png"><a href="../about.html">About</a></body>`;
+
+      const urls = await parserService.parseContent(html, 'html', 'https://example.com/site/page.html', {
+        baseURL: 'https://example.com/site/page.html'
+      });
+
+      expect(urls.map(url => [url.type, url.resolvedURL])).toEqual([
+        ['base', 'https://example.com/assets/'],
+        ['src', 'https://example.com/assets/img/logo.png'],
+        ['href', 'https://example.com/about.html']
+      ]);
+      expect(urls[1].baseURL).toBe('https://example.com/assets/');
+    });
+
+    it('should leave relative links unresolved when there is no base URL', async () => {
+      const urls = await parserService.parseContent('<a href="docs/a.html">A</a>', 'html', 'page.html');
+
+      expect(urls[0].originalURL).toBe('docs/a.html');
+      expect(urls[0].resolvedURL).toBeNull();
+    });
+
+    it('should resolve against the fetched page address when scanning a URL', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        url: 'https://example.com/blog/post/',
+        headers: new Map([['content-type', 'text/html']]),
+        text: () => Promise.resolve('<a href="../archive/">Archive</a>')
+      });
+
+      const result = await parserService.parseURL('https://example.com/blog/post');
+
+      expect(result.baseURL).toBe('https://example.com/blog/post/');
+      expect(result.urls[0].resolvedURL).toBe('https://example.com/blog/archive/');
+    });
   });
 
   describe('text parsing', () => {
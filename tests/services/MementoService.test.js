@@ -0,0 +1,94 @@
+/**
+ * Tests for MementoService
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { MementoService } from '../../src/services/MementoService.js';
+
+describe('MementoService', () => {
+  let mementoService;
+
+  const timeMap = [
+    '<https://example.com/guide>; rel="original",',
+    '<http://localhost:8999/timemap/link/https://example.com/guide>; rel="self"; type="application/link-format"; from="Tue, 02 Jan 2018 10:00:00 GMT",',
+    '<http://localhost:8999/memento/20180102100000/https://example.com/guide>; rel="first memento"; datetime="Tue, 02 Jan 2018 10:00:00 GMT",',
+    '<http://localhost:8999/memento/20200615083000/https://example.com/guide>; rel="memento"; datetime="Mon, 15 Jun 2020 08:30:00 GMT",',
+    '<http://localhost:8999/memento/20230301120000/https://example.com/guide>; rel="last memento"; datetime="Wed, 01 Mar 2023 12:00:00 GMT"'
+  ].join('\n');
+
+  beforeEach(() => {
+    mementoService = new MementoService();
+    global.fetch = vi.fn();
+  });
+
+  describe('TimeMap endpoints', () => {
+    beforeEach(() => {
+      mementoService.updateConfig({ protocol: 'timemap', endpoint: 'http://localhost:8999/timemap/link/{url}' });
+      global.fetch.mockResolvedValue({ ok: true, text: async () => timeMap });
+    });
+
+    it('should parse memento entries and ignore other relations', () => {
+      const mementos = mementoService.parseTimeMap(timeMap);
+
+      expect(mementos.map(memento => memento.datetime.toISOString())).toEqual([
+        '2018-01-02T10:00:00.000Z',
+        '2020-06-15T08:30:00.000Z',
+        '2023-03-01T12:00:00.000Z'
+      ]);
+    });
+
+    it('should pick the memento closest to the document date', async () => {
+      const snapshot = await mementoService.findClosestSnapshot('https://example.com/guide', '2021-01-01T00:00:00Z');
+
+      expect(snapshot).toEqual({
+        url: 'http://localhost:8999/memento/20200615083000/https://example.com/guide',
+        datetime: '2020-06-15T08:30:00.000Z'
+      });
+      expect(global.fetch.mock.calls[0][0]).toBe('http://localhost:8999/timemap/link/https://example.com/guide');
+    });
+
+    it('should append the URL when the endpoint has no placeholder', async () => {
+      mementoService.updateConfig({ endpoint: 'http://localhost:8999/timemap/link/' });
+
+      await mementoService.findClosestSnapshot('https://example.com/guide', '2017-05-01');
+
+      expect(global.fetch.mock.calls[0][0]).toBe('http://localhost:8999/timemap/link/https://example.com/guide');
+    });
+
+    it('should return null when the page was never archived', async () => {
+      global.fetch.mockResolvedValue({ ok: false, status: 404, statusText: 'Not Found' });
+
+      expect(await mementoService.findClosestSnapshot('https://example.com/new')).toBeNull();
+    });
+  });
+
+  describe('Wayback availability API', () => {
+    it('should ask for the closest snapshot to the date', async () => {
+      global.fetch.mockResolvedValue({
+        ok: true,
+        json: async () => ({
+          archived_snapshots: {
+            closest: { available: true, status: '200', timestamp: '20190304050607', url: 'http://web.archive.org/web/20190304050607/https://example.com/guide' }
+          }
+        })
+      });
+
+      const snapshot = await mementoService.findClosestSnapshot('https://example.com/guide', '2019-03-01T00:00:00Z');
+
+      expect(global.fetch.mock.calls[0][0]).toBe('https://archive.org/wayback/available?url=https%3A%2F%2Fexample.com%2Fguide&timestamp=20190301000000');
+      expect(snapshot).toEqual({
+        url: 'https://web.archive.org/web/20190304050607/https://example.com/guide',
+        datetime: '2019-03-04T05:06:07.000Z'
+      });
+    });
+
+    it('should skip snapshots of error pages', async () => {
+      global.fetch.mockResolvedValue({
+        ok: true,
+        json: async () => ({ archived_snapshots: { closest: { available: true, status: '404', timestamp: '20190304050607', url: 'http://web.archive.org/x' } } })
+      });
+
+      expect(await mementoService.findClosestSnapshot('https://example.com/guide')).toBeNull();
+    });
+  });
+});
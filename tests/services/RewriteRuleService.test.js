@@ -0,0 +1,100 @@
+/**
+ * Tests for RewriteRuleService
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { RewriteRuleService } from '../../src/services/RewriteRuleService.js';
+
+describe('RewriteRuleService', () => {
+  let rewriteRules;
+  let settings;
+  let mockStorage;
+
+  beforeEach(() => {
+    settings = new Map();
+    mockStorage = {
+      storeSetting: vi.fn(async (key, value) => settings.set(key, JSON.parse(JSON.stringify(value)))),
+      getSetting: vi.fn(async (key, defaultValue) => settings.has(key) ? settings.get(key) : defaultValue)
+    };
+    rewriteRules = new RewriteRuleService(mockStorage);
+  });
+
+  describe('URL patterns', () => {
+    it('should copy wildcards into the replacement and keep the scheme', async () => {
+      await rewriteRules.addRule({ match: 'docs.old.com/v1/*', replace: 'docs.new.com/latest/*' });
+
+      expect(rewriteRules.apply('https://docs.old.com/v1/guide/intro.html?tab=2#setup')[0].url)
+        .toBe('https://docs.new.com/latest/guide/intro.html?tab=2#setup');
+      expect(rewriteRules.apply('http://docs.old.com/v1/')[0].url).toBe('http://docs.new.com/latest/');
+    });
+
+    it('should substitute several wildcards in order', async () => {
+      await rewriteRules.addRule({ match: 'https://wiki.example.com/*/pages/*', replace: 'https://kb.example.com/spaces/*/*' });
+
+      expect(rewriteRules.apply('https://wiki.example.com/eng/pages/deploy')[0].url).toBe('https://kb.example.com/spaces/eng/deploy');
+    });
+
+    it('should treat other characters literally', async () => {
+      await rewriteRules.addRule({ match: 'example.com/a.b?x=*', replace: 'example.org/$1/*' });
+
+      expect(rewriteRules.apply('https://example.com/a.b?x=1')[0].url).toBe('https://example.org/$1/1');
+      expect(rewriteRules.apply('https://example.com/aXb?x=1')).toEqual([]);
+    });
+  });
+
+  describe('regular expressions', () => {
+    it('should rewrite with capture groups', async () => {
+      await rewriteRules.addRule({
+        name: 'Blog move',
+        type: 'regex',
+        match: '^https://blog\\.example\\.com/(\\d{4})/(\\d{2})/([^/]+)/?$',
+        replace: 'https://example.com/blog/$3?year=$1'
+      });
+
+      const [candidate] = rewriteRules.apply('https://blog.example.com/2019/04/launch/');
+
+      expect(candidate.url).toBe('https://example.com/blog/launch?year=2019');
+      expect(candidate.rule.name).toBe('Blog move');
+    });
+
+    it('should reject rules that do not compile', async () => {
+      await expect(rewriteRules.addRule({ type: 'regex', match: '(unclosed', replace: 'x' })).rejects.toThrow('Invalid regular expression');
+      await expect(rewriteRules.addRule({ match: '', replace: 'x' })).rejects.toThrow('need a match and a replacement');
+      expect(rewriteRules.getRules()).toEqual([]);
+    });
+
+    it('should drop results that are not URLs', async () => {
+      await rewriteRules.addRule({ type: 'regex', match: '^https://example\\.com/(.*)$', replace: '$1' });
+
+      expect(rewriteRules.apply('https://example.com/page')).toEqual([]);
+    });
+  });
+
+  it('should return candidates from every enabled matching rule in order', async () => {
+    const first = await rewriteRules.addRule({ match: 'old.example.com/*', replace: 'new.example.com/*' });
+    await rewriteRules.addRule({ match: 'old.example.com/*', replace: 'new.example.com/*' });
+    await rewriteRules.addRule({ match: 'old.example.com/*', replace: 'archive.example.com/*' });
+    await rewriteRules.addRule({ match: 'old.example.com/*', replace: 'disabled.example.com/*', enabled: false });
+
+    const candidates = rewriteRules.apply('https://old.example.com/page');
+
+    expect(candidates.map(candidate => candidate.url)).toEqual(['https://new.example.com/page', 'https://archive.example.com/page']);
+    expect(candidates[0].rule.id).toBe(first.id);
+  });
+
+  it('should store rules as a setting and load them back', async () => {
+    const rule = await rewriteRules.addRule({ name: 'Docs', match: 'docs.old.com/*', replace: 'docs.new.com/*' });
+    await rewriteRules.updateRule(rule.id, { enabled: false });
+    await rewriteRules.addRule({ match: 'a.example.com/*', replace: 'b.example.com/*' });
+    settings.get('rewriteRules').push({ id: 'broken', type: 'regex', match: '(', replace: '' });
+
+    const reloaded = new RewriteRuleService(mockStorage);
+    await reloaded.load();
+
+    expect(reloaded.getRules().map(r => [r.name, r.enabled])).toEqual([['Docs', false], ['a.example.com/*', true]]);
+    expect(reloaded.apply('https://docs.old.com/x')).toEqual([]);
+
+    await reloaded.removeRule(rule.id);
+    expect(settings.get('rewriteRules')).toHaveLength(1);
+  });
+});
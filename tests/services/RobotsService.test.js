@@ -0,0 +1,80 @@
+/**
+ * Tests for RobotsService
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { RobotsService } from '../../src/services/RobotsService.js';
+
+describe('RobotsService', () => {
+  let robotsService;
+
+  const robots = [
+    '# Comments are ignored',
+    'User-agent: Googlebot',
+    'Disallow: /',
+    '',
+    'User-agent: *',
+    'Disallow: /private/',
+    'Disallow: /*.json$',
+    'Allow: /private/press/',
+    'Crawl-delay: 2',
+    '',
+    'Sitemap: https://site.test/sitemap.xml'
+  ].join('\n');
+
+  beforeEach(() => {
+    robotsService = new RobotsService();
+    global.fetch = vi.fn();
+  });
+
+  describe('parsing', () => {
+    it('should use the * group when no group names our user agent', () => {
+      expect(robotsService.parse(robots)).toEqual({
+        allow: ['/private/press/'],
+        disallow: ['/private/', '/*.json$'],
+        crawlDelay: 2,
+        sitemaps: ['https://site.test/sitemap.xml']
+      });
+    });
+
+    it('should prefer a group for our user agent', () => {
+      const rules = robotsService.parse(`User-agent: *\nDisallow: /\n\nUser-agent: url-fixer\nUser-agent: other\nDisallow: /drafts/`);
+      expect(rules.disallow).toEqual(['/drafts/']);
+    });
+
+    it('should apply the longest matching rule, with Allow winning ties', () => {
+      const rules = robotsService.parse(robots);
+
+      expect(robotsService.isPathAllowed(rules, '/about')).toBe(true);
+      expect(robotsService.isPathAllowed(rules, '/private/team')).toBe(false);
+      expect(robotsService.isPathAllowed(rules, '/private/press/launch')).toBe(true);
+      expect(robotsService.isPathAllowed(rules, '/data/feed.json')).toBe(false);
+      expect(robotsService.isPathAllowed(rules, '/data/feed.json?v=2')).toBe(true);
+      expect(robotsService.isPathAllowed({ allow: ['/a'], disallow: ['/a'] }, '/a')).toBe(true);
+    });
+  });
+
+  describe('fetching', () => {
+    it('should fetch robots.txt once per origin through the proxy', async () => {
+      global.fetch.mockResolvedValue({
+        ok: true,
+        json: async () => ({ status: 200, text: robots })
+      });
+
+      expect(await robotsService.isAllowed('https://site.test/docs/')).toBe(true);
+      expect(await robotsService.isAllowed('https://site.test/private/x')).toBe(false);
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(global.fetch.mock.calls[0][0]).toContain(`/fetch-text?url=${encodeURIComponent('https://site.test/robots.txt')}`);
+    });
+
+    it('should allow everything when robots.txt is missing or unreachable', async () => {
+      global.fetch
+        .mockResolvedValueOnce({ ok: true, json: async () => ({ status: 404, text: '' }) })
+        .mockRejectedValueOnce(new Error('Network error'));
+
+      expect(await robotsService.isAllowed('https://missing.test/private/')).toBe(true);
+      expect(await robotsService.isAllowed('https://down.test/private/')).toBe(true);
+    });
+  });
+});
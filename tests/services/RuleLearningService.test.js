@@ -0,0 +1,172 @@
+/**
+ * Tests for RuleLearningService
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { RuleLearningService } from '../../src/services/RuleLearningService.js';
+import { RewriteRuleService } from '../../src/services/RewriteRuleService.js';
+import { StorageService } from '../../src/services/StorageService.js';
+import { DocumentModel } from '../../src/models/DocumentModel.js';
+
+describe('RuleLearningService', () => {
+  let ruleLearning;
+  let rewriteRules;
+  let history;
+  let settings;
+  let mockStorage;
+
+  const fixed = (originalURL, newURL) => ({ originalURL, newURL, status: 'fixed' });
+
+  beforeEach(() => {
+    history = [];
+    settings = new Map();
+    mockStorage = {
+      getProcessingHistory: vi.fn(async () => history),
+      storeSetting: vi.fn(async (key, value) => settings.set(key, value)),
+      getSetting: vi.fn(async (key, defaultValue) => settings.has(key) ? settings.get(key) : defaultValue)
+    };
+    rewriteRules = new RewriteRuleService(mockStorage);
+    ruleLearning = new RuleLearningService(mockStorage, rewriteRules);
+  });
+
+  it('should generalize a varying path segment and keep the carried slug', async () => {
+    history = [{
+      urls: [
+        fixed('https://example.com/blog/2019/launch-day', 'https://example.com/articles/launch-day'),
+        fixed('https://example.com/blog/2020/new-pricing', 'https://example.com/articles/new-pricing')
+      ]
+    }];
+
+    const [suggestion] = await ruleLearning.suggestRules([
+      { id: 'u1', originalURL: 'https://example.com/blog/2021/roadmap', status: 'invalid' },
+      { id: 'u2', originalURL: 'https://example.com/blog/2021/fixed', status: 'invalid', newURL: 'https://example.com/x' },
+      { id: 'u3', originalURL: 'https://example.com/about', status: 'invalid' }
+    ]);
+
+    expect(suggestion.rule).toMatchObject({ type: 'regex', name: 'Learned: example.com/blog/*/… → example.com/articles/…' });
+    expect(suggestion.evidence).toHaveLength(2);
+    expect(suggestion.matches).toEqual(['u1']);
+
+    await ruleLearning.acceptSuggestion(suggestion);
+    expect(rewriteRules.apply('https://example.com/blog/2021/roadmap')[0].url).toBe('https://example.com/articles/roadmap');
+  });
+
+  it('should learn host moves and pairs accepted in the current document', async () => {
+    history = [{ urls: [fixed('https://wiki.example.com/pages/setup', 'https://kb.example.com/docs/setup')] }];
+
+    const suggestions = await ruleLearning.suggestRules([
+      { id: 'u1', ...fixed('https://wiki.example.com/pages/deploy', 'https://kb.example.com/docs/deploy') }
+    ]);
+
+    expect(suggestions).toHaveLength(1);
+    expect(suggestions[0].rule.replace).toBe('https://kb.example.com/docs/$1');
+  });
+
+  it('should need more than one accepted pair', async () => {
+    history = [{ urls: [fixed('https://example.com/blog/2019/a', 'https://example.com/articles/a')] }];
+
+    expect(await ruleLearning.suggestRules()).toEqual([]);
+  });
+
+  it('should not suggest rules that would rewrite every page on the host', async () => {
+    history = [{
+      urls: [
+        fixed('https://example.com/2019/a', 'https://example.com/articles/a'),
+        fixed('https://example.com/2020/b', 'https://example.com/articles/b')
+      ]
+    }];
+
+    expect(await ruleLearning.suggestRules()).toEqual([]);
+  });
+
+  it('should ignore replacements that share nothing with the original path', async () => {
+    history = [{
+      urls: [
+        fixed('https://example.com/blog/a', 'https://example.com/home'),
+        fixed('https://example.com/blog/b', 'https://example.com/home')
+      ]
+    }];
+
+    expect(await ruleLearning.suggestRules()).toEqual([]);
+  });
+
+  it('should skip dismissed suggestions and rules that already exist', async () => {
+    history = [{
+      urls: [
+        fixed('https://example.com/blog/2019/a', 'https://example.com/articles/a'),
+        fixed('https://example.com/blog/2020/b', 'https://example.com/articles/b'),
+        fixed('https://old.example.com/docs/x', 'https://docs.example.com/x'),
+        fixed('https://old.example.com/docs/y', 'https://docs.example.com/y')
+      ]
+    }];
+
+    const suggestions = await ruleLearning.suggestRules();
+    expect(suggestions).toHaveLength(2);
+
+    await ruleLearning.dismissSuggestion(suggestions[0]);
+    await ruleLearning.acceptSuggestion(suggestions[1]);
+
+    expect(await ruleLearning.suggestRules()).toEqual([]);
+  });
+
+  it('should learn from fixes accepted in earlier runs', async () => {
+    const storage = new StorageService();
+    storage.dbName = `RuleLearningTest-${Date.now()}`;
+    await storage.init();
+
+    const firstRun = new DocumentModel(storage);
+    await firstRun.loadDocument({
+      fileName: 'old.md',
+      fileType: 'markdown',
+      fileSize: 0,
+      content: '',
+      urls: [
+        { originalURL: 'https://example.com/blog/2019/a', status: 'invalid' },
+        { originalURL: 'https://example.com/blog/2020/b', status: 'invalid' }
+      ]
+    });
+    await firstRun.saveProcessingHistory();
+    firstRun.updateURL(firstRun.urls[0].id, { newURL: 'https://example.com/articles/a', status: 'fixed' });
+    await firstRun.saveProcessingHistory();
+    firstRun.updateURL(firstRun.urls[1].id, { newURL: 'https://example.com/articles/b', status: 'fixed' });
+    await firstRun.saveProcessingHistory();
+
+    expect(await storage.getProcessingHistory()).toHaveLength(1);
+
+    const learning = new RuleLearningService(storage, new RewriteRuleService(storage));
+    const [suggestion] = await learning.suggestRules([
+      { id: 'next', originalURL: 'https://example.com/blog/2022/c', status: 'invalid' }
+    ]);
+
+    expect(suggestion.matches).toEqual(['next']);
+    expect(suggestion.evidence.map(pair => pair.newURL)).toEqual(['https://example.com/articles/a', 'https://example.com/articles/b']);
+  });
+
+  it('should keep the history of same-named documents apart when saves overlap', async () => {
+    const storage = new StorageService();
+    storage.dbName = `RuleLearningTest-${Date.now()}-overlap`;
+    await storage.init();
+
+    const load = async () => {
+      const run = new DocumentModel(storage);
+      await run.loadDocument({
+        fileName: 'same.md',
+        fileType: 'markdown',
+        fileSize: 0,
+        content: '',
+        urls: [{ originalURL: 'https://example.com/blog/2019/a', status: 'invalid' }]
+      });
+      return run;
+    };
+    const first = await load();
+    const second = await load();
+
+    const firstSave = first.saveProcessingHistory();
+    first.updateURL(first.urls[0].id, { newURL: 'https://example.com/articles/a', status: 'fixed' });
+    await Promise.all([firstSave, first.saveProcessingHistory(), second.saveProcessingHistory()]);
+
+    const history = await storage.getProcessingHistory();
+    expect(history).toHaveLength(2);
+    expect(history.filter(record => record.urls[0].newURL === 'https://example.com/articles/a')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Tests for SearchProviderRegistry and the search providers
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { SearchProviderRegistry } from '../../src/services/SearchProviderRegistry.js';
+import { SearchService } from '../../src/services/SearchService.js';
+import { SearchProvider } from '../../src/services/providers/SearchProvider.js';
+import { JSONSearchProvider } from '../../src/services/providers/JSONSearchProvider.js';
+
+class StaticProvider extends SearchProvider {
+  constructor(name, results, config = {}) {
+    super(name, config);
+    this.results = results;
+    this.search = vi.fn(async () => {
+      if (this.results instanceof Error) {
+        throw this.results;
+      }
+      return this.results;
+    });
+  }
+}
+
+describe('SearchProviderRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new SearchProviderRegistry();
+    global.fetch = vi.fn();
+  });
+
+  it('should try providers in priority order until one returns results', async () => {
+    const slow = new StaticProvider('slow', [{ url: 'https://slow.example.com' }], { priority: 20 });
+    const empty = new StaticProvider('empty', [], { priority: 5 });
+    const broken = new StaticProvider('broken', new Error('boom'), { priority: 10 });
+    registry.register(slow);
+    registry.register(empty);
+    registry.register(broken);
+
+    const results = await registry.search('query');
+
+    expect(registry.list().map(provider => provider.name)).toEqual(['empty', 'broken', 'slow']);
+    expect(empty.search).toHaveBeenCalled();
+    expect(broken.search).toHaveBeenCalled();
+    expect(results).toEqual([{ url: 'https://slow.example.com', title: 'No title', snippet: '', source: 'slow', provider: 'slow' }]);
+  });
+
+  it('should skip disabled providers and honour config given at registration', async () => {
+    const first = new StaticProvider('first', [{ url: 'https://first.example.com' }]);
+    const second = new StaticProvider('second', [{ url: 'https://second.example.com' }]);
+    registry.register(first, { priority: 1 });
+    registry.register(second, { priority: 2 });
+
+    registry.disable('first');
+    expect((await registry.search('query'))[0].provider).toBe('second');
+    expect(first.search).not.toHaveBeenCalled();
+
+    registry.enable('first');
+    expect((await registry.search('query'))[0].provider).toBe('first');
+    expect(() => registry.disable('missing')).toThrow('Unknown search provider: missing');
+  });
+
+  it('should normalize results and drop unusable URLs', async () => {
+    registry.register(new StaticProvider('mock', [
+      { url: 'javascript:alert(1)' },
+      { url: '/relative' },
+      { url: 'https://example.com/a', title: 'A', snippet: 'About A', source: 'mock-api', confidence: 0.7 },
+      { url: 'https://example.com/b' }
+    ]));
+
+    const results = await registry.search('query', { maxResults: 1 });
+
+    expect(results).toEqual([
+      { url: 'https://example.com/a', title: 'A', snippet: 'About A', source: 'mock-api', provider: 'mock', confidence: 0.7 }
+    ]);
+  });
+
+  it('should return an empty list when every provider fails', async () => {
+    registry.register(new StaticProvider('broken', new Error('boom')));
+
+    expect(await registry.search('query')).toEqual([]);
+  });
+
+  it('should reject providers without a name or search method', () => {
+    expect(() => registry.register({ name: 'nothing' })).toThrow('need a name and a search');
+  });
+
+  it('should query a JSON endpoint with mapped result fields', async () => {
+    global.fetch.mockResolvedValue({
+      ok: true,
+      json: async () => ({ data: { hits: [{ link: 'https://intranet.example.com/doc', heading: 'Doc', summary: 'Internal doc' }] } })
+    });
+    registry.register(new JSONSearchProvider('intranet', {
+      endpoint: 'https://search.intranet.example.com/api',
+      params: { index: 'docs' },
+      resultsPath: 'data.hits',
+      fields: { url: 'link', title: 'heading', snippet: 'summary' }
+    }));
+
+    const results = await registry.search('broken page', { maxResults: 3 });
+
+    const requested = new URL(global.fetch.mock.calls[0][0]);
+    expect(requested.searchParams.get('q')).toBe('broken page');
+    expect(requested.searchParams.get('limit')).toBe('3');
+    expect(requested.searchParams.get('index')).toBe('docs');
+    expect(results).toEqual([
+      { url: 'https://intranet.example.com/doc', title: 'Doc', snippet: 'Internal doc', source: 'intranet', provider: 'intranet' }
+    ]);
+  });
+
+  describe('SearchService integration', () => {
+    it('should register the built-in providers in their original order', () => {
+      const searchService = new SearchService();
+
+      expect(searchService.getSearchStats().providers.map(provider => provider.name)).toEqual([
+        'headless', 'serpapi', 'duckduckgo', 'bing', 'google'
+      ]);
+    });
+
+    it('should search with a custom provider placed ahead of the built-ins', async () => {
+      const searchService = new SearchService();
+      searchService.rateLimitDelay = 0;
+      searchService.providers.register(new StaticProvider('local', [{ url: 'https://local.example.com/page' }]), { priority: 0 });
+
+      const results = await searchService.performWebSearch('query', 5, 1000);
+
+      expect(results[0]).toMatchObject({ url: 'https://local.example.com/page', provider: 'local' });
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+  });
+});
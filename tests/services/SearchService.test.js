@@ -423,4 +423,113 @@ describe('SearchService', () => {
       expect(replacement).toBeNull();
     });
   });
+
+  describe('archive fallback', () => {
+    let mementoService;
+    const snapshot = { url: 'https://web.archive.org/web/20200615083000/https://docs.test/guide/setup', datetime: '2020-06-15T08:30:00.000Z' };
+
+    beforeEach(() => {
+      mementoService = { findClosestSnapshot: vi.fn().mockResolvedValue(snapshot) };
+      searchService = new SearchService(mementoService);
+      vi.spyOn(searchService, 'performEnhancedSerpSearch').mockResolvedValue(null);
+      vi.spyOn(searchService, 'performSearch').mockResolvedValue([]);
+      vi.spyOn(searchService, 'scrapePageContent').mockResolvedValue({ title: 'Installing the CLI | Docs Test' });
+    });
+
+    it('should offer the closest snapshot when searches find nothing', async () => {
+      const replacement = await searchService.findReplacementURL('https://docs.test/guide/setup', { documentDate: '2021-01-01T00:00:00.000Z' });
+
+      expect(mementoService.findClosestSnapshot).toHaveBeenCalledWith('https://docs.test/guide/setup', '2021-01-01T00:00:00.000Z');
+      expect(replacement).toMatchObject({
+        replacementURL: snapshot.url,
+        source: 'memento',
+        archivedAt: snapshot.datetime,
+        title: 'Installing the CLI'
+      });
+    });
+
+    it('should search the live site for the archived title', async () => {
+      searchService.performSearch.mockImplementation(async (query) => query.includes('"Installing the CLI"')
+        ? [{ url: 'https://docs.test/cli/install', title: 'Installing the CLI', snippet: '' }]
+        : []);
+      vi.spyOn(searchService, 'validateSearchResults').mockImplementation(async (results) => results.map(result => ({ ...result, confidence: 0.8 })));
+      vi.spyOn(searchService, 'validateReplacementURL').mockResolvedValue({ valid: true, score: 0.7 });
+
+      const replacement = await searchService.findReplacementURL('https://docs.test/guide/setup');
+
+      expect(searchService.performSearch).toHaveBeenCalledWith('site:docs.test "Installing the CLI"', 5, 15000);
+      expect(replacement).toMatchObject({
+        replacementURL: 'https://docs.test/cli/install',
+        source: 'archived-title-search',
+        confidence: 0.7
+      });
+      expect(replacement.alternatives.map(alternative => alternative.source)).toEqual(['archived-title-search', 'memento']);
+    });
+
+    it('should return null when the page was never archived', async () => {
+      mementoService.findClosestSnapshot.mockResolvedValue(null);
+
+      expect(await searchService.findReplacementURL('https://docs.test/guide/setup')).toBeNull();
+    });
+  });
+
+  describe('sitemap candidates', () => {
+    let sitemapService;
+    const siteURLs = [
+      'https://docs.test/docs/guide/setup.html',
+      'https://docs.test/guides/installing-the-cli.html',
+      'https://docs.test/v2/guide/setup',
+      'https://docs.test/blog/release-notes'
+    ];
+
+    beforeEach(() => {
+      sitemapService = { getSiteURLs: vi.fn().mockResolvedValue(siteURLs) };
+      searchService = new SearchService(null, sitemapService);
+      vi.spyOn(searchService, 'performEnhancedSerpSearch').mockResolvedValue(null);
+      vi.spyOn(searchService, 'performSearch').mockResolvedValue([]);
+    });
+
+    it('should rank sitemap URLs by filename and path similarity', () => {
+      const urlInfo = searchService.parseURL('https://docs.test/docs/guide/setup');
+      const ranked = searchService.rankSitemapURLs('https://docs.test/docs/guide/setup', urlInfo, siteURLs);
+
+      expect(ranked.map(candidate => candidate.url)).toEqual([
+        'https://docs.test/docs/guide/setup.html',
+        'https://docs.test/v2/guide/setup'
+      ]);
+      expect(ranked[0].score).toBeGreaterThan(ranked[1].score);
+    });
+
+    it('should match filenames by their search terms', () => {
+      const urlInfo = searchService.parseURL('https://docs.test/guides/install-cli.html');
+      const ranked = searchService.rankSitemapURLs('https://docs.test/guides/install-cli.html', urlInfo, [
+        'https://docs.test/guides/cli-install',
+        'https://docs.test/guides/release-notes'
+      ]);
+
+      expect(ranked.map(candidate => candidate.url)).toEqual(['https://docs.test/guides/cli-install']);
+    });
+
+    it('should validate sitemap candidates before searching', async () => {
+      vi.spyOn(searchService, 'validateReplacementURL').mockResolvedValue({ valid: true, score: 0.8 });
+
+      const replacement = await searchService.findReplacementURL('https://docs.test/docs/guide/setup');
+
+      expect(sitemapService.getSiteURLs).toHaveBeenCalledWith('https://docs.test/docs/guide/setup');
+      expect(searchService.performEnhancedSerpSearch).not.toHaveBeenCalled();
+      expect(replacement).toMatchObject({
+        replacementURL: 'https://docs.test/docs/guide/setup.html',
+        source: 'sitemap',
+        validated: true,
+        totalAlternatives: 2
+      });
+    });
+
+    it('should fall back to searching when no candidate validates', async () => {
+      vi.spyOn(searchService, 'validateReplacementURL').mockResolvedValue({ valid: false, reason: 'URL not accessible' });
+
+      expect(await searchService.findReplacementURL('https://docs.test/docs/guide/setup')).toBeNull();
+      expect(searchService.performEnhancedSerpSearch).toHaveBeenCalled();
+    });
+  });
 });
@@ -0,0 +1,150 @@
+/**
+ * Tests for SitemapService
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { SitemapService } from '../../src/services/SitemapService.js';
+import { RobotsService } from '../../src/services/RobotsService.js';
+
+describe('SitemapService', () => {
+  let sitemapService;
+
+  const robots = [
+    'User-agent: *',
+    'Disallow: /private/',
+    'Sitemap: https://docs.test/sitemap-index.xml'
+  ].join('\n');
+
+  const sitemapIndex = `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <sitemap><loc>https://docs.test/sitemap-guides.xml.gz</loc></sitemap>
+  <sitemap><loc>https://docs.test/sitemap-blog.xml</loc></sitemap>
+</sitemapindex>`;
+
+  const urlset = (urls) => `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.map(url => `  <url><loc>${url}</loc><lastmod>2024-01-01</lastmod></url>`).join('\n')}
+</urlset>`;
+
+  const site = {
+    'https://docs.test/robots.txt': robots,
+    'https://docs.test/sitemap-index.xml': sitemapIndex,
+    'https://docs.test/sitemap-guides.xml.gz': urlset(['https://docs.test/guide/setup', 'https://www.docs.test/guide/install']),
+    'https://docs.test/sitemap-blog.xml': urlset(['https://docs.test/blog/launch', 'https://cdn.other.test/asset'])
+  };
+
+  const respondWith = (pages) => {
+    global.fetch.mockImplementation(async (proxyURL) => {
+      const url = new URL(proxyURL).searchParams.get('url');
+      const text = pages[url];
+      return {
+        ok: true,
+        json: async () => text === undefined
+          ? { url, status: 404, statusText: 'Not Found', text: '' }
+          : { url, status: 200, statusText: 'OK', text }
+      };
+    });
+  };
+
+  beforeEach(() => {
+    sitemapService = new SitemapService();
+    global.fetch = vi.fn();
+  });
+
+  describe('parsing', () => {
+    it('should tell sitemap indexes from URL sets', () => {
+      expect(sitemapService.parseSitemap(sitemapIndex)).toEqual({
+        urls: [],
+        sitemaps: ['https://docs.test/sitemap-guides.xml.gz', 'https://docs.test/sitemap-blog.xml']
+      });
+      expect(sitemapService.parseSitemap(urlset(['https://docs.test/a'])).urls).toEqual(['https://docs.test/a']);
+    });
+
+    it('should accept plain text sitemaps and ignore malformed XML', () => {
+      expect(sitemapService.parseSitemap('https://docs.test/a\nhttps://docs.test/b\n').urls).toEqual(['https://docs.test/a', 'https://docs.test/b']);
+      expect(sitemapService.parseSitemap('<urlset><url><loc>broken')).toEqual({ urls: [], sitemaps: [] });
+    });
+  });
+
+  describe('discovery', () => {
+    it('should follow sitemap indexes and keep URLs on the same site', async () => {
+      respondWith(site);
+
+      const urls = await sitemapService.getSiteURLs('https://docs.test/guide/old-setup');
+
+      expect(urls).toEqual([
+        'https://docs.test/guide/setup',
+        'https://www.docs.test/guide/install',
+        'https://docs.test/blog/launch'
+      ]);
+    });
+
+    it('should fall back to /sitemap.xml without robots.txt', async () => {
+      respondWith({ 'https://docs.test/sitemap.xml': urlset(['https://docs.test/guide/setup']) });
+
+      expect(await sitemapService.getSiteURLs('https://docs.test/guide/old-setup')).toEqual(['https://docs.test/guide/setup']);
+    });
+
+    it('should take sitemap locations from the shared robots.txt rules', async () => {
+      respondWith(site);
+      const robotsService = new RobotsService();
+      sitemapService = new SitemapService(null, robotsService);
+
+      await robotsService.isAllowed('https://docs.test/private/page');
+      const urls = await sitemapService.getSiteURLs('https://docs.test/guide/old-setup');
+
+      expect(urls).toContain('https://docs.test/blog/launch');
+      const robotsFetches = global.fetch.mock.calls.filter(([proxyURL]) => proxyURL.includes(encodeURIComponent('/robots.txt')));
+      expect(robotsFetches).toHaveLength(1);
+    });
+
+    it('should return no URLs when the proxy is unavailable', async () => {
+      global.fetch.mockRejectedValue(new Error('Failed to fetch'));
+
+      expect(await sitemapService.getSiteURLs('https://docs.test/guide/old-setup')).toEqual([]);
+    });
+
+    it('should share one discovery between links to the same site', async () => {
+      respondWith(site);
+
+      await Promise.all([
+        sitemapService.getSiteURLs('https://docs.test/a'),
+        sitemapService.getSiteURLs('https://docs.test/b')
+      ]);
+
+      expect(global.fetch).toHaveBeenCalledTimes(4);
+    });
+  });
+
+  describe('caching', () => {
+    let storageService;
+
+    beforeEach(() => {
+      storageService = {
+        getCachedSitemap: vi.fn().mockResolvedValue(null),
+        cacheSitemap: vi.fn().mockResolvedValue(undefined)
+      };
+      sitemapService = new SitemapService(storageService);
+    });
+
+    it('should cache discovered URLs per origin', async () => {
+      respondWith(site);
+
+      await sitemapService.getSiteURLs('https://docs.test/guide/old-setup');
+
+      expect(storageService.cacheSitemap).toHaveBeenCalledWith(
+        'https://docs.test',
+        expect.arrayContaining(['https://docs.test/guide/setup']),
+        ['https://docs.test/sitemap-index.xml', 'https://docs.test/sitemap-guides.xml.gz', 'https://docs.test/sitemap-blog.xml']
+      );
+    });
+
+    it('should use cached URLs without fetching', async () => {
+      storageService.getCachedSitemap.mockResolvedValue({ origin: 'https://docs.test', urls: ['https://docs.test/cached'] });
+
+      expect(await sitemapService.getSiteURLs('https://docs.test/guide/old-setup')).toEqual(['https://docs.test/cached']);
+      expect(storageService.getCachedSitemap).toHaveBeenCalledWith('https://docs.test', sitemapService.config.cacheMaxAge);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Tests for Soft404Service
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { Soft404Service } from '../../src/services/Soft404Service.js';
+import { SearchService } from '../../src/services/SearchService.js';
+
+describe('Soft404Service', () => {
+  let soft404Service;
+  let pages;
+
+  const article = `<html><head><title>Release notes</title></head><body><main><h1>Release notes</h1>
+    <p>${'Version two brings faster parsing, better error reporting and many small fixes. '.repeat(8)}</p></main></body></html>`;
+  const missing = (path) => `<html><head><title>Page not found</title></head><body><main><h1>Sorry</h1>
+    <p>We looked everywhere for ${path} but it is not here. Try the search box or go back to the homepage.</p></main></body></html>`;
+
+  beforeEach(() => {
+    soft404Service = new Soft404Service(new SearchService());
+    pages = {};
+
+    // Fake /scrape-content proxy: probes of random paths get the site's default page
+    global.fetch = vi.fn(async (proxyUrl) => {
+      const url = new URL(proxyUrl).searchParams.get('url');
+      const key = url.includes('/url-fixer-probe-') ? `${new URL(url).origin}/*` : url;
+      const page = pages[key] || { status: 404, html: '<title>Not Found</title>' };
+      return {
+        ok: true,
+        json: async () => ({ url: page.finalUrl || url, status: page.status, html: page.html })
+      };
+    });
+  });
+
+  it('should flag a page that looks like the site\'s missing page template', async () => {
+    pages['https://example.com/docs/old'] = { status: 200, html: missing('/docs/old') };
+    pages['https://example.com/*'] = { status: 200, html: missing('/url-fixer-probe') };
+
+    const result = await soft404Service.detect('https://example.com/docs/old');
+
+    expect(result.isSoft404).toBe(true);
+    expect(result.signals).toContain('not-found-title');
+    expect(result.signals).toContain('matches-missing-page');
+  });
+
+  it('should not flag a normal page on a site that returns real 404s', async () => {
+    pages['https://example.com/releases'] = { status: 200, html: article };
+
+    const result = await soft404Service.detect('https://example.com/releases');
+
+    expect(result).toEqual({ isSoft404: false, score: -0.2, signals: ['site-returns-real-404'] });
+  });
+
+  it('should flag deep links that redirect to the homepage', async () => {
+    pages['https://example.com/products/42'] = { status: 200, html: article, finalUrl: 'https://example.com/' };
+
+    const result = await soft404Service.detect('https://example.com/products/42', { finalURL: 'https://example.com/' });
+
+    expect(result.isSoft404).toBe(true);
+    expect(result.signals).toContain('redirected-to-homepage');
+  });
+
+  it('should flag a tiny page with a not-found title and heading', async () => {
+    pages['https://example.com/a'] = { status: 200, html: '<title>404</title><h1>Page not found</h1>' };
+
+    const result = await soft404Service.detect('https://example.com/a');
+
+    expect(result.signals).toEqual(['not-found-title', 'not-found-heading', 'tiny-body', 'site-returns-real-404']);
+    expect(result.isSoft404).toBe(true);
+  });
+
+  it('should probe each origin only once', async () => {
+    pages['https://example.com/a'] = { status: 200, html: article };
+    pages['https://example.com/b'] = { status: 200, html: article };
+
+    await soft404Service.detect('https://example.com/a');
+    await soft404Service.detect('https://example.com/b');
+
+    const probes = global.fetch.mock.calls.filter(([proxyUrl]) => proxyUrl.includes('url-fixer-probe'));
+    expect(probes).toHaveLength(1);
+  });
+
+  it('should return null when the page cannot be scraped', async () => {
+    global.fetch = vi.fn().mockRejectedValue(new Error('Failed to fetch'));
+
+    expect(await soft404Service.detect('https://example.com/a')).toBeNull();
+  });
+});
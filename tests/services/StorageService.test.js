@@ -19,7 +19,7 @@ describe('StorageService', () => {
   describe('initialization', () => {
     it('should create a new instance with default configuration', () => {
       expect(storageService.dbName).toBe('URLFixerDB');
-      expect(storageService.version).toBe(1);
+      expect(storageService.version).toBe(2);
       expect(storageService.isInitialized).toBe(false);
       expect(storageService.db).toBeNull();
     });
@@ -34,6 +34,7 @@ describe('StorageService', () => {
       expect(stores).toHaveProperty('session_data');
       expect(stores).toHaveProperty('url_cache');
       expect(stores).toHaveProperty('settings');
+      expect(storageService.schema[2].stores).toHaveProperty('sitemap_cache');
     });
 
     it('should initialize database connection', async () => {
@@ -73,7 +74,7 @@ describe('StorageService', () => {
         fixedCount: 2
       };
 
-      await expect(storageService.storeProcessingHistory(testData)).resolves.toBeUndefined();
+      await expect(storageService.storeProcessingHistory(testData)).resolves.toEqual(expect.any(Number));
     });
 
     it('should retrieve processing history', async () => {
@@ -183,6 +184,29 @@ describe('StorageService', () => {
     });
   });
 
+  describe('sitemap caching', () => {
+    beforeEach(async () => {
+      await storageService.init();
+    });
+
+    it('should cache and retrieve sitemap URLs by origin', async () => {
+      const urls = ['https://example.com/a', 'https://example.com/b'];
+      await storageService.cacheSitemap('https://example.com', urls, ['https://example.com/sitemap.xml']);
+
+      const result = await storageService.getCachedSitemap('https://example.com');
+      expect(result.urls).toEqual(urls);
+      expect(result.sitemaps).toEqual(['https://example.com/sitemap.xml']);
+    });
+
+    it('should return null for expired or missing sitemaps', async () => {
+      await storageService.cacheSitemap('https://expired-sitemap.com', ['https://expired-sitemap.com/a']);
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      expect(await storageService.getCachedSitemap('https://expired-sitemap.com', 10)).toBeNull();
+      expect(await storageService.getCachedSitemap('https://no-sitemap.com')).toBeNull();
+    });
+  });
+
   describe('settings', () => {
     beforeEach(async () => {
       await storageService.init();
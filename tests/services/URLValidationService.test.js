@@ -207,6 +207,283 @@ describe('URLValidationService', () => {
     });
   });
 
+  describe('politeness scheduling', () => {
+    const respond = (status, headers = {}) => ({
+      ok: status < 400,
+      status,
+      statusText: '',
+      headers: new Map(Object.entries(headers))
+    });
+
+    beforeEach(() => {
+      validationService.scheduler.config.hostDelay = 0;
+    });
+
+    it('should cap requests per host while other hosts keep flowing', async () => {
+      const active = new Map();
+      const peak = new Map();
+      const finished = [];
+
+      global.fetch.mockImplementation((url) => {
+        const host = new URL(url).host;
+        active.set(host, (active.get(host) || 0) + 1);
+        peak.set(host, Math.max(peak.get(host) || 0, active.get(host)));
+
+        return new Promise((resolve) => {
+          setTimeout(() => {
+            active.set(host, active.get(host) - 1);
+            finished.push(url);
+            resolve(respond(200));
+          }, host === 'slow.test' ? 50 : 5);
+        });
+      });
+
+      const slow = Array.from({ length: 6 }, (_, i) => `https://slow.test/${i}`);
+      await validationService.validateURLs([...slow, 'https://fast.test/a', 'https://other.test/b'], { concurrency: 8 });
+
+      expect(peak.get('slow.test')).toBe(2);
+      expect(finished.indexOf('https://fast.test/a')).toBeLessThan(finished.indexOf('https://slow.test/2'));
+      expect(finished.indexOf('https://other.test/b')).toBeLessThan(finished.indexOf('https://slow.test/2'));
+    });
+
+    it('should wait for Retry-After on 429 and try again', async () => {
+      global.fetch
+        .mockResolvedValueOnce(respond(429, { 'retry-after': '0' }))
+        .mockResolvedValueOnce(respond(200));
+
+      const [result] = await validationService.validateURLs(['https://busy.test/page']);
+
+      expect(result.status).toBe(200);
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      expect(mockStorageService.cacheURLResult).toHaveBeenCalledTimes(1);
+    });
+
+    it('should read Retry-After as seconds or a date, ignoring waits that are too long', () => {
+      expect(validationService.getRetryAfter({ status: 503, headers: { 'retry-after': '2' } })).toBe(2000);
+      expect(validationService.getRetryAfter({ status: 429, headers: { 'retry-after': new Date(Date.now() + 5000).toUTCString() } }))
+        .toBeGreaterThan(3000);
+      expect(validationService.getRetryAfter({ status: 429, headers: { 'retry-after': '3600' } })).toBeNull();
+      expect(validationService.getRetryAfter({ status: 404, headers: { 'retry-after': '2' } })).toBeNull();
+    });
+
+    it('should space requests to a host by its robots.txt Crawl-delay', async () => {
+      vi.useFakeTimers();
+      try {
+        const starts = [];
+        global.fetch.mockImplementation(async () => {
+          starts.push(Date.now());
+          return respond(200);
+        });
+        validationService.useCrawlDelays({ getRules: vi.fn().mockResolvedValue({ crawlDelay: 5 }) });
+
+        const validated = validationService.validateURLs(['https://polite.test/1', 'https://polite.test/2', 'https://polite.test/3']);
+        await vi.runAllTimersAsync();
+        await validated;
+
+        expect(starts).toHaveLength(3);
+        expect(starts[1] - starts[0]).toBeGreaterThanOrEqual(5000);
+        expect(starts[2] - starts[1]).toBeGreaterThanOrEqual(5000);
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+  });
+
+  describe('domain circuit breaker', () => {
+    const dnsFailure = () => Object.assign(new TypeError('fetch failed'), { cause: { code: 'ENOTFOUND' } });
+    const respond = (status, headers = {}) => ({ ok: status < 400, status, statusText: '', headers: new Map(Object.entries(headers)) });
+
+    beforeEach(() => {
+      validationService.useProxyFallback = false;
+    });
+
+    it('should skip a domain after consecutive failures without sending more requests', async () => {
+      global.fetch.mockRejectedValue(dnsFailure());
+
+      const failures = [];
+      for (let i = 0; i < 5; i++) {
+        failures.push(await validationService.validateURL(`https://down.test/${i}`));
+      }
+      const skipped = await validationService.validateURL('https://down.test/later');
+
+      expect(failures[0]).toMatchObject({ status: 0, error: 'DNS resolution failed', failureType: 'dns' });
+      expect(failures[3].domainUnreachable).toBeUndefined();
+      expect(failures[4].domainUnreachable).toBe(true);
+      expect(skipped).toMatchObject({ status: 0, domainUnreachable: true, failureType: 'dns', skipped: true });
+      expect(global.fetch).toHaveBeenCalledTimes(5);
+    });
+
+    it('should count bot blocks, and reset the count when the domain answers', async () => {
+      const answers = {
+        'https://shy.test/0': respond(403, { server: 'cloudflare', 'cf-mitigated': 'challenge' }),
+        'https://shy.test/1': respond(429),
+        'https://shy.test/2': respond(410)
+      };
+      global.fetch.mockImplementation((url) => Promise.resolve(answers[url] || respond(403, { 'cf-mitigated': 'challenge' })));
+
+      for (let i = 0; i < 3; i++) {
+        await validationService.validateURL(`https://shy.test/${i}`);
+      }
+      expect(validationService.circuitBreaker.getState('https://shy.test/').state).toBe('closed');
+
+      for (let i = 0; i < 5; i++) {
+        await validationService.validateURL(`https://shy.test/again/${i}`);
+      }
+      expect(validationService.circuitBreaker.getState('https://shy.test/')).toMatchObject({ state: 'open', failureType: 'blocked' });
+    });
+
+    it('should let one probe through after the reset timeout and close when it succeeds', async () => {
+      global.fetch.mockRejectedValue(dnsFailure());
+      for (let i = 0; i < 5; i++) {
+        await validationService.validateURL(`https://flaky.test/${i}`);
+      }
+
+      let answer;
+      global.fetch.mockImplementation(() => new Promise(resolve => { answer = resolve; }));
+      validationService.circuitBreaker.config.resetTimeout = 0;
+
+      const probe = validationService.validateURL('https://flaky.test/probe');
+      const duringProbe = await validationService.validateURL('https://flaky.test/other');
+      answer(respond(200));
+
+      expect(duringProbe.domainUnreachable).toBe(true);
+      expect((await probe).status).toBe(200);
+      expect(validationService.circuitBreaker.getState('https://flaky.test/').state).toBe('closed');
+    });
+
+    it('should not count ordinary 403s without a bot-protection signal', async () => {
+      global.fetch.mockResolvedValue(respond(403, { server: 'nginx' }));
+
+      for (let i = 0; i < 6; i++) {
+        await validationService.validateURL(`https://members.test/private/${i}`);
+      }
+
+      expect(validationService.circuitBreaker.getState('https://members.test/')).toMatchObject({ state: 'closed', failures: 0 });
+      expect(validationService.classifyFailure({ status: 403, headers: { server: 'AkamaiGHost' } })).toBeNull();
+      expect(validationService.classifyFailure({ status: 403, headers: { server: 'cloudflare', 'cf-mitigated': 'challenge' } })).toBe('blocked');
+      expect(validationService.classifyFailure({ status: 999, headers: {} })).toBe('blocked');
+    });
+
+    it('should not count browser network errors that may be CORS blocks', async () => {
+      global.fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+
+      for (let i = 0; i < 6; i++) {
+        await validationService.validateURL(`https://cors.test/${i}`, { retries: 0 });
+      }
+
+      expect(validationService.circuitBreaker.getState('https://cors.test/').state).toBe('closed');
+      expect(global.fetch).toHaveBeenCalledTimes(6);
+    });
+  });
+
+  describe('HEAD fallback', () => {
+    const respond = (status, body = null) => ({ status, statusText: validationService.getStatusText(status), headers: new Map(), body });
+
+    it('should check a URL again with a ranged GET when HEAD is rejected, without reading the body', async () => {
+      const body = { cancel: vi.fn().mockResolvedValue(undefined) };
+      global.fetch.mockImplementation((url, options) => Promise.resolve(options.method === 'HEAD' ? respond(405) : respond(206, body)));
+
+      const result = await validationService.validateURL('https://example.com/report.pdf');
+
+      expect(result).toMatchObject({ status: 206, method: 'GET', headStatus: 405 });
+      expect(global.fetch.mock.calls[1][1].headers.Range).toBe('bytes=0-0');
+      expect(body.cancel).toHaveBeenCalled();
+      expect(validationService.isSuccessStatus(result.status)).toBe(true);
+    });
+
+    it('should send a plain GET when the range cannot be satisfied, and keep GET errors as the verdict', async () => {
+      global.fetch.mockImplementation((url, options) => Promise.resolve(
+        options.method === 'HEAD' ? respond(404) : respond(options.headers.Range ? 416 : 200)
+      ));
+      const empty = await validationService.validateURL('https://example.com/empty.txt');
+
+      global.fetch.mockReset();
+      global.fetch.mockResolvedValue(respond(404));
+      const gone = await validationService.validateURL('https://example.com/gone');
+
+      expect(empty).toMatchObject({ status: 200, method: 'GET', headStatus: 404 });
+      expect(gone).toMatchObject({ status: 404, method: 'GET', headStatus: 404 });
+    });
+
+    it('should keep HEAD answers that are not suspicious', async () => {
+      global.fetch.mockResolvedValue(respond(410));
+
+      const result = await validationService.validateURL('https://example.com/removed');
+
+      expect(result).toMatchObject({ status: 410, method: 'HEAD' });
+      expect(result.headStatus).toBeUndefined();
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('proxy checks', () => {
+    it('should record the method that decided a proxy check', async () => {
+      global.fetch.mockResolvedValue({
+        ok: true,
+        json: async () => ({ status: 206, statusText: 'Partial Content', method: 'GET', headStatus: 405 })
+      });
+
+      const result = await validationService.validateURLViaProxy('https://example.com/file.pdf', 1000);
+
+      expect(result).toMatchObject({ status: 206, viaProxy: true, method: 'GET', headStatus: 405 });
+      expect(validationService.isSuccessStatus(result.status)).toBe(true);
+    });
+  });
+
+  describe('credentials', () => {
+    const profiles = {
+      getCredentials: (url) => new URL(url).hostname === 'wiki.corp.test'
+        ? { hosts: ['wiki.corp.test'], headers: { Authorization: 'Bearer secret' } }
+        : null
+    };
+
+    beforeEach(() => {
+      validationService.setCredentials(profiles);
+    });
+
+    it('should not send credentials on direct requests when the proxy cannot be used', async () => {
+      validationService.proxyAvailable = false;
+      global.fetch.mockResolvedValue({ status: 200, statusText: 'OK', headers: new Map() });
+
+      const result = await validationService.validateURL('https://wiki.corp.test/old');
+      validationService.proxyAvailable = true;
+      global.fetch.mockRejectedValue(new TypeError('fetch failed'));
+      const failedProxy = await validationService.validateURL('https://wiki.corp.test/other');
+
+      expect(result).toMatchObject({ status: 0, errorType: 'auth-proxy', error: 'Authenticated check needs the proxy server' });
+      expect(failedProxy).toMatchObject({ status: 0, errorType: 'auth-proxy' });
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(global.fetch.mock.calls[0][0]).toBe('http://localhost:3001/validate-url');
+      expect(validationService.circuitBreaker.getState('https://wiki.corp.test/').failures).toBe(0);
+      expect(mockStorageService.getCachedURLResult).not.toHaveBeenCalled();
+      expect(mockStorageService.cacheURLResult).not.toHaveBeenCalled();
+    });
+
+    it('should POST credentials to the proxy and keep other URLs on plain GET requests', async () => {
+      validationService.proxyAvailable = true;
+      global.fetch.mockResolvedValue({ ok: true, json: async () => ({ status: 200, statusText: 'OK' }) });
+
+      const result = await validationService.validateURL('https://wiki.corp.test/page');
+      await validationService.validateURLViaHeadless('https://example.com/', 1000);
+
+      const [proxyURL, proxyRequest] = global.fetch.mock.calls[0];
+      expect(result).toMatchObject({ status: 200, viaProxy: true });
+      expect(proxyURL).toBe('http://localhost:3001/validate-url');
+      expect(proxyRequest.method).toBe('POST');
+      expect(JSON.parse(proxyRequest.body)).toEqual({
+        url: 'https://wiki.corp.test/page',
+        method: 'HEAD',
+        timeout: 10000,
+        credentials: { hosts: ['wiki.corp.test'], headers: { Authorization: 'Bearer secret' } }
+      });
+
+      const [headlessURL, headlessRequest] = global.fetch.mock.calls[1];
+      expect(headlessURL).toBe('http://localhost:3001/validate-url-headless?url=https%3A%2F%2Fexample.com%2F&timeout=1000');
+      expect(headlessRequest.method).toBe('GET');
+      expect(headlessRequest.body).toBeUndefined();
+    });
+  });
+
   describe('retry logic', () => {
     it('should retry failed requests', async () => {
       let callCount = 0;
@@ -268,6 +545,81 @@ describe('URLValidationService', () => {
     });
   });
 
+  describe('redirect chains', () => {
+    const respond = (routes) => global.fetch.mockImplementation((url) => {
+      const [status, location] = routes[url];
+      return Promise.resolve({
+        status,
+        statusText: validationService.getStatusText(status),
+        headers: new Map(location ? [['location', location]] : [])
+      });
+    });
+
+    it('should record every hop of a redirect chain', async () => {
+      respond({
+        'https://example.com/old#intro': [301, '/newer'],
+        'https://example.com/newer#intro': [308, 'https://www.example.com/new'],
+        'https://www.example.com/new#intro': [200]
+      });
+
+      const result = await validationService.validateURL('https://example.com/old#intro');
+
+      expect(result.status).toBe(200);
+      expect(result.finalURL).toBe('https://www.example.com/new#intro');
+      expect(result.redirectChain.map(hop => [hop.status, hop.url])).toEqual([
+        [301, 'https://example.com/old#intro'],
+        [308, 'https://example.com/newer#intro'],
+        [200, 'https://www.example.com/new#intro']
+      ]);
+      expect(global.fetch.mock.calls[0][1].redirect).toBe('manual');
+      expect(validationService.getRedirectType(result.redirectChain)).toBe('permanent');
+    });
+
+    it('should report an empty chain when the URL is not redirected', async () => {
+      respond({ 'https://example.com/': [200] });
+
+      const result = await validationService.validateURL('https://example.com/');
+
+      expect(result.redirectChain).toEqual([]);
+      expect(validationService.getRedirectType(result.redirectChain)).toBeNull();
+    });
+
+    it('should treat a chain with any temporary hop as temporary', () => {
+      expect(validationService.getRedirectType([
+        { url: 'https://a.example.com', status: 301 },
+        { url: 'https://b.example.com', status: 302 },
+        { url: 'https://c.example.com', status: 200 }
+      ])).toBe('temporary');
+      expect(validationService.getRedirectType([
+        { url: 'https://a.example.com', status: null },
+        { url: 'https://b.example.com', status: 200 }
+      ])).toBe('temporary');
+    });
+
+    it('should fall back to following redirects when the browser hides them', async () => {
+      global.fetch.mockImplementation((url, options) => Promise.resolve(options.redirect === 'manual'
+        ? { type: 'opaqueredirect', status: 0, statusText: '', headers: new Map() }
+        : { status: 200, statusText: 'OK', redirected: true, url: 'https://example.com/new', headers: new Map() }));
+
+      const result = await validationService.validateURL('https://example.com/old');
+
+      expect(result.finalURL).toBe('https://example.com/new');
+      expect(result.redirectChain).toEqual([
+        { url: 'https://example.com/old', status: null, statusText: 'Redirect' },
+        { url: 'https://example.com/new', status: 200, statusText: 'OK' }
+      ]);
+    });
+
+    it('should stop redirect loops', async () => {
+      respond({ 'https://example.com/a': [302, '/b'], 'https://example.com/b': [302, '/a'] });
+
+      const result = await validationService.validateURL('https://example.com/a', { retries: 0 });
+
+      expect(result.status).toBe(0);
+      expect(result.error).toContain('Too many redirects');
+    });
+  });
+
   describe('statistics', () => {
     it('should calculate validation statistics', () => {
       const results = [
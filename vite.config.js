@@ -18,7 +18,7 @@ export default defineConfig({
       output: {
         manualChunks: {
           vendor: ['marked', 'dompurify'],
-          parsers: ['mammoth', 'pdf-parse', 'jszip']
+          parsers: ['jszip']
         }
       }
     }